@@ -24,7 +24,11 @@ program
   .description('Generate a barcode')
   .requiredOption('-d, --data <data>', 'Data to encode')
   .option('-t, --type <type>', 'Barcode type', 'code128')
-  .option('-f, --format <format>', 'Output format (png, svg, html, pdf)', 'png')
+  .option(
+    '-f, --format <format>',
+    'Output format (png, svg, html, pdf, jpg, webp, zpl, escpos, eps)',
+    'png'
+  )
   .option('-o, --output <file>', 'Output file path')
   .option('-w, --width <width>', 'Barcode width', '2')
   .option('-h, --height <height>', 'Barcode height', '100')
@@ -73,6 +77,42 @@ program
             renderOptions
           );
           break;
+        case 'jpg':
+        case 'jpeg':
+          result = BarcodeGenerator.jpeg(
+            options.data,
+            options.type,
+            renderOptions
+          );
+          break;
+        case 'webp':
+          result = BarcodeGenerator.webp(
+            options.data,
+            options.type,
+            renderOptions
+          );
+          break;
+        case 'zpl':
+          result = BarcodeGenerator.zpl(
+            options.data,
+            options.type,
+            renderOptions
+          );
+          break;
+        case 'escpos':
+          result = BarcodeGenerator.escpos(
+            options.data,
+            options.type,
+            renderOptions
+          );
+          break;
+        case 'eps':
+          result = BarcodeGenerator.eps(
+            options.data,
+            options.type,
+            renderOptions
+          );
+          break;
         default:
           throw new Error(`Unsupported format: ${options.format}`);
       }
@@ -100,7 +140,7 @@ program
   .description('Generate a QR code')
   .requiredOption('-d, --data <data>', 'Data to encode')
   .option('-s, --size <size>', 'QR code size', '300')
-  .option('-f, --format <format>', 'Output format (png, svg, jpg)', 'png')
+  .option('-f, --format <format>', 'Output format (png, svg, jpg, webp)', 'png')
   .option('-o, --output <file>', 'Output file path')
   .option('-m, --margin <margin>', 'Margin size', '10')
   .option(
@@ -68,6 +68,61 @@ if (isBrowser) {
       return barcodeService.generate(data, type, 'pdf', options);
     }
 
+    /**
+     * Generate a barcode in JPEG format
+     * @param {string} data - The data to encode
+     * @param {string} type - The barcode type
+     * @param {Object} options - Generation options
+     * @returns {Buffer} JPEG buffer
+     */
+    static jpeg(data, type = 'code128', options = {}) {
+      return barcodeService.generate(data, type, 'jpeg', options);
+    }
+
+    /**
+     * Generate a barcode in WebP format
+     * @param {string} data - The data to encode
+     * @param {string} type - The barcode type
+     * @param {Object} options - Generation options
+     * @returns {Buffer} WebP buffer
+     */
+    static webp(data, type = 'code128', options = {}) {
+      return barcodeService.generate(data, type, 'webp', options);
+    }
+
+    /**
+     * Generate a barcode as a ZPL label
+     * @param {string} data - The data to encode
+     * @param {string} type - The barcode type
+     * @param {Object} options - Generation options
+     * @returns {string} ZPL string
+     */
+    static zpl(data, type = 'code128', options = {}) {
+      return barcodeService.generate(data, type, 'zpl', options);
+    }
+
+    /**
+     * Generate a barcode as ESC/POS receipt printer commands
+     * @param {string} data - The data to encode
+     * @param {string} type - The barcode type
+     * @param {Object} options - Generation options
+     * @returns {Buffer} ESC/POS command bytes
+     */
+    static escpos(data, type = 'code128', options = {}) {
+      return barcodeService.generate(data, type, 'escpos', options);
+    }
+
+    /**
+     * Generate a barcode in EPS format
+     * @param {string} data - The data to encode
+     * @param {string} type - The barcode type
+     * @param {Object} options - Generation options
+     * @returns {string} EPS document
+     */
+    static eps(data, type = 'code128', options = {}) {
+      return barcodeService.generate(data, type, 'eps', options);
+    }
+
     /**
      * Generate a QR code
      * @param {string} data - The data to encode
@@ -4,6 +4,8 @@
 
 const QRCode = require('qrcode');
 const { createCanvas, loadImage } = require('canvas');
+const { RenderFormats } = require('../renderers/RenderFormats');
+const WebPEncoder = require('../renderers/WebPEncoder');
 
 // Conditional fs import for Node.js environments only
 let fs;
@@ -31,6 +33,7 @@ class QrCodeBuilder {
       watermark: null,
       watermarkPosition: 'center',
       format: 'png',
+      quality: 0.92, // JPEG quality between 0 and 1
       ...options,
     };
   }
@@ -160,7 +163,7 @@ class QrCodeBuilder {
 
   /**
    * Set the output format
-   * @param {string} format - Output format (png, svg, jpg)
+   * @param {string} format - Output format (png, svg, jpg, jpeg, webp)
    * @returns {QrCodeBuilder} Builder instance
    */
   format(format) {
@@ -168,6 +171,16 @@ class QrCodeBuilder {
     return this;
   }
 
+  /**
+   * Set the JPEG quality
+   * @param {number} quality - Quality between 0 and 1
+   * @returns {QrCodeBuilder} Builder instance
+   */
+  quality(quality) {
+    this.options.quality = quality;
+    return this;
+  }
+
   /**
    * Build the QR code
    * @returns {Object} QR code result
@@ -258,12 +271,33 @@ class QrCodeResult {
       }
 
       // Convert to buffer
-      return canvas.toBuffer(`image/${this.options.format}`);
+      return this.toBuffer(canvas);
     } catch (error) {
       throw new Error(`QR code generation failed: ${error.message}`);
     }
   }
 
+  /**
+   * Encode the canvas in the configured format
+   * @param {Canvas} canvas - Painted canvas
+   * @returns {Buffer} Image buffer
+   */
+  toBuffer(canvas) {
+    const mimeType = RenderFormats.getMimeType(this.options.format);
+
+    if (mimeType === 'image/webp') {
+      const { size } = this.options;
+      const { data } = canvas.getContext('2d').getImageData(0, 0, size, size);
+      return new WebPEncoder().encode(data, size, size);
+    }
+
+    if (mimeType === 'image/jpeg') {
+      return canvas.toBuffer(mimeType, { quality: this.options.quality });
+    }
+
+    return canvas.toBuffer(mimeType);
+  }
+
   /**
    * Add logo to QR code
    * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -399,7 +433,8 @@ class QrCodeResult {
   async getDataUri() {
     const buffer = await this.generate();
     const base64 = buffer.toString('base64');
-    return `data:image/${this.options.format};base64,${base64}`;
+    const mimeType = RenderFormats.getMimeType(this.options.format);
+    return `data:${mimeType};base64,${base64}`;
   }
 
   /**
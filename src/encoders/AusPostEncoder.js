@@ -0,0 +1,202 @@
+/**
+ * Australia Post Encoder - Encodes an Australia Post 4-state customer barcode
+ *
+ * The Format Control Code (FCC) sets the length: 37 bars for the Standard
+ * Customer barcode, 52 for Customer 2 and 67 for Customer 3. The FCC and the
+ * 8 digit Delivery Point Identifier (DPID) use the N table, two bars per
+ * digit; customer information uses the C table, three bars per character, or
+ * the N table. Filler bars pad the data, and four Reed-Solomon parity symbols
+ * over GF(64) follow, between start and stop bars.
+ */
+
+// Bar values of the encoding tables
+const BAR_STATES = ['F', 'A', 'D', 'T'];
+
+const C_CHARACTERS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789abcdefghijklmnopqrstuvwxyz #';
+
+// C table bar values in the order of C_CHARACTERS
+const C_TABLE = [
+  '000 001 002 010 011 012 020 021',
+  '022 100 101 102 110 111 112 120',
+  '121 122 200 201 202 210 211 212',
+  '220 221 222 300 301 302 310 311',
+  '312 320 321 322 023 030 031 032',
+  '033 103 113 123 130 131 132 133',
+  '203 213 223 230 231 232 233 303',
+  '313 323 330 331 332 333 003 013',
+]
+  .join(' ')
+  .split(' ');
+
+const N_TABLE = ['00', '01', '02', '10', '11', '12', '20', '21', '22', '30'];
+
+const START_STOP = '13';
+const FILLER = '3';
+
+// Bars by FCC: Standard Customer, Reply Paid, Customer 2, Customer 3,
+// Routing and Redirection
+const LENGTHS = {
+  11: 37,
+  45: 37,
+  59: 52,
+  62: 67,
+  87: 37,
+  92: 37,
+};
+
+// GF(64) with the primitive polynomial x^6 + x + 1
+const EXP = new Array(63);
+const LOG = new Array(64);
+for (let i = 0, x = 1; i < 63; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 64) x ^= 0x43;
+}
+
+/**
+ * Multiply in GF(64)
+ * @param {number} a - Factor
+ * @param {number} b - Factor
+ * @returns {number} Product
+ */
+function multiply(a, b) {
+  return a && b ? EXP[(LOG[a] + LOG[b]) % 63] : 0;
+}
+
+// Generator polynomial with roots a^1 to a^4, highest degree first
+const GENERATOR = [1, 2, 3, 4].reduce(
+  (generator, i) => {
+    const next = [...generator, 0];
+    generator.forEach((coefficient, index) => {
+      next[index + 1] ^= multiply(coefficient, EXP[i]);
+    });
+    return next;
+  },
+  [1]
+);
+
+class AusPostEncoder {
+  constructor() {
+    this.defaultOptions = {
+      customerInfoTable: 'C',
+    };
+  }
+
+  /**
+   * Encode an Australia Post barcode
+   * @param {string} data - FCC, DPID and customer information
+   * @param {Object} options - Encoding options
+   * @returns {Object} 4-state symbol
+   */
+  encode(data, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+    const { fcc, dpid, customerInfo } = AusPostEncoder.parse(data);
+    const length = LENGTHS[fcc];
+
+    let bars = START_STOP;
+    for (const digit of fcc + dpid) {
+      bars += N_TABLE[digit];
+    }
+    bars += this.encodeCustomerInfo(customerInfo, opts.customerInfoTable);
+    if (bars.length > length - 14) {
+      const characters = Math.floor((length - 36) / 3);
+      const digits = Math.floor((length - 36) / 2);
+      throw new Error(
+        `Customer information too long: FCC ${fcc} holds ${characters} C table characters or ${digits} N table digits`
+      );
+    }
+
+    bars = bars.padEnd(length - 14, FILLER);
+    bars += this.computeParity(bars) + START_STOP;
+
+    return {
+      kind: 'fourstate',
+      bars: Array.from(bars, bar => BAR_STATES[bar]),
+      text: data,
+      fields: { fcc, dpid, customerInfo },
+    };
+  }
+
+  /**
+   * Split the data into its fields: the 2 digit FCC, the 8 digit DPID and
+   * any customer information
+   * @param {string} data - Data
+   * @returns {Object} fcc, dpid and customerInfo
+   */
+  static parse(data) {
+    const fcc = data.substring(0, 2);
+    const dpid = data.substring(2, 10);
+    const customerInfo = data.substring(10);
+
+    if (!(fcc in LENGTHS)) {
+      throw new Error(`Invalid FCC: ${fcc}. Use 11, 45, 59, 62, 87 or 92`);
+    }
+    if (!/^\d{8}$/.test(dpid)) {
+      throw new Error(`Invalid DPID: ${dpid}. Use 8 digits`);
+    }
+    if (customerInfo && LENGTHS[fcc] === 37) {
+      throw new Error(`FCC ${fcc} has no customer information`);
+    }
+    const invalid = Array.from(customerInfo).find(
+      char => !C_CHARACTERS.includes(char)
+    );
+    if (invalid !== undefined) {
+      throw new Error(
+        `Invalid character in customer information: '${invalid}'. Use letters, digits, space and #`
+      );
+    }
+
+    return { fcc, dpid, customerInfo };
+  }
+
+  /**
+   * Encode the customer information with the C or N table
+   * @param {string} customerInfo - Customer information
+   * @param {string} table - 'C' or 'N'
+   * @returns {string} Bar values
+   */
+  encodeCustomerInfo(customerInfo, table) {
+    if (table === 'N') {
+      if (!/^\d*$/.test(customerInfo)) {
+        throw new Error('The N table encodes digits only');
+      }
+      return Array.from(customerInfo, digit => N_TABLE[digit]).join('');
+    }
+    if (table !== 'C') {
+      throw new Error(`Invalid customer information table: ${table}`);
+    }
+
+    return Array.from(
+      customerInfo,
+      char => C_TABLE[C_CHARACTERS.indexOf(char)]
+    ).join('');
+  }
+
+  /**
+   * Compute the Reed-Solomon parity. Every three bars after the start bars
+   * are one GF(64) symbol, and each of the four parity symbols is drawn as
+   * three bars.
+   * @param {string} bars - Start, data and filler bars
+   * @returns {string} 12 parity bar values
+   */
+  computeParity(bars) {
+    const remainder = [0, 0, 0, 0];
+
+    for (let i = 2; i < bars.length; i += 3) {
+      const symbol = parseInt(bars.substring(i, i + 3), 4);
+      const factor = symbol ^ remainder.shift();
+      remainder.push(0);
+      for (let j = 0; j < 4; j++) {
+        remainder[j] ^= multiply(GENERATOR[j + 1], factor);
+      }
+    }
+
+    return remainder
+      .map(symbol => symbol.toString(4).padStart(3, '0'))
+      .join('');
+  }
+}
+
+module.exports = AusPostEncoder;
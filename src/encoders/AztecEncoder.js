@@ -0,0 +1,729 @@
+/**
+ * Aztec Encoder - Encodes data into a compact or full-range Aztec symbol
+ *
+ * Data is written with the Upper, Lower, Mixed, Punct and Digit character
+ * modes and Binary Shift, stuffed into codewords and protected with
+ * Reed-Solomon error correction around the central bullseye. Aztec runes
+ * encode a single value from 0 to 255 in the mode message of an 11x11 symbol.
+ */
+
+const { GS1 } = require('./GS1');
+
+// Characters of each mode, from value 1; NUL marks values that are not
+// single characters
+const CHARACTERS = {
+  upper: ' ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  lower: ' abcdefghijklmnopqrstuvwxyz',
+  mixed:
+    ' \x01\x02\x03\x04\x05\x06\x07\x08\t\n\x0b\x0c\r\x1b\x1c\x1d\x1e\x1f@\\^_`|~\x7f',
+  punct: '\r\0\0\0\0!"#$%&\'()*+,-./:;<=>?[]{}',
+  digit: ' 0123456789,.',
+};
+
+// Two character sequences of the Punct mode
+const PUNCT_PAIRS = { '\r\n': 2, '. ': 3, ', ': 4, ': ': 5 };
+
+const MODES = Object.keys(CHARACTERS);
+
+const VALUES = {};
+MODES.forEach(mode => {
+  VALUES[mode] = {};
+  Array.from(CHARACTERS[mode]).forEach((char, index) => {
+    if (char !== '\0') VALUES[mode][char.charCodeAt(0)] = index + 1;
+  });
+});
+
+// Latch codes to the modes reachable in one step
+const LATCHES = {
+  upper: { lower: 28, mixed: 29, digit: 30 },
+  lower: { mixed: 29, digit: 30 },
+  mixed: { upper: 29, lower: 28, punct: 30 },
+  punct: { upper: 31 },
+  digit: { upper: 14 },
+};
+
+// Shift codes for one character of another mode, by the current mode
+const SHIFTS = {
+  punct: { upper: 0, lower: 0, mixed: 0, digit: 0 },
+  upper: { lower: 28, digit: 15 },
+};
+
+// A shift beats latching there and back for runs shorter than these
+const SHIFT_RUNS = { punct: 4, upper: 3 };
+
+// Characters looked ahead when choosing a mode
+const LOOKAHEAD = 8;
+
+const BINARY_SHIFT = 31;
+const FLG = 0;
+const MAX_BINARY_RUN = 2047 + 31;
+
+// FNC1 in the message, outside the byte range
+const FNC1 = 0x100;
+
+// ECI 000026 (UTF-8)
+const UTF8_ECI = '26';
+
+// Primitive polynomials of the Galois fields, by codeword size
+const POLYNOMIALS = { 4: 0x13, 6: 0x43, 8: 0x12d, 10: 0x409, 12: 0x1069 };
+
+// Rune mode messages have every other bit inverted
+const RUNE_MASK = 0xaaaaaaa;
+
+const MAX_COMPACT_LAYERS = 4;
+const MAX_LAYERS = 32;
+
+/**
+ * Get the bit width of a mode's codes
+ * @param {string} mode - Character mode
+ * @returns {number} Bits per code
+ */
+function codeSize(mode) {
+  return mode === 'digit' ? 4 : 5;
+}
+
+// Cheapest latch sequence between every pair of modes, as the modes passed
+const ROUTES = {};
+MODES.forEach(from => {
+  const routes = { [from]: { bits: 0, path: [] } };
+  const queue = [from];
+  while (queue.length > 0) {
+    const mode = queue.shift();
+    Object.keys(LATCHES[mode]).forEach(next => {
+      const bits = routes[mode].bits + codeSize(mode);
+      if (!routes[next] || bits < routes[next].bits) {
+        routes[next] = { bits, path: [...routes[mode].path, next] };
+        queue.push(next);
+      }
+    });
+  }
+  ROUTES[from] = routes;
+});
+
+class AztecEncoder {
+  constructor() {
+    this.defaultOptions = {
+      eccPercent: 23,
+      rune: false,
+      gs1: false,
+    };
+    this.fields = {};
+    this.generators = {};
+  }
+
+  /**
+   * Encode data as Aztec Code
+   * @param {string} data - The data to encode, or the rune value
+   * @param {Object} options - Encoding options (eccPercent, rune, gs1)
+   * @returns {Object} Matrix symbol
+   */
+  encode(data, options = {}) {
+    const encodeOptions = { ...this.defaultOptions, ...options };
+
+    if (encodeOptions.rune) {
+      return this.encodeRune(data);
+    }
+
+    const { eccPercent } = encodeOptions;
+    if (
+      !(typeof eccPercent === 'number' && eccPercent >= 5 && eccPercent <= 95)
+    ) {
+      throw new Error(
+        `Invalid error correction percentage: ${eccPercent}. Use 5 to 95`
+      );
+    }
+
+    const bits = this.encodeText(this.createMessage(data, encodeOptions.gs1));
+    const { compact, layers, words } = this.fit(bits, eccPercent);
+    const modeMessage = this.createModeMessage(compact, layers, words.length);
+    const modules = this.createModules(
+      compact,
+      layers,
+      this.addErrorCorrection(words, compact, layers),
+      modeMessage
+    );
+
+    return {
+      kind: 'matrix',
+      rows: modules.length,
+      columns: modules.length,
+      modules,
+      quietZone: 0,
+      compact,
+      layers,
+      eccPercent,
+      rune: false,
+      gs1: Boolean(encodeOptions.gs1),
+    };
+  }
+
+  /**
+   * Encode an Aztec rune, a compact symbol without data layers
+   * @param {string} data - The rune value, 0 to 255
+   * @returns {Object} Matrix symbol
+   */
+  encodeRune(data) {
+    const value = Number(data);
+    if (!/^\d{1,3}$/.test(String(data)) || value > 255) {
+      throw new Error(`Invalid Aztec rune: ${data}. Use 0 to 255`);
+    }
+
+    const check = this.computeErrorCorrection([value >> 4, value & 15], 5, 4);
+    const message = [value >> 4, value & 15, ...check].reduce(
+      (bits, word) => (bits << 4) | word,
+      0
+    );
+    const modeMessage = this.toBits(message ^ RUNE_MASK, 28);
+
+    return {
+      kind: 'matrix',
+      rows: 11,
+      columns: 11,
+      modules: this.createModules(true, 0, [], modeMessage),
+      quietZone: 0,
+      compact: true,
+      layers: 0,
+      eccPercent: null,
+      rune: true,
+      gs1: false,
+    };
+  }
+
+  /**
+   * Create the message as byte values, with FNC1 as its own value. Text
+   * outside ISO 8859-1 is sent as UTF-8 after an ECI.
+   * @param {string} data - The data to encode
+   * @param {boolean} gs1 - Encode a GS1 element string in FNC1 mode
+   * @returns {Object} Message values and the ECI to announce
+   */
+  createMessage(data, gs1) {
+    if (gs1) {
+      // FNC1 in the first position marks GS1 data, then separates fields
+      const values = [];
+      GS1.split(data).forEach(field => {
+        values.push(FNC1, ...Array.from(field, char => char.charCodeAt(0)));
+      });
+      return { values, eci: null };
+    }
+
+    if (/^[\x00-\xff]*$/.test(data)) {
+      return {
+        values: Array.from(data, char => char.charCodeAt(0)),
+        eci: null,
+      };
+    }
+
+    return { values: [...Buffer.from(data, 'utf8')], eci: UTF8_ECI };
+  }
+
+  /**
+   * Write the message as a bit sequence of mode codes and binary runs
+   * @param {Object} message - Message values and ECI
+   * @returns {Array} Bits, most significant first
+   */
+  encodeText({ values, eci }) {
+    const state = { mode: 'upper', bits: [] };
+
+    if (eci) {
+      this.writeFlag(state, eci.length);
+      Array.from(eci).forEach(digit =>
+        this.write(state.bits, VALUES.digit[digit.charCodeAt(0)], 4)
+      );
+    }
+
+    for (let pos = 0; pos < values.length; ) {
+      if (values[pos] === FNC1) {
+        this.writeFlag(state, 0);
+        pos++;
+        continue;
+      }
+
+      const unit = this.getUnit(values, pos);
+      if (unit.modes.length === 0) {
+        pos = this.writeBinary(state, values, pos);
+        continue;
+      }
+
+      if (!unit.modes.includes(state.mode)) {
+        // Move to the mode that holds the longest run from here
+        const runs = unit.modes.map(mode => this.countRun(values, pos, mode));
+        const target = unit.modes[runs.indexOf(Math.max(...runs))];
+        const shift = SHIFTS[target] && SHIFTS[target][state.mode];
+
+        if (shift !== undefined && Math.max(...runs) < SHIFT_RUNS[target]) {
+          this.write(state.bits, shift, codeSize(state.mode));
+          this.write(state.bits, unit.values[target], codeSize(target));
+          pos += unit.length;
+          continue;
+        }
+
+        this.latch(state, target);
+      }
+
+      this.write(state.bits, unit.values[state.mode], codeSize(state.mode));
+      pos += unit.length;
+    }
+
+    return state.bits;
+  }
+
+  /**
+   * Get the character or Punct pair at a position and the modes that hold it
+   * @param {Array} values - Message values
+   * @param {number} pos - Position
+   * @returns {Object} Length, modes and the value in each mode
+   */
+  getUnit(values, pos) {
+    const pair = String.fromCharCode(values[pos], values[pos + 1]);
+    if (pos + 1 < values.length && PUNCT_PAIRS[pair]) {
+      return {
+        length: 2,
+        modes: ['punct'],
+        values: { punct: PUNCT_PAIRS[pair] },
+      };
+    }
+
+    const modes = MODES.filter(mode => values[pos] in VALUES[mode]);
+    const unitValues = {};
+    modes.forEach(mode => {
+      unitValues[mode] = VALUES[mode][values[pos]];
+    });
+
+    return { length: 1, modes, values: unitValues };
+  }
+
+  /**
+   * Count the characters from a position that a mode holds, up to the
+   * look-ahead limit
+   * @param {Array} values - Message values
+   * @param {number} pos - Position
+   * @param {string} mode - Character mode
+   * @returns {number} Run length in characters
+   */
+  countRun(values, pos, mode) {
+    let count = 0;
+    while (pos < values.length && count < LOOKAHEAD) {
+      const unit = this.getUnit(values, pos);
+      if (!unit.modes.includes(mode)) break;
+      count++;
+      pos += unit.length;
+    }
+    return count;
+  }
+
+  /**
+   * Latch to another mode
+   * @param {Object} state - Encoder state
+   * @param {string} target - Character mode
+   */
+  latch(state, target) {
+    ROUTES[state.mode][target].path.forEach(mode => {
+      this.write(state.bits, LATCHES[state.mode][mode], codeSize(state.mode));
+      state.mode = mode;
+    });
+  }
+
+  /**
+   * Write FLG(n) from the Punct mode: FNC1 for 0, or an ECI of n digits
+   * @param {Object} state - Encoder state
+   * @param {number} n - Flag value
+   */
+  writeFlag(state, n) {
+    if (state.mode !== 'punct') {
+      this.write(state.bits, SHIFTS.punct[state.mode], codeSize(state.mode));
+    }
+    this.write(state.bits, FLG, 5);
+    this.write(state.bits, n, 3);
+  }
+
+  /**
+   * Write a run of values that no mode holds with Binary Shift
+   * @param {Object} state - Encoder state
+   * @param {Array} values - Message values
+   * @param {number} pos - Start of the run
+   * @returns {number} Position after the run
+   */
+  writeBinary(state, values, pos) {
+    let end = pos;
+    while (
+      end < values.length &&
+      end - pos < MAX_BINARY_RUN &&
+      values[end] !== FNC1 &&
+      this.getUnit(values, end).modes.length === 0
+    ) {
+      end++;
+    }
+
+    // Binary Shift is only available from Upper, Lower and Mixed
+    if (state.mode === 'punct' || state.mode === 'digit') {
+      this.latch(state, 'upper');
+    }
+
+    const length = end - pos;
+    this.write(state.bits, BINARY_SHIFT, 5);
+    if (length > 31) {
+      this.write(state.bits, 0, 5);
+      this.write(state.bits, length - 31, 11);
+    } else {
+      this.write(state.bits, length, 5);
+    }
+    values.slice(pos, end).forEach(value => this.write(state.bits, value, 8));
+
+    return end;
+  }
+
+  /**
+   * Append a value to a bit sequence
+   * @param {Array} bits - Bit sequence
+   * @param {number} value - Value
+   * @param {number} count - Bit count
+   */
+  write(bits, value, count) {
+    bits.push(...this.toBits(value, count));
+  }
+
+  /**
+   * Split a value into bits
+   * @param {number} value - Value
+   * @param {number} count - Bit count
+   * @returns {Array} Bits, most significant first
+   */
+  toBits(value, count) {
+    return Array.from(
+      { length: count },
+      (_, i) => (value >> (count - 1 - i)) & 1
+    );
+  }
+
+  /**
+   * Find the smallest symbol that holds the data and the error correction
+   * @param {Array} bits - Data bits
+   * @param {number} eccPercent - Error correction share of the symbol
+   * @returns {Object} Compact flag, layer count and data codewords
+   */
+  fit(bits, eccPercent) {
+    // Compact symbols first, then full-range symbols larger than them
+    const candidates = [];
+    for (let layers = 1; layers <= MAX_COMPACT_LAYERS; layers++) {
+      candidates.push({ compact: true, layers });
+    }
+    for (let layers = MAX_COMPACT_LAYERS; layers <= MAX_LAYERS; layers++) {
+      candidates.push({ compact: false, layers });
+    }
+
+    for (const { compact, layers } of candidates) {
+      const wordSize = this.getWordSize(layers);
+      const capacity = Math.floor(this.getCapacity(compact, layers) / wordSize);
+      const eccWords = Math.ceil((capacity * eccPercent) / 100) + 3;
+      if (bits.length > (capacity - eccWords) * wordSize) continue;
+
+      const words = this.stuffBits(bits, wordSize);
+      const maxWords = compact ? 64 : 2048;
+      if (words.length <= Math.min(capacity - eccWords, maxWords)) {
+        return { compact, layers, words };
+      }
+    }
+
+    throw new Error(
+      `Data needs ${bits.length} bits, more than a ${MAX_LAYERS} layer Aztec symbol holds`
+    );
+  }
+
+  /**
+   * Get the codeword size of a symbol
+   * @param {number} layers - Layer count
+   * @returns {number} Bits per codeword
+   */
+  getWordSize(layers) {
+    if (layers <= 2) return 6;
+    if (layers <= 8) return 8;
+    if (layers <= 22) return 10;
+    return 12;
+  }
+
+  /**
+   * Get the bit capacity of the data layers
+   * @param {boolean} compact - Compact symbol
+   * @param {number} layers - Layer count
+   * @returns {number} Bits
+   */
+  getCapacity(compact, layers) {
+    return ((compact ? 88 : 112) + 16 * layers) * layers;
+  }
+
+  /**
+   * Split the bits into codewords, stuffing a bit into any codeword that
+   * would be all zeros or all ones, and padding the last with ones
+   * @param {Array} bits - Data bits
+   * @param {number} wordSize - Bits per codeword
+   * @returns {Array} Codewords
+   */
+  stuffBits(bits, wordSize) {
+    const words = [];
+    const mask = (1 << wordSize) - 2;
+
+    for (let i = 0; i < bits.length; i += wordSize) {
+      let word = 0;
+      for (let j = 0; j < wordSize; j++) {
+        word = (word << 1) | (i + j >= bits.length || bits[i + j] ? 1 : 0);
+      }
+
+      // Only the first wordSize - 1 bits were taken
+      if ((word & mask) === mask) {
+        words.push(word & mask);
+        i--;
+      } else if ((word & mask) === 0) {
+        words.push(word | 1);
+        i--;
+      } else {
+        words.push(word);
+      }
+    }
+
+    return words;
+  }
+
+  /**
+   * Create the mode message: layer and codeword counts with error correction
+   * @param {boolean} compact - Compact symbol
+   * @param {number} layers - Layer count
+   * @param {number} dataWords - Data codewords
+   * @returns {Array} Mode message bits
+   */
+  createModeMessage(compact, layers, dataWords) {
+    const bits = compact
+      ? [...this.toBits(layers - 1, 2), ...this.toBits(dataWords - 1, 6)]
+      : [...this.toBits(layers - 1, 5), ...this.toBits(dataWords - 1, 11)];
+    const words = [];
+    for (let i = 0; i < bits.length; i += 4) {
+      words.push(parseInt(bits.slice(i, i + 4).join(''), 2));
+    }
+
+    const check = this.computeErrorCorrection(words, compact ? 5 : 6, 4);
+    return [...words, ...check].flatMap(word => this.toBits(word, 4));
+  }
+
+  /**
+   * Append the Reed-Solomon codewords and fill the data layers
+   * @param {Array} words - Data codewords
+   * @param {boolean} compact - Compact symbol
+   * @param {number} layers - Layer count
+   * @returns {Array} Layer bits, starting with the light padding bits
+   */
+  addErrorCorrection(words, compact, layers) {
+    const wordSize = this.getWordSize(layers);
+    const capacity = this.getCapacity(compact, layers);
+    const count = Math.floor(capacity / wordSize) - words.length;
+    const check = this.computeErrorCorrection(words, count, wordSize);
+
+    return [
+      ...new Array(capacity % wordSize).fill(0),
+      ...[...words, ...check].flatMap(word => this.toBits(word, wordSize)),
+    ];
+  }
+
+  /**
+   * Get the exponent and logarithm tables of a Galois field
+   * @param {number} wordSize - Bits per element
+   * @returns {Object} Field tables
+   */
+  getField(wordSize) {
+    if (!this.fields[wordSize]) {
+      const size = 1 << wordSize;
+      const exp = new Array(size - 1);
+      const log = new Array(size);
+      for (let i = 0, x = 1; i < size - 1; i++) {
+        exp[i] = x;
+        log[x] = i;
+        x <<= 1;
+        if (x & size) x ^= POLYNOMIALS[wordSize];
+      }
+      this.fields[wordSize] = { exp, log, order: size - 1 };
+    }
+
+    return this.fields[wordSize];
+  }
+
+  /**
+   * Multiply in a Galois field
+   * @param {Object} field - Field tables
+   * @param {number} a - Factor
+   * @param {number} b - Factor
+   * @returns {number} Product
+   */
+  multiply(field, a, b) {
+    return a && b ? field.exp[(field.log[a] + field.log[b]) % field.order] : 0;
+  }
+
+  /**
+   * Get the generator polynomial with roots a^1 to a^count
+   * @param {number} count - Error correction codewords
+   * @param {number} wordSize - Bits per codeword
+   * @returns {Array} Coefficients, highest degree first
+   */
+  getGenerator(count, wordSize) {
+    const key = `${wordSize}:${count}`;
+    if (!this.generators[key]) {
+      const field = this.getField(wordSize);
+      let generator = [1];
+      for (let i = 1; i <= count; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, index) => {
+          next[index] ^= coefficient;
+          next[index + 1] ^= this.multiply(
+            field,
+            coefficient,
+            field.exp[i % field.order]
+          );
+        });
+        generator = next;
+      }
+      this.generators[key] = generator;
+    }
+
+    return this.generators[key];
+  }
+
+  /**
+   * Compute the Reed-Solomon codewords
+   * @param {Array} data - Data codewords
+   * @param {number} count - Error correction codewords
+   * @param {number} wordSize - Bits per codeword
+   * @returns {Array} Error correction codewords
+   */
+  computeErrorCorrection(data, count, wordSize) {
+    const field = this.getField(wordSize);
+    const generator = this.getGenerator(count, wordSize);
+    const remainder = new Array(count).fill(0);
+
+    data.forEach(word => {
+      const factor = word ^ remainder.shift();
+      remainder.push(0);
+      for (let i = 0; i < count; i++) {
+        remainder[i] ^= this.multiply(field, generator[i + 1], factor);
+      }
+    });
+
+    return remainder;
+  }
+
+  /**
+   * Place the data layers, mode message, bullseye and reference grid
+   * @param {boolean} compact - Compact symbol
+   * @param {number} layers - Layer count
+   * @param {Array} bits - Layer bits
+   * @param {Array} modeMessage - Mode message bits
+   * @returns {Array} Module rows, true for dark modules
+   */
+  createModules(compact, layers, bits, modeMessage) {
+    const baseSize = (compact ? 11 : 14) + layers * 4;
+    const half = Math.floor(baseSize / 2);
+
+    // Full-range symbols add a reference grid line every 16 modules, which
+    // moves the layer positions outwards from the center
+    const size = compact
+      ? baseSize
+      : baseSize + 1 + 2 * Math.floor((half - 1) / 15);
+    const center = Math.floor(size / 2);
+    const positions = Array.from({ length: baseSize }, (_, i) => i);
+    if (!compact) {
+      for (let i = 0; i < half; i++) {
+        const offset = i + Math.floor(i / 15);
+        positions[half - i - 1] = center - offset - 1;
+        positions[half + i] = center + offset + 1;
+      }
+    }
+
+    const modules = Array.from({ length: size }, () =>
+      new Array(size).fill(false)
+    );
+    const set = (x, y) => {
+      modules[y][x] = true;
+    };
+
+    // Each layer is two modules deep and runs anticlockwise from its top
+    // left corner, the innermost layer last in the bit sequence
+    const last = baseSize - 1;
+    for (let layer = 0, offset = 0; layer < layers; layer++) {
+      const rowSize = (layers - layer) * 4 + (compact ? 9 : 12);
+      const inner = layer * 2;
+      for (let j = 0; j < rowSize; j++) {
+        for (let k = 0; k < 2; k++) {
+          const bit = side => bits[offset + rowSize * side + j * 2 + k];
+          if (bit(0)) set(positions[inner + k], positions[inner + j]);
+          if (bit(2)) set(positions[inner + j], positions[last - inner - k]);
+          if (bit(4)) {
+            set(positions[last - inner - k], positions[last - inner - j]);
+          }
+          if (bit(6)) set(positions[last - inner - j], positions[inner + k]);
+        }
+      }
+      offset += rowSize * 8;
+    }
+
+    this.drawModeMessage(set, compact, center, modeMessage);
+    this.drawBullseye(set, center, compact ? 5 : 7);
+
+    if (!compact) {
+      for (let i = 0, line = 0; i < half - 1; i += 15, line += 16) {
+        for (let k = center & 1; k < size; k += 2) {
+          set(center - line, k);
+          set(center + line, k);
+          set(k, center - line);
+          set(k, center + line);
+        }
+      }
+    }
+
+    return modules;
+  }
+
+  /**
+   * Draw the mode message around the bullseye, clockwise from the top left
+   * @param {Function} set - Darkens the module at x, y
+   * @param {boolean} compact - Compact symbol
+   * @param {number} center - Center position
+   * @param {Array} bits - Mode message bits
+   */
+  drawModeMessage(set, compact, center, bits) {
+    const side = compact ? 7 : 10;
+    const distance = compact ? 5 : 7;
+
+    for (let i = 0; i < side; i++) {
+      // Full-range sides skip the reference grid line through the center
+      const offset = compact
+        ? center - 3 + i
+        : center - 5 + i + Math.floor(i / 5);
+      if (bits[i]) set(offset, center - distance);
+      if (bits[i + side]) set(center + distance, offset);
+      if (bits[side * 3 - 1 - i]) set(offset, center + distance);
+      if (bits[side * 4 - 1 - i]) set(center - distance, offset);
+    }
+  }
+
+  /**
+   * Draw the bullseye finder and its orientation marks
+   * @param {Function} set - Darkens the module at x, y
+   * @param {number} center - Center position
+   * @param {number} size - Bullseye radius, 5 compact or 7 full-range
+   */
+  drawBullseye(set, center, size) {
+    for (let i = 0; i < size; i += 2) {
+      for (let j = center - i; j <= center + i; j++) {
+        set(j, center - i);
+        set(j, center + i);
+        set(center - i, j);
+        set(center + i, j);
+      }
+    }
+
+    set(center - size, center - size);
+    set(center - size + 1, center - size);
+    set(center - size, center - size + 1);
+    set(center + size, center - size);
+    set(center + size, center - size + 1);
+    set(center + size, center + size - 1);
+  }
+}
+
+module.exports = AztecEncoder;
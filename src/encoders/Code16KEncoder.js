@@ -0,0 +1,304 @@
+/**
+ * Code 16K Encoder - Encodes data into a Code 16K stacked symbol
+ *
+ * Code 16K stacks 2 to 16 rows of five Code 128 symbol characters between
+ * row specific start and stop patterns, with separator bars between the rows
+ * (EN 12323). The first character gives the row count and starting code set;
+ * the last two are modulo 107 check characters over the whole symbol.
+ */
+
+const { BARS } = require('jsbarcode/bin/barcodes/CODE128/constants');
+
+// Symbol characters 0 to 105 are Code 128's; 106 is an 11 module character
+// (2 3 3 1 1 1) rather than the 13 module Code 128 stop pattern
+const PATTERNS = [...BARS.slice(0, 106), 11000111010];
+
+// Start and stop patterns as bar/space widths, starting with a bar
+const START_STOP = [
+  [3, 2, 1, 1],
+  [2, 2, 2, 1],
+  [2, 1, 2, 2],
+  [1, 4, 1, 1],
+  [1, 1, 3, 2],
+  [1, 2, 3, 1],
+  [1, 1, 1, 4],
+  [3, 1, 1, 2],
+];
+
+// Start and stop pattern of each row; rows 9 to 16 reuse the start patterns
+// with the stop patterns rotated by four
+const START_VALUES = [0, 1, 2, 3, 4, 5, 6, 7, 0, 1, 2, 3, 4, 5, 6, 7];
+const STOP_VALUES = [0, 1, 2, 3, 4, 5, 6, 7, 4, 5, 6, 7, 0, 1, 2, 3];
+
+const SET_A = 0;
+const SET_B = 1;
+const SET_C = 2;
+
+const SHIFT = 98;
+const CODE_C = 99;
+const CODE_B = 100;
+const CODE_A = 101;
+const PAD = 103;
+
+const MIN_ROWS = 2;
+const MAX_ROWS = 16;
+const CHARACTERS_PER_ROW = 5;
+
+// Light modules before and after each row
+const LEADING_QUIET_ZONE = 10;
+const TRAILING_QUIET_ZONE = 1;
+
+class Code16KEncoder {
+  constructor() {
+    this.defaultOptions = {
+      rows: undefined,
+      rowHeight: 10,
+    };
+  }
+
+  /**
+   * Encode data as a Code 16K symbol
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (rows, rowHeight)
+   * @returns {Object} Matrix symbol
+   */
+  encode(data, options = {}) {
+    const { rows: requestedRows, rowHeight } = {
+      ...this.defaultOptions,
+      ...options,
+    };
+
+    if (!/^[\x00-\x7f]+$/.test(data)) {
+      throw new Error('Code 16K supports ASCII characters only');
+    }
+    if (!(Number(rowHeight) >= 8)) {
+      throw new Error(`Invalid row height: ${rowHeight}. Use 8 or more`);
+    }
+    if (
+      requestedRows !== undefined &&
+      !(
+        Number.isInteger(Number(requestedRows)) &&
+        requestedRows >= MIN_ROWS &&
+        requestedRows <= MAX_ROWS
+      )
+    ) {
+      throw new Error(
+        `Invalid number of rows: ${requestedRows}. Use ${MIN_ROWS} to ${MAX_ROWS}`
+      );
+    }
+
+    const { values, startSet } = this.encodeData(data);
+    const needed = values.length + 3;
+    if (needed > MAX_ROWS * CHARACTERS_PER_ROW) {
+      throw new Error(
+        `Data needs ${needed} symbol characters, more than the ${
+          MAX_ROWS * CHARACTERS_PER_ROW
+        } a Code 16K symbol holds`
+      );
+    }
+
+    const fittingRows = Math.max(
+      MIN_ROWS,
+      Math.ceil(needed / CHARACTERS_PER_ROW)
+    );
+    if (requestedRows !== undefined && requestedRows < fittingRows) {
+      throw new Error(
+        `Data needs ${fittingRows} rows, more than the ${requestedRows} requested`
+      );
+    }
+    const rows =
+      requestedRows === undefined ? fittingRows : Number(requestedRows);
+
+    const codewords = [(rows - 2) * 7 + startSet, ...values];
+    while (codewords.length < rows * CHARACTERS_PER_ROW - 2) {
+      codewords.push(PAD);
+    }
+    codewords.push(...this.computeCheckCharacters(codewords));
+
+    // Separator bars span the symbol, not the quiet zones
+    const width = LEADING_QUIET_ZONE + 70 + TRAILING_QUIET_ZONE;
+    const separator = Array.from(
+      { length: width },
+      (_, column) =>
+        column >= LEADING_QUIET_ZONE && column < width - TRAILING_QUIET_ZONE
+    );
+    const modules = [separator];
+    const rowHeights = [1];
+
+    for (let row = 0; row < rows; row++) {
+      modules.push(
+        this.createRow(
+          row,
+          codewords.slice(
+            row * CHARACTERS_PER_ROW,
+            (row + 1) * CHARACTERS_PER_ROW
+          )
+        ),
+        separator
+      );
+      rowHeights.push(Number(rowHeight), 1);
+    }
+
+    return {
+      kind: 'matrix',
+      rows: modules.length,
+      columns: width,
+      modules,
+      rowHeights,
+      quietZone: 0,
+      symbolRows: rows,
+    };
+  }
+
+  /**
+   * Encode data into Code 128 symbol character values, starting in the code
+   * set that suits the first characters and moving to code set C for runs of
+   * at least four digits
+   * @param {string} data - ASCII data
+   * @returns {Object} Values and starting code set
+   */
+  encodeData(data) {
+    const chars = Array.from(data, char => char.charCodeAt(0));
+    const values = [];
+    const leadingDigits = this.countDigits(chars, 0);
+    const startSet =
+      leadingDigits >= 4 ||
+      (leadingDigits === chars.length && leadingDigits % 2 === 0)
+        ? SET_C
+        : this.pickSet(chars, 0);
+    let set = startSet;
+
+    for (let i = 0; i < chars.length; ) {
+      const digits = this.countDigits(chars, i);
+
+      if (set === SET_C) {
+        if (digits >= 2) {
+          values.push(Number(data.substr(i, 2)));
+          i += 2;
+        } else {
+          set = this.pickSet(chars, i);
+          values.push(set === SET_A ? CODE_A : CODE_B);
+        }
+        continue;
+      }
+
+      if (digits >= 4) {
+        // An odd digit goes first so the rest pair up
+        if (digits % 2 === 1) {
+          values.push(this.getValue(chars[i], set));
+          i++;
+        }
+        values.push(CODE_C);
+        set = SET_C;
+        continue;
+      }
+
+      if (this.inSet(chars[i], set)) {
+        values.push(this.getValue(chars[i], set));
+        i++;
+        continue;
+      }
+
+      const other = set === SET_A ? SET_B : SET_A;
+      if (i + 1 < chars.length && !this.inSet(chars[i + 1], set)) {
+        values.push(other === SET_A ? CODE_A : CODE_B);
+        set = other;
+      } else {
+        values.push(SHIFT, this.getValue(chars[i], other));
+        i++;
+      }
+    }
+
+    return { values, startSet };
+  }
+
+  /**
+   * Pick code set A or B for the character at a position
+   * @param {Array} chars - Character codes
+   * @param {number} pos - Position
+   * @returns {number} SET_A for control characters, otherwise SET_B
+   */
+  pickSet(chars, pos) {
+    return chars[pos] < 32 ? SET_A : SET_B;
+  }
+
+  /**
+   * Check if a character is in code set A or B
+   * @param {number} char - Character code
+   * @param {number} set - Code set
+   * @returns {boolean} True if the set holds the character
+   */
+  inSet(char, set) {
+    return set === SET_A ? char < 96 : char >= 32;
+  }
+
+  /**
+   * Get the value of a character in code set A or B
+   * @param {number} char - Character code
+   * @param {number} set - Code set
+   * @returns {number} Symbol character value
+   */
+  getValue(char, set) {
+    return set === SET_A && char < 32 ? char + 64 : char - 32;
+  }
+
+  /**
+   * Count the digits from a position
+   * @param {Array} chars - Character codes
+   * @param {number} pos - Start position
+   * @returns {number} Run length
+   */
+  countDigits(chars, pos) {
+    let run = 0;
+    while (chars[pos + run] >= 0x30 && chars[pos + run] <= 0x39) run++;
+    return run;
+  }
+
+  /**
+   * Compute the two modulo 107 check characters; the second one also
+   * weights the first
+   * @param {Array} codewords - Mode character, data and pad values
+   * @returns {Array} Check characters
+   */
+  computeCheckCharacters(codewords) {
+    let first = 0;
+    let second = 0;
+
+    codewords.forEach((value, i) => {
+      first += (i + 2) * value;
+      second += (i + 1) * value;
+    });
+    first %= 107;
+    second = (second + first * (codewords.length + 1)) % 107;
+
+    return [first, second];
+  }
+
+  /**
+   * Create the modules of one row: quiet zone, start pattern, separator
+   * bar, five symbol characters, stop pattern and quiet zone. The separator
+   * bar shifts the symbol characters so they start with a space.
+   * @param {number} row - Row index
+   * @param {Array} values - The row's five symbol character values
+   * @returns {Array} Modules, true for bars
+   */
+  createRow(row, values) {
+    const expand = (widths, bar) =>
+      widths.flatMap((width, i) =>
+        new Array(width).fill(bar === (i % 2 === 0))
+      );
+
+    return [
+      ...new Array(LEADING_QUIET_ZONE).fill(false),
+      ...expand(START_STOP[START_VALUES[row]], true),
+      true,
+      ...values.flatMap(value =>
+        Array.from(String(PATTERNS[value]), module => module === '0')
+      ),
+      ...expand(START_STOP[STOP_VALUES[row]], false),
+      ...new Array(TRAILING_QUIET_ZONE).fill(false),
+    ];
+  }
+}
+
+module.exports = Code16KEncoder;
@@ -0,0 +1,355 @@
+/**
+ * Code 49 Encoder - Encodes data into a Code 49 stacked symbol
+ *
+ * Code 49 stacks 2 to 8 rows of eight symbol characters, drawn as four words
+ * of two characters between a start and a stop pattern, with separator bars
+ * between the rows (ANSI/AIM BC6). The last character of each row is a
+ * modulo 49 row check character; the last row also holds the row count and
+ * mode, and the X, Y and, from 7 rows, Z check words over the whole symbol.
+ */
+
+const { EVEN, ODD } = require('./Code49Patterns');
+
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+
+const SHIFT_1 = 43;
+const SHIFT_2 = 44;
+const NUMERIC_SHIFT = 48;
+
+// ASCII characters outside the character set, and the character of the set
+// that follows the shift for each
+const SHIFTS = [
+  {
+    shift: SHIFT_1,
+    from: `${String.fromCharCode(
+      ...Array.from({ length: 32 }, (_, i) => i)
+    )}!"#&'()*,:`,
+    to: ' ABCDEFGHIJKLMNOPQRSTUVWXYZ1234567890-.$/+',
+  },
+  {
+    shift: SHIFT_2,
+    from: ';<=>?@[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~\x7f',
+    to: '1234567890-.ABCDEFGHIJKLMNOPQRSTUVWXYZ$/+% ',
+  },
+];
+
+// Modes given with the row count: starting with characters, with digits, or
+// with a character after Shift 1 or Shift 2
+const MODE_ALPHANUMERIC = 0;
+const MODE_NUMERIC = 2;
+const MODE_SHIFT_1 = 4;
+const MODE_SHIFT_2 = 5;
+
+// Digit runs this long or longer are compacted, five digits to three characters
+const MIN_NUMERIC_RUN = 5;
+
+// Data characters by row count, from 2 rows
+const CAPACITY = [9, 16, 23, 30, 37, 42, 49];
+
+const MIN_ROWS = 2;
+const MAX_ROWS = 8;
+const CHARACTERS_PER_ROW = 8;
+
+// Check word weights: the row count character's, then one per word. The X, Y
+// and Z weights are the same sequence, each starting one word later.
+const WEIGHT_SEQUENCE = [
+  1, 9, 31, 26, 2, 12, 17, 23, 37, 18, 22, 6, 27, 44, 15, 43, 39, 11, 13, 5, 41,
+  33, 36, 8, 4, 32, 3, 19, 40, 25, 29, 10, 24, 30,
+];
+const WEIGHTS = {
+  x: [20, ...WEIGHT_SEQUENCE.slice(0, 32)],
+  y: [16, ...WEIGHT_SEQUENCE.slice(1, 33)],
+  z: [38, ...WEIGHT_SEQUENCE.slice(2, 34)],
+};
+
+// Word parities of rows 1 to 7, 1 for odd; the last row is all even
+const PARITY = ['1001', '0101', '1100', '0011', '1010', '0110', '1111'];
+
+const START = [true, false];
+const STOP = [true, true, true, true];
+
+// Light modules before and after each row
+const LEADING_QUIET_ZONE = 10;
+const TRAILING_QUIET_ZONE = 1;
+
+class Code49Encoder {
+  constructor() {
+    this.defaultOptions = {
+      rows: undefined,
+      rowHeight: 10,
+    };
+  }
+
+  /**
+   * Encode data as a Code 49 symbol
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (rows, rowHeight)
+   * @returns {Object} Matrix symbol
+   */
+  encode(data, options = {}) {
+    const { rows: requestedRows, rowHeight } = {
+      ...this.defaultOptions,
+      ...options,
+    };
+
+    if (!/^[\x00-\x7f]+$/.test(data)) {
+      throw new Error('Code 49 supports ASCII characters only');
+    }
+    if (!(Number(rowHeight) >= 8)) {
+      throw new Error(`Invalid row height: ${rowHeight}. Use 8 or more`);
+    }
+    if (
+      requestedRows !== undefined &&
+      !(
+        Number.isInteger(Number(requestedRows)) &&
+        requestedRows >= MIN_ROWS &&
+        requestedRows <= MAX_ROWS
+      )
+    ) {
+      throw new Error(
+        `Invalid number of rows: ${requestedRows}. Use ${MIN_ROWS} to ${MAX_ROWS}`
+      );
+    }
+
+    const { values, mode } = this.encodeData(data);
+    const fitting = CAPACITY.findIndex(capacity => values.length <= capacity);
+    if (fitting === -1) {
+      throw new Error(
+        `Data needs ${values.length} symbol characters, more than the ${
+          CAPACITY[CAPACITY.length - 1]
+        } a Code 49 symbol holds`
+      );
+    }
+
+    const fittingRows = fitting + MIN_ROWS;
+    if (requestedRows !== undefined && requestedRows < fittingRows) {
+      throw new Error(
+        `Data needs ${fittingRows} rows, more than the ${requestedRows} requested`
+      );
+    }
+    const rows =
+      requestedRows === undefined ? fittingRows : Number(requestedRows);
+
+    // Numeric shifts pad the data to the row count's capacity
+    const padded = [...values];
+    while (padded.length < CAPACITY[rows - MIN_ROWS]) {
+      padded.push(NUMERIC_SHIFT);
+    }
+    const characters = this.createCharacters(padded, rows, mode);
+
+    // Separator bars span the symbol, not the quiet zones
+    const width = LEADING_QUIET_ZONE + 70 + TRAILING_QUIET_ZONE;
+    const separator = Array.from(
+      { length: width },
+      (_, column) =>
+        column >= LEADING_QUIET_ZONE && column < width - TRAILING_QUIET_ZONE
+    );
+    const modules = [separator];
+    const rowHeights = [1];
+
+    for (let row = 0; row < rows; row++) {
+      modules.push(
+        this.createRow(
+          characters.slice(
+            row * CHARACTERS_PER_ROW,
+            (row + 1) * CHARACTERS_PER_ROW
+          ),
+          row === rows - 1 ? '0000' : PARITY[row]
+        ),
+        separator
+      );
+      rowHeights.push(Number(rowHeight), 1);
+    }
+
+    return {
+      kind: 'matrix',
+      rows: modules.length,
+      columns: width,
+      modules,
+      rowHeights,
+      quietZone: 0,
+      symbolRows: rows,
+    };
+  }
+
+  /**
+   * Encode data into symbol character values, compacting runs of at least
+   * five digits between numeric shifts
+   * @param {string} data - ASCII data
+   * @returns {Object} Values and mode
+   */
+  encodeData(data) {
+    const chars = Array.from(data, char => char.charCodeAt(0));
+
+    // Length of the digit run from each position
+    const runs = new Array(chars.length + 1).fill(0);
+    for (let i = chars.length - 1; i >= 0; i--) {
+      runs[i] = chars[i] >= 0x30 && chars[i] <= 0x39 ? runs[i + 1] + 1 : 0;
+    }
+
+    const values = [];
+    let mode = MODE_ALPHANUMERIC;
+    let numeric = false;
+    let i = 0;
+
+    if (runs[0] >= MIN_NUMERIC_RUN) {
+      mode = MODE_NUMERIC;
+      numeric = true;
+    } else {
+      // A leading shifted character is given by the mode instead of a shift
+      const first = this.getCharacterValues(chars[0]);
+      if (first.length === 2) {
+        mode = first[0] === SHIFT_1 ? MODE_SHIFT_1 : MODE_SHIFT_2;
+        values.push(first[1]);
+        i = 1;
+      }
+    }
+
+    while (i < chars.length) {
+      if (numeric !== runs[i] >= MIN_NUMERIC_RUN) {
+        values.push(NUMERIC_SHIFT);
+        numeric = !numeric;
+      } else if (numeric) {
+        values.push(...this.encodeDigits(data.substr(i, runs[i])));
+        i += runs[i];
+      } else {
+        values.push(...this.getCharacterValues(chars[i]));
+        i++;
+      }
+    }
+
+    return { values, mode };
+  }
+
+  /**
+   * Get the values of a character, with a shift before characters outside
+   * the character set
+   * @param {number} char - Character code
+   * @returns {Array} One or two values
+   */
+  getCharacterValues(char) {
+    const value = CHARSET.indexOf(String.fromCharCode(char));
+    if (value !== -1) {
+      return [value];
+    }
+
+    const { shift, from, to } = SHIFTS.find(set =>
+      set.from.includes(String.fromCharCode(char))
+    );
+    return [
+      shift,
+      CHARSET.indexOf(to[from.indexOf(String.fromCharCode(char))]),
+    ];
+  }
+
+  /**
+   * Encode a digit run: groups of five digits as three base 48 characters.
+   * Of the digits left over, one is a plain character, three are two base 48
+   * characters, four are three base 48 characters of 100000 plus their value
+   * and seven are four followed by three.
+   * @param {string} digits - Five or more digits
+   * @returns {Array} Values
+   */
+  encodeDigits(digits) {
+    const toBase48 = (value, count) =>
+      Array.from(
+        { length: count },
+        (_, i) => Math.floor(value / 48 ** (count - 1 - i)) % 48
+      );
+    const rest = digits.length % 5 === 2 ? 7 : digits.length % 5;
+    const values = [];
+
+    for (let i = 0; i < digits.length - rest; i += 5) {
+      values.push(...toBase48(Number(digits.substr(i, 5)), 3));
+    }
+
+    const tail = digits.slice(digits.length - rest);
+    if (rest === 1) {
+      values.push(Number(tail));
+    } else if (rest === 3) {
+      values.push(...toBase48(Number(tail), 2));
+    } else if (rest >= 4) {
+      values.push(...toBase48(100000 + Number(tail.slice(0, 4)), 3));
+      if (rest === 7) {
+        values.push(...toBase48(Number(tail.slice(4)), 2));
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Lay out the symbol characters row by row: seven data characters and a
+   * row check character per row, then the last row with the data left over
+   * (or the Z check word from 7 rows), the Y and X check words, the row
+   * count and mode character and the row check character
+   * @param {Array} values - Data values, padded to the capacity
+   * @param {number} rows - Row count
+   * @param {number} mode - Mode
+   * @returns {Array} Symbol character values
+   */
+  createCharacters(values, rows, mode) {
+    const rowCheck = row => row.reduce((sum, value) => sum + value, 0) % 49;
+    const characters = [];
+
+    for (let row = 0; row < rows - 1; row++) {
+      const data = values.slice(row * 7, (row + 1) * 7);
+      characters.push(...data, rowCheck(data));
+    }
+
+    const words = [];
+    for (let i = 0; i < characters.length; i += 2) {
+      words.push(characters[i] * 49 + characters[i + 1]);
+    }
+    const rowCount = (rows - 2) * 7 + mode;
+    const checkWord = (weights, lastWords) =>
+      [...words, ...lastWords].reduce(
+        (sum, word, i) => sum + word * weights[i + 1],
+        rowCount * weights[0]
+      ) % 2401;
+
+    const first =
+      rows >= 7
+        ? checkWord(WEIGHTS.z, [])
+        : values[(rows - 1) * 7] * 49 + values[(rows - 1) * 7 + 1];
+    const y = checkWord(WEIGHTS.y, [first]);
+    const x = checkWord(WEIGHTS.x, [first, y]);
+
+    const last = [first, y, x].flatMap(word => [
+      Math.floor(word / 49),
+      word % 49,
+    ]);
+    last.push(rowCount);
+    characters.push(...last, rowCheck(last));
+
+    return characters;
+  }
+
+  /**
+   * Create the modules of one row: quiet zone, start pattern, four words,
+   * stop pattern and quiet zone
+   * @param {Array} characters - The row's eight symbol character values
+   * @param {string} parity - Word parities, 1 for odd
+   * @returns {Array} Modules, true for bars
+   */
+  createRow(characters, parity) {
+    const words = [0, 1, 2, 3].flatMap(word => {
+      const value = characters[word * 2] * 49 + characters[word * 2 + 1];
+      const pattern = (parity[word] === '1' ? ODD : EVEN)[value];
+      return Array.from(
+        { length: 16 },
+        (_, i) => !!(pattern & (1 << (15 - i)))
+      );
+    });
+
+    return [
+      ...new Array(LEADING_QUIET_ZONE).fill(false),
+      ...START,
+      ...words,
+      ...STOP,
+      ...new Array(TRAILING_QUIET_ZONE).fill(false),
+    ];
+  }
+}
+
+module.exports = Code49Encoder;
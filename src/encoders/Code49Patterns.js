@@ -0,0 +1,551 @@
+/**
+ * Code 49 Patterns - Bar/space patterns of the Code 49 words
+ *
+ * A word is a pair of symbol characters with the value 49 * first + second,
+ * 0-2400. Each maps to a 16-module pattern of four bars and four spaces, read
+ * from the most significant bit with 1 for bar modules (ANSI/AIM BC6). Even
+ * parity patterns have an even number of bar modules, odd parity patterns an
+ * odd number.
+ */
+
+const EVEN = [
+  0xbe5c, 0xc16e, 0x86dc, 0xc126, 0x864c, 0x9edc, 0xc726, 0x9e4c, 0xdf26,
+  0x82cc, 0x8244, 0x8ecc, 0xc322, 0x8e44, 0xbecc, 0xcf22, 0xbe44, 0xc162,
+  0x86c4, 0xc762, 0x9ec4, 0xdf62, 0x812e, 0x872e, 0x9f2e, 0x836e, 0x8326,
+  0x8f6e, 0x8f26, 0xbf6e, 0x8166, 0x8122, 0x8766, 0x8722, 0x9f66, 0x9f22,
+  0x8362, 0x8f62, 0xbf62, 0xa2e0, 0xe8b8, 0xfa2e, 0xd370, 0xf4dc, 0xd130,
+  0xf44c, 0xaee0, 0xebb8, 0xfaee, 0xa660, 0xe998, 0xfa66, 0xa220, 0xe888,
+  0xfa22, 0xd730, 0xf5cc, 0xd310, 0xf4c4, 0xae20, 0xeb88, 0xfae2, 0x9170,
+  0xe45c, 0xd8b8, 0xf62e, 0xc9b8, 0xf26e, 0xb370, 0xc898, 0xf226, 0xb130,
+  0xec4c, 0x9770, 0xe5dc, 0x9330, 0xe4cc, 0x9110, 0xe444, 0xd888, 0xf622,
+  0xcb98, 0xf2e6, 0xb730, 0xc988, 0xf262, 0xb310, 0xecc4, 0x9710, 0xe5c4,
+  0xdb88, 0xf6e2, 0x88b8, 0xe22e, 0xcc5c, 0xb8b8, 0xee2e, 0xc4dc, 0x99b8,
+  0xc44c, 0x9898, 0xe626, 0xdc4c, 0x8bb8, 0xe2ee, 0x8998, 0xe266, 0xbbb8,
+  0x8888, 0xe222, 0xb998, 0xcc44, 0xb888, 0xee22, 0xc5cc, 0x9b98, 0xc4c4,
+  0x9988, 0xe662, 0xdcc4, 0x8b88, 0xe2e2, 0xcdc4, 0xbb88, 0xeee2, 0x845c,
+  0xc62e, 0x9c5c, 0xde2e, 0xc26e, 0x8cdc, 0xc226, 0x8c4c, 0xbcdc, 0xce26,
+  0xbc4c, 0x85dc, 0x84cc, 0x9ddc, 0x8444, 0x9ccc, 0xc622, 0x9c44, 0xde22,
+  0xc2e6, 0x8dcc, 0xc262, 0x8cc4, 0xbdcc, 0xce62, 0xbcc4, 0x85c4, 0xc6e2,
+  0x9dc4, 0xdee2, 0x822e, 0x8e2e, 0x866e, 0x8626, 0x9e6e, 0x9e26, 0x82ee,
+  0x8266, 0x8eee, 0x8222, 0x8e66, 0xbeee, 0x8e22, 0xbe66, 0x86e6, 0x8662,
+  0x9ee6, 0x9e62, 0x82e2, 0x8ee2, 0xbee2, 0xa170, 0xe85c, 0xd1b8, 0xf46e,
+  0xd098, 0xf426, 0xa770, 0xe9dc, 0xa330, 0xe8cc, 0xa110, 0xe844, 0xd7b8,
+  0xf5ee, 0xd398, 0xf4e6, 0xd188, 0xf462, 0xaf30, 0xebcc, 0xa710, 0xe9c4,
+  0xd788, 0xf5e2, 0x90b8, 0xe42e, 0xd85c, 0xc8dc, 0xb1b8, 0xc84c, 0xb098,
+  0xec26, 0x93b8, 0xe4ee, 0x9198, 0xe466, 0x9088, 0xe422, 0xd844, 0xcbdc,
+  0xb7b8, 0xc9cc, 0xb398, 0xc8c4, 0xb188, 0xec62, 0x9798, 0xe5e6, 0x9388,
+  0xe4e2, 0xd9c4, 0xcbc4, 0xb788, 0xede2, 0x885c, 0xcc2e, 0xb85c, 0xc46e,
+  0x98dc, 0xc426, 0x984c, 0xdc26, 0x89dc, 0x88cc, 0xb9dc, 0x8844, 0xb8cc,
+  0xcc22, 0xb844, 0xc5ee, 0x9bdc, 0xc4e6, 0x99cc, 0xc462, 0x98c4, 0xdc62,
+  0x8bcc, 0x89c4, 0xbbcc, 0xcce2, 0xb9c4, 0xc5e2, 0x9bc4, 0xdde2, 0x842e,
+  0x9c2e, 0x8c6e, 0x8c26, 0xbc6e, 0x84ee, 0x8466, 0x9cee, 0x8422, 0x9c66,
+  0x9c22, 0x8dee, 0x8ce6, 0xbdee, 0x8c62, 0xbce6, 0xbc62, 0x85e6, 0x84e2,
+  0x9de6, 0x9ce2, 0x8de2, 0xbde2, 0xa0b8, 0xe82e, 0xd0dc, 0xd04c, 0xa3b8,
+  0xe8ee, 0xa198, 0xe866, 0xa088, 0xe822, 0xd3dc, 0xd1cc, 0xd0c4, 0xafb8,
+  0xebee, 0xa798, 0xe9e6, 0xa388, 0xe8e2, 0xd7cc, 0xd3c4, 0x905c, 0xd82e,
+  0xc86e, 0xb0dc, 0xc826, 0xb04c, 0x91dc, 0x90cc, 0x9044, 0xd822, 0xc9ee,
+  0xb3dc, 0xc8e6, 0xb1cc, 0xc862, 0xb0c4, 0x97dc, 0x93cc, 0x91c4, 0xd8e2,
+  0xcbe6, 0xb7cc, 0xc9e2, 0xb3c4, 0x882e, 0x986e, 0x9826, 0x88ee, 0x8866,
+  0xb8ee, 0x8822, 0xb866, 0x99ee, 0x98e6, 0x9862, 0x8bee, 0x89e6, 0xbbee,
+  0x88e2, 0xb9e6, 0xb8e2, 0x9be6, 0x99e2, 0xa05c, 0xd06e, 0xd026, 0xa1dc,
+  0xa0cc, 0xa044, 0xd1ee, 0xd0e6, 0xd062, 0xa7dc, 0xa3cc, 0xa1c4, 0xd7ee,
+  0xd3e6, 0xd1e2, 0x902e, 0xb06e, 0x90ee, 0x9066, 0x9022, 0xb1ee, 0xb0e6,
+  0xb062, 0x93ee, 0x91e6, 0x90e2, 0xb7ee, 0xb3e6, 0xb1e2, 0xa9c0, 0xea70,
+  0xfa9c, 0xd460, 0xf518, 0xfd46, 0xa840, 0xea10, 0xfa84, 0xed78, 0xfb5e,
+  0x94e0, 0xe538, 0xf94e, 0xda70, 0xf69c, 0xca30, 0xf28c, 0xb460, 0xed18,
+  0xfb46, 0x9420, 0xe508, 0xf942, 0xda10, 0xf684, 0x9af0, 0xe6bc, 0xdd78,
+  0xf75e, 0x8a70, 0xe29c, 0xcd38, 0xf34e, 0xba70, 0xee9c, 0xc518, 0xf146,
+  0x9a30, 0xe68c, 0xdd18, 0xf746, 0x8a10, 0xe284, 0xcd08, 0xf342, 0xba10,
+  0xee84, 0x8d78, 0xe35e, 0xcebc, 0xbd78, 0xef5e, 0x8538, 0xe14e, 0xc69c,
+  0x9d38, 0xe74e, 0xde9c, 0xc28c, 0x8d18, 0xe346, 0xce8c, 0xbd18, 0xef46,
+  0x8508, 0xe142, 0xc684, 0x9d08, 0xe742, 0xde84, 0x86bc, 0xc75e, 0x9ebc,
+  0xdf5e, 0x829c, 0xc34e, 0x8e9c, 0xcf4e, 0xbe9c, 0xc146, 0x868c, 0xc746,
+  0x9e8c, 0xdf46, 0x8284, 0xc342, 0x8e84, 0xcf42, 0xbe84, 0x835e, 0x8f5e,
+  0xbf5e, 0x814e, 0x874e, 0x9f4e, 0x8346, 0x8f46, 0xbf46, 0x8142, 0x8742,
+  0x9f42, 0xd2f0, 0xf4bc, 0xade0, 0xeb78, 0xfade, 0xa4e0, 0xe938, 0xfa4e,
+  0xd670, 0xf59c, 0xd230, 0xf48c, 0xac60, 0xeb18, 0xfac6, 0xa420, 0xe908,
+  0xfa42, 0xd610, 0xf584, 0xc978, 0xf25e, 0xb2f0, 0xecbc, 0x96f0, 0xe5bc,
+  0x9270, 0xe49c, 0xd938, 0xf64e, 0xcb38, 0xf2ce, 0xb670, 0xc918, 0xf246,
+  0xb230, 0xec8c, 0x9630, 0xe58c, 0x9210, 0xe484, 0xd908, 0xf642, 0xcb08,
+  0xf2c2, 0xb610, 0xed84, 0xc4bc, 0x9978, 0xe65e, 0xdcbc, 0x8b78, 0xe2de,
+  0x8938, 0xe24e, 0xbb78, 0xcc9c, 0xb938, 0xee4e, 0xc59c, 0x9b38, 0xc48c,
+  0x9918, 0xe646, 0xdc8c, 0x8b18, 0xe2c6, 0x8908, 0xe242, 0xbb18, 0xcc84,
+  0xb908, 0xee42, 0xc584, 0x9b08, 0xe6c2, 0xdd84, 0xc25e, 0x8cbc, 0xce5e,
+  0xbcbc, 0x85bc, 0x849c, 0x9dbc, 0xc64e, 0x9c9c, 0xde4e, 0xc2ce, 0x8d9c,
+  0xc246, 0x8c8c, 0xbd9c, 0xce46, 0xbc8c, 0x858c, 0x8484, 0x9d8c, 0xc642,
+  0x9c84, 0xde42, 0xc2c2, 0x8d84, 0xcec2, 0xbd84, 0x865e, 0x9e5e, 0x82de,
+  0x824e, 0x8ede, 0x8e4e, 0xbede, 0xbe4e, 0x86ce, 0x8646, 0x9ece, 0x9e46,
+  0x82c6, 0x8242, 0x8ec6, 0x8e42, 0xbec6, 0xbe42, 0x86c2, 0x9ec2, 0xd178,
+  0xf45e, 0xa6f0, 0xe9bc, 0xa270, 0xe89c, 0xd778, 0xf5de, 0xd338, 0xf4ce,
+  0xd118, 0xf446, 0xae70, 0xeb9c, 0xa630, 0xe98c, 0xa210, 0xe884, 0xd718,
+  0xf5c6, 0xd308, 0xf4c2, 0xae10, 0xeb84, 0xc8bc, 0xb178, 0xec5e, 0x9378,
+  0xe4de, 0x9138, 0xe44e, 0xd89c, 0xcbbc, 0xb778, 0xc99c, 0xb338, 0xc88c,
+  0xb118, 0xec46, 0x9738, 0xe5ce, 0x9318, 0xe4c6, 0x9108, 0xe442, 0xd884,
+  0xcb8c, 0xb718, 0xc984, 0xb308, 0xecc2, 0x9708, 0xe5c2, 0xdb84, 0xc45e,
+  0x98bc, 0xdc5e, 0x89bc, 0x889c, 0xb9bc, 0xcc4e, 0xb89c, 0xc5de, 0x9bbc,
+  0xc4ce, 0x999c, 0xc446, 0x988c, 0xdc46, 0x8b9c, 0x898c, 0xbb9c, 0x8884,
+  0xb98c, 0xcc42, 0xb884, 0xc5c6, 0x9b8c, 0xc4c2, 0x9984, 0xdcc2, 0x8b84,
+  0xcdc2, 0xbb84, 0x8c5e, 0xbc5e, 0x84de, 0x844e, 0x9cde, 0x9c4e, 0x8dde,
+  0x8cce, 0xbdde, 0x8c46, 0xbcce, 0xbc46, 0x85ce, 0x84c6, 0x9dce, 0x8442,
+  0x9cc6, 0x9c42, 0x8dc6, 0x8cc2, 0xbdc6, 0xbcc2, 0x85c2, 0x9dc2, 0xd0bc,
+  0xa378, 0xe8de, 0xa138, 0xe84e, 0xd3bc, 0xd19c, 0xd08c, 0xaf78, 0xebde,
+  0xa738, 0xe9ce, 0xa318, 0xe8c6, 0xa108, 0xe842, 0xd79c, 0xd38c, 0xd184,
+  0xaf18, 0xebc6, 0xa708, 0xe9c2, 0xc85e, 0xb0bc, 0x91bc, 0x909c, 0xd84e,
+  0xc9de, 0xb3bc, 0xc8ce, 0xb19c, 0xc846, 0xb08c, 0x97bc, 0x939c, 0x918c,
+  0x9084, 0xd842, 0xcbce, 0xb79c, 0xc9c6, 0xb38c, 0xc8c2, 0xb184, 0x978c,
+  0x9384, 0xd9c2, 0x985e, 0x88de, 0x884e, 0xb8de, 0xb84e, 0x99de, 0x98ce,
+  0x9846, 0x8bde, 0x89ce, 0xbbde, 0x88c6, 0xb9ce, 0x8842, 0xb8c6, 0xb842,
+  0x9bce, 0x99c6, 0x98c2, 0x8bc6, 0x89c2, 0xbbc6, 0xb9c2, 0xd05e, 0xa1bc,
+  0xa09c, 0xd1de, 0xd0ce, 0xd046, 0xa7bc, 0xa39c, 0xa18c, 0xa084, 0xd7de,
+  0xd3ce, 0xd1c6, 0xd0c2, 0xaf9c, 0xa78c, 0xa384, 0xb05e, 0x90de, 0x904e,
+  0xb1de, 0xb0ce, 0xb046, 0x93de, 0x91ce, 0x90c6, 0x9042, 0xb7de, 0xb3ce,
+  0xb1c6, 0xb0c2, 0x97ce, 0x93c6, 0x91c2, 0xa0de, 0xa04e, 0xa3de, 0xa1ce,
+  0xa0c6, 0xa042, 0xafde, 0xa7ce, 0xa3c6, 0xa1c2, 0xd4f0, 0xf53c, 0xa8e0,
+  0xea38, 0xfa8e, 0xd430, 0xf50c, 0xa820, 0xea08, 0xfa82, 0xdaf8, 0xf6be,
+  0xca78, 0xf29e, 0xb4f0, 0xed3c, 0x9470, 0xe51c, 0xda38, 0xf68e, 0xca18,
+  0xf286, 0xb430, 0xed0c, 0x9410, 0xe504, 0xda08, 0xf682, 0xcd7c, 0xbaf8,
+  0xeebe, 0xc53c, 0x9a78, 0xe69e, 0xdd3c, 0x8a38, 0xe28e, 0xcd1c, 0xba38,
+  0xee8e, 0xc50c, 0x9a18, 0xe686, 0xdd0c, 0x8a08, 0xe282, 0xcd04, 0xba08,
+  0xee82, 0xc6be, 0x9d7c, 0xdebe, 0xc29e, 0x8d3c, 0xce9e, 0xbd3c, 0x851c,
+  0xc68e, 0x9d1c, 0xde8e, 0xc286, 0x8d0c, 0xce86, 0xbd0c, 0x8504, 0xc682,
+  0x9d04, 0xde82, 0x8ebe, 0xbebe, 0x869e, 0x9e9e, 0x828e, 0x8e8e, 0xbe8e,
+  0x8686, 0x9e86, 0x8282, 0x8e82, 0xbe82, 0xe97c, 0xd6f8, 0xf5be, 0xd278,
+  0xf49e, 0xacf0, 0xeb3c, 0xa470, 0xe91c, 0xd638, 0xf58e, 0xd218, 0xf486,
+  0xac30, 0xeb0c, 0xa410, 0xe904, 0xd608, 0xf582, 0x92f8, 0xe4be, 0xd97c,
+  0xcb7c, 0xb6f8, 0xc93c, 0xb278, 0xec9e, 0x9678, 0xe59e, 0x9238, 0xe48e,
+  0xd91c, 0xcb1c, 0xb638, 0xc90c, 0xb218, 0xec86, 0x9618, 0xe586, 0x9208,
+  0xe482, 0xd904, 0xcb04, 0xb608, 0xed82, 0x897c, 0xccbe, 0xb97c, 0xc5be,
+  0x9b7c, 0xc49e, 0x993c, 0xdc9e, 0x8b3c, 0x891c, 0xbb3c, 0xcc8e, 0xb91c,
+  0xc58e, 0x9b1c, 0xc486, 0x990c, 0xdc86, 0x8b0c, 0x8904, 0xbb0c, 0xcc82,
+  0xb904, 0xc582, 0x9b04, 0xdd82, 0x84be, 0x9cbe, 0x8dbe, 0x8c9e, 0xbdbe,
+  0xbc9e, 0x859e, 0x848e, 0x9d9e, 0x9c8e, 0x8d8e, 0x8c86, 0xbd8e, 0xbc86,
+  0x8586, 0x8482, 0x9d86, 0x9c82, 0x8d82, 0xbd82, 0xa2f8, 0xe8be, 0xd37c,
+  0xd13c, 0xaef8, 0xebbe, 0xa678, 0xe99e, 0xa238, 0xe88e, 0xd73c, 0xd31c,
+  0xd10c, 0xae38, 0xeb8e, 0xa618, 0xe986, 0xa208, 0xe882, 0xd70c, 0xd304,
+  0x917c, 0xd8be, 0xc9be, 0xb37c, 0xc89e, 0xb13c, 0x977c, 0x933c, 0x911c,
+  0xd88e, 0xcb9e, 0xb73c, 0xc98e, 0xb31c, 0xc886, 0xb10c, 0x971c, 0x930c,
+  0x9104, 0xd882, 0xcb86, 0xb70c, 0xc982, 0xb304, 0x88be, 0xb8be, 0x99be,
+  0x989e, 0x8bbe, 0x899e, 0xbbbe, 0x888e, 0xb99e, 0xb88e, 0x9b9e, 0x998e,
+  0x9886, 0x8b8e, 0x8986, 0xbb8e, 0x8882, 0xb986, 0xb882, 0x9b86, 0x9982,
+  0xa17c, 0xd1be, 0xd09e, 0xa77c, 0xa33c, 0xa11c, 0xd7be, 0xd39e, 0xd18e,
+  0xd086, 0xaf3c, 0xa71c, 0xa30c, 0xa104, 0xd78e, 0xd386, 0xd182, 0x90be,
+  0xb1be, 0xb09e, 0x93be, 0x919e, 0x908e, 0xb7be, 0xb39e, 0xb18e, 0xb086,
+  0x979e, 0x938e, 0x9186, 0x9082, 0xb78e, 0xb386, 0xb182, 0xa0be, 0xa3be,
+  0xa19e, 0xa08e, 0xafbe, 0xa79e, 0xa38e, 0xa186, 0xa082, 0xa9f0, 0xea7c,
+  0xd478, 0xf51e, 0xa870, 0xea1c, 0xd418, 0xf506, 0xa810, 0xea04, 0xed7e,
+  0x94f8, 0xe53e, 0xda7c, 0xca3c, 0xb478, 0xed1e, 0x9438, 0xe50e, 0xda1c,
+  0xca0c, 0xb418, 0xed06, 0x9408, 0xe502, 0xda04, 0x9afc, 0xdd7e, 0x8a7c,
+  0xcd3e, 0xba7c, 0xc51e, 0x9a3c, 0xdd1e, 0x8a1c, 0xcd0e, 0xba1c, 0xc506,
+  0x9a0c, 0xdd06, 0x8a04, 0xcd02, 0xba04, 0x8d7e, 0xbd7e, 0x853e, 0x9d3e,
+  0x8d1e, 0xbd1e, 0x850e, 0x9d0e, 0x8d06, 0xbd06, 0x8502, 0x9d02, 0xd2fc,
+  0xadf8, 0xeb7e, 0xa4f8, 0xe93e, 0xd67c, 0xd23c, 0xac78, 0xeb1e, 0xa438,
+  0xe90e, 0xd61c, 0xd20c, 0xac18, 0xeb06, 0xa408, 0xe902, 0xc97e, 0xb2fc,
+  0x96fc, 0x927c, 0xd93e, 0xcb3e, 0xb67c, 0xc91e, 0xb23c, 0x963c, 0x921c,
+  0xd90e, 0xcb0e, 0xb61c, 0xc906, 0xb20c, 0x960c, 0x9204, 0xd902, 0x997e,
+  0x8b7e, 0x893e, 0xbb7e, 0xb93e, 0xe4a0, 0xf928, 0xd940, 0xf650, 0xfd94,
+  0xcb40, 0xf2d0, 0xeda0, 0xfb68, 0x8940, 0xe250, 0xcca0, 0xf328, 0xb940,
+  0xee50, 0xfb94, 0xc5a0, 0xf168, 0x9b40, 0xe6d0, 0xf9b4, 0xdda0, 0xf768,
+  0xfdda, 0x84a0, 0xe128, 0xc650, 0xf194, 0x9ca0, 0xe728, 0xf9ca, 0xde50,
+  0xf794, 0xc2d0, 0x8da0, 0xe368, 0xced0, 0xf3b4, 0xbda0, 0xef68, 0xfbda,
+  0x8250, 0xc328, 0x8e50, 0xe394, 0xcf28, 0xf3ca, 0xbe50, 0xef94, 0xc168,
+  0x86d0, 0xe1b4, 0xc768, 0xf1da, 0x9ed0, 0xe7b4, 0xdf68, 0xf7da, 0x8128,
+  0xc194, 0x8728, 0xe1ca, 0xc794, 0x9f28, 0xe7ca, 0x8368, 0xc3b4, 0x8f68,
+  0xe3da, 0xcfb4, 0xbf68, 0xefda, 0xe8a0, 0xfa28, 0xd340, 0xf4d0, 0xfd34,
+  0xeba0, 0xfae8, 0x9140, 0xe450, 0xf914, 0xd8a0, 0xf628, 0xfd8a, 0xc9a0,
+  0xf268, 0xb340, 0xecd0, 0xfb34, 0x9740, 0xe5d0, 0xf974, 0xdba0, 0xf6e8,
+  0xfdba, 0x88a0, 0xe228, 0xcc50, 0xf314, 0xb8a0, 0xee28, 0xfb8a, 0xc4d0,
+  0xf134, 0x99a0, 0xe668, 0xf99a, 0xdcd0, 0xf734, 0x8ba0, 0xe2e8, 0xcdd0,
+  0xf374, 0xbba0, 0xeee8, 0xfbba, 0x8450, 0xe114, 0xc628, 0xf18a, 0x9c50,
+  0xe714, 0xde28, 0xf78a, 0xc268, 0x8cd0, 0xe334, 0xce68, 0xf39a, 0xbcd0,
+  0xef34, 0x85d0, 0xe174, 0xc6e8, 0xf1ba, 0x9dd0, 0xe774, 0xdee8, 0xf7ba,
+  0x8228, 0xc314, 0x8e28, 0xe38a, 0xcf14, 0xc134, 0x8668, 0xe19a, 0xc734,
+  0x9e68, 0xe79a, 0xdf34, 0x82e8, 0xc374, 0x8ee8, 0xe3ba, 0xcf74, 0xbee8,
+  0xefba, 0x8114, 0xc18a, 0x8714, 0xc78a, 0x8334, 0xc39a, 0x8f34, 0xcf9a,
+  0x8174, 0xc1ba, 0x8774, 0xc7ba, 0x9f74, 0xdfba, 0xa140, 0xe850, 0xfa14,
+  0xd1a0, 0xf468, 0xfd1a, 0xa740, 0xe9d0, 0xfa74, 0xd7a0, 0xf5e8, 0xfd7a,
+  0x90a0, 0xe428, 0xf90a, 0xd850, 0xf614, 0xc8d0, 0xf234, 0xb1a0, 0xec68,
+  0xfb1a, 0x93a0, 0xe4e8, 0xf93a, 0xd9d0, 0xf674, 0xcbd0, 0xf2f4, 0xb7a0,
+  0xede8, 0xfb7a, 0x8850, 0xe214, 0xcc28, 0xf30a, 0xb850, 0xee14, 0xc468,
+  0xf11a, 0x98d0, 0xe634, 0xdc68, 0xf71a, 0x89d0, 0xe274, 0xcce8, 0xf33a,
+  0xb9d0, 0xee74, 0xc5e8, 0xf17a, 0x9bd0, 0xe6f4, 0xdde8, 0xf77a, 0x8428,
+  0xe10a, 0xc614, 0x9c28, 0xe70a, 0xc234, 0x8c68, 0xe31a, 0xce34, 0xbc68,
+  0xef1a, 0x84e8, 0xe13a, 0xc674, 0x9ce8, 0xe73a, 0xde74, 0xc2f4, 0x8de8,
+  0xe37a, 0xcef4, 0xbde8, 0xef7a, 0x8214, 0xc30a, 0x8e14, 0xc11a, 0x8634,
+  0xc71a, 0x9e34, 0x8274, 0xc33a, 0x8e74, 0xcf3a, 0xbe74, 0xc17a, 0x86f4,
+  0xc77a, 0x9ef4, 0xdf7a, 0x810a, 0x870a, 0x831a, 0x8f1a, 0x813a, 0x873a,
+  0x9f3a, 0x837a, 0x8f7a, 0xbf7a, 0xa0a0, 0xe828, 0xfa0a, 0xd0d0, 0xf434,
+  0xa3a0, 0xe8e8, 0xfa3a, 0xd3d0, 0xf4f4, 0xafa0, 0xebe8, 0xfafa, 0x9050,
+  0xe414, 0xd828, 0xf60a, 0xc868, 0xf21a, 0xb0d0, 0xec34, 0x91d0, 0xe474,
+  0xd8e8, 0xf63a, 0xc9e8, 0xf27a, 0xb3d0, 0xecf4, 0x97d0, 0xe5f4, 0xdbe8,
+  0xf6fa, 0x8828, 0xe20a, 0xcc14, 0xc434, 0x9868, 0xe61a, 0xdc34, 0x88e8,
+  0xe23a, 0xcc74, 0xb8e8, 0xee3a, 0xc4f4, 0x99e8, 0xe67a, 0xdcf4, 0x8be8,
+  0xe2fa, 0xcdf4, 0xbbe8, 0xeefa, 0x8414, 0xc60a, 0xc21a, 0x8c34, 0xce1a,
+  0x8474, 0xc63a, 0x9c74, 0xde3a, 0xc27a, 0x8cf4, 0xce7a, 0xbcf4, 0x85f4,
+  0xc6fa, 0x9df4, 0xdefa, 0x820a, 0x861a, 0x823a, 0x8e3a, 0x867a, 0x9e7a,
+  0x82fa, 0x8efa, 0xbefa, 0xa050, 0xe814, 0xd068, 0xf41a, 0xa1d0, 0xe874,
+  0xd1e8, 0xf47a, 0xa7d0, 0xe9f4, 0xd7e8, 0xf5fa, 0x9028, 0xe40a, 0xc834,
+  0xb068, 0xec1a, 0x90e8, 0xe43a, 0xd874, 0xc8f4, 0xb1e8, 0xec7a, 0x93e8,
+  0xe4fa, 0xd9f4, 0xcbf4, 0xb7e8, 0xedfa, 0x8814, 0xc41a, 0x9834, 0x8874,
+  0xcc3a, 0xb874, 0xc47a, 0x98f4, 0xdc7a, 0x89f4, 0xccfa, 0xb9f4, 0xc5fa,
+  0x9bf4, 0xddfa, 0x840a, 0x8c1a, 0x843a, 0x9c3a, 0x8c7a, 0xbc7a, 0x84fa,
+  0x9cfa, 0x8dfa, 0xbdfa, 0xea40, 0xfa90, 0xed60, 0xfb58, 0xe520, 0xf948,
+  0xda40, 0xf690, 0xfda4, 0x9ac0, 0xe6b0, 0xf9ac, 0xdd60, 0xf758, 0xfdd6,
+  0x8a40, 0xe290, 0xcd20, 0xf348, 0xba40, 0xee90, 0xfba4, 0x8d60, 0xe358,
+  0xceb0, 0xf3ac, 0xbd60, 0xef58, 0xfbd6, 0x8520, 0xe148, 0xc690, 0xf1a4,
+  0x9d20, 0xe748, 0xf9d2, 0xde90, 0xf7a4, 0x86b0, 0xe1ac, 0xc758, 0xf1d6,
+  0x9eb0, 0xe7ac, 0xdf58, 0xf7d6, 0x8290, 0xc348, 0x8e90, 0xe3a4, 0xcf48,
+  0xf3d2, 0xbe90, 0xefa4, 0x8358, 0xc3ac, 0x8f58, 0xe3d6, 0xcfac, 0xbf58,
+  0xefd6, 0x8148, 0xc1a4, 0x8748, 0xe1d2, 0xc7a4, 0x9f48, 0xe7d2, 0xdfa4,
+  0xd2c0, 0xf4b0, 0xfd2c, 0xeb60, 0xfad8, 0xe920, 0xfa48, 0xd640, 0xf590,
+  0xfd64, 0xc960, 0xf258, 0xb2c0, 0xecb0, 0xfb2c, 0x96c0, 0xe5b0, 0xf96c,
+  0x9240, 0xe490, 0xf924, 0xd920, 0xf648, 0xfd92, 0xcb20, 0xf2c8, 0xb640,
+  0xed90, 0xfb64, 0xc4b0, 0xf12c, 0x9960, 0xe658, 0xf996, 0xdcb0, 0xf72c,
+  0x8b60, 0xe2d8, 0x8920, 0xe248, 0xbb60, 0xcc90, 0xf324, 0xb920, 0xee48,
+  0xfb92, 0xc590, 0xf164, 0x9b20, 0xe6c8, 0xf9b2, 0xdd90, 0xf764, 0xc258,
+  0x8cb0, 0xe32c, 0xce58, 0xf396, 0xbcb0, 0xef2c, 0x85b0, 0xe16c, 0x8490,
+  0xe124, 0x9db0, 0xc648, 0xf192, 0x9c90, 0xe724, 0xde48, 0xf792, 0xc2c8,
+  0x8d90, 0xe364, 0xcec8, 0xf3b2, 0xbd90, 0xef64, 0xc12c, 0x8658, 0xe196,
+  0xc72c, 0x9e58, 0xe796, 0xdf2c, 0x82d8, 0x8248, 0x8ed8, 0xc324, 0x8e48,
+  0xe392, 0xbed8, 0xcf24, 0xbe48, 0xef92, 0xc164, 0x86c8, 0xe1b2, 0xc764,
+  0x9ec8, 0xe7b2, 0xdf64, 0x832c, 0xc396, 0x8f2c, 0xcf96, 0x816c, 0x8124,
+  0x876c, 0xc192, 0x8724, 0x9f6c, 0xc792, 0x9f24, 0x8364, 0xc3b2, 0x8f64,
+  0xcfb2, 0xbf64, 0xd160, 0xf458, 0xfd16, 0xa6c0, 0xe9b0, 0xfa6c, 0xa240,
+  0xe890, 0xfa24, 0xd760, 0xf5d8, 0xfd76, 0xd320, 0xf4c8, 0xfd32, 0xae40,
+  0xeb90, 0xfae4, 0xc8b0, 0xf22c, 0xb160, 0xec58, 0xfb16, 0x9360, 0xe4d8,
+  0xf936, 0x9120, 0xe448, 0xf912, 0xd890, 0xf624, 0xcbb0, 0xf2ec, 0xb760,
+  0xc990, 0xf264, 0xb320, 0xecc8, 0xfb32, 0x9720, 0xe5c8, 0xf972, 0xdb90,
+  0xf6e4, 0xc458, 0xf116, 0x98b0, 0xe62c, 0xdc58, 0xf716, 0x89b0, 0xe26c,
+  0x8890, 0xe224, 0xb9b0, 0xcc48, 0xf312, 0xb890, 0xee24, 0xc5d8, 0xf176,
+  0x9bb0, 0xc4c8, 0xf132, 0x9990, 0xe664, 0xdcc8, 0xf732, 0x8b90, 0xe2e4,
+  0xcdc8, 0xf372, 0xbb90, 0xeee4, 0xc22c, 0x8c58, 0xe316, 0xce2c, 0xbc58,
+  0xef16, 0x84d8, 0xe136, 0x8448, 0xe112, 0x9cd8, 0xc624, 0x9c48, 0xe712,
+  0xde24, 0xc2ec, 0x8dd8, 0xc264, 0x8cc8, 0xe332, 0xbdd8, 0xce64, 0xbcc8,
+  0xef32, 0x85c8, 0xe172, 0xc6e4, 0x9dc8, 0xe772, 0xdee4, 0xc116, 0x862c,
+  0xc716, 0x9e2c, 0x826c, 0x8224, 0x8e6c, 0xc312, 0x8e24, 0xbe6c, 0xcf12,
+  0xc176, 0x86ec, 0xc132, 0x8664, 0x9eec, 0xc732, 0x9e64, 0xdf32, 0x82e4,
+  0xc372, 0x8ee4, 0xcf72, 0xbee4, 0x8316, 0x8f16, 0x8136, 0x8112, 0x8736,
+  0x8712, 0x9f36, 0x8376, 0x8332, 0x8f76, 0x8f32, 0xbf76, 0x8172, 0x8772,
+  0x9f72, 0xd0b0, 0xf42c, 0xa360, 0xe8d8, 0xfa36, 0xa120, 0xe848, 0xfa12,
+  0xd3b0, 0xf4ec, 0xd190, 0xf464, 0xaf60, 0xebd8, 0xfaf6, 0xa720, 0xe9c8,
+  0xfa72, 0xd790, 0xf5e4, 0xc858, 0xf216, 0xb0b0, 0xec2c, 0x91b0, 0xe46c,
+  0x9090, 0xe424, 0xd848, 0xf612, 0xc9d8, 0xf276, 0xb3b0, 0xc8c8, 0xf232,
+  0xb190, 0xec64, 0x97b0, 0xe5ec, 0x9390, 0xe4e4, 0xd9c8, 0xf672, 0xcbc8,
+  0xf2f2, 0xb790, 0xede4, 0xc42c, 0x9858, 0xe616, 0xdc2c, 0x88d8, 0xe236,
+  0x8848, 0xe212, 0xb8d8, 0xcc24, 0xb848, 0xee12, 0xc4ec, 0x99d8, 0xc464,
+  0x98c8, 0xe632, 0xdc64, 0x8bd8, 0xe2f6, 0x89c8, 0xe272, 0xbbd8, 0xcce4,
+  0xb9c8, 0xee72, 0xc5e4, 0x9bc8, 0xe6f2, 0xdde4, 0xc216, 0x8c2c, 0xce16,
+  0x846c, 0x8424, 0x9c6c, 0xc612, 0x9c24, 0xc276, 0x8cec, 0xc232, 0x8c64,
+  0xbcec, 0xce32, 0xbc64, 0x85ec, 0x84e4, 0x9dec, 0xc672, 0x9ce4, 0xde72,
+  0xc2f2, 0x8de4, 0xcef2, 0xbde4, 0x8616, 0x8236, 0x8212, 0x8e36, 0x8e12,
+  0x8676, 0x8632, 0x9e76, 0x9e32, 0x82f6, 0x8272, 0x8ef6, 0x8e72, 0xbef6,
+  0xbe72, 0x86f2, 0x9ef2, 0xd058, 0xf416, 0xa1b0, 0xe86c, 0xa090, 0xe824,
+  0xd1d8, 0xf476, 0xd0c8, 0xf432, 0xa7b0, 0xe9ec, 0xa390, 0xe8e4, 0xd7d8,
+  0xf5f6, 0xd3c8, 0xf4f2, 0xaf90, 0xebe4, 0xc82c, 0xb058, 0xec16, 0x90d8,
+  0xe436, 0x9048, 0xe412, 0xd824, 0xc8ec, 0xb1d8, 0xc864, 0xb0c8, 0xec32,
+  0x93d8, 0xe4f6, 0x91c8, 0xe472, 0xd8e4, 0xcbec, 0xb7d8, 0xc9e4, 0xb3c8,
+  0xecf2, 0x97c8, 0xe5f2, 0xdbe4, 0xc416, 0x982c, 0x886c, 0x8824, 0xb86c,
+  0xcc12, 0xc476, 0x98ec, 0xc432, 0x9864, 0xdc32, 0x89ec, 0x88e4, 0xb9ec,
+  0xcc72, 0xb8e4, 0xc5f6, 0x9bec, 0xc4f2, 0x99e4, 0xdcf2, 0x8be4, 0xcdf2,
+  0xbbe4, 0x8c16, 0x8436, 0x8412, 0x9c36, 0x8c76, 0x8c32, 0xbc76, 0x84f6,
+  0x8472, 0x9cf6, 0x9c72, 0x8df6, 0x8cf2, 0xbdf6, 0xbcf2, 0x85f2, 0x9df2,
+  0xd02c, 0xa0d8, 0xe836, 0xa048, 0xe812, 0xd0ec, 0xd064, 0xa3d8, 0xe8f6,
+  0xa1c8, 0xe872, 0xd3ec, 0xd1e4, 0xafd8, 0xebf6, 0xa7c8, 0xe9f2, 0xc816,
+  0x906c, 0x9024, 0xc876, 0xb0ec, 0xc832, 0xb064, 0x91ec, 0x90e4, 0xd872,
+  0xc9f6, 0xb3ec, 0xc8f2, 0xb1e4, 0x97ec, 0x93e4, 0xd9f2, 0x8836, 0x8812,
+  0x9876, 0x9832, 0x88f6, 0x8872, 0xb8f6, 0xb872, 0x99f6, 0x98f2, 0x8bf6,
+  0x89f2, 0xbbf6, 0xb9f2, 0xd4c0, 0xf530, 0xfd4c, 0xea20, 0xfa88, 0xdae0,
+  0xf6b8, 0xfdae, 0xca60, 0xf298, 0xb4c0, 0xed30, 0xfb4c, 0x9440, 0xe510,
+  0xf944, 0xda20, 0xf688, 0xfda2, 0xcd70, 0xf35c, 0xbae0, 0xeeb8, 0xfbae,
+  0xc530, 0xf14c, 0x9a60, 0xe698, 0xf9a6, 0xdd30, 0xf74c, 0x8a20, 0xe288,
+  0xcd10, 0xf344, 0xba20, 0xee88, 0xfba2, 0xc6b8, 0xf1ae, 0x9d70, 0xe75c,
+  0xdeb8, 0xf7ae, 0xc298, 0x8d30, 0xe34c, 0xce98, 0xf3a6, 0xbd30, 0xef4c,
+  0x8510, 0xe144, 0xc688, 0xf1a2, 0x9d10, 0xe744, 0xde88, 0xf7a2, 0xc35c,
+  0x8eb8, 0xe3ae, 0xcf5c, 0xbeb8, 0xefae, 0xc14c, 0x8698, 0xe1a6, 0xc74c,
+  0x9e98, 0xe7a6, 0xdf4c, 0x8288, 0xc344, 0x8e88, 0xe3a2, 0xcf44, 0xbe88,
+  0xefa2, 0xc1ae, 0x875c, 0xc7ae, 0x9f5c, 0xdfae, 0x834c, 0xc3a6, 0x8f4c,
+  0xcfa6, 0xbf4c, 0x8144, 0xc1a2, 0x8744, 0xc7a2, 0x9f44, 0xdfa2, 0xe970,
+  0xfa5c, 0xd6e0, 0xf5b8, 0xfd6e, 0xd260, 0xf498, 0xfd26, 0xacc0, 0xeb30,
+  0xfacc, 0xa440, 0xe910, 0xfa44, 0xd620, 0xf588, 0xfd62, 0x92e0, 0xe4b8,
+  0xf92e, 0xd970, 0xf65c, 0xcb70, 0xf2dc, 0xb6e0, 0xc930, 0xf24c, 0xb260,
+  0xec98, 0xfb26, 0x9660, 0xe598, 0xf966, 0x9220, 0xe488, 0xf922, 0xd910,
+  0xf644, 0xcb10, 0xf2c4, 0xb620, 0xed88, 0xfb62, 0x8970, 0xe25c, 0xccb8,
+  0xf32e, 0xb970, 0xee5c, 0xc5b8, 0xf16e, 0x9b70, 0xc498, 0xf126, 0x9930,
+  0xe64c, 0xdc98, 0xf726, 0x8b30, 0xe2cc, 0x8910, 0xe244, 0xbb30, 0xcc88,
+  0xf322, 0xb910, 0xee44, 0xc588, 0xf162, 0x9b10, 0xe6c4, 0xdd88, 0xf762,
+  0x84b8, 0xe12e, 0xc65c, 0x9cb8, 0xe72e, 0xde5c, 0xc2dc, 0x8db8, 0xc24c,
+  0x8c98, 0xe326, 0xbdb8, 0xce4c, 0xbc98, 0xef26, 0x8598, 0xe166, 0x8488,
+  0xe122, 0x9d98, 0xc644, 0x9c88, 0xe722, 0xde44, 0xc2c4, 0x8d88, 0xe362,
+  0xcec4, 0xbd88, 0xef62, 0x825c, 0xc32e, 0x8e5c, 0xcf2e,
+];
+
+const ODD = [
+  0xc940, 0xf250, 0xeca0, 0xfb28, 0xe5a0, 0xf968, 0xdb40, 0xf6d0, 0xfdb4,
+  0xc4a0, 0xf128, 0x9940, 0xe650, 0xf994, 0xdca0, 0xf728, 0xfdca, 0x8b40,
+  0xe2d0, 0xcda0, 0xf368, 0xbb40, 0xeed0, 0xfbb4, 0xc250, 0x8ca0, 0xe328,
+  0xce50, 0xf394, 0xbca0, 0xef28, 0xfbca, 0x85a0, 0xe168, 0xc6d0, 0xf1b4,
+  0x9da0, 0xe768, 0xf9da, 0xded0, 0xf7b4, 0xc128, 0x8650, 0xe194, 0xc728,
+  0xf1ca, 0x9e50, 0xe794, 0xdf28, 0xf7ca, 0x82d0, 0xc368, 0x8ed0, 0xe3b4,
+  0xcf68, 0xf3da, 0xbed0, 0xefb4, 0x8328, 0xc394, 0x8f28, 0xe3ca, 0xcf94,
+  0x8168, 0xc1b4, 0x8768, 0xe1da, 0xc7b4, 0x9f68, 0xe7da, 0xdfb4, 0xd140,
+  0xf450, 0xfd14, 0xe9a0, 0xfa68, 0xd740, 0xf5d0, 0xfd74, 0xc8a0, 0xf228,
+  0xb140, 0xec50, 0xfb14, 0x9340, 0xe4d0, 0xf934, 0xd9a0, 0xf668, 0xfd9a,
+  0xcba0, 0xf2e8, 0xb740, 0xedd0, 0xfb74, 0xc450, 0xf114, 0x98a0, 0xe628,
+  0xf98a, 0xdc50, 0xf714, 0x89a0, 0xe268, 0xccd0, 0xf334, 0xb9a0, 0xee68,
+  0xfb9a, 0xc5d0, 0xf174, 0x9ba0, 0xe6e8, 0xf9ba, 0xddd0, 0xf774, 0xc228,
+  0x8c50, 0xe314, 0xce28, 0xf38a, 0xbc50, 0xef14, 0x84d0, 0xe134, 0xc668,
+  0xf19a, 0x9cd0, 0xe734, 0xde68, 0xf79a, 0xc2e8, 0x8dd0, 0xe374, 0xcee8,
+  0xf3ba, 0xbdd0, 0xef74, 0xc114, 0x8628, 0xe18a, 0xc714, 0x9e28, 0xe78a,
+  0x8268, 0xc334, 0x8e68, 0xe39a, 0xcf34, 0xbe68, 0xef9a, 0xc174, 0x86e8,
+  0xe1ba, 0xc774, 0x9ee8, 0xe7ba, 0xdf74, 0x8314, 0xc38a, 0x8f14, 0x8134,
+  0xc19a, 0x8734, 0xc79a, 0x9f34, 0x8374, 0xc3ba, 0x8f74, 0xcfba, 0xbf74,
+  0xd0a0, 0xf428, 0xfd0a, 0xa340, 0xe8d0, 0xfa34, 0xd3a0, 0xf4e8, 0xfd3a,
+  0xaf40, 0xebd0, 0xfaf4, 0xc850, 0xf214, 0xb0a0, 0xec28, 0xfb0a, 0x91a0,
+  0xe468, 0xf91a, 0xd8d0, 0xf634, 0xc9d0, 0xf274, 0xb3a0, 0xece8, 0xfb3a,
+  0x97a0, 0xe5e8, 0xf97a, 0xdbd0, 0xf6f4, 0xc428, 0xf10a, 0x9850, 0xe614,
+  0xdc28, 0xf70a, 0x88d0, 0xe234, 0xcc68, 0xf31a, 0xb8d0, 0xee34, 0xc4e8,
+  0xf13a, 0x99d0, 0xe674, 0xdce8, 0xf73a, 0x8bd0, 0xe2f4, 0xcde8, 0xf37a,
+  0xbbd0, 0xeef4, 0xc214, 0x8c28, 0xe30a, 0xce14, 0x8468, 0xe11a, 0xc634,
+  0x9c68, 0xe71a, 0xde34, 0xc274, 0x8ce8, 0xe33a, 0xce74, 0xbce8, 0xef3a,
+  0x85e8, 0xe17a, 0xc6f4, 0x9de8, 0xe77a, 0xdef4, 0xc10a, 0x8614, 0xc70a,
+  0x8234, 0xc31a, 0x8e34, 0xcf1a, 0xc13a, 0x8674, 0xc73a, 0x9e74, 0xdf3a,
+  0x82f4, 0xc37a, 0x8ef4, 0xcf7a, 0xbef4, 0x830a, 0x811a, 0x871a, 0x833a,
+  0x8f3a, 0x817a, 0x877a, 0x9f7a, 0xd050, 0xf414, 0xa1a0, 0xe868, 0xfa1a,
+  0xd1d0, 0xf474, 0xa7a0, 0xe9e8, 0xfa7a, 0xd7d0, 0xf5f4, 0xc828, 0xf20a,
+  0xb050, 0xec14, 0x90d0, 0xe434, 0xd868, 0xf61a, 0xc8e8, 0xf23a, 0xb1d0,
+  0xec74, 0x93d0, 0xe4f4, 0xd9e8, 0xf67a, 0xcbe8, 0xf2fa, 0xb7d0, 0xedf4,
+  0xc414, 0x9828, 0xe60a, 0x8868, 0xe21a, 0xcc34, 0xb868, 0xee1a, 0xc474,
+  0x98e8, 0xe63a, 0xdc74, 0x89e8, 0xe27a, 0xccf4, 0xb9e8, 0xee7a, 0xc5f4,
+  0x9be8, 0xe6fa, 0xddf4, 0xc20a, 0x8c14, 0x8434, 0xc61a, 0x9c34, 0xc23a,
+  0x8c74, 0xce3a, 0xbc74, 0x84f4, 0xc67a, 0x9cf4, 0xde7a, 0xc2fa, 0x8df4,
+  0xcefa, 0xbdf4, 0x860a, 0x821a, 0x8e1a, 0x863a, 0x9e3a, 0x827a, 0x8e7a,
+  0xbe7a, 0x86fa, 0x9efa, 0xd028, 0xf40a, 0xa0d0, 0xe834, 0xd0e8, 0xf43a,
+  0xa3d0, 0xe8f4, 0xd3e8, 0xf4fa, 0xafd0, 0xebf4, 0xc814, 0x9068, 0xe41a,
+  0xd834, 0xc874, 0xb0e8, 0xec3a, 0x91e8, 0xe47a, 0xd8f4, 0xc9f4, 0xb3e8,
+  0xecfa, 0x97e8, 0xe5fa, 0xdbf4, 0xc40a, 0x8834, 0xcc1a, 0xc43a, 0x9874,
+  0xdc3a, 0x88f4, 0xcc7a, 0xb8f4, 0xc4fa, 0x99f4, 0xdcfa, 0x8bf4, 0xcdfa,
+  0xbbf4, 0x841a, 0x8c3a, 0x847a, 0x9c7a, 0x8cfa, 0xbcfa, 0x85fa, 0x9dfa,
+  0xf520, 0xfd48, 0xdac0, 0xf6b0, 0xfdac, 0xca40, 0xf290, 0xed20, 0xfb48,
+  0xcd60, 0xf358, 0xbac0, 0xeeb0, 0xfbac, 0xc520, 0xf148, 0x9a40, 0xe690,
+  0xf9a4, 0xdd20, 0xf748, 0xfdd2, 0xc6b0, 0xf1ac, 0x9d60, 0xe758, 0xf9d6,
+  0xdeb0, 0xf7ac, 0xc290, 0x8d20, 0xe348, 0xce90, 0xf3a4, 0xbd20, 0xef48,
+  0xfbd2, 0xc358, 0x8eb0, 0xe3ac, 0xcf58, 0xf3d6, 0xbeb0, 0xefac, 0xc148,
+  0x8690, 0xe1a4, 0xc748, 0xf1d2, 0x9e90, 0xe7a4, 0xdf48, 0xf7d2, 0xc1ac,
+  0x8758, 0xe1d6, 0xc7ac, 0x9f58, 0xe7d6, 0xdfac, 0x8348, 0xc3a4, 0x8f48,
+  0xe3d2, 0xcfa4, 0xbf48, 0xefd2, 0xe960, 0xfa58, 0xd6c0, 0xf5b0, 0xfd6c,
+  0xd240, 0xf490, 0xfd24, 0xeb20, 0xfac8, 0x92c0, 0xe4b0, 0xf92c, 0xd960,
+  0xf658, 0xfd96, 0xcb60, 0xf2d8, 0xb6c0, 0xc920, 0xf248, 0xb240, 0xec90,
+  0xfb24, 0x9640, 0xe590, 0xf964, 0xdb20, 0xf6c8, 0xfdb2, 0x8960, 0xe258,
+  0xccb0, 0xf32c, 0xb960, 0xee58, 0xfb96, 0xc5b0, 0xf16c, 0x9b60, 0xc490,
+  0xf124, 0x9920, 0xe648, 0xf992, 0xdc90, 0xf724, 0x8b20, 0xe2c8, 0xcd90,
+  0xf364, 0xbb20, 0xeec8, 0xfbb2, 0x84b0, 0xe12c, 0xc658, 0xf196, 0x9cb0,
+  0xe72c, 0xde58, 0xf796, 0xc2d8, 0x8db0, 0xc248, 0x8c90, 0xe324, 0xbdb0,
+  0xce48, 0xf392, 0xbc90, 0xef24, 0x8590, 0xe164, 0xc6c8, 0xf1b2, 0x9d90,
+  0xe764, 0xdec8, 0xf7b2, 0x8258, 0xc32c, 0x8e58, 0xe396, 0xcf2c, 0xbe58,
+  0xef96, 0xc16c, 0x86d8, 0xc124, 0x8648, 0xe192, 0x9ed8, 0xc724, 0x9e48,
+  0xe792, 0xdf24, 0x82c8, 0xc364, 0x8ec8, 0xe3b2, 0xcf64, 0xbec8, 0xefb2,
+  0x812c, 0xc196, 0x872c, 0xc796, 0x9f2c, 0x836c, 0x8324, 0x8f6c, 0xc392,
+  0x8f24, 0xbf6c, 0xcf92, 0x8164, 0xc1b2, 0x8764, 0xc7b2, 0x9f64, 0xdfb2,
+  0xa2c0, 0xe8b0, 0xfa2c, 0xd360, 0xf4d8, 0xfd36, 0xd120, 0xf448, 0xfd12,
+  0xaec0, 0xebb0, 0xfaec, 0xa640, 0xe990, 0xfa64, 0xd720, 0xf5c8, 0xfd72,
+  0x9160, 0xe458, 0xf916, 0xd8b0, 0xf62c, 0xc9b0, 0xf26c, 0xb360, 0xc890,
+  0xf224, 0xb120, 0xec48, 0xfb12, 0x9760, 0xe5d8, 0xf976, 0x9320, 0xe4c8,
+  0xf932, 0xd990, 0xf664, 0xcb90, 0xf2e4, 0xb720, 0xedc8, 0xfb72, 0x88b0,
+  0xe22c, 0xcc58, 0xf316, 0xb8b0, 0xee2c, 0xc4d8, 0xf136, 0x99b0, 0xc448,
+  0xf112, 0x9890, 0xe624, 0xdc48, 0xf712, 0x8bb0, 0xe2ec, 0x8990, 0xe264,
+  0xbbb0, 0xccc8, 0xf332, 0xb990, 0xee64, 0xc5c8, 0xf172, 0x9b90, 0xe6e4,
+  0xddc8, 0xf772, 0x8458, 0xe116, 0xc62c, 0x9c58, 0xe716, 0xde2c, 0xc26c,
+  0x8cd8, 0xc224, 0x8c48, 0xe312, 0xbcd8, 0xce24, 0xbc48, 0xef12, 0x85d8,
+  0xe176, 0x84c8, 0xe132, 0x9dd8, 0xc664, 0x9cc8, 0xe732, 0xde64, 0xc2e4,
+  0x8dc8, 0xe372, 0xcee4, 0xbdc8, 0xef72, 0x822c, 0xc316, 0x8e2c, 0xcf16,
+  0xc136, 0x866c, 0xc112, 0x8624, 0x9e6c, 0xc712, 0x9e24, 0x82ec, 0x8264,
+  0x8eec, 0xc332, 0x8e64, 0xbeec, 0xcf32, 0xbe64, 0xc172, 0x86e4, 0xc772,
+  0x9ee4, 0xdf72, 0x8116, 0x8716, 0x8336, 0x8312, 0x8f36, 0x8f12, 0x8176,
+  0x8132, 0x8776, 0x8732, 0x9f76, 0x9f32, 0x8372, 0x8f72, 0xbf72, 0xa160,
+  0xe858, 0xfa16, 0xd1b0, 0xf46c, 0xd090, 0xf424, 0xa760, 0xe9d8, 0xfa76,
+  0xa320, 0xe8c8, 0xfa32, 0xd7b0, 0xf5ec, 0xd390, 0xf4e4, 0xaf20, 0xebc8,
+  0xfaf2, 0x90b0, 0xe42c, 0xd858, 0xf616, 0xc8d8, 0xf236, 0xb1b0, 0xc848,
+  0xf212, 0xb090, 0xec24, 0x93b0, 0xe4ec, 0x9190, 0xe464, 0xd8c8, 0xf632,
+  0xcbd8, 0xf2f6, 0xb7b0, 0xc9c8, 0xf272, 0xb390, 0xece4, 0x9790, 0xe5e4,
+  0xdbc8, 0xf6f2, 0x8858, 0xe216, 0xcc2c, 0xb858, 0xee16, 0xc46c, 0x98d8,
+  0xc424, 0x9848, 0xe612, 0xdc24, 0x89d8, 0xe276, 0x88c8, 0xe232, 0xb9d8,
+  0xcc64, 0xb8c8, 0xee32, 0xc5ec, 0x9bd8, 0xc4e4, 0x99c8, 0xe672, 0xdce4,
+  0x8bc8, 0xe2f2, 0xcde4, 0xbbc8, 0xeef2, 0x842c, 0xc616, 0x9c2c, 0xc236,
+  0x8c6c, 0xc212, 0x8c24, 0xbc6c, 0xce12, 0x84ec, 0x8464, 0x9cec, 0xc632,
+  0x9c64, 0xde32, 0xc2f6, 0x8dec, 0xc272, 0x8ce4, 0xbdec, 0xce72, 0xbce4,
+  0x85e4, 0xc6f2, 0x9de4, 0xdef2, 0x8216, 0x8e16, 0x8636, 0x8612, 0x9e36,
+  0x8276, 0x8232, 0x8e76, 0x8e32, 0xbe76, 0x86f6, 0x8672, 0x9ef6, 0x9e72,
+  0x82f2, 0x8ef2, 0xbef2, 0xa0b0, 0xe82c, 0xd0d8, 0xf436, 0xd048, 0xf412,
+  0xa3b0, 0xe8ec, 0xa190, 0xe864, 0xd3d8, 0xf4f6, 0xd1c8, 0xf472, 0xafb0,
+  0xebec, 0xa790, 0xe9e4, 0xd7c8, 0xf5f2, 0x9058, 0xe416, 0xd82c, 0xc86c,
+  0xb0d8, 0xc824, 0xb048, 0xec12, 0x91d8, 0xe476, 0x90c8, 0xe432, 0xd864,
+  0xc9ec, 0xb3d8, 0xc8e4, 0xb1c8, 0xec72, 0x97d8, 0xe5f6, 0x93c8, 0xe4f2,
+  0xd9e4, 0xcbe4, 0xb7c8, 0xedf2, 0x882c, 0xcc16, 0xc436, 0x986c, 0xc412,
+  0x9824, 0x88ec, 0x8864, 0xb8ec, 0xcc32, 0xb864, 0xc4f6, 0x99ec, 0xc472,
+  0x98e4, 0xdc72, 0x8bec, 0x89e4, 0xbbec, 0xccf2, 0xb9e4, 0xc5f2, 0x9be4,
+  0xddf2, 0x8416, 0x8c36, 0x8c12, 0x8476, 0x8432, 0x9c76, 0x9c32, 0x8cf6,
+  0x8c72, 0xbcf6, 0xbc72, 0x85f6, 0x84f2, 0x9df6, 0x9cf2, 0x8df2, 0xbdf2,
+  0xa058, 0xe816, 0xd06c, 0xd024, 0xa1d8, 0xe876, 0xa0c8, 0xe832, 0xd1ec,
+  0xd0e4, 0xa7d8, 0xe9f6, 0xa3c8, 0xe8f2, 0xd7ec, 0xd3e4, 0x902c, 0xc836,
+  0xb06c, 0xc812, 0x90ec, 0x9064, 0xd832, 0xc8f6, 0xb1ec, 0xc872, 0xb0e4,
+  0x93ec, 0x91e4, 0xd8f2, 0xcbf6, 0xb7ec, 0xc9f2, 0xb3e4, 0x8816, 0x9836,
+  0x8876, 0x8832, 0xb876, 0x98f6, 0x9872, 0x89f6, 0x88f2, 0xb9f6, 0xb8f2,
+  0x9bf6, 0x99f2, 0xea60, 0xfa98, 0xd440, 0xf510, 0xfd44, 0xed70, 0xfb5c,
+  0x94c0, 0xe530, 0xf94c, 0xda60, 0xf698, 0xfda6, 0xca20, 0xf288, 0xb440,
+  0xed10, 0xfb44, 0x9ae0, 0xe6b8, 0xf9ae, 0xdd70, 0xf75c, 0x8a60, 0xe298,
+  0xcd30, 0xf34c, 0xba60, 0xee98, 0xfba6, 0xc510, 0xf144, 0x9a20, 0xe688,
+  0xf9a2, 0xdd10, 0xf744, 0x8d70, 0xe35c, 0xceb8, 0xf3ae, 0xbd70, 0xef5c,
+  0x8530, 0xe14c, 0xc698, 0xf1a6, 0x9d30, 0xe74c, 0xde98, 0xf7a6, 0xc288,
+  0x8d10, 0xe344, 0xce88, 0xf3a2, 0xbd10, 0xef44, 0x86b8, 0xe1ae, 0xc75c,
+  0x9eb8, 0xe7ae, 0xdf5c, 0x8298, 0xc34c, 0x8e98, 0xe3a6, 0xcf4c, 0xbe98,
+  0xefa6, 0xc144, 0x8688, 0xe1a2, 0xc744, 0x9e88, 0xe7a2, 0xdf44, 0x835c,
+  0xc3ae, 0x8f5c, 0xcfae, 0xbf5c, 0x814c, 0xc1a6, 0x874c, 0xc7a6, 0x9f4c,
+  0xdfa6, 0x8344, 0xc3a2, 0x8f44, 0xcfa2, 0xbf44, 0xd2e0, 0xf4b8, 0xfd2e,
+  0xadc0, 0xeb70, 0xfadc, 0xa4c0, 0xe930, 0xfa4c, 0xd660, 0xf598, 0xfd66,
+  0xd220, 0xf488, 0xfd22, 0xac40, 0xeb10, 0xfac4, 0xc970, 0xf25c, 0xb2e0,
+  0xecb8, 0xfb2e, 0x96e0, 0xe5b8, 0xf96e, 0x9260, 0xe498, 0xf926, 0xd930,
+  0xf64c, 0xcb30, 0xf2cc, 0xb660, 0xc910, 0xf244, 0xb220, 0xec88, 0xfb22,
+  0x9620, 0xe588, 0xf962, 0xdb10, 0xf6c4, 0xc4b8, 0xf12e, 0x9970, 0xe65c,
+  0xdcb8, 0xf72e, 0x8b70, 0xe2dc, 0x8930, 0xe24c, 0xbb70, 0xcc98, 0xf326,
+  0xb930, 0xee4c, 0xc598, 0xf166, 0x9b30, 0xc488, 0xf122, 0x9910, 0xe644,
+  0xdc88, 0xf722, 0x8b10, 0xe2c4, 0xcd88, 0xf362, 0xbb10, 0xeec4, 0xc25c,
+  0x8cb8, 0xe32e, 0xce5c, 0xbcb8, 0xef2e, 0x85b8, 0xe16e, 0x8498, 0xe126,
+  0x9db8, 0xc64c, 0x9c98, 0xe726, 0xde4c, 0xc2cc, 0x8d98, 0xc244, 0x8c88,
+  0xe322, 0xbd98, 0xce44, 0xbc88, 0xef22, 0x8588, 0xe162, 0xc6c4, 0x9d88,
+  0xe762, 0xdec4, 0xc12e, 0x865c, 0xc72e, 0x9e5c, 0xdf2e, 0x82dc, 0x824c,
+  0x8edc, 0xc326, 0x8e4c, 0xbedc, 0xcf26, 0xbe4c, 0xc166, 0x86cc, 0xc122,
+  0x8644, 0x9ecc, 0xc722, 0x9e44, 0xdf22, 0x82c4, 0xc362, 0x8ec4, 0xcf62,
+  0xbec4, 0x832e, 0x8f2e, 0x816e, 0x8126, 0x876e, 0x8726, 0x9f6e, 0x9f26,
+  0x8366, 0x8322, 0x8f66, 0x8f22, 0xbf66, 0x8162, 0x8762, 0x9f62, 0xd170,
+  0xf45c, 0xa6e0, 0xe9b8, 0xfa6e, 0xa260, 0xe898, 0xfa26, 0xd770, 0xf5dc,
+  0xd330, 0xf4cc, 0xd110, 0xf444, 0xae60, 0xeb98, 0xfae6, 0xa620, 0xe988,
+  0xfa62, 0xd710, 0xf5c4, 0xc8b8, 0xf22e, 0xb170, 0xec5c, 0x9370, 0xe4dc,
+  0x9130, 0xe44c, 0xd898, 0xf626, 0xcbb8, 0xf2ee, 0xb770, 0xc998, 0xf266,
+  0xb330, 0xc888, 0xf222, 0xb110, 0xec44, 0x9730, 0xe5cc, 0x9310, 0xe4c4,
+  0xd988, 0xf662, 0xcb88, 0xf2e2, 0xb710, 0xedc4, 0xc45c, 0x98b8, 0xe62e,
+  0xdc5c, 0x89b8, 0xe26e, 0x8898, 0xe226, 0xb9b8, 0xcc4c, 0xb898, 0xee26,
+  0xc5dc, 0x9bb8, 0xc4cc, 0x9998, 0xc444, 0x9888, 0xe622, 0xdc44, 0x8b98,
+  0xe2e6, 0x8988, 0xe262, 0xbb98, 0xccc4, 0xb988, 0xee62, 0xc5c4, 0x9b88,
+  0xe6e2, 0xddc4, 0xc22e, 0x8c5c, 0xce2e, 0xbc5c, 0x84dc, 0x844c, 0x9cdc,
+  0xc626, 0x9c4c, 0xde26, 0xc2ee, 0x8ddc, 0xc266, 0x8ccc, 0xc222, 0xbddc,
+  0x8c44, 0xbccc, 0xce22, 0xbc44, 0x85cc, 0x84c4, 0x9dcc, 0xc662, 0x9cc4,
+  0xde62, 0xc2e2, 0x8dc4, 0xcee2, 0xbdc4, 0x862e, 0x9e2e, 0x826e, 0x8226,
+  0x8e6e, 0x8e26, 0xbe6e, 0x86ee, 0x8666, 0x9eee, 0x8622, 0x9e66, 0x9e22,
+  0x82e6, 0x8262, 0x8ee6, 0x8e62, 0xbee6, 0xbe62, 0x86e2, 0x9ee2, 0xd0b8,
+  0xf42e, 0xa370, 0xe8dc, 0xa130, 0xe84c, 0xd3b8, 0xf4ee, 0xd198, 0xf466,
+  0xd088, 0xf422, 0xaf70, 0xebdc, 0xa730, 0xe9cc, 0xa310, 0xe8c4, 0xd798,
+  0xf5e6, 0xd388, 0xf4e2, 0xaf10, 0xebc4, 0xc85c, 0xb0b8, 0xec2e, 0x91b8,
+  0xe46e, 0x9098, 0xe426, 0xd84c, 0xc9dc, 0xb3b8, 0xc8cc, 0xb198, 0xc844,
+  0xb088, 0xec22, 0x97b8, 0xe5ee, 0x9398, 0xe4e6, 0x9188, 0xe462, 0xd8c4,
+  0xcbcc, 0xb798, 0xc9c4, 0xb388, 0xece2, 0x9788, 0xe5e2, 0xdbc4, 0xc42e,
+  0x985c, 0xdc2e, 0x88dc, 0x884c, 0xb8dc, 0xcc26, 0xb84c, 0xc4ee, 0x99dc,
+  0xc466, 0x98cc, 0xc422, 0x9844, 0xdc22, 0x8bdc, 0x89cc, 0xbbdc, 0x88c4,
+  0xb9cc, 0xcc62, 0xb8c4, 0xc5e6, 0x9bcc, 0xc4e2, 0x99c4, 0xdce2, 0x8bc4,
+  0xcde2, 0xbbc4, 0x8c2e, 0x846e, 0x8426, 0x9c6e, 0x9c26, 0x8cee, 0x8c66,
+  0xbcee, 0x8c22, 0xbc66, 0x85ee, 0x84e6, 0x9dee, 0x8462, 0x9ce6, 0x9c62,
+  0x8de6, 0x8ce2, 0xbde6, 0xbce2, 0x85e2, 0x9de2, 0xd05c, 0xa1b8, 0xe86e,
+  0xa098, 0xe826, 0xd1dc, 0xd0cc, 0xd044, 0xa7b8, 0xe9ee, 0xa398, 0xe8e6,
+  0xa188, 0xe862, 0xd7dc, 0xd3cc, 0xd1c4, 0xaf98, 0xebe6, 0xa788, 0xe9e2,
+  0xc82e, 0xb05c, 0x90dc, 0x904c, 0xd826, 0xc8ee, 0xb1dc, 0xc866, 0xb0cc,
+  0xc822, 0xb044, 0x93dc, 0x91cc, 0x90c4, 0xd862, 0xcbee, 0xb7dc, 0xc9e6,
+  0xb3cc, 0xc8e2, 0xb1c4, 0x97cc, 0x93c4, 0xd9e2, 0x982e, 0x886e, 0x8826,
+  0xb86e, 0x98ee, 0x9866, 0x9822, 0x89ee, 0x88e6, 0xb9ee, 0x8862, 0xb8e6,
+  0xb862, 0x9bee, 0x99e6, 0x98e2, 0x8be6, 0x89e2, 0xbbe6, 0xb9e2, 0xd02e,
+  0xa0dc, 0xa04c, 0xd0ee, 0xd066, 0xd022, 0xa3dc, 0xa1cc, 0xa0c4, 0xd3ee,
+  0xd1e6, 0xd0e2, 0xafdc, 0xa7cc, 0xa3c4, 0x906e, 0x9026, 0xb0ee, 0xb066,
+  0x91ee, 0x90e6, 0x9062, 0xb3ee, 0xb1e6, 0xb0e2, 0x97ee, 0x93e6, 0x91e2,
+  0xd4e0, 0xf538, 0xfd4e, 0xa8c0, 0xea30, 0xfa8c, 0xd420, 0xf508, 0xfd42,
+  0xdaf0, 0xf6bc, 0xca70, 0xf29c, 0xb4e0, 0xed38, 0xfb4e, 0x9460, 0xe518,
+  0xf946, 0xda30, 0xf68c, 0xca10, 0xf284, 0xb420, 0xed08, 0xfb42, 0xcd78,
+  0xf35e, 0xbaf0, 0xeebc, 0xc538, 0xf14e, 0x9a70, 0xe69c, 0xdd38, 0xf74e,
+  0x8a30, 0xe28c, 0xcd18, 0xf346, 0xba30, 0xee8c, 0xc508, 0xf142, 0x9a10,
+  0xe684, 0xdd08, 0xf742, 0xc6bc, 0x9d78, 0xe75e, 0xdebc, 0xc29c, 0x8d38,
+  0xe34e, 0xce9c, 0xbd38, 0xef4e, 0x8518, 0xe146, 0xc68c, 0x9d18, 0xe746,
+  0xde8c, 0xc284, 0x8d08, 0xe342, 0xce84, 0xbd08, 0xef42, 0xc35e, 0x8ebc,
+  0xcf5e, 0xbebc, 0xc14e, 0x869c, 0xc74e, 0x9e9c, 0xdf4e, 0x828c, 0xc346,
+  0x8e8c, 0xcf46, 0xbe8c, 0xc142, 0x8684, 0xc742, 0x9e84, 0xdf42, 0x875e,
+  0x9f5e, 0x834e, 0x8f4e, 0xbf4e, 0x8146, 0x8746, 0x9f46, 0x8342, 0x8f42,
+  0xbf42, 0xe978, 0xfa5e, 0xd6f0, 0xf5bc, 0xd270, 0xf49c, 0xace0, 0xeb38,
+  0xface, 0xa460, 0xe918, 0xfa46, 0xd630, 0xf58c, 0xd210, 0xf484, 0xac20,
+  0xeb08, 0xfac2, 0x92f0, 0xe4bc, 0xd978, 0xf65e, 0xcb78, 0xf2de, 0xb6f0,
+  0xc938, 0xf24e, 0xb270, 0xec9c, 0x9670, 0xe59c, 0x9230, 0xe48c, 0xd918,
+  0xf646, 0xcb18, 0xf2c6, 0xb630, 0xc908, 0xf242, 0xb210, 0xec84, 0x9610,
+  0xe584, 0xdb08, 0xf6c2, 0x8978, 0xe25e, 0xccbc, 0xb978, 0xee5e, 0xc5bc,
+  0x9b78, 0xc49c, 0x9938, 0xe64e, 0xdc9c, 0x8b38, 0xe2ce, 0x8918, 0xe246,
+  0xbb38, 0xcc8c, 0xb918, 0xee46, 0xc58c, 0x9b18, 0xc484, 0x9908, 0xe642,
+  0xdc84, 0x8b08, 0xe2c2, 0xcd84, 0xbb08, 0xeec2, 0x84bc, 0xc65e, 0x9cbc,
+  0xde5e, 0xc2de, 0x8dbc, 0xc24e, 0x8c9c, 0xbdbc, 0xce4e, 0xbc9c, 0x859c,
+  0x848c, 0x9d9c, 0xc646, 0x9c8c, 0xde46, 0xc2c6, 0x8d8c, 0xc242, 0x8c84,
+  0xbd8c, 0xce42, 0xbc84, 0x8584, 0xc6c2, 0x9d84, 0xdec2, 0x825e, 0x8e5e,
+  0xbe5e, 0x86de, 0x864e, 0x9ede, 0x9e4e, 0x82ce, 0x8246, 0x8ece, 0x8e46,
+  0xbece, 0xbe46, 0x86c6, 0x8642, 0x9ec6, 0x9e42, 0x82c2, 0x8ec2, 0xbec2,
+  0xa2f0, 0xe8bc, 0xd378, 0xf4de, 0xd138, 0xf44e, 0xaef0, 0xebbc, 0xa670,
+  0xe99c, 0xa230, 0xe88c, 0xd738, 0xf5ce, 0xd318, 0xf4c6, 0xd108, 0xf442,
+  0xae30, 0xeb8c, 0xa610, 0xe984, 0xd708, 0xf5c2, 0x9178, 0xe45e, 0xd8bc,
+  0xc9bc, 0xb378, 0xc89c, 0xb138, 0xec4e, 0x9778, 0xe5de, 0x9338, 0xe4ce,
+  0x9118, 0xe446, 0xd88c, 0xcb9c, 0xb738, 0xc98c, 0xb318, 0xc884, 0xb108,
+  0xec42, 0x9718, 0xe5c6, 0x9308, 0xe4c2, 0xd984, 0xcb84, 0xb708, 0xedc2,
+  0x88bc, 0xcc5e, 0xb8bc, 0xc4de, 0x99bc, 0xc44e, 0x989c, 0xdc4e, 0x8bbc,
+  0x899c, 0xbbbc, 0x888c, 0xb99c, 0xcc46, 0xb88c, 0xc5ce, 0x9b9c, 0xc4c6,
+  0x998c, 0xc442, 0x9884, 0xdc42, 0x8b8c, 0x8984, 0xbb8c, 0xccc2, 0xb984,
+  0xc5c2, 0x9b84, 0xddc2, 0x845e, 0x9c5e, 0x8cde, 0x8c4e, 0xbcde, 0xbc4e,
+  0x85de, 0x84ce, 0x9dde, 0x8446, 0x9cce, 0x9c46, 0x8dce, 0x8cc6, 0xbdce,
+  0x8c42, 0xbcc6, 0xbc42, 0x85c6, 0x84c2, 0x9dc6, 0x9cc2, 0x8dc2, 0xbdc2,
+  0xa178, 0xe85e, 0xd1bc, 0xd09c, 0xa778, 0xe9de, 0xa338, 0xe8ce, 0xa118,
+  0xe846, 0xd7bc, 0xd39c, 0xd18c, 0xd084, 0xaf38, 0xebce, 0xa718, 0xe9c6,
+  0xa308, 0xe8c2, 0xd78c, 0xd384, 0x90bc, 0xd85e, 0xc8de, 0xb1bc, 0xc84e,
+  0xb09c, 0x93bc, 0x919c, 0x908c, 0xd846, 0xcbde, 0xb7bc, 0xc9ce, 0xb39c,
+  0xc8c6, 0xb18c, 0xc842, 0xb084, 0x979c, 0x938c, 0x9184, 0xd8c2, 0xcbc6,
+  0xb78c, 0xc9c2, 0xb384, 0x885e, 0xb85e, 0x98de, 0x984e, 0x89de, 0x88ce,
+  0xb9de, 0x8846, 0xb8ce, 0xb846, 0x9bde, 0x99ce, 0x98c6, 0x9842, 0x8bce,
+  0x89c6, 0xbbce, 0x88c2, 0xb9c6, 0xb8c2, 0x9bc6, 0x99c2, 0xa0bc, 0xd0de,
+  0xd04e, 0xa3bc, 0xa19c, 0xa08c, 0xd3de, 0xd1ce, 0xd0c6, 0xd042, 0xafbc,
+  0xa79c, 0xa38c, 0xa184, 0xd7ce, 0xd3c6, 0xd1c2, 0x905e, 0xb0de, 0xb04e,
+  0x91de, 0x90ce, 0x9046, 0xb3de, 0xb1ce, 0xb0c6, 0xb042, 0x97de, 0x93ce,
+  0x91c6, 0x90c2, 0xb7ce, 0xb3c6, 0xb1c2, 0xa05e, 0xa1de, 0xa0ce, 0xa046,
+  0xa7de, 0xa3ce, 0xa1c6, 0xa0c2, 0xa9e0, 0xea78, 0xfa9e, 0xd470, 0xf51c,
+  0xa860, 0xea18, 0xfa86, 0xd410, 0xf504, 0xed7c, 0x94f0, 0xe53c, 0xda78,
+  0xf69e, 0xca38, 0xf28e, 0xb470, 0xed1c, 0x9430, 0xe50c, 0xda18, 0xf686,
+  0xca08, 0xf282, 0xb410, 0xed04, 0x9af8, 0xe6be, 0xdd7c, 0x8a78, 0xe29e,
+  0xcd3c, 0xba78, 0xee9e, 0xc51c, 0x9a38, 0xe68e, 0xdd1c, 0x8a18, 0xe286,
+  0xcd0c, 0xba18, 0xee86, 0xc504, 0x9a08, 0xe682, 0xdd04, 0x8d7c, 0xcebe,
+  0xbd7c, 0x853c, 0xc69e, 0x9d3c, 0xde9e, 0xc28e, 0x8d1c, 0xce8e, 0xbd1c,
+  0x850c, 0xc686, 0x9d0c, 0xde86, 0xc282, 0x8d04, 0xce82, 0xbd04, 0x86be,
+  0x9ebe, 0x829e, 0x8e9e, 0xbe9e, 0x868e, 0x9e8e, 0x8286, 0x8e86, 0xbe86,
+  0x8682, 0x9e82, 0xd2f8, 0xf4be, 0xadf0, 0xeb7c, 0xa4f0, 0xe93c, 0xd678,
+  0xf59e, 0xd238, 0xf48e, 0xac70, 0xeb1c, 0xa430, 0xe90c, 0xd618, 0xf586,
+  0xd208, 0xf482, 0xac10, 0xeb04, 0xc97c, 0xb2f8, 0xecbe, 0x96f8, 0xe5be,
+  0x9278, 0xe49e, 0xd93c, 0xcb3c, 0xb678, 0xc91c, 0xb238, 0xec8e, 0x9638,
+  0xe58e, 0x9218, 0xe486, 0xd90c, 0xcb0c, 0xb618, 0xc904, 0xb208, 0xec82,
+  0x9608, 0xe582, 0xdb04, 0xc4be, 0x997c, 0xdcbe, 0x8b7c, 0x893c, 0xbb7c,
+  0xcc9e, 0xb93c, 0xc59e, 0x9b3c, 0xc48e, 0x991c, 0xdc8e, 0x8b1c, 0x890c,
+  0xbb1c, 0xcc86, 0xb90c, 0xc586, 0x9b0c, 0xc482, 0x9904, 0xdc82, 0x8b04,
+  0xcd82, 0xbb04, 0x8cbe, 0xbcbe, 0x85be, 0x849e, 0x9dbe, 0x9c9e, 0x8d9e,
+  0x8c8e, 0xbd9e, 0xbc8e, 0x858e, 0x8486, 0x9d8e, 0x9c86, 0x8d86, 0x8c82,
+  0xbd86, 0xbc82, 0x8582, 0x9d82, 0xd17c, 0xa6f8, 0xe9be, 0xa278, 0xe89e,
+  0xd77c, 0xd33c, 0xd11c, 0xae78, 0xeb9e, 0xa638, 0xe98e, 0xa218, 0xe886,
+  0xd71c, 0xd30c, 0xd104, 0xae18, 0xeb86, 0xa608, 0xe982, 0xc8be, 0xb17c,
+  0x937c, 0x913c, 0xd89e, 0xcbbe, 0xb77c, 0xc99e, 0xb33c, 0xc88e, 0xb11c,
+  0x973c, 0x931c, 0x910c, 0xd886, 0xcb8e, 0xb71c, 0xc986, 0xb30c, 0xc882,
+  0xb104, 0x970c, 0x9304, 0xd982, 0x98be, 0x89be, 0x889e, 0xb9be, 0xb89e,
+  0x9bbe, 0x999e, 0x988e, 0x8b9e, 0x898e, 0xbb9e, 0x8886, 0xb98e, 0xb886,
+  0x9b8e, 0x9986, 0x9882, 0x8b86, 0x8982, 0xbb86, 0xb982, 0xd0be, 0xa37c,
+  0xa13c, 0xd3be, 0xd19e, 0xd08e, 0xaf7c, 0xa73c, 0xa31c, 0xa10c, 0xd79e,
+  0xd38e, 0xd186, 0xd082, 0xaf1c, 0xa70c, 0xa304, 0xb0be, 0x91be, 0x909e,
+  0xb3be, 0xb19e, 0xb08e, 0x97be, 0x939e, 0x918e, 0x9086, 0xb79e, 0xb38e,
+  0xb186, 0xb082, 0x978e, 0x9386, 0x9182, 0xa1be, 0xa09e, 0xa7be, 0xa39e,
+  0xa18e, 0xa086, 0xaf9e, 0xa78e, 0xa386, 0xa182, 0xd4f8, 0xf53e, 0xa8f0,
+  0xea3c, 0xd438, 0xf50e, 0xa830, 0xea0c, 0xd408, 0xf502, 0xdafc, 0xca7c,
+  0xb4f8, 0xed3e, 0x9478, 0xe51e, 0xda3c, 0xca1c, 0xb438, 0xed0e, 0x9418,
+  0xe506, 0xda0c, 0xca04, 0xb408, 0xed02, 0xcd7e, 0xbafc, 0xc53e, 0x9a7c,
+  0xdd3e, 0x8a3c, 0xcd1e, 0xba3c, 0xc50e, 0x9a1c, 0xdd0e, 0x8a0c, 0xcd06,
+  0xba0c, 0xc502, 0x9a04, 0xdd02, 0x9d7e, 0x8d3e, 0xbd3e, 0x851e, 0x9d1e,
+  0x8d0e, 0xbd0e, 0x8506, 0x9d06, 0x8d02, 0xbd02, 0xe97e, 0xd6fc, 0xd27c,
+  0xacf8, 0xeb3e, 0xa478, 0xe91e, 0xd63c, 0xd21c, 0xac38, 0xeb0e, 0xa418,
+  0xe906, 0xd60c, 0xd204, 0x92fc, 0xd97e, 0xcb7e, 0xb6fc, 0xc93e, 0xb27c,
+  0x967c, 0x923c, 0xd91e, 0xcb1e, 0xb63c, 0xc90e, 0xb21c, 0x961c, 0x920c,
+  0xd906, 0xcb06, 0xb60c, 0xc902, 0xb204, 0x897e, 0xb97e, 0x9b7e, 0x993e,
+  0x8b3e, 0x891e, 0xbb3e, 0xb91e, 0x9b1e, 0x990e, 0x8b0e, 0x8906, 0xbb0e,
+  0xb906, 0x9b06, 0x9902, 0xa2fc, 0xd37e, 0xd13e, 0xaefc,
+];
+
+module.exports = { EVEN, ODD };
@@ -0,0 +1,662 @@
+/**
+ * Composite Encoder - Encodes a GS1 composite symbol: a linear symbol with a
+ * 2D composite component above it
+ *
+ * The component carries GS1 element strings as a compacted bit stream
+ * (ISO/IEC 24723) in the smallest of CC-A and CC-B, both MicroPDF417 based,
+ * and CC-C, a PDF417 symbol that only goes with GS1-128. A separator pattern
+ * joins it to the linear symbol; DataBar and GS1-128 symbols also carry a
+ * linkage flag.
+ */
+
+const { GS1 } = require('./GS1');
+const PDF417Encoder = require('./PDF417Encoder');
+const MicroPDF417Encoder = require('./MicroPDF417Encoder');
+
+// Linear types with the data columns of their CC-A and CC-B components
+const LINEAR_COLUMNS = {
+  ean13: 4,
+  upca: 4,
+  ean8: 3,
+  upce: 2,
+  gs1128: 4,
+  databaromni: 4,
+  databarlimited: 3,
+};
+
+// Bit stream lengths that fill a component, by data columns
+const BIT_CAPACITIES = {
+  a: {
+    2: [59, 78, 88, 108, 118, 138, 167],
+    3: [78, 98, 118, 138, 167],
+    4: [78, 108, 138, 167, 197],
+  },
+  b: {
+    2: [56, 104, 160, 208, 256, 296, 336],
+    3: [32, 72, 112, 152, 208, 304, 416, 536, 648, 768],
+    4: [56, 96, 152, 208, 264, 352, 496, 672, 840, 1016, 1184],
+  },
+};
+
+// Largest CC-C bit stream: 865 byte compacted codewords
+const MAX_CCC_BITS = 8304;
+
+const FNC1 = -1;
+
+// Encodation modes of the general purpose data, with their latches
+const NUMERIC = 'numeric';
+const ALPHANUMERIC = 'alphanumeric';
+const ISO646 = 'iso646';
+const LATCHES = {
+  [NUMERIC]: { [ALPHANUMERIC]: '0000' },
+  [ALPHANUMERIC]: { [NUMERIC]: '000', [ISO646]: '00100' },
+  [ISO646]: { [NUMERIC]: '000', [ALPHANUMERIC]: '00100' },
+};
+
+// Bits that fill a component, after a latch out of numeric mode if needed
+const PAD_PATTERN = '00100';
+
+// Separator of an EAN/UPC symbol: the outer guard bars, one module apart
+const GUARD_SEPARATOR = ['01', '10', '01'];
+
+// DataBar Omnidirectional finder patterns, and the pattern that a value 3
+// finder gets instead of the light and dark inverse
+const DATABAR_FINDERS = [19, 65];
+const DATABAR_FINDER_3 = '1111111110111';
+const DATABAR_FINDER_3_SEPARATOR = '0000000000100';
+
+class CompositeEncoder {
+  /**
+   * @param {Object} symbolEncoder - SymbolEncoder for the linear symbol
+   */
+  constructor(symbolEncoder) {
+    this.symbolEncoder = symbolEncoder;
+    this.microPdf417 = new MicroPDF417Encoder();
+    this.pdf417 = new PDF417Encoder();
+    this.defaultOptions = {
+      linearType: 'ean13',
+    };
+  }
+
+  /**
+   * Encode a GS1 composite symbol
+   * @param {string} data - Linear data and component element string,
+   *   separated by '|', e.g. '9501101530003|(17)250101(10)AB12'
+   * @param {Object} options - Encoding options (linearType)
+   * @returns {Object} Composite symbol
+   */
+  encode(data, options = {}) {
+    const { linearType } = { ...this.defaultOptions, ...options };
+    if (!(linearType in LINEAR_COLUMNS)) {
+      throw new Error(
+        `Invalid linear type: ${linearType}. Composite symbols use ${Object.keys(
+          LINEAR_COLUMNS
+        ).join(', ')}`
+      );
+    }
+
+    const separator = data.indexOf('|');
+    if (separator < 0) {
+      throw new Error(
+        "Composite data needs the linear data and the component's element string, separated by '|'"
+      );
+    }
+    const linearData = data.substring(0, separator);
+    const elements = GS1.parse(data.substring(separator + 1));
+
+    let linear = this.symbolEncoder.encode(linearData, linearType, {
+      linkage: 'a',
+    });
+    const state = {
+      version: 'a',
+      columns: LINEAR_COLUMNS[linearType],
+      linearType,
+      linearWidth: this.toBits(linear.widths).length,
+    };
+    const bits = this.createBitStream(elements, state);
+
+    if (state.version === 'c') {
+      linear = this.symbolEncoder.encode(linearData, linearType, {
+        linkage: 'c',
+      });
+    }
+
+    const component = this.createComponent(bits, state);
+    return {
+      ...this.stack(component, linear, linearType, state.version),
+      text: linear.text,
+      component: `CC-${state.version.toUpperCase()}`,
+      linearType,
+    };
+  }
+
+  /**
+   * Compact the element strings into the bit stream of the component: the
+   * encodation method, the general purpose data and the padding
+   * @param {Array} elements - Element strings as { ai, value }
+   * @param {Object} state - Component version and columns, moved up to a
+   *   larger version when the data needs it
+   * @returns {string} Bits
+   */
+  createBitStream(elements, state) {
+    const { method, chars } = this.getEncodationMethod(elements);
+    const { bits, mode } = this.encodeGeneralPurpose(chars, method, state);
+
+    const used = method.length + bits.length;
+    const remaining = this.getRemainingBits(used, state);
+    if (remaining < 0) {
+      throw new Error(
+        `Data needs ${used} bits, more than the largest composite component over ${state.linearType} holds`
+      );
+    }
+
+    const pad =
+      (mode === NUMERIC ? '0000' : '') +
+      PAD_PATTERN.repeat(Math.ceil(remaining / PAD_PATTERN.length));
+
+    return method + bits + pad.substring(0, remaining);
+  }
+
+  /**
+   * Pick the encodation method. Method '10' compresses a leading batch
+   * number or production or expiry date; method '0' takes everything as
+   * general purpose data.
+   * @param {Array} elements - Element strings as { ai, value }
+   * @returns {Object} Method bits and the characters left for the general
+   *   purpose data, FNC1 after variable length fields
+   */
+  getEncodationMethod(elements) {
+    let rest = elements;
+    let method = '0';
+    let prefix = [];
+
+    if (['10', '11', '17'].includes(elements[0].ai)) {
+      const [{ ai, value }] = elements;
+      method = '1011';
+
+      // Dates take 16 bits as YY * 384 + (MM - 1) * 32 + DD
+      if (ai !== '10' && /^\d{6}$/.test(value)) {
+        const [year, month, day] = value.match(/\d\d/g).map(Number);
+        method = `10${this.toBits(year * 384 + (month - 1) * 32 + day, 16)}${
+          ai === '11' ? '0' : '1'
+        }`;
+        rest = elements.slice(1);
+      }
+
+      if (rest.length === 0) {
+        method += '000001111';
+      } else if (rest[0].ai === '10') {
+        prefix = this.toChars(rest[0].value);
+        if (rest.length > 1) prefix.push(FNC1);
+        rest = rest.slice(1);
+      } else {
+        prefix = [FNC1];
+      }
+    }
+
+    const chars = [...prefix];
+    rest.forEach(({ ai, value }, index) => {
+      chars.push(...this.toChars(ai + value));
+      if (!GS1.hasPredefinedLength(ai) && index < rest.length - 1) {
+        chars.push(FNC1);
+      }
+    });
+
+    return { method, chars };
+  }
+
+  /**
+   * Encode the general purpose data in numeric, alphanumeric and ISO 646
+   * modes, switching by the runs of characters each mode takes
+   * @param {Array} chars - Character codes, FNC1 as -1
+   * @param {string} method - Encodation method bits before the data
+   * @param {Object} state - Component version and columns
+   * @returns {Object} Bits and the mode at the end
+   */
+  encodeGeneralPurpose(chars, method, state) {
+    const { numericRuns, alphanumericRuns, nextIso646 } = this.getRuns(chars);
+    let mode = NUMERIC;
+    let bits = '';
+    let i = 0;
+
+    const latch = next => {
+      bits += LATCHES[mode][next];
+      mode = next;
+    };
+
+    while (i < chars.length) {
+      const char = chars[i];
+
+      if (mode === NUMERIC) {
+        if (i < chars.length - 1) {
+          const pair = this.encodeNumeric(char, chars[i + 1]);
+          if (pair) {
+            bits += pair;
+            i += 2;
+          } else {
+            latch(ALPHANUMERIC);
+          }
+        } else if (!this.isDigit(char)) {
+          latch(ALPHANUMERIC);
+        } else {
+          // A last digit fits in 4 bits when that is all the room left,
+          // otherwise it is paired with FNC1
+          const remaining = this.getRemainingBits(
+            method.length + bits.length,
+            state
+          );
+          bits +=
+            remaining >= 4 && remaining <= 6
+              ? this.toBits(char - 47, 4).padEnd(remaining, '0')
+              : this.encodeNumeric(char, FNC1);
+          i++;
+        }
+      } else if (char === FNC1) {
+        bits += '01111';
+        mode = NUMERIC;
+        i++;
+      } else if (mode === ALPHANUMERIC) {
+        if (this.encodeAlphanumeric(char) === null) {
+          latch(ISO646);
+        } else if (
+          numericRuns[i] >= 6 ||
+          (numericRuns[i] >= 4 && i + numericRuns[i] === chars.length)
+        ) {
+          latch(NUMERIC);
+        } else {
+          bits += this.encodeAlphanumeric(char);
+          i++;
+        }
+      } else if (numericRuns[i] >= 4 && nextIso646[i] >= 10) {
+        latch(NUMERIC);
+      } else if (alphanumericRuns[i] >= 5 && nextIso646[i] >= 10) {
+        latch(ALPHANUMERIC);
+      } else {
+        const encoded = this.encodeIso646(char);
+        if (encoded === null) {
+          throw new Error(
+            `Invalid character in composite data: '${String.fromCharCode(
+              char
+            )}'`
+          );
+        }
+        bits += encoded;
+        i++;
+      }
+    }
+
+    return { bits, mode };
+  }
+
+  /**
+   * Measure from each position the characters numeric mode takes (as a
+   * pair count times two), the run alphanumeric mode takes, and the
+   * distance to the next character only ISO 646 mode has
+   * @param {Array} chars - Character codes, FNC1 as -1
+   * @returns {Object} Runs by position
+   */
+  getRuns(chars) {
+    const length = chars.length;
+    const numericRuns = [...new Array(length).fill(0), 0, -1];
+    const alphanumericRuns = new Array(length + 1).fill(0);
+    const nextIso646 = [...new Array(length).fill(0), 9999];
+
+    for (let i = length - 1; i >= 0; i--) {
+      const next = i < length - 1 ? chars[i + 1] : 48;
+      numericRuns[i] = this.encodeNumeric(chars[i], next)
+        ? numericRuns[i + 2] + 2
+        : 0;
+      alphanumericRuns[i] =
+        this.encodeAlphanumeric(chars[i]) !== null
+          ? alphanumericRuns[i + 1] + 1
+          : 0;
+      nextIso646[i] =
+        this.encodeAlphanumeric(chars[i]) === null &&
+        this.encodeIso646(chars[i]) !== null
+          ? 0
+          : nextIso646[i + 1] + 1;
+    }
+
+    return { numericRuns, alphanumericRuns, nextIso646 };
+  }
+
+  /**
+   * Encode two digits, or a digit and FNC1, in numeric mode
+   * @param {number} first - Character code, FNC1 as -1
+   * @param {number} second - Character code, FNC1 as -1
+   * @returns {string|null} 7 bits, or null when numeric mode cannot
+   */
+  encodeNumeric(first, second) {
+    const value = char => (char === FNC1 ? 10 : char - 48);
+    if (
+      !(this.isDigit(first) || first === FNC1) ||
+      !(this.isDigit(second) || second === FNC1) ||
+      (first === FNC1 && second === FNC1)
+    ) {
+      return null;
+    }
+
+    return this.toBits(value(first) * 11 + value(second) + 8, 7);
+  }
+
+  /**
+   * Encode a character in alphanumeric mode
+   * @param {number} char - Character code, FNC1 as -1
+   * @returns {string|null} Bits, or null when alphanumeric mode cannot
+   */
+  encodeAlphanumeric(char) {
+    if (char === FNC1) return '01111';
+    if (this.isDigit(char)) return this.toBits(char - 43, 5);
+    if (char >= 65 && char <= 90) return this.toBits(char - 33, 6);
+    if (char === 42) return '111010';
+    if (char >= 44 && char <= 47) return this.toBits(char + 15, 6);
+    return null;
+  }
+
+  /**
+   * Encode a character in ISO 646 mode
+   * @param {number} char - Character code, FNC1 as -1
+   * @returns {string|null} Bits, or null when ISO 646 mode cannot
+   */
+  encodeIso646(char) {
+    if (char === FNC1) return '01111';
+    if (this.isDigit(char)) return this.toBits(char - 43, 5);
+    if (char >= 65 && char <= 90) return this.toBits(char - 1, 7);
+    if (char >= 97 && char <= 122) return this.toBits(char - 7, 7);
+    if (char === 33 || char === 34) return this.toBits(char + 199, 8);
+    if (char >= 37 && char <= 47) return this.toBits(char + 197, 8);
+    if (char >= 58 && char <= 63) return this.toBits(char + 187, 8);
+    if (char === 95) return '11111011';
+    if (char === 32) return '11111100';
+    return null;
+  }
+
+  /**
+   * Get the bits left in the smallest component that holds the data,
+   * moving up from CC-A to CC-B, and to CC-C under GS1-128
+   * @param {number} used - Bits used
+   * @param {Object} state - Component version and columns, updated in place
+   * @returns {number} Bits left, or -1 when no component holds the data
+   */
+  getRemainingBits(used, state) {
+    if (state.version !== 'c') {
+      const capacity = BIT_CAPACITIES[state.version][state.columns].find(
+        bits => bits >= used
+      );
+      if (capacity !== undefined) {
+        return capacity - used;
+      }
+
+      if (state.version === 'a') {
+        state.version = 'b';
+      } else if (state.linearType === 'gs1128') {
+        state.version = 'c';
+        state.columns = Math.max(1, Math.floor((state.linearWidth - 52) / 17));
+      } else {
+        return -1;
+      }
+      return this.getRemainingBits(used, state);
+    }
+
+    if (used > MAX_CCC_BITS) {
+      return -1;
+    }
+
+    // CC-C is byte compacted after the symbol length descriptor, the 920
+    // linkage codeword and a byte latch
+    const bytes = Math.ceil(used / 8);
+    const codewords = Math.floor(bytes / 6) * 5 + (bytes % 6);
+    let eccCount = 8;
+    if (codewords > 833) eccCount = 32;
+    else if (codewords > 320) eccCount = 64;
+    else if (codewords > 160) eccCount = 32;
+    else if (codewords > 40) eccCount = 16;
+    const total = codewords + eccCount + 3;
+
+    // Columns follow the linear symbol's width, but rows stop at 30
+    state.columns = Math.min(state.columns, 30);
+    while (Math.ceil(total / state.columns) > 30 && state.columns < 30) {
+      state.columns++;
+    }
+    state.rows = Math.max(3, Math.ceil(total / state.columns));
+    state.eccCount = eccCount;
+
+    const capacity = state.columns * state.rows - eccCount - 3;
+    return (Math.floor(capacity / 5) * 6 + (capacity % 5)) * 8 - used;
+  }
+
+  /**
+   * Draw the component for a full bit stream
+   * @param {string} bits - Bit stream
+   * @param {Object} state - Component version, columns and CC-C size
+   * @returns {Object} Matrix symbol
+   */
+  createComponent(bits, state) {
+    const { version, columns } = state;
+    const { rowHeight } =
+      version === 'c'
+        ? this.pdf417.defaultOptions
+        : this.microPdf417.defaultOptions;
+
+    // CC-A turns each 69 bits into 7 codewords in base 928
+    if (version === 'a') {
+      const codewords = [];
+      for (let i = 0; i < bits.length; i += 69) {
+        const chunk = bits.substring(i, i + 69);
+        codewords.push(
+          ...this.toBase928(chunk, Math.floor(chunk.length / 10) + 1)
+        );
+      }
+      return this.microPdf417.createSymbol(codewords, {
+        columns,
+        rowHeight,
+        cca: true,
+      });
+    }
+
+    const bytes = bits.match(/.{8}/g).map(byte => parseInt(byte, 2));
+    const data = [920];
+    this.pdf417.encodeBytes(bytes, data);
+
+    if (version === 'b') {
+      return this.microPdf417.createSymbol(data, { columns, rowHeight });
+    }
+
+    const { rows, eccCount } = state;
+    const codewords = [columns * rows - eccCount, ...data];
+    codewords.push(...this.pdf417.computeErrorCorrection(codewords, eccCount));
+    const modules = this.pdf417.createRows(codewords, {
+      columns,
+      rows,
+      eccLevel: Math.log2(eccCount) - 1,
+      compact: false,
+    });
+
+    return { modules, rowHeights: modules.map(() => rowHeight) };
+  }
+
+  /**
+   * Place the component and the linear symbol, with the separator between
+   * them, the way their specifications align them
+   * @param {Object} component - Component symbol
+   * @param {Object} linear - Linear symbol
+   * @param {string} linearType - Linear barcode type
+   * @param {string} version - Component version
+   * @returns {Object} Module grid, row heights and the linear symbol
+   */
+  stack(component, linear, linearType, version) {
+    const width = component.modules[0].length;
+    const bits = this.toBits(linear.widths);
+    let componentOffset = 0;
+    let linearOffset;
+    let separators;
+    let separatorHeight = 1;
+
+    if (['ean13', 'upca', 'ean8', 'upce'].includes(linearType)) {
+      // The separator runs one module past the linear symbol on each side
+      linearOffset = width - bits.length - 1;
+      separators = GUARD_SEPARATOR.map(ends => ({
+        bits: ends + '0'.repeat(bits.length - 2) + [...ends].reverse().join(''),
+        offset: -1,
+      }));
+      separatorHeight = 2;
+    } else if (linearType === 'databaromni') {
+      linearOffset = width + 1 - bits.length;
+      separators = [{ bits: this.createDataBarSeparator(bits), offset: 0 }];
+    } else if (linearType === 'databarlimited') {
+      // The component ends 6 modules before the symbol's right guard space
+      linearOffset = Math.max(0, width + 6 - bits.length);
+      componentOffset = linearOffset + bits.length - 6 - width;
+      separators = [
+        {
+          bits: `000${this.invert(bits).substring(3, bits.length - 9)}${'0'.repeat(9)}`,
+          offset: 0,
+        },
+      ];
+    } else {
+      // CC-A and CC-B start above the symbol character that ISO/IEC 24723
+      // gives by the symbol length; CC-C starts 7 modules left
+      let shift = -7;
+      if (version !== 'c') {
+        const characters = Math.floor((bits.length - 2) / 11);
+        const p = Math.trunc((characters - 9) / 2);
+        shift = (characters - p - 1) * 11 + 10 + (p === 0 ? 2 : 0) - width;
+      }
+      componentOffset = Math.max(0, shift);
+      linearOffset = Math.max(0, -shift);
+      separators = [{ bits: this.invert(bits), offset: 0 }];
+    }
+
+    const columns = Math.max(
+      componentOffset + width,
+      linearOffset + bits.length
+    );
+    const place = (row, offset) => {
+      const placed = new Array(columns).fill(false);
+      row.forEach((dark, i) => {
+        placed[offset + i] = dark;
+      });
+      return placed;
+    };
+
+    const modules = [
+      ...component.modules.map(row => place(row, componentOffset)),
+      ...separators.map(separator =>
+        place(
+          Array.from(separator.bits, bit => bit === '1'),
+          linearOffset + separator.offset
+        )
+      ),
+    ];
+
+    return {
+      kind: 'composite',
+      rows: modules.length,
+      columns,
+      modules,
+      rowHeights: [
+        ...component.rowHeights,
+        ...separators.map(() => separatorHeight),
+      ],
+      widths: linear.widths,
+      guards: linear.guards,
+      linearOffset,
+    };
+  }
+
+  /**
+   * Build the separator of a DataBar Omnidirectional symbol: the inverse of
+   * the symbol, with alternating modules over the finder patterns
+   * @param {string} bits - Linear symbol modules
+   * @returns {string} Separator modules
+   */
+  createDataBarSeparator(bits) {
+    const separator = Array.from(this.invert(bits));
+    separator.fill('0', 0, 4);
+    separator.fill('0', bits.length - 4);
+
+    DATABAR_FINDERS.forEach(start => {
+      for (let i = start; i <= start + 12; i++) {
+        let bit = '0';
+        if (bits[i] === '0') {
+          bit = bits[i - 1] === '1' || separator[i - 1] === '0' ? '1' : '0';
+        }
+        separator[i] = bit;
+      }
+      if (bits.substring(start, start + 13) === DATABAR_FINDER_3) {
+        separator.splice(start, 13, ...DATABAR_FINDER_3_SEPARATOR);
+      }
+    });
+
+    return separator.join('');
+  }
+
+  /**
+   * Convert a bit string to base 928 by long division
+   * @param {string} bits - Bits, most significant first
+   * @param {number} count - Digits to produce
+   * @returns {Array} Base 928 digits, most significant first
+   */
+  toBase928(bits, count) {
+    let value = Array.from(bits, Number);
+    const digits = [];
+
+    for (let k = 0; k < count; k++) {
+      let remainder = 0;
+      value = value.map(bit => {
+        remainder = remainder * 2 + bit;
+        const quotient = remainder >= 928 ? 1 : 0;
+        remainder -= quotient * 928;
+        return quotient;
+      });
+      digits.unshift(remainder);
+    }
+
+    return digits;
+  }
+
+  /**
+   * Expand bar and space widths to modules
+   * @param {Array|number} widths - Widths starting with a bar, or a number
+   *   to write in binary
+   * @param {number} length - Bits for a number
+   * @returns {string} '1' for bars, '0' for spaces
+   */
+  toBits(widths, length) {
+    if (typeof widths === 'number') {
+      return widths.toString(2).padStart(length, '0');
+    }
+    return widths
+      .map((width, i) => (i % 2 === 0 ? '1' : '0').repeat(width))
+      .join('');
+  }
+
+  /**
+   * Swap bars and spaces
+   * @param {string} bits - Modules
+   * @returns {string} Inverted modules
+   */
+  invert(bits) {
+    return Array.from(bits, bit => (bit === '1' ? '0' : '1')).join('');
+  }
+
+  /**
+   * Convert a string to character codes
+   * @param {string} text - Text
+   * @returns {Array} Character codes
+   */
+  toChars(text) {
+    return Array.from(text, char => char.charCodeAt(0));
+  }
+
+  /**
+   * Check if a character code is a digit
+   * @param {number} char - Character code, FNC1 as -1
+   * @returns {boolean} True for 0-9
+   */
+  isDigit(char) {
+    return char >= 48 && char <= 57;
+  }
+}
+
+module.exports = CompositeEncoder;
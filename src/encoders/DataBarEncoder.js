@@ -0,0 +1,263 @@
+/**
+ * DataBar Encoder - Encodes a GTIN into a GS1 DataBar Omnidirectional symbol
+ *
+ * The first 13 digits of the GTIN-14 are split into four values, each drawn
+ * as a symbol character of 15 or 16 modules (ISO/IEC 24724). Two finder
+ * patterns chosen by a modulo 79 checksum sit between the characters. A
+ * linkage flag tells the scanner that a GS1 composite component follows.
+ */
+
+// Character groups as [largest value, group offset, odd and even modules,
+// widest odd and even element, odd and even combinations]
+const OUTSIDE_GROUPS = [
+  [160, 0, 12, 4, 8, 1, 161, 1],
+  [960, 161, 10, 6, 6, 3, 80, 10],
+  [2014, 961, 8, 8, 4, 5, 31, 34],
+  [2714, 2015, 6, 10, 3, 6, 10, 70],
+  [2840, 2715, 4, 12, 1, 8, 1, 126],
+];
+const INSIDE_GROUPS = [
+  [335, 0, 5, 10, 2, 7, 4, 84],
+  [1035, 336, 7, 8, 4, 5, 20, 35],
+  [1515, 1036, 9, 6, 6, 3, 48, 10],
+  [1596, 1516, 11, 4, 8, 1, 81, 1],
+];
+
+const CHECK_WEIGHTS = [
+  1, 3, 9, 27, 2, 6, 18, 54, 58, 72, 24, 8, 29, 36, 12, 4, 74, 51, 17, 32, 37,
+  65, 48, 16, 64, 34, 23, 69, 49, 68, 46, 59,
+];
+
+// Finder patterns as element widths, starting with a space
+const FINDERS = [
+  [3, 8, 2, 1, 1],
+  [3, 5, 5, 1, 1],
+  [3, 3, 7, 1, 1],
+  [3, 1, 9, 1, 1],
+  [2, 7, 4, 1, 1],
+  [2, 5, 6, 1, 1],
+  [2, 3, 8, 1, 1],
+  [1, 5, 7, 1, 1],
+  [1, 3, 9, 1, 1],
+];
+
+class DataBarEncoder {
+  constructor() {
+    this.defaultOptions = {
+      linkage: false,
+    };
+  }
+
+  /**
+   * Encode a GTIN as GS1 DataBar
+   * @param {string} data - 13 or 14 digits, optionally after '(01)'
+   * @param {Object} options - Encoding options (linkage)
+   * @returns {Object} Linear symbol
+   */
+  encode(data, options = {}) {
+    const { linkage } = { ...this.defaultOptions, ...options };
+    const gtin = this.parseGTIN(data);
+
+    return {
+      kind: 'linear',
+      widths: this.createWidths(Number(gtin.substring(0, 13)), linkage),
+      guards: [],
+      text: `(01)${gtin}`,
+    };
+  }
+
+  /**
+   * Check the GTIN and complete it to 14 digits
+   * @param {string} data - 13 or 14 digits, optionally after '(01)'
+   * @returns {string} GTIN-14 with its check digit
+   */
+  parseGTIN(data) {
+    const digits = data.startsWith('(01)') ? data.substring(4) : data;
+    if (!/^\d{13,14}$/.test(digits)) {
+      throw new Error(
+        'GS1 DataBar requires a GTIN of 13 digits, or 14 with the check digit'
+      );
+    }
+
+    let sum = 0;
+    for (let i = 0; i < 13; i++) {
+      sum += Number(digits[i]) * (i % 2 === 0 ? 3 : 1);
+    }
+    const checkDigit = String((10 - (sum % 10)) % 10);
+
+    if (digits.length === 14 && digits[13] !== checkDigit) {
+      throw new Error('Invalid GTIN check digit');
+    }
+
+    return digits.substring(0, 13) + checkDigit;
+  }
+
+  /**
+   * Build the bar and space widths: left guard, the four characters with
+   * the finder patterns between them, right guard
+   * @param {number} value - The first 13 GTIN digits
+   * @param {boolean} linkage - A composite component follows
+   * @returns {Array} Widths, starting with an empty bar
+   */
+  createWidths(value, linkage) {
+    const total = value + (linkage ? 10 ** 13 : 0);
+    const left = Math.floor(total / 4537077);
+    const right = total % 4537077;
+
+    const characters = [
+      this.createCharacter(Math.floor(left / 1597), OUTSIDE_GROUPS, false),
+      this.createCharacter(left % 1597, INSIDE_GROUPS, true),
+      this.createCharacter(Math.floor(right / 1597), OUTSIDE_GROUPS, false),
+      this.createCharacter(right % 1597, INSIDE_GROUPS, true),
+    ];
+
+    // The second and third characters read right to left
+    characters[1].reverse();
+    characters[2].reverse();
+
+    const widths = characters.flat();
+    let checksum =
+      widths.reduce((sum, width, i) => sum + width * CHECK_WEIGHTS[i], 0) % 79;
+    if (checksum >= 8) checksum++;
+    if (checksum >= 72) checksum++;
+
+    return [
+      0,
+      1,
+      1,
+      ...characters[0],
+      ...FINDERS[Math.floor(checksum / 9)],
+      ...characters[1],
+      ...characters[3],
+      ...[...FINDERS[checksum % 9]].reverse(),
+      ...characters[2],
+      1,
+      1,
+    ];
+  }
+
+  /**
+   * Get the element widths of a symbol character, odd and even elements
+   * interleaved
+   * @param {number} value - Character value
+   * @param {Array} groups - Character groups
+   * @param {boolean} inside - Inside characters put the combinations of the
+   *   even elements first
+   * @param {number} elements - Odd (and even) elements of the character
+   * @returns {Array} Element widths
+   */
+  createCharacter(value, groups, inside, elements = 4) {
+    const [
+      ,
+      offset,
+      oddModules,
+      evenModules,
+      oddWidest,
+      evenWidest,
+      odds,
+      evens,
+    ] = groups.find(([largest]) => value <= largest);
+    const relative = value - offset;
+    const [oddValue, evenValue] = inside
+      ? [relative % odds, Math.floor(relative / odds)]
+      : [Math.floor(relative / evens), relative % evens];
+
+    const odd = DataBarEncoder.getWidths(
+      oddValue,
+      oddModules,
+      elements,
+      oddWidest,
+      !inside
+    );
+    const even = DataBarEncoder.getWidths(
+      evenValue,
+      evenModules,
+      elements,
+      evenWidest,
+      inside
+    );
+
+    return odd.flatMap((width, i) => [width, even[i]]);
+  }
+
+  /**
+   * Get the widths of the elements that carry a value (ISO/IEC 24724 Annex
+   * B). The value is the index of the width combination.
+   * @param {number} value - Value
+   * @param {number} modules - Modules of all the elements together
+   * @param {number} elements - Number of elements
+   * @param {number} widest - Widest element allowed
+   * @param {boolean} noNarrow - Allow combinations without a narrow element
+   * @returns {Array} Element widths
+   */
+  static getWidths(value, modules, elements, widest, noNarrow) {
+    const widths = [];
+    let remaining = value;
+    let left = modules;
+    let narrowMask = 0;
+
+    for (let bar = 0; bar < elements - 1; bar++) {
+      let width = 1;
+      let subValue;
+      narrowMask |= 1 << bar;
+
+      for (;;) {
+        subValue = this.combinations(left - width - 1, elements - bar - 2);
+        if (
+          !noNarrow &&
+          narrowMask === 0 &&
+          left - width - (elements - bar - 1) >= elements - bar - 1
+        ) {
+          subValue -= this.combinations(
+            left - width - (elements - bar),
+            elements - bar - 2
+          );
+        }
+        if (elements - bar - 1 > 1) {
+          let lessValue = 0;
+          for (
+            let widestElement = left - width - (elements - bar - 2);
+            widestElement > widest;
+            widestElement--
+          ) {
+            lessValue += this.combinations(
+              left - width - widestElement - 1,
+              elements - bar - 3
+            );
+          }
+          subValue -= lessValue * (elements - 1 - bar);
+        } else if (left - width > widest) {
+          subValue--;
+        }
+
+        remaining -= subValue;
+        if (remaining < 0) break;
+        width++;
+        narrowMask &= ~(1 << bar);
+      }
+
+      remaining += subValue;
+      left -= width;
+      widths.push(width);
+    }
+    widths.push(left);
+
+    return widths;
+  }
+
+  /**
+   * Count the combinations of r out of n
+   * @param {number} n - Items
+   * @param {number} r - Items chosen
+   * @returns {number} n choose r
+   */
+  static combinations(n, r) {
+    let result = 1;
+    for (let i = 1; i <= r; i++) {
+      result = (result * (n - r + i)) / i;
+    }
+    return result;
+  }
+}
+
+module.exports = DataBarEncoder;
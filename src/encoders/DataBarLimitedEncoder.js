@@ -0,0 +1,118 @@
+/**
+ * DataBar Limited Encoder - Encodes a GTIN into a GS1 DataBar Limited symbol
+ *
+ * DataBar Limited holds GTINs starting with 0 or 1 in two symbol characters
+ * of 26 modules around a check character, 79 modules in all with the guards.
+ * The check character carries a modulo 89 checksum in place of finder
+ * patterns (ISO/IEC 24724).
+ */
+
+const DataBarEncoder = require('./DataBarEncoder');
+
+// Character groups as [largest value, group offset, odd and even modules,
+// widest odd and even element, odd and even combinations]
+const GROUPS = [
+  [183063, 0, 17, 9, 6, 3, 6538, 28],
+  [820063, 183064, 13, 13, 5, 4, 875, 728],
+  [1000775, 820064, 9, 17, 3, 6, 28, 6454],
+  [1491020, 1000776, 15, 11, 5, 4, 2415, 203],
+  [1979844, 1491021, 11, 15, 4, 5, 203, 2408],
+  [1996938, 1979845, 19, 7, 8, 1, 17094, 1],
+  [2013570, 1996939, 7, 19, 1, 8, 1, 16632],
+];
+
+const CHECK_WEIGHTS = [
+  1, 3, 9, 27, 81, 65, 17, 51, 64, 14, 42, 37, 22, 66, 20, 60, 2, 6, 18, 54, 73,
+  41, 34, 13, 39, 28, 84, 74,
+];
+
+// Check character values of the 89 checksums, as runs of consecutive values
+const CHECK_VALUES = [
+  [0, 43],
+  [45],
+  [52],
+  [57],
+  [63, 66],
+  [73, 79],
+  [82],
+  [126, 130],
+  [132],
+  [141, 146],
+  [210, 217],
+  [220],
+  [316, 320],
+  [322, 323],
+  [326],
+  [337],
+].flatMap(([from, to = from]) =>
+  Array.from({ length: to - from + 1 }, (_, i) => from + i)
+);
+
+// Added to the value to flag a composite component
+const LINKAGE_VALUE = 2015133531096;
+
+class DataBarLimitedEncoder extends DataBarEncoder {
+  /**
+   * Check the GTIN and complete it to 14 digits
+   * @param {string} data - 13 or 14 digits, optionally after '(01)'
+   * @returns {string} GTIN-14 with its check digit
+   */
+  parseGTIN(data) {
+    const gtin = super.parseGTIN(data);
+    if (gtin[0] > '1') {
+      throw new Error(
+        'GS1 DataBar Limited requires a GTIN starting with 0 or 1'
+      );
+    }
+    return gtin;
+  }
+
+  /**
+   * Build the bar and space widths: left guard, the two characters around
+   * the check character, right guard and its 5 module space
+   * @param {number} value - The first 13 GTIN digits
+   * @param {boolean} linkage - A composite component follows
+   * @returns {Array} Widths, starting with an empty bar
+   */
+  createWidths(value, linkage) {
+    const total = value + (linkage ? LINKAGE_VALUE : 0);
+    const left = this.createCharacter(
+      Math.floor(total / 2013571),
+      GROUPS,
+      false,
+      7
+    );
+    const right = this.createCharacter(total % 2013571, GROUPS, false, 7);
+
+    const checksum =
+      [...left, ...right].reduce(
+        (sum, width, i) => sum + width * CHECK_WEIGHTS[i],
+        0
+      ) % 89;
+    const check = CHECK_VALUES[checksum];
+    const spaces = DataBarEncoder.getWidths(
+      Math.floor(check / 21),
+      8,
+      6,
+      3,
+      true
+    );
+    const bars = DataBarEncoder.getWidths(check % 21, 8, 6, 3, true);
+
+    return [
+      0,
+      1,
+      1,
+      ...left,
+      ...spaces.flatMap((width, i) => [width, bars[i]]),
+      1,
+      1,
+      ...right,
+      1,
+      1,
+      5,
+    ];
+  }
+}
+
+module.exports = DataBarLimitedEncoder;
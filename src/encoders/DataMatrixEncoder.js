@@ -0,0 +1,1035 @@
+/**
+ * Data Matrix Encoder - Encodes data into an ECC 200 Data Matrix symbol
+ *
+ * Data is compacted with the ASCII, C40, Text, X12, EDIFACT and Base 256
+ * encodation schemes, switching between them with the look-ahead test of
+ * ISO/IEC 16022 Annex P. The codewords are protected with Reed-Solomon
+ * error correction and placed in the smallest symbol that holds them.
+ */
+
+const { GS1 } = require('./GS1');
+
+// Symbol rows and columns, data region rows and columns, data codewords,
+// error correction codewords and interleaved Reed-Solomon blocks
+const SYMBOL_SIZES = [
+  [10, 10, 8, 8, 3, 5, 1],
+  [12, 12, 10, 10, 5, 7, 1],
+  [14, 14, 12, 12, 8, 10, 1],
+  [16, 16, 14, 14, 12, 12, 1],
+  [18, 18, 16, 16, 18, 14, 1],
+  [20, 20, 18, 18, 22, 18, 1],
+  [22, 22, 20, 20, 30, 20, 1],
+  [24, 24, 22, 22, 36, 24, 1],
+  [26, 26, 24, 24, 44, 28, 1],
+  [32, 32, 14, 14, 62, 36, 1],
+  [36, 36, 16, 16, 86, 42, 1],
+  [40, 40, 18, 18, 114, 48, 1],
+  [44, 44, 20, 20, 144, 56, 1],
+  [48, 48, 22, 22, 174, 68, 1],
+  [52, 52, 24, 24, 204, 84, 2],
+  [64, 64, 14, 14, 280, 112, 2],
+  [72, 72, 16, 16, 368, 144, 4],
+  [80, 80, 18, 18, 456, 192, 4],
+  [88, 88, 20, 20, 576, 224, 4],
+  [96, 96, 22, 22, 696, 272, 4],
+  [104, 104, 24, 24, 816, 336, 6],
+  [120, 120, 18, 18, 1050, 408, 6],
+  [132, 132, 20, 20, 1304, 496, 8],
+  [144, 144, 22, 22, 1558, 620, 10],
+  [8, 18, 6, 16, 5, 7, 1],
+  [8, 32, 6, 14, 10, 11, 1],
+  [12, 26, 10, 24, 16, 14, 1],
+  [12, 36, 10, 16, 22, 18, 1],
+  [16, 36, 14, 16, 32, 24, 1],
+  [16, 48, 14, 22, 49, 28, 1],
+].map(
+  ([
+    rows,
+    columns,
+    regionRows,
+    regionColumns,
+    dataCodewords,
+    errorCodewords,
+    blocks,
+  ]) => ({
+    rows,
+    columns,
+    regionRows,
+    regionColumns,
+    dataCodewords,
+    errorCodewords,
+    blocks,
+  })
+);
+
+const SHAPES = {
+  square: size => size.rows === size.columns,
+  rectangle: size => size.rows !== size.columns,
+  any: () => true,
+};
+
+// FNC1 in the message, outside the byte range
+const FNC1 = 0x100;
+
+const PAD = 129;
+const FNC1_CODEWORD = 232;
+const UPPER_SHIFT = 235;
+const ECI = 241;
+const UNLATCH = 254;
+const EDIFACT_UNLATCH = 31;
+
+// Latch codewords from ASCII
+const LATCHES = {
+  c40: 230,
+  base256: 231,
+  x12: 238,
+  text: 239,
+  edifact: 240,
+};
+
+// ECI 000026 (UTF-8) designator codeword
+const UTF8_ECI = 27;
+
+// Codeword positions of the modules of a codeword, from the most significant bit
+const UTAH = [
+  [-2, -2],
+  [-2, -1],
+  [-1, -2],
+  [-1, -1],
+  [-1, 0],
+  [0, -2],
+  [0, -1],
+  [0, 0],
+];
+
+// GF(256) with the prime polynomial x^8 + x^5 + x^3 + x^2 + 1
+const EXP = new Array(255);
+const LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x12d;
+}
+
+class DataMatrixEncoder {
+  constructor() {
+    this.defaultOptions = {
+      shape: 'square',
+      symbolSize: undefined,
+      gs1: false,
+    };
+    this.generators = {};
+
+    // Encoders for each encodation scheme, run until they switch scheme
+    this.encoders = {
+      ascii: context => this.encodeASCII(context),
+      c40: context => this.encodeC40(context),
+      text: context => this.encodeC40(context),
+      x12: context => this.encodeX12(context),
+      edifact: context => this.encodeEDIFACT(context),
+      base256: context => this.encodeBase256(context),
+    };
+  }
+
+  /**
+   * Encode data as an ECC 200 Data Matrix
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (shape, symbolSize, gs1)
+   * @returns {Object} Matrix symbol
+   */
+  encode(data, options = {}) {
+    const encodeOptions = { ...this.defaultOptions, ...options };
+    const sizes = this.getSizes(encodeOptions);
+    const context = this.createContext(data, encodeOptions.gs1);
+
+    while (context.pos < context.message.length) {
+      this.encoders[context.mode](context);
+    }
+
+    const { size, codewords } = this.fit(context, sizes);
+    const modules = this.createModules(
+      size,
+      this.addErrorCorrection(codewords, size)
+    );
+
+    return {
+      kind: 'matrix',
+      rows: size.rows,
+      columns: size.columns,
+      modules,
+      quietZone: 1,
+      gs1: Boolean(encodeOptions.gs1),
+    };
+  }
+
+  /**
+   * Get the candidate symbol sizes, smallest capacity first
+   * @param {Object} options - Encoding options
+   * @returns {Array} Symbol sizes
+   */
+  getSizes(options) {
+    if (options.symbolSize) {
+      const name = String(options.symbolSize).toLowerCase();
+      const size = SYMBOL_SIZES.find(
+        ({ rows, columns }) => `${rows}x${columns}` === name
+      );
+      if (!size) {
+        throw new Error(
+          `Invalid symbol size: ${options.symbolSize}. Supported sizes: ${SYMBOL_SIZES.map(
+            ({ rows, columns }) => `${rows}x${columns}`
+          ).join(', ')}`
+        );
+      }
+      return [size];
+    }
+
+    if (!SHAPES[options.shape]) {
+      throw new Error(
+        `Invalid shape: ${options.shape}. Supported shapes: ${Object.keys(
+          SHAPES
+        ).join(', ')}`
+      );
+    }
+
+    return SYMBOL_SIZES.filter(SHAPES[options.shape]).sort(
+      (a, b) => a.dataCodewords - b.dataCodewords
+    );
+  }
+
+  /**
+   * Create the encoding context: the message as byte values, with FNC1 as
+   * its own value, and the codewords written before it
+   * @param {string} data - The data to encode
+   * @param {boolean} gs1 - Encode a GS1 element string in FNC1 mode
+   * @returns {Object} Encoding context
+   */
+  createContext(data, gs1) {
+    let message;
+    let codewords = [];
+
+    if (gs1) {
+      // FNC1 in the first position marks GS1 data, then separates fields
+      message = [];
+      codewords = [FNC1_CODEWORD];
+      GS1.split(data).forEach((field, index) => {
+        if (index > 0) message.push(FNC1);
+        message.push(...Array.from(field, char => char.charCodeAt(0)));
+      });
+    } else if (/^[\x00-\xff]*$/.test(data)) {
+      // ISO 8859-1 is the default interpretation
+      message = Array.from(data, char => char.charCodeAt(0));
+    } else {
+      message = [...Buffer.from(data, 'utf8')];
+      codewords = [ECI, UTF8_ECI];
+    }
+
+    return {
+      message,
+      pos: 0,
+      codewords,
+      mode: 'ascii',
+      // ASCII does not latch to another scheme before this position
+      latchFrom: 0,
+      edifactExit: null,
+    };
+  }
+
+  /**
+   * Encode the next character in ASCII, or latch to a denser scheme
+   * @param {Object} context - Encoding context
+   */
+  encodeASCII(context) {
+    const { message, codewords } = context;
+    const char = message[context.pos];
+    const next = message[context.pos + 1];
+
+    // Digit pairs take one codeword
+    if (this.isDigit(char) && this.isDigit(next)) {
+      codewords.push(130 + (char - 48) * 10 + (next - 48));
+      context.pos += 2;
+      return;
+    }
+
+    if (char === FNC1) {
+      codewords.push(FNC1_CODEWORD);
+      context.pos++;
+      return;
+    }
+
+    if (context.pos >= context.latchFrom) {
+      const mode = this.lookAhead(message, context.pos, 'ascii');
+      if (mode !== 'ascii' && this.canLatch(mode, message, context.pos)) {
+        codewords.push(LATCHES[mode]);
+        context.mode = mode;
+        return;
+      }
+    }
+
+    if (char > 127) {
+      codewords.push(UPPER_SHIFT, char - 127);
+    } else {
+      codewords.push(char + 1);
+    }
+    context.pos++;
+  }
+
+  /**
+   * Check that a scheme will encode at least one character if latched to
+   * @param {string} mode - Encodation scheme
+   * @param {Array} message - Message values
+   * @param {number} pos - Current position
+   * @returns {boolean} True if the latch makes progress
+   */
+  canLatch(mode, message, pos) {
+    switch (mode) {
+      case 'x12':
+        // X12 only ends on a whole triplet
+        return (
+          pos + 3 <= message.length &&
+          message.slice(pos, pos + 3).every(char => this.isX12(char))
+        );
+      case 'edifact':
+        return this.isEDIFACT(message[pos]);
+      case 'base256':
+        return message[pos] !== FNC1;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Encode characters in C40 or Text until the look-ahead test leaves it
+   * @param {Object} context - Encoding context
+   */
+  encodeC40(context) {
+    const { message, mode } = context;
+    const start = context.pos;
+    const values = [];
+    const lengths = [];
+
+    while (context.pos < message.length) {
+      const count = values.length;
+      this.pushC40Values(message[context.pos], mode, values);
+      lengths.push(values.length - count);
+      context.pos++;
+
+      if (
+        values.length % 3 === 0 &&
+        this.lookAhead(message, context.pos, mode) !== mode
+      ) {
+        break;
+      }
+    }
+
+    // At the end of data, a single value left over goes back to ASCII
+    // with its character, and two values are padded with Shift 1
+    while (values.length % 3 === 1) {
+      values.length -= lengths.pop();
+      context.pos--;
+    }
+    if (values.length % 3 === 2) {
+      values.push(0);
+    }
+
+    this.writeTriplets(context, values);
+    this.leave(context, start);
+  }
+
+  /**
+   * Push the C40 or Text values of a character
+   * @param {number} char - Character value
+   * @param {string} mode - 'c40' or 'text'
+   * @param {Array} values - Values to append to
+   */
+  pushC40Values(char, mode, values) {
+    if (char === FNC1) {
+      values.push(1, 27);
+      return;
+    }
+
+    // Upper Shift, from the Shift 2 set, for ISO 8859-1 characters
+    if (char > 127) {
+      values.push(1, 30);
+      char -= 128;
+    }
+
+    if (char === 32) {
+      values.push(3);
+    } else if (this.isDigit(char)) {
+      values.push(char - 44);
+    } else if (mode === 'c40' && char >= 65 && char <= 90) {
+      values.push(char - 51);
+    } else if (mode === 'text' && char >= 97 && char <= 122) {
+      values.push(char - 83);
+    } else if (char < 32) {
+      values.push(0, char);
+    } else if (char <= 47) {
+      values.push(1, char - 33);
+    } else if (char <= 64) {
+      values.push(1, char - 43);
+    } else if (char <= 90) {
+      values.push(2, char - 64);
+    } else if (char <= 95) {
+      values.push(1, char - 69);
+    } else {
+      values.push(2, char - 96);
+    }
+  }
+
+  /**
+   * Encode characters in X12 while they belong to its set
+   * @param {Object} context - Encoding context
+   */
+  encodeX12(context) {
+    const { message } = context;
+    const start = context.pos;
+    const values = [];
+
+    while (context.pos < message.length && this.isX12(message[context.pos])) {
+      values.push(this.getX12Value(message[context.pos]));
+      context.pos++;
+
+      if (
+        values.length % 3 === 0 &&
+        this.lookAhead(message, context.pos, 'x12') !== 'x12'
+      ) {
+        break;
+      }
+    }
+
+    // X12 has no padding; a partial triplet goes back to ASCII
+    const rest = values.length % 3;
+    values.length -= rest;
+    context.pos -= rest;
+
+    this.writeTriplets(context, values);
+    this.leave(context, start);
+  }
+
+  /**
+   * Get the X12 value of a character
+   * @param {number} char - Character value
+   * @returns {number} X12 value
+   */
+  getX12Value(char) {
+    const specials = { 13: 0, 42: 1, 62: 2, 32: 3 };
+    if (char in specials) return specials[char];
+    return this.isDigit(char) ? char - 44 : char - 51;
+  }
+
+  /**
+   * Pack C40, Text or X12 values three to a codeword pair
+   * @param {Object} context - Encoding context
+   * @param {Array} values - Values, a multiple of three
+   */
+  writeTriplets(context, values) {
+    for (let i = 0; i < values.length; i += 3) {
+      const value = 1600 * values[i] + 40 * values[i + 1] + values[i + 2] + 1;
+      context.codewords.push(value >> 8, value & 0xff);
+    }
+  }
+
+  /**
+   * Return to ASCII after C40, Text or X12, unless the data has ended
+   * @param {Object} context - Encoding context
+   * @param {number} start - Position the scheme started at
+   */
+  leave(context, start) {
+    if (context.pos < context.message.length) {
+      context.codewords.push(UNLATCH);
+      context.mode = 'ascii';
+    }
+
+    if (context.pos === start) {
+      context.latchFrom = start + 1;
+    }
+  }
+
+  /**
+   * Encode characters in EDIFACT, four to three codewords
+   * @param {Object} context - Encoding context
+   */
+  encodeEDIFACT(context) {
+    const { message, codewords } = context;
+    let values = [];
+
+    while (
+      context.pos < message.length &&
+      this.isEDIFACT(message[context.pos])
+    ) {
+      values.push(message[context.pos] & 0x3f);
+      context.pos++;
+
+      if (values.length === 4) {
+        this.writeEDIFACT(codewords, values);
+        values = [];
+        if (this.lookAhead(message, context.pos, 'edifact') !== 'edifact') {
+          break;
+        }
+      }
+    }
+
+    // The unlatch ends the scheme; `fit` may need these characters in ASCII
+    const start = codewords.length;
+    this.writeEDIFACT(codewords, [...values, EDIFACT_UNLATCH]);
+    context.edifactExit = {
+      start,
+      end: codewords.length,
+      message: message.slice(context.pos - values.length, context.pos),
+    };
+    context.mode = 'ascii';
+  }
+
+  /**
+   * Pack EDIFACT values into codewords, padding the last with zero bits
+   * @param {Array} codewords - Codewords to append to
+   * @param {Array} values - Up to four 6-bit values
+   */
+  writeEDIFACT(codewords, values) {
+    const bits = values.reduce((sum, value) => sum * 64 + value, 0);
+    const padded = bits * 2 ** (24 - values.length * 6);
+    const count = Math.ceil((values.length * 6) / 8);
+
+    for (let i = 0; i < count; i++) {
+      codewords.push((padded >> (16 - i * 8)) & 0xff);
+    }
+  }
+
+  /**
+   * Encode bytes in Base 256 until the look-ahead test leaves it
+   * @param {Object} context - Encoding context
+   */
+  encodeBase256(context) {
+    const { message, codewords } = context;
+    const bytes = [];
+
+    while (context.pos < message.length && message[context.pos] !== FNC1) {
+      bytes.push(message[context.pos]);
+      context.pos++;
+
+      if (this.lookAhead(message, context.pos, 'base256') !== 'base256') {
+        break;
+      }
+    }
+
+    const length =
+      bytes.length < 250
+        ? [bytes.length]
+        : [Math.floor(bytes.length / 250) + 249, bytes.length % 250];
+
+    [...length, ...bytes].forEach(byte => {
+      codewords.push(this.randomize255(byte, codewords.length + 1));
+    });
+    context.mode = 'ascii';
+  }
+
+  /**
+   * Pick the encodation scheme for the data ahead (ISO/IEC 16022 Annex P)
+   * @param {Array} message - Message values
+   * @param {number} start - Position to look from
+   * @param {string} mode - Current scheme
+   * @returns {string} Scheme to continue in
+   */
+  lookAhead(message, start, mode) {
+    if (start >= message.length) {
+      return mode;
+    }
+
+    // Codewords used so far in each scheme, starting with its latch
+    const counts =
+      mode === 'ascii'
+        ? { ascii: 0, c40: 1, text: 1, x12: 1, edifact: 1, base256: 1.25 }
+        : { ascii: 1, c40: 2, text: 2, x12: 2, edifact: 2, base256: 2.25 };
+    counts[mode] = 0;
+
+    for (let pos = start; ; ) {
+      if (pos === message.length) {
+        const rounded = this.roundCounts(counts);
+        const min = Math.min(...Object.values(rounded));
+        const smallest = Object.keys(rounded).filter(
+          scheme => rounded[scheme] === min
+        );
+
+        if (rounded.ascii === min) return 'ascii';
+        return smallest.length === 1 ? smallest[0] : 'c40';
+      }
+
+      const char = message[pos++];
+      const extended = char > 127 && char !== FNC1;
+
+      if (this.isDigit(char)) {
+        counts.ascii += 0.5;
+      } else {
+        counts.ascii = Math.ceil(counts.ascii) + (extended ? 2 : 1);
+      }
+
+      counts.c40 += this.getCost(
+        this.isC40(char),
+        extended,
+        2 / 3,
+        8 / 3,
+        4 / 3
+      );
+      counts.text += this.getCost(
+        this.isText(char),
+        extended,
+        2 / 3,
+        8 / 3,
+        4 / 3
+      );
+      counts.x12 += this.getCost(
+        this.isX12(char),
+        extended,
+        2 / 3,
+        13 / 3,
+        10 / 3
+      );
+      counts.edifact += this.getCost(
+        this.isEDIFACT(char),
+        extended,
+        3 / 4,
+        17 / 4,
+        13 / 4
+      );
+      counts.base256 += char === FNC1 ? 4 : 1;
+
+      if (pos - start >= 4) {
+        const rounded = this.roundCounts(counts);
+        const minOf = (...schemes) =>
+          Math.min(...schemes.map(scheme => rounded[scheme]));
+
+        if (rounded.ascii < minOf('base256', 'c40', 'text', 'x12', 'edifact')) {
+          return 'ascii';
+        }
+        if (
+          rounded.base256 < rounded.ascii ||
+          rounded.base256 + 1 < minOf('c40', 'text', 'x12', 'edifact')
+        ) {
+          return 'base256';
+        }
+        if (
+          rounded.edifact + 1 <
+          minOf('base256', 'c40', 'text', 'x12', 'ascii')
+        ) {
+          return 'edifact';
+        }
+        if (
+          rounded.text + 1 <
+          minOf('base256', 'c40', 'edifact', 'x12', 'ascii')
+        ) {
+          return 'text';
+        }
+        if (
+          rounded.x12 + 1 <
+          minOf('base256', 'c40', 'edifact', 'text', 'ascii')
+        ) {
+          return 'x12';
+        }
+        if (rounded.c40 + 1 < minOf('ascii', 'base256', 'edifact', 'text')) {
+          if (rounded.c40 < rounded.x12) return 'c40';
+          if (rounded.c40 === rounded.x12) {
+            // X12 wins if an X12 terminator comes before a non-X12 character
+            for (let next = pos; next < message.length; next++) {
+              const value = message[next];
+              if ([13, 42, 62].includes(value)) return 'x12';
+              if (!this.isX12(value)) break;
+            }
+            return 'c40';
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the look-ahead cost of a character in a scheme
+   * @param {boolean} native - Character is in the scheme's basic set
+   * @param {boolean} extended - Character is above 127
+   * @param {number} nativeCost - Cost of a basic set character
+   * @param {number} extendedCost - Cost of an extended character
+   * @param {number} otherCost - Cost of any other character
+   * @returns {number} Cost in codewords
+   */
+  getCost(native, extended, nativeCost, extendedCost, otherCost) {
+    if (native) return nativeCost;
+    return extended ? extendedCost : otherCost;
+  }
+
+  /**
+   * Round the look-ahead counts up to whole codewords
+   * @param {Object} counts - Counts by scheme
+   * @returns {Object} Rounded counts by scheme
+   */
+  roundCounts(counts) {
+    const rounded = {};
+    Object.keys(counts).forEach(scheme => {
+      rounded[scheme] = Math.ceil(counts[scheme]);
+    });
+    return rounded;
+  }
+
+  /**
+   * Check if a value is an ASCII digit
+   * @param {number} char - Character value
+   * @returns {boolean} True if it is
+   */
+  isDigit(char) {
+    return char >= 48 && char <= 57;
+  }
+
+  /**
+   * Check if a value is in the C40 basic set
+   * @param {number} char - Character value
+   * @returns {boolean} True if it is
+   */
+  isC40(char) {
+    return char === 32 || this.isDigit(char) || (char >= 65 && char <= 90);
+  }
+
+  /**
+   * Check if a value is in the Text basic set
+   * @param {number} char - Character value
+   * @returns {boolean} True if it is
+   */
+  isText(char) {
+    return char === 32 || this.isDigit(char) || (char >= 97 && char <= 122);
+  }
+
+  /**
+   * Check if a value is in the X12 set
+   * @param {number} char - Character value
+   * @returns {boolean} True if it is
+   */
+  isX12(char) {
+    return [13, 42, 62].includes(char) || this.isC40(char);
+  }
+
+  /**
+   * Check if a value is in the EDIFACT set
+   * @param {number} char - Character value
+   * @returns {boolean} True if it is
+   */
+  isEDIFACT(char) {
+    return char >= 32 && char <= 94;
+  }
+
+  /**
+   * Find the smallest symbol for the codewords, then end the data and pad it
+   * @param {Object} context - Encoding context
+   * @param {Array} sizes - Candidate symbol sizes
+   * @returns {Object} Symbol size and its data codewords
+   */
+  fit(context, sizes) {
+    const { edifactExit, mode } = context;
+
+    for (const size of sizes) {
+      const capacity = size.dataCodewords;
+      let codewords = context.codewords;
+
+      // Decoders read the last one or two codewords after EDIFACT as ASCII,
+      // without an unlatch
+      if (edifactExit && capacity - edifactExit.start <= 2) {
+        codewords = [
+          ...codewords.slice(0, edifactExit.start),
+          ...edifactExit.message.map(char => char + 1),
+          ...codewords.slice(edifactExit.end),
+        ];
+      }
+
+      if (codewords.length > capacity) {
+        continue;
+      }
+
+      codewords = [...codewords];
+
+      // A single codeword left after C40, Text or X12 is read as ASCII
+      if (
+        ['c40', 'text', 'x12'].includes(mode) &&
+        capacity - codewords.length >= 2
+      ) {
+        codewords.push(UNLATCH);
+      }
+
+      if (codewords.length < capacity) {
+        codewords.push(PAD);
+      }
+      while (codewords.length < capacity) {
+        codewords.push(this.randomize253(codewords.length + 1));
+      }
+
+      return { size, codewords };
+    }
+
+    const largest = sizes[sizes.length - 1];
+    throw new Error(
+      `Data needs ${context.codewords.length} codewords, more than the ${largest.dataCodewords} a ${largest.rows}x${largest.columns} symbol holds`
+    );
+  }
+
+  /**
+   * Randomize a pad codeword
+   * @param {number} position - 1-based codeword position
+   * @returns {number} Codeword
+   */
+  randomize253(position) {
+    const value = PAD + ((149 * position) % 253) + 1;
+    return value <= 254 ? value : value - 254;
+  }
+
+  /**
+   * Randomize a Base 256 codeword
+   * @param {number} byte - Byte value
+   * @param {number} position - 1-based codeword position
+   * @returns {number} Codeword
+   */
+  randomize255(byte, position) {
+    const value = byte + ((149 * position) % 255) + 1;
+    return value <= 255 ? value : value - 256;
+  }
+
+  /**
+   * Append the Reed-Solomon codewords, interleaving the blocks of large symbols
+   * @param {Array} data - Data codewords
+   * @param {Object} size - Symbol size
+   * @returns {Array} Data and error correction codewords
+   */
+  addErrorCorrection(data, size) {
+    const { blocks } = size;
+    const generator = this.getGenerator(size.errorCodewords / blocks);
+    const codewords = [...data];
+
+    for (let block = 0; block < blocks; block++) {
+      const blockData = data.filter((_, index) => index % blocks === block);
+      this.computeErrorCorrection(blockData, generator).forEach(
+        (codeword, index) => {
+          codewords[data.length + index * blocks + block] = codeword;
+        }
+      );
+    }
+
+    return codewords;
+  }
+
+  /**
+   * Get the generator polynomial with roots 2^1 to 2^count
+   * @param {number} count - Error correction codewords
+   * @returns {Array} Coefficients, highest degree first
+   */
+  getGenerator(count) {
+    if (!this.generators[count]) {
+      let generator = [1];
+      for (let i = 1; i <= count; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, index) => {
+          next[index] ^= coefficient;
+          next[index + 1] ^= this.multiply(coefficient, EXP[i]);
+        });
+        generator = next;
+      }
+      this.generators[count] = generator;
+    }
+
+    return this.generators[count];
+  }
+
+  /**
+   * Compute the error correction codewords of a block
+   * @param {Array} data - Block data codewords
+   * @param {Array} generator - Generator polynomial
+   * @returns {Array} Error correction codewords
+   */
+  computeErrorCorrection(data, generator) {
+    const count = generator.length - 1;
+    const remainder = new Array(count).fill(0);
+
+    data.forEach(codeword => {
+      const factor = codeword ^ remainder.shift();
+      remainder.push(0);
+      for (let i = 0; i < count; i++) {
+        remainder[i] ^= this.multiply(generator[i + 1], factor);
+      }
+    });
+
+    return remainder;
+  }
+
+  /**
+   * Multiply in GF(256)
+   * @param {number} a - Factor
+   * @param {number} b - Factor
+   * @returns {number} Product
+   */
+  multiply(a, b) {
+    return a && b ? EXP[(LOG[a] + LOG[b]) % 255] : 0;
+  }
+
+  /**
+   * Place the codewords and add the finder and alignment patterns
+   * @param {Object} size - Symbol size
+   * @param {Array} codewords - Data and error correction codewords
+   * @returns {Array} Module rows, true for dark modules
+   */
+  createModules(size, codewords) {
+    const { regionRows, regionColumns } = size;
+    const blockRows = regionRows + 2;
+    const blockColumns = regionColumns + 2;
+    const mapping = this.placeCodewords(
+      codewords,
+      (size.rows / blockRows) * regionRows,
+      (size.columns / blockColumns) * regionColumns
+    );
+
+    const modules = [];
+    for (let row = 0; row < size.rows; row++) {
+      const line = [];
+      const y = row % blockRows;
+
+      for (let col = 0; col < size.columns; col++) {
+        const x = col % blockColumns;
+
+        // Solid L on the left and bottom, clock track on the top and right
+        if (y === blockRows - 1 || x === 0) {
+          line.push(true);
+        } else if (y === 0) {
+          line.push(x % 2 === 0);
+        } else if (x === blockColumns - 1) {
+          line.push(y % 2 === 1);
+        } else {
+          line.push(
+            mapping[Math.floor(row / blockRows) * regionRows + y - 1][
+              Math.floor(col / blockColumns) * regionColumns + x - 1
+            ]
+          );
+        }
+      }
+      modules.push(line);
+    }
+
+    return modules;
+  }
+
+  /**
+   * Place codewords in the mapping matrix (ISO/IEC 16022 Annex F)
+   * @param {Array} codewords - Codewords
+   * @param {number} rows - Mapping matrix rows
+   * @param {number} columns - Mapping matrix columns
+   * @returns {Array} Mapping matrix rows, true for dark modules
+   */
+  placeCodewords(codewords, rows, columns) {
+    const matrix = Array.from({ length: rows }, () =>
+      new Array(columns).fill(null)
+    );
+    let index = 0;
+
+    const place = (row, col, bit) => {
+      if (row < 0) {
+        row += rows;
+        col += 4 - ((rows + 4) % 8);
+      }
+      if (col < 0) {
+        col += columns;
+        row += 4 - ((columns + 4) % 8);
+      }
+      matrix[row][col] = ((codewords[index] >> (7 - bit)) & 1) === 1;
+    };
+
+    const placeUtah = (row, col) => {
+      UTAH.forEach(([dy, dx], bit) => place(row + dy, col + dx, bit));
+      index++;
+    };
+
+    const placeCorner = positions => {
+      positions.forEach(([row, col], bit) => place(row, col, bit));
+      index++;
+    };
+
+    let row = 4;
+    let col = 0;
+
+    do {
+      if (row === rows && col === 0) {
+        placeCorner([
+          [rows - 1, 0],
+          [rows - 1, 1],
+          [rows - 1, 2],
+          [0, columns - 2],
+          [0, columns - 1],
+          [1, columns - 1],
+          [2, columns - 1],
+          [3, columns - 1],
+        ]);
+      }
+      if (row === rows - 2 && col === 0 && columns % 4 !== 0) {
+        placeCorner([
+          [rows - 3, 0],
+          [rows - 2, 0],
+          [rows - 1, 0],
+          [0, columns - 4],
+          [0, columns - 3],
+          [0, columns - 2],
+          [0, columns - 1],
+          [1, columns - 1],
+        ]);
+      }
+      if (row === rows - 2 && col === 0 && columns % 8 === 4) {
+        placeCorner([
+          [rows - 3, 0],
+          [rows - 2, 0],
+          [rows - 1, 0],
+          [0, columns - 2],
+          [0, columns - 1],
+          [1, columns - 1],
+          [2, columns - 1],
+          [3, columns - 1],
+        ]);
+      }
+      if (row === rows + 4 && col === 2 && columns % 8 === 0) {
+        placeCorner([
+          [rows - 1, 0],
+          [rows - 1, columns - 1],
+          [0, columns - 3],
+          [0, columns - 2],
+          [0, columns - 1],
+          [1, columns - 3],
+          [1, columns - 2],
+          [1, columns - 1],
+        ]);
+      }
+
+      // Sweep up and to the right
+      do {
+        if (row < rows && col >= 0 && matrix[row][col] === null) {
+          placeUtah(row, col);
+        }
+        row -= 2;
+        col += 2;
+      } while (row >= 0 && col < columns);
+      row += 1;
+      col += 3;
+
+      // Sweep down and to the left
+      do {
+        if (row >= 0 && col < columns && matrix[row][col] === null) {
+          placeUtah(row, col);
+        }
+        row += 2;
+        col -= 2;
+      } while (row < rows && col >= 0);
+      row += 3;
+      col += 1;
+    } while (row < rows || col < columns);
+
+    // Sizes with four modules to spare fill the corner with a fixed pattern
+    if (matrix[rows - 1][columns - 1] === null) {
+      matrix[rows - 1][columns - 1] = true;
+      matrix[rows - 2][columns - 2] = true;
+      matrix[rows - 1][columns - 2] = false;
+      matrix[rows - 2][columns - 1] = false;
+    }
+
+    return matrix;
+  }
+}
+
+module.exports = DataMatrixEncoder;
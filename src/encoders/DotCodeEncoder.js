@@ -0,0 +1,589 @@
+/**
+ * DotCode Encoder - Encodes data into a DotCode symbol (AIM ISS DotCode)
+ *
+ * DotCode is made for high speed printers that place separate dots: dots sit
+ * only where the row and column add up to an even number, so no two dots
+ * touch. Each codeword is a pattern of 5 dots out of 9, protected with
+ * Reed-Solomon error correction over GF(113). One of four data masks, picked
+ * by scoring the edges and empty areas of the result, keeps the symbol
+ * readable.
+ */
+
+const { GS1 } = require('./GS1');
+
+// Dot patterns of codewords 0 to 112: the 9-bit patterns with 5 dots, those
+// with the most dot and gap runs first, then by value
+const runs = value => value.toString(2).padStart(9, '0').match(/0+|1+/g).length;
+const PATTERNS = Array.from({ length: 512 }, (_, value) => value)
+  .filter(value => value.toString(2).split('1').length === 6)
+  .sort((a, b) => runs(b) - runs(a) || a - b)
+  .slice(0, 113);
+
+const LATCH_A_FROM_C = 101;
+const SHIFT_B_FROM_C = 101; // plus the number of characters, 1 to 4
+const LATCH_B_FROM_C = 106;
+const SHIFT_A = 101;
+const LATCH_A = 102;
+const SHIFT_B = 95; // plus the number of characters, 1 to 6
+const LATCH_B = 102;
+const SHIFT_C = 103; // plus the number of digit pairs, 2 to 4
+const LATCH_C = 106;
+const FNC1 = 107;
+const FNC2 = 108;
+const UPPER_SHIFT_A = 110;
+const UPPER_SHIFT_B = 111;
+const PAD = 106;
+
+const UTF8_ECI = 26;
+
+// Control characters code set B holds, by value
+const CONTROLS_B = { 9: 97, 28: 98, 29: 99, 30: 100 };
+
+// Codeword weight steps of data masks 0 to 3
+const MASK_WEIGHTS = [0, 3, 7, 17];
+
+const MAX_SIZE = 200;
+
+const UNLIT_EDGE = -99999;
+
+class DotCodeEncoder {
+  constructor() {
+    this.defaultOptions = {
+      columns: undefined,
+      gs1: false,
+    };
+  }
+
+  /**
+   * Encode data as a DotCode symbol
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (columns, gs1)
+   * @returns {Object} Matrix symbol drawn as dots
+   */
+  encode(data, options = {}) {
+    const encodeOptions = { ...this.defaultOptions, ...options };
+    const codewords = this.encodeText(
+      this.createMessage(data, encodeOptions.gs1)
+    );
+    const { rows, columns } = this.getSize(
+      codewords.length,
+      encodeOptions.columns
+    );
+
+    // Pad codewords fill the dots the size leaves over; every second one
+    // adds an error correction codeword too
+    let spare = (rows * columns) / 2 - this.getDotCount(codewords.length);
+    while (spare >= (codewords.length % 2 ? 18 : 9)) {
+      spare -= codewords.length % 2 ? 18 : 9;
+      codewords.push(PAD);
+    }
+
+    const candidates = [0, 1, 2, 3].map(mask =>
+      this.createCandidate(codewords, mask, rows, columns, false)
+    );
+    let best = this.pickBest(candidates);
+
+    // A low score means an edge with too few dots, so try again with the
+    // six corner dots lit; error correction restores their data
+    if (best.score <= (rows * columns) / 2) {
+      best = this.pickBest(
+        [0, 1, 2, 3].map(mask =>
+          this.createCandidate(codewords, mask, rows, columns, true)
+        )
+      );
+    }
+
+    return {
+      kind: 'matrix',
+      rows,
+      columns,
+      modules: best.modules,
+      quietZone: 3,
+      dots: true,
+      mask: best.mask + (best.corners ? 4 : 0),
+      gs1: Boolean(encodeOptions.gs1),
+    };
+  }
+
+  /**
+   * Turn the data into characters: GS1 fields are separated by FNC1, marked
+   * as -1, and text outside ISO 8859-1 becomes UTF-8 bytes after an ECI
+   * @param {string} data - The data to encode
+   * @param {boolean} gs1 - Encode a GS1 element string in FNC1 mode
+   * @returns {Object} Character codes and ECI
+   */
+  createMessage(data, gs1) {
+    if (gs1) {
+      // FNC1 in the first position marks GS1 data, then separates fields
+      const chars = [];
+      GS1.split(data).forEach(field => {
+        chars.push(-1, ...Array.from(field, char => char.charCodeAt(0)));
+      });
+      return { chars, eci: null };
+    }
+
+    if (/^[\x00-\xff]*$/.test(data)) {
+      return { chars: Array.from(data, char => char.charCodeAt(0)), eci: null };
+    }
+
+    return { chars: [...Buffer.from(data, 'utf8')], eci: UTF8_ECI };
+  }
+
+  /**
+   * Encode characters into codewords, starting in code set C. Digit pairs
+   * use code set C, and short runs in another set are shifted rather than
+   * latched.
+   * @param {Object} message - Character codes and ECI
+   * @returns {Array} Data codewords
+   */
+  encodeText({ chars, eci }) {
+    const codewords = eci === null ? [] : [FNC2, eci];
+    let set = 'C';
+
+    for (let i = 0; i < chars.length; ) {
+      const char = chars[i];
+      const digits = this.countDigits(chars, i);
+
+      if (char === -1) {
+        codewords.push(FNC1);
+        i++;
+      } else if (set === 'C' && digits >= 2) {
+        codewords.push((char - 48) * 10 + chars[i + 1] - 48);
+        i += 2;
+      } else if (set !== 'C' && digits >= 4) {
+        const pairs = Math.floor(digits / 2);
+        if (pairs <= 4) {
+          codewords.push(SHIFT_C + pairs - 2);
+          for (let pair = 0; pair < pairs; pair++, i += 2) {
+            codewords.push((chars[i] - 48) * 10 + chars[i + 1] - 48);
+          }
+        } else {
+          codewords.push(LATCH_C);
+          set = 'C';
+        }
+      } else if (char >= 128) {
+        codewords.push(
+          ...(char - 128 < 32
+            ? [UPPER_SHIFT_A, char - 128 + 64]
+            : [UPPER_SHIFT_B, char - 128 - 32])
+        );
+        i++;
+      } else if (set === 'C') {
+        const run = this.countRun(chars, i, 'B');
+        const end = i + run;
+        if (
+          run > 0 &&
+          run <= 4 &&
+          (end === chars.length ||
+            chars[end] === -1 ||
+            this.countDigits(chars, end) >= 2)
+        ) {
+          codewords.push(SHIFT_B_FROM_C + run);
+          for (; i < end; i++) codewords.push(this.getValueB(chars[i]));
+        } else if (this.getValueB(char) === null) {
+          codewords.push(LATCH_A_FROM_C);
+          set = 'A';
+        } else {
+          codewords.push(LATCH_B_FROM_C);
+          set = 'B';
+        }
+      } else if (set === 'B') {
+        if (char === 13 && chars[i + 1] === 10) {
+          codewords.push(96);
+          i += 2;
+        } else if (this.getValueB(char) !== null) {
+          codewords.push(this.getValueB(char));
+          i++;
+        } else if (this.countRun(chars, i + 1, 'A') > 0) {
+          codewords.push(LATCH_A);
+          set = 'A';
+        } else {
+          codewords.push(SHIFT_A, this.getValueA(char));
+          i++;
+        }
+      } else if (char < 96) {
+        codewords.push(this.getValueA(char));
+        i++;
+      } else {
+        const run = this.countRun(chars, i, 'B');
+        if (run <= 6) {
+          codewords.push(SHIFT_B + run);
+          for (const end = i + run; i < end; i++) {
+            codewords.push(this.getValueB(chars[i]));
+          }
+        } else {
+          codewords.push(LATCH_B);
+          set = 'B';
+        }
+      }
+    }
+
+    return codewords;
+  }
+
+  /**
+   * Count the digits from a position
+   * @param {Array} chars - Character codes
+   * @param {number} pos - Start position
+   * @returns {number} Run length
+   */
+  countDigits(chars, pos) {
+    let run = 0;
+    while (chars[pos + run] >= 48 && chars[pos + run] <= 57) run++;
+    return run;
+  }
+
+  /**
+   * Count the characters from a position that only code set A holds, or
+   * that code set B holds, up to the next digit pair
+   * @param {Array} chars - Character codes
+   * @param {number} pos - Start position
+   * @param {string} set - 'A' for control characters, 'B' for the rest
+   * @returns {number} Run length
+   */
+  countRun(chars, pos, set) {
+    let run = 0;
+    for (let i = pos; i < chars.length; i++, run++) {
+      const char = chars[i];
+      if (char === -1 || char >= 128 || this.countDigits(chars, i) >= 2) break;
+      if ((this.getValueB(char) === null) !== (set === 'A')) break;
+    }
+    return run;
+  }
+
+  /**
+   * Get the value of a character in code set A
+   * @param {number} char - Character code, 0 to 95
+   * @returns {number} Codeword
+   */
+  getValueA(char) {
+    return char < 32 ? char + 64 : char - 32;
+  }
+
+  /**
+   * Get the value of a character in code set B
+   * @param {number} char - Character code
+   * @returns {number|null} Codeword, null for control characters set B lacks
+   */
+  getValueB(char) {
+    if (char >= 32 && char < 128) return char - 32;
+    return char in CONTROLS_B ? CONTROLS_B[char] : null;
+  }
+
+  /**
+   * Get the dots needed for data and error correction codewords after the
+   * two dots of the mask
+   * @param {number} length - Data codewords
+   * @returns {number} Dots
+   */
+  getDotCount(length) {
+    return 9 * (length + 3 + Math.floor(length / 2)) + 2;
+  }
+
+  /**
+   * Size the symbol: one of height and width is odd and the other even, at
+   * a 2:3 aspect ratio unless the width is given
+   * @param {number} length - Data codewords
+   * @param {number} width - Symbol width in dots, if fixed
+   * @returns {Object} Rows and columns
+   */
+  getSize(length, width) {
+    const area = this.getDotCount(length) * 2;
+    let rows;
+    let columns;
+
+    if (width !== undefined) {
+      columns = Number(width);
+      if (!Number.isInteger(columns) || columns < 5 || columns > MAX_SIZE) {
+        throw new Error(`Invalid number of columns: ${width}. Use 5 to 200`);
+      }
+      rows = Math.max(5, Math.ceil(area / columns));
+      if ((rows + columns) % 2 === 0) rows++;
+    } else {
+      const h = Math.sqrt(area * 0.666);
+      const w = Math.sqrt(area * 1.5);
+      rows = Math.floor(h);
+      columns = Math.floor(w);
+
+      if ((rows + columns) % 2 === 1) {
+        if (rows * columns < area) {
+          rows++;
+          columns++;
+        }
+      } else if (h * columns < w * rows) {
+        columns++;
+        if (rows * columns < area) {
+          columns--;
+          rows++;
+          if (rows * columns < area) columns += 2;
+        }
+      } else {
+        rows++;
+        if (rows * columns < area) {
+          columns++;
+          rows--;
+          if (rows * columns < area) rows += 2;
+        }
+      }
+    }
+
+    if (rows > MAX_SIZE || columns > MAX_SIZE) {
+      throw new Error(
+        `Data needs a ${rows}x${columns} symbol, more than the 200x200 DotCode allows`
+      );
+    }
+
+    return { rows, columns };
+  }
+
+  /**
+   * Mask the data codewords, add error correction and fold the dots into
+   * the symbol
+   * @param {Array} codewords - Data codewords, padding included
+   * @param {number} mask - Data mask, 0 to 3
+   * @param {number} rows - Symbol height in dots
+   * @param {number} columns - Symbol width in dots
+   * @param {boolean} corners - Light all six corner dots
+   * @returns {Object} Mask, modules and score
+   */
+  createCandidate(codewords, mask, rows, columns, corners) {
+    const masked = [
+      mask,
+      ...codewords.map(
+        (codeword, i) => (codeword + i * MASK_WEIGHTS[mask]) % 113
+      ),
+    ];
+    const symbolCharacters = this.addErrorCorrection(
+      masked,
+      3 + Math.floor(codewords.length / 2)
+    );
+
+    // The mask takes two dots, the other codewords their dot patterns;
+    // dots left over are lit
+    const dots = [(mask >> 1) & 1, mask & 1];
+    symbolCharacters.slice(1).forEach(codeword => {
+      for (let bit = 8; bit >= 0; bit--) {
+        dots.push((PATTERNS[codeword] >> bit) & 1);
+      }
+    });
+    while (dots.length < (rows * columns) / 2) dots.push(1);
+
+    const modules = this.foldDots(dots, rows, columns);
+    if (corners) {
+      this.getCorners(rows, columns).forEach(([row, column]) => {
+        modules[row][column] = true;
+      });
+    }
+
+    return { mask, corners, modules, score: this.scoreDots(modules) };
+  }
+
+  /**
+   * Pick the best scoring candidate; later masks win ties
+   * @param {Array} candidates - Candidates with scores
+   * @returns {Object} Best candidate
+   */
+  pickBest(candidates) {
+    return candidates.reduce((a, b) => (b.score >= a.score ? b : a));
+  }
+
+  /**
+   * Add Reed-Solomon error correction over GF(113). Beyond 112 codewords
+   * the codewords are split into interleaved blocks.
+   * @param {Array} data - Mask and data codewords
+   * @param {number} count - Error correction codewords
+   * @returns {Array} Data followed by error correction codewords
+   */
+  addErrorCorrection(data, count) {
+    const total = data.length + count;
+    const codewords = [...data, ...new Array(count).fill(0)];
+    const step = Math.ceil(total / 112);
+
+    for (let start = 0; start < step; start++) {
+      const dataLength = Math.ceil((data.length - start) / step);
+      const blockLength = Math.ceil((total - start) / step);
+      const errorLength = blockLength - dataLength;
+      const at = i => start + i * step;
+
+      // Generator with roots 3^1 to 3^errorLength
+      const generator = [1, ...new Array(errorLength).fill(0)];
+      for (let i = 1, root = 3; i <= errorLength; i++) {
+        for (let j = errorLength; j >= 1; j--) {
+          generator[j] =
+            (113 + generator[j] - ((root * generator[j - 1]) % 113)) % 113;
+        }
+        root = (root * 3) % 113;
+      }
+
+      for (let i = 0; i < dataLength; i++) {
+        const factor = (codewords[at(i)] + codewords[at(dataLength)]) % 113;
+        for (let j = 0; j < errorLength - 1; j++) {
+          codewords[at(dataLength + j)] =
+            (113 -
+              ((generator[j + 1] * factor) % 113) +
+              codewords[at(dataLength + j + 1)]) %
+            113;
+        }
+        codewords[at(dataLength + errorLength - 1)] =
+          (113 - ((generator[errorLength] * factor) % 113)) % 113;
+      }
+      for (let i = dataLength; i < blockLength; i++) {
+        codewords[at(i)] = (113 - codewords[at(i)]) % 113;
+      }
+    }
+
+    return codewords;
+  }
+
+  /**
+   * Get the six corner dots, in the order they take the last dots of the
+   * stream
+   * @param {number} rows - Symbol height in dots
+   * @param {number} columns - Symbol width in dots
+   * @returns {Array} [row, column] positions
+   */
+  getCorners(rows, columns) {
+    return rows % 2
+      ? [
+          [0, columns - 2],
+          [rows - 1, columns - 2],
+          [1, columns - 1],
+          [rows - 2, columns - 1],
+          [0, 0],
+          [rows - 1, 0],
+        ]
+      : [
+          [rows - 2, columns - 1],
+          [rows - 2, 0],
+          [rows - 1, columns - 2],
+          [rows - 1, 1],
+          [0, columns - 1],
+          [0, 0],
+        ];
+  }
+
+  /**
+   * Fold the dot stream into the symbol: row by row from the bottom when
+   * the height is odd, column by column from the left when it is even,
+   * leaving the corners for the last six dots
+   * @param {Array} dots - Dot stream, 1 for a printed dot
+   * @param {number} rows - Symbol height in dots
+   * @param {number} columns - Symbol width in dots
+   * @returns {Array} Module rows, true for printed dots
+   */
+  foldDots(dots, rows, columns) {
+    const modules = Array.from({ length: rows }, () =>
+      new Array(columns).fill(false)
+    );
+    const corners = this.getCorners(rows, columns);
+    const isCorner = (row, column) =>
+      corners.some(([r, c]) => r === row && c === column);
+    let index = 0;
+    const place = (row, column) => {
+      if ((row + column) % 2 === 0 && !isCorner(row, column)) {
+        modules[row][column] = dots[index++] === 1;
+      }
+    };
+
+    if (rows % 2) {
+      for (let row = rows - 1; row >= 0; row--) {
+        for (let column = 0; column < columns; column++) place(row, column);
+      }
+    } else {
+      for (let column = 0; column < columns; column++) {
+        for (let row = 0; row < rows; row++) place(row, column);
+      }
+    }
+
+    corners.forEach(([row, column]) => {
+      modules[row][column] = dots[index++] === 1;
+    });
+
+    return modules;
+  }
+
+  /**
+   * Score a symbol; the highest score wins. The score is the dot count and
+   * spread along the weakest edge, less the square of the number of lone
+   * dots and empty crosses, less a penalty for empty columns (or rows)
+   * in short (or narrow) symbols.
+   * @param {Array} modules - Module rows
+   * @returns {number} Score
+   */
+  scoreDots(modules) {
+    const rows = modules.length;
+    const columns = modules[0].length;
+    const dot = (column, row) =>
+      row >= 0 &&
+      row < rows &&
+      column >= 0 &&
+      column < columns &&
+      modules[row][column];
+
+    let penalty = 0;
+    const across = rows % 2 ? columns : rows;
+    const along = rows % 2 ? rows : columns;
+    if (along < 12) {
+      let local = 0;
+      for (let line = 1; line < across - 1; line++) {
+        let empty = true;
+        for (let i = 0; i < along; i++) {
+          if (rows % 2 ? dot(line, i) : dot(i, line)) empty = false;
+        }
+        if (!empty) {
+          penalty += local;
+          local = 0;
+        } else {
+          local = local ? local * along : along;
+        }
+      }
+    }
+
+    const edges = [
+      [columns, x => dot(x, 0), 0, rows],
+      [columns, x => dot(x, rows - 1), columns % 2, rows],
+      [rows, y => dot(0, y), 0, columns],
+      [rows, y => dot(columns - 1, y), rows % 2, columns],
+    ];
+    let worstEdge = Infinity;
+    for (const [length, lit, from, weight] of edges) {
+      let count = 0;
+      let first = -1;
+      let last = -1;
+      for (let i = from; i < length; i += 2) {
+        if (lit(i)) {
+          if (first < 0) first = i;
+          last = i;
+          count++;
+        }
+      }
+      if (count === 0) {
+        return UNLIT_EDGE;
+      }
+      worstEdge = Math.min(worstEdge, (count + last - first) * weight);
+    }
+
+    let lone = 0;
+    for (let y = 0; y < rows; y++) {
+      for (let x = y % 2; x < columns; x += 2) {
+        if (
+          !dot(x - 1, y - 1) &&
+          !dot(x + 1, y - 1) &&
+          !dot(x - 1, y + 1) &&
+          !dot(x + 1, y + 1) &&
+          (!dot(x, y) ||
+            (!dot(x - 2, y) &&
+              !dot(x, y - 2) &&
+              !dot(x + 2, y) &&
+              !dot(x, y + 2)))
+        ) {
+          lone++;
+        }
+      }
+    }
+
+    return worstEdge - lone * lone - penalty;
+  }
+}
+
+module.exports = DotCodeEncoder;
@@ -0,0 +1,121 @@
+/**
+ * GS1 - Parses GS1 element strings for the symbologies with an FNC1 mode
+ *
+ * Element strings are written in bracket notation, '(01)09501101530003(10)AB12',
+ * or already concatenated with ASCII GS (0x1d) after variable length fields.
+ */
+
+// Element string lengths, AI included, for the AIs whose length is predefined
+const PREDEFINED_LENGTHS = {
+  '00': 20,
+  '01': 16,
+  '02': 16,
+  '03': 16,
+  '04': 18,
+  11: 8,
+  12: 8,
+  13: 8,
+  14: 8,
+  15: 8,
+  16: 8,
+  17: 8,
+  18: 8,
+  19: 8,
+  20: 4,
+  31: 10,
+  32: 10,
+  33: 10,
+  34: 10,
+  35: 10,
+  36: 10,
+  41: 16,
+};
+
+const GROUP_SEPARATOR = '\x1d';
+
+class GS1 {
+  static GROUP_SEPARATOR = GROUP_SEPARATOR;
+
+  /**
+   * Parse an element string in bracket notation
+   * @param {string} data - Element string, e.g. '(01)09501101530003(17)250101'
+   * @returns {Array} Elements as { ai, value }
+   */
+  static parse(data) {
+    const pattern = /\((\d{2,4})\)([^()]*)/g;
+    const elements = [];
+    let end = 0;
+    let match;
+
+    while ((match = pattern.exec(data)) && match.index === end) {
+      const [element, ai, value] = match;
+      if (!/^[\x21-\x7e]+$/.test(value)) {
+        throw new Error(`Invalid value for GS1 AI (${ai}): '${value}'`);
+      }
+
+      const length = PREDEFINED_LENGTHS[ai.substring(0, 2)];
+      if (length && ai.length + value.length !== length) {
+        throw new Error(
+          `GS1 AI (${ai}) takes ${length - ai.length} characters, got ${
+            value.length
+          }`
+        );
+      }
+
+      elements.push({ ai, value });
+      end += element.length;
+    }
+
+    if (elements.length === 0 || end !== data.length) {
+      throw new Error(
+        `Invalid GS1 element string: ${data}. Use bracket notation, e.g. (01)09501101530003`
+      );
+    }
+
+    return elements;
+  }
+
+  /**
+   * Split an element string into the fields that an FNC1 separates
+   * @param {string} data - Element string in bracket notation or GS separated
+   * @returns {Array} Fields, each a run of concatenated AIs and values
+   */
+  static split(data) {
+    if (!data.startsWith('(')) {
+      const fields = data.split(GROUP_SEPARATOR);
+      if (fields.some(field => !/^\d{2}[\x21-\x7e]+$/.test(field))) {
+        throw new Error(`Invalid GS1 element string: ${data}`);
+      }
+      return fields;
+    }
+
+    const elements = this.parse(data);
+    const fields = [];
+    let field = '';
+
+    elements.forEach(({ ai, value }, index) => {
+      field += ai + value;
+      if (!this.hasPredefinedLength(ai) && index < elements.length - 1) {
+        fields.push(field);
+        field = '';
+      }
+    });
+
+    if (field) {
+      fields.push(field);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Check if an AI's element string has a predefined length
+   * @param {string} ai - Application identifier
+   * @returns {boolean} True if no FNC1 has to follow its value
+   */
+  static hasPredefinedLength(ai) {
+    return ai.substring(0, 2) in PREDEFINED_LENGTHS;
+  }
+}
+
+module.exports = { GS1 };
@@ -0,0 +1,242 @@
+/**
+ * Intelligent Mail Encoder - Encodes a USPS Intelligent Mail barcode (IMb)
+ *
+ * The 20 digit tracking code and the 0 to 11 digit routing code make up a
+ * 102 bit value with an 11 bit CRC. The value is split into ten codewords,
+ * each drawn as a 13 bit character, and the 130 character bits are spread
+ * over the descenders and ascenders of 65 4-state bars (USPS-B-3200).
+ */
+
+// Added to the routing code by its length, so every length has its own range
+const ROUTING_OFFSETS = {
+  0: 0n,
+  5: 1n,
+  9: 100001n,
+  11: 1000100001n,
+};
+
+const CRC_POLYNOMIAL = 0xf35;
+
+// Characters with five and with two of their 13 bits set
+const CHARACTERS_5_OF_13 = createCharacterTable(5, 1287);
+const CHARACTERS_2_OF_13 = createCharacterTable(2, 78);
+
+// Bars left to right, four numbers each: descender character and bit,
+// ascender character and bit
+const BAR_MAP = [
+  7, 2, 4, 3, 1, 10, 0, 0, 9, 12, 2, 8, 5, 5, 6, 11, 8, 9, 3, 1, 0, 1, 5, 12, 2,
+  5, 1, 8, 4, 4, 9, 11, 6, 3, 8, 10, 3, 9, 7, 6, 5, 11, 1, 4, 8, 5, 2, 12, 9,
+  10, 0, 2, 7, 1, 6, 7, 3, 6, 4, 9, 0, 3, 8, 6, 6, 4, 2, 7, 1, 1, 9, 9, 7, 10,
+  5, 2, 4, 0, 3, 8, 6, 2, 0, 4, 8, 11, 1, 0, 9, 8, 3, 12, 2, 6, 7, 7, 5, 1, 4,
+  10, 1, 12, 6, 9, 7, 3, 8, 0, 5, 8, 9, 7, 4, 6, 2, 10, 3, 4, 0, 5, 8, 4, 5, 7,
+  7, 11, 1, 9, 6, 0, 9, 6, 0, 6, 4, 8, 2, 1, 3, 2, 5, 9, 8, 12, 4, 11, 6, 1, 9,
+  5, 7, 4, 3, 3, 1, 2, 0, 7, 2, 0, 1, 3, 4, 1, 6, 10, 3, 5, 8, 7, 9, 4, 2, 11,
+  5, 6, 0, 8, 7, 12, 4, 2, 8, 1, 5, 10, 3, 0, 9, 3, 0, 9, 6, 5, 2, 4, 7, 8, 1,
+  7, 5, 0, 4, 5, 2, 3, 0, 10, 6, 12, 9, 2, 3, 11, 1, 6, 8, 8, 7, 9, 5, 4, 0, 11,
+  1, 5, 2, 2, 9, 1, 4, 12, 8, 3, 6, 6, 7, 0, 3, 7, 4, 7, 7, 5, 0, 12, 1, 11, 2,
+  9, 9, 0, 6, 8, 5, 3, 3, 10, 8, 2,
+];
+
+// 22 bars per inch at the nominal bar width of 0.02 inch
+const PITCH = 1 / 22 / 0.02;
+
+/**
+ * Build a table of the 13 bit characters with `count` bits set. A character
+ * and its bit reversal sit next to each other from the start; characters
+ * that read the same both ways fill the table from the end.
+ * @param {number} count - Bits set
+ * @param {number} size - Table size
+ * @returns {Array} Characters
+ */
+function createCharacterTable(count, size) {
+  const table = new Array(size);
+  let lower = 0;
+  let upper = size - 1;
+
+  for (let character = 0; character < 8192; character++) {
+    const bits = character.toString(2).padStart(13, '0');
+    if (bits.replace(/0/g, '').length !== count) continue;
+
+    const reversed = parseInt([...bits].reverse().join(''), 2);
+    if (reversed === character) {
+      table[upper--] = character;
+    } else if (reversed > character) {
+      table[lower++] = character;
+      table[lower++] = reversed;
+    }
+  }
+
+  return table;
+}
+
+class IntelligentMailEncoder {
+  /**
+   * Encode an Intelligent Mail barcode
+   * @param {string} data - Tracking code and routing code, see parse()
+   * @returns {Object} 4-state symbol
+   */
+  encode(data) {
+    const fields = IntelligentMailEncoder.parse(data);
+    const value = this.createValue(fields);
+    const fcs = this.computeFrameCheckSequence(value);
+    const characters = this.createCharacters(value, fcs);
+
+    const bars = [];
+    for (let i = 0; i < BAR_MAP.length; i += 4) {
+      const down = (characters[BAR_MAP[i]] >> BAR_MAP[i + 1]) & 1;
+      const up = (characters[BAR_MAP[i + 2]] >> BAR_MAP[i + 3]) & 1;
+      bars.push(['T', 'A', 'D', 'F'][down * 2 + up]);
+    }
+
+    return {
+      kind: 'fourstate',
+      bars,
+      pitch: PITCH,
+      text: Object.values(fields).filter(Boolean).join(' '),
+      fields,
+    };
+  }
+
+  /**
+   * Split the data into its fields. It is either the 20 digit tracking code,
+   * optionally followed by the routing code after a space or '-', or the
+   * fields themselves separated by spaces or '-': barcode ID, service type
+   * ID, mailer ID, serial number and an optional routing code.
+   * @param {string} data - Data
+   * @returns {Object} barcodeId, serviceType, mailerId, serialNumber and
+   *   routingCode
+   */
+  static parse(data) {
+    const groups = data.trim().split(/[\s-]+/);
+    if (!groups.every(group => /^\d+$/.test(group))) {
+      throw new Error('Intelligent Mail barcodes support digits only');
+    }
+
+    let barcodeId;
+    let serviceType;
+    let mailerId;
+    let serialNumber;
+    let routingCode = '';
+
+    if (groups.length >= 4 && groups.length <= 5) {
+      [barcodeId, serviceType, mailerId, serialNumber, routingCode = ''] =
+        groups;
+    } else if (groups.length <= 2) {
+      const [tracking] = groups;
+      if (tracking.length !== 20) {
+        throw new Error(
+          'The tracking code must be 20 digits: barcode ID, service type ID, mailer ID and serial number'
+        );
+      }
+
+      // Mailer IDs starting with 9 have 9 digits, all others 6
+      const mailerLength = tracking[5] === '9' ? 9 : 6;
+      barcodeId = tracking.substring(0, 2);
+      serviceType = tracking.substring(2, 5);
+      mailerId = tracking.substring(5, 5 + mailerLength);
+      serialNumber = tracking.substring(5 + mailerLength);
+      routingCode = groups[1] || '';
+    } else {
+      throw new Error(
+        'Use the 20 digit tracking code and routing code, or the barcode ID, service type ID, mailer ID, serial number and routing code'
+      );
+    }
+
+    if (!/^\d[0-4]$/.test(barcodeId)) {
+      throw new Error(
+        `Invalid barcode ID: ${barcodeId}. Use 2 digits, the second 0 to 4`
+      );
+    }
+    if (serviceType.length !== 3) {
+      throw new Error(`Invalid service type ID: ${serviceType}. Use 3 digits`);
+    }
+    if (!/^(\d{6}|9\d{8})$/.test(mailerId) || /^9\d{5}$/.test(mailerId)) {
+      throw new Error(
+        `Invalid mailer ID: ${mailerId}. Use 6 digits, or 9 starting with 9`
+      );
+    }
+    if (mailerId.length + serialNumber.length !== 15) {
+      throw new Error(
+        `Invalid serial number: ${serialNumber}. Use 9 digits with a 6 digit mailer ID, or 6 with a 9 digit one`
+      );
+    }
+    if (!(routingCode.length in ROUTING_OFFSETS)) {
+      throw new Error(
+        `Invalid routing code: ${routingCode}. Use 0, 5, 9 or 11 digits`
+      );
+    }
+
+    return { barcodeId, serviceType, mailerId, serialNumber, routingCode };
+  }
+
+  /**
+   * Combine the fields into the 102 bit value: the routing code, then the
+   * barcode ID (its second digit in base 5) and the other tracking digits
+   * @param {Object} fields - Fields from parse()
+   * @returns {bigint} Value
+   */
+  createValue(fields) {
+    const { barcodeId, serviceType, mailerId, serialNumber, routingCode } =
+      fields;
+    let value =
+      (routingCode ? BigInt(routingCode) : 0n) +
+      ROUTING_OFFSETS[routingCode.length];
+
+    value = value * 10n + BigInt(barcodeId[0]);
+    value = value * 5n + BigInt(barcodeId[1]);
+    for (const digit of serviceType + mailerId + serialNumber) {
+      value = value * 10n + BigInt(digit);
+    }
+
+    return value;
+  }
+
+  /**
+   * Compute the 11 bit CRC of the value, most significant bit first
+   * @param {bigint} value - 102 bit value
+   * @returns {number} Frame check sequence
+   */
+  computeFrameCheckSequence(value) {
+    let fcs = 0x7ff;
+
+    for (let bit = 101; bit >= 0; bit--) {
+      const dataBit = Number((value >> BigInt(bit)) & 1n);
+      const carry = (fcs >> 10) ^ dataBit;
+      fcs = ((fcs << 1) ^ (carry ? CRC_POLYNOMIAL : 0)) & 0x7ff;
+    }
+
+    return fcs;
+  }
+
+  /**
+   * Split the value into codewords and look up their characters. The CRC
+   * sets the range of the first codeword and inverts the characters.
+   * @param {bigint} value - 102 bit value
+   * @param {number} fcs - Frame check sequence
+   * @returns {Array} 13 bit characters A to J
+   */
+  createCharacters(value, fcs) {
+    const codewords = new Array(10);
+    let rest = value;
+
+    codewords[9] = Number(rest % 636n) * 2;
+    rest /= 636n;
+    for (let i = 8; i >= 0; i--) {
+      codewords[i] = Number(rest % 1365n);
+      rest /= 1365n;
+    }
+    if (fcs & 0x400) {
+      codewords[0] += 659;
+    }
+
+    return codewords.map((codeword, i) => {
+      const character =
+        codeword < CHARACTERS_5_OF_13.length
+          ? CHARACTERS_5_OF_13[codeword]
+          : CHARACTERS_2_OF_13[codeword - CHARACTERS_5_OF_13.length];
+      return fcs & (1 << i) ? character ^ 0x1fff : character;
+    });
+  }
+}
+
+module.exports = IntelligentMailEncoder;
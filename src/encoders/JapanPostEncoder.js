@@ -0,0 +1,101 @@
+/**
+ * Japan Post Encoder - Encodes a Japan Post customer barcode (Kasutama code)
+ *
+ * The 7 digit postal code and the address digits make up 20 codes of three
+ * bars each. Letters take two codes, a control code (CC1 to CC3) and a
+ * digit, and CC4 pads the data. A check code that brings the code sum to a
+ * multiple of 19 follows, between start and stop bars.
+ */
+
+// Bars of codes 0 to 9, '-' (10) and control codes CC1 to CC8 (11 to 18)
+const CODES = [
+  'FTT',
+  'FFT',
+  'FDA',
+  'DFA',
+  'FAD',
+  'FTF',
+  'DAF',
+  'AFD',
+  'ADF',
+  'TFF',
+  'TFT',
+  'DAT',
+  'DTA',
+  'ADT',
+  'TDA',
+  'ATD',
+  'TAD',
+  'TTF',
+  'FFF',
+];
+
+const HYPHEN = 10;
+const CC1 = 11;
+const PAD = 14;
+const DATA_CODES = 20;
+
+const START = 'FD';
+const STOP = 'DF';
+
+class JapanPostEncoder {
+  /**
+   * Encode a Japan Post barcode
+   * @param {string} data - Postal code and address digits
+   * @returns {Object} 4-state symbol
+   */
+  encode(data) {
+    const codes = JapanPostEncoder.createCodes(data);
+    while (codes.length < DATA_CODES) {
+      codes.push(PAD);
+    }
+    codes.push(this.computeCheckCode(codes));
+
+    return {
+      kind: 'fourstate',
+      bars: Array.from(START + codes.map(code => CODES[code]).join('') + STOP),
+      text: data,
+    };
+  }
+
+  /**
+   * Convert the data into codes: digits and '-' are one code, letters A to
+   * J, K to T and U to Z are CC1, CC2 and CC3 followed by a digit
+   * @param {string} data - 7 digit postal code, then digits, letters and '-'
+   * @returns {Array} Codes, at most 20
+   */
+  static createCodes(data) {
+    if (!/^\d{7}[0-9A-Z-]*$/.test(data)) {
+      throw new Error(
+        'Japan Post data must be the 7 digit postal code followed by digits, capital letters or -'
+      );
+    }
+
+    const codes = Array.from(data).flatMap(char => {
+      if (char === '-') return [HYPHEN];
+      if (/\d/.test(char)) return [Number(char)];
+
+      const index = char.charCodeAt(0) - 65;
+      return [CC1 + Math.floor(index / 10), index % 10];
+    });
+    if (codes.length > DATA_CODES) {
+      throw new Error(
+        `Data too long: ${codes.length} codes, Japan Post holds ${DATA_CODES} and letters take two`
+      );
+    }
+
+    return codes;
+  }
+
+  /**
+   * Get the check code
+   * @param {Array} codes - The 20 data codes
+   * @returns {number} Code that makes the code sum a multiple of 19
+   */
+  computeCheckCode(codes) {
+    const sum = codes.reduce((total, code) => total + code, 0);
+    return (19 - (sum % 19)) % 19;
+  }
+}
+
+module.exports = JapanPostEncoder;
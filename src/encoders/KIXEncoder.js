@@ -0,0 +1,27 @@
+/**
+ * KIX Encoder - Encodes a PostNL KIX code (Klant Index)
+ *
+ * KIX uses the RM4SCC character table, usually for the postcode, house
+ * number and suffix, but has no start and stop bars and no check character.
+ */
+
+const RM4SCCEncoder = require('./RM4SCCEncoder');
+
+class KIXEncoder extends RM4SCCEncoder {
+  /**
+   * Encode data as KIX
+   * @param {string} data - Digits and capital letters
+   * @returns {Object} 4-state symbol
+   */
+  encode(data) {
+    this.checkCharacters(data, 'KIX');
+
+    return {
+      kind: 'fourstate',
+      bars: Array.from(data).flatMap(char => this.createBars(char)),
+      text: data,
+    };
+  }
+}
+
+module.exports = KIXEncoder;
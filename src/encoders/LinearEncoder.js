@@ -0,0 +1,401 @@
+/**
+ * Linear Encoder - Encodes data into bar/space module patterns for 1D barcodes
+ */
+
+const JsBarcodeEncoders = require('jsbarcode/bin/barcodes').default;
+const Code128 = require('jsbarcode/bin/barcodes/CODE128/CODE128').default;
+const selectCode128Sets =
+  require('jsbarcode/bin/barcodes/CODE128/auto').default;
+const { GS1 } = require('./GS1');
+
+const CODE11_PATTERNS = {
+  0: '00001',
+  1: '10001',
+  2: '01001',
+  3: '11000',
+  4: '00101',
+  5: '10100',
+  6: '01100',
+  7: '00011',
+  8: '10010',
+  9: '10000',
+  '-': '00100',
+  '*': '00110',
+};
+
+const CODE25_PATTERNS = [
+  '00110',
+  '10001',
+  '01001',
+  '11000',
+  '00101',
+  '10100',
+  '01100',
+  '00011',
+  '10010',
+  '01010',
+];
+
+const CODE32_ALPHABET = '0123456789BCDFGHJKLMNPQRSTUVWXYZ';
+
+// JsBarcode's Code 128 characters: FNC1, the code set changes and the starts
+const CODE128_FNC1 = '\xcf';
+const CODE128_SET_CHANGES = { '\xcc': 'C', '\xcd': 'B', '\xce': 'A' };
+const CODE128_STARTS = { '\xd0': 'A', '\xd1': 'B', '\xd2': 'C' };
+
+// GS1-128 linkage flags (ISO/IEC 24723): a code set change at the end, to
+// the set that follows the last one for CC-A and CC-B, or the one after
+// that for CC-C
+const GS1_128_LINKAGE = {
+  A: { ab: '\xcd', c: '\xcc' },
+  B: { ab: '\xcc', c: '\xce' },
+  C: { ab: '\xce', c: '\xcd' },
+};
+
+class LinearEncoder {
+  constructor() {
+    // Types whose encoding is delegated to JsBarcode's encoders
+    this.jsBarcodeTypes = {
+      code128: { format: 'CODE128' },
+      code128a: { format: 'CODE128A' },
+      code128b: { format: 'CODE128B' },
+      code128c: { format: 'CODE128C' },
+      code128auto: { format: 'CODE128' },
+      code39: { format: 'CODE39' },
+      code39checksum: { format: 'CODE39', options: { mod43: true } },
+      code93: { format: 'CODE93' },
+      ean13: { format: 'EAN13' },
+      ean8: { format: 'EAN8' },
+      ean2: { format: 'EAN2' },
+      ean5: { format: 'EAN5' },
+      upca: { format: 'UPC' },
+      upce: { format: 'UPCE' },
+      itf14: { format: 'ITF14' },
+      interleaved25: { format: 'ITF' },
+      msi: { format: 'MSI' },
+      msichecksum: { format: 'MSI10' },
+      msiauto: { format: 'MSI10' },
+      codabar: { format: 'codabar' },
+    };
+
+    // Types encoded natively by this class
+    this.nativeTypes = {
+      code39extended: data => this.encodeCode39Extended(data),
+      code39auto: data => this.encodeCode39Auto(data),
+      code32: data => this.encodeCode32(data),
+      code11: data => this.encodeCode11(data),
+      code25: data => this.encodeStandard25(data, false),
+      code25auto: data => this.encodeStandard25(data, false),
+      standard25: data => this.encodeStandard25(data, false),
+      standard25checksum: data => this.encodeStandard25(data, true),
+      interleaved25checksum: data => this.encodeInterleaved25(data, true),
+      interleaved25auto: data => this.encodeInterleaved25(data, false),
+      gs1128: (data, options) => this.encodeGS1128(data, options.linkage),
+    };
+  }
+
+  /**
+   * Check if a barcode type can be encoded as a linear barcode
+   * @param {string} type - The barcode type
+   * @returns {boolean} True if supported
+   */
+  supports(type) {
+    return type in this.jsBarcodeTypes || type in this.nativeTypes;
+  }
+
+  /**
+   * Encode data into a module pattern
+   * @param {string} data - The data to encode
+   * @param {string} type - The barcode type
+   * @param {Object} options - Encoding options of the native types
+   * @returns {Object} Encoding with modules ('1' = bar, '0' = space), text and guard ranges
+   */
+  encode(data, type, options = {}) {
+    if (type in this.nativeTypes) {
+      return this.nativeTypes[type](data, options);
+    }
+
+    const config = this.jsBarcodeTypes[type];
+    if (!config) {
+      throw new Error(
+        `Barcode type ${type} cannot be encoded as a linear barcode`
+      );
+    }
+
+    return this.encodeWithJsBarcode(data, config.format, config.options);
+  }
+
+  /**
+   * Encode data with one of JsBarcode's encoders
+   * @param {string} data - The data to encode
+   * @param {string} format - JsBarcode format name
+   * @param {Object} options - Encoder options
+   * @returns {Object} Encoding
+   */
+  encodeWithJsBarcode(data, format, options = {}) {
+    const Encoder = JsBarcodeEncoders[format];
+    const encoder = new Encoder(data, { ...options });
+
+    if (!encoder.valid()) {
+      throw new Error(`"${data}" is not valid input for ${format}`);
+    }
+
+    const encoded = encoder.encode();
+
+    // EAN/UPC encoders return segments; segments without text are guard bars
+    if (Array.isArray(encoded)) {
+      let modules = '';
+      const guards = [];
+
+      encoded.forEach(segment => {
+        if (segment.text === undefined) {
+          guards.push([modules.length, modules.length + segment.data.length]);
+        }
+        modules += segment.data;
+      });
+
+      return { modules, text: data, guards };
+    }
+
+    // Some encoders end on an inter-character gap that belongs to no element
+    return {
+      modules: encoded.data.replace(/0+$/, ''),
+      text: encoded.text,
+      guards: [],
+    };
+  }
+
+  /**
+   * Encode Code 39 Full ASCII
+   * @param {string} data - The data to encode
+   * @returns {Object} Encoding
+   */
+  encodeCode39Extended(data) {
+    const escaped = Array.from(data)
+      .map(char => this.getCode39ExtendedSequence(char.charCodeAt(0)))
+      .join('');
+
+    return { ...this.encodeWithJsBarcode(escaped, 'CODE39'), text: data };
+  }
+
+  /**
+   * Encode Code 39, switching to Full ASCII only when the data requires it
+   * @param {string} data - The data to encode
+   * @returns {Object} Encoding
+   */
+  encodeCode39Auto(data) {
+    if (/^[0-9A-Z\-. $/+%]+$/.test(data)) {
+      return this.encodeWithJsBarcode(data, 'CODE39');
+    }
+
+    return this.encodeCode39Extended(data);
+  }
+
+  /**
+   * Get the Code 39 Full ASCII escape sequence for a character code
+   * @param {number} code - ASCII character code
+   * @returns {string} Code 39 characters
+   */
+  getCode39ExtendedSequence(code) {
+    const letter = offset => String.fromCharCode(65 + offset);
+
+    if (code === 0) return '%U';
+    if (code <= 26) return `$${letter(code - 1)}`;
+    if (code <= 31) return `%${letter(code - 27)}`;
+    if (code === 32 || code === 45 || code === 46) {
+      return String.fromCharCode(code);
+    }
+    if (code <= 44 || code === 47) return `/${letter(code - 33)}`;
+    if (code <= 57) return String.fromCharCode(code);
+    if (code === 58) return '/Z';
+    if (code <= 63) return `%${letter(code - 59 + 5)}`;
+    if (code === 64) return '%V';
+    if (code <= 90) return String.fromCharCode(code);
+    if (code <= 95) return `%${letter(code - 91 + 10)}`;
+    if (code === 96) return '%W';
+    if (code <= 122) return `+${letter(code - 97)}`;
+    if (code <= 127) return `%${letter(code - 123 + 15)}`;
+
+    throw new Error('Code 39 Full ASCII supports ASCII characters only');
+  }
+
+  /**
+   * Encode GS1-128: Code 128 with FNC1 in the first position and after each
+   * variable length field
+   * @param {string} data - GS1 element string
+   * @param {string} linkage - Composite component that follows ('a', 'b'
+   *   or 'c'), if any
+   * @returns {Object} Encoding
+   */
+  encodeGS1128(data, linkage) {
+    const fields = GS1.split(data);
+    let characters = selectCode128Sets(
+      CODE128_FNC1 + fields.join(CODE128_FNC1)
+    );
+
+    if (linkage) {
+      let set = CODE128_STARTS[characters[0]];
+      Array.from(characters).forEach(char => {
+        set = CODE128_SET_CHANGES[char] || set;
+      });
+      characters += GS1_128_LINKAGE[set][linkage === 'c' ? 'c' : 'ab'];
+    }
+
+    // The characters already hold the start and code set changes
+    return {
+      modules: new Code128(characters, {}).encode().data,
+      text: data.startsWith('(') ? data : fields.join(''),
+      guards: [],
+    };
+  }
+
+  /**
+   * Encode Code 32 (Italian Pharmacode)
+   * @param {string} data - 8 digits, or 9 digits including the check digit
+   * @returns {Object} Encoding
+   */
+  encodeCode32(data) {
+    if (!/^\d{8,9}$/.test(data)) {
+      throw new Error('Code 32 requires 8 or 9 digits');
+    }
+
+    const digits = data.substring(0, 8);
+    let sum = 0;
+    for (let i = 0; i < 8; i++) {
+      const digit = parseInt(digits[i], 10);
+      if (i % 2 === 0) {
+        sum += digit;
+      } else {
+        sum += Math.floor((digit * 2) / 10) + ((digit * 2) % 10);
+      }
+    }
+    const checkDigit = sum % 10;
+
+    if (data.length === 9 && parseInt(data[8], 10) !== checkDigit) {
+      throw new Error('Invalid Code 32 check digit');
+    }
+
+    let value = parseInt(digits + checkDigit, 10);
+    let base32 = '';
+    for (let i = 0; i < 6; i++) {
+      base32 = CODE32_ALPHABET[value % 32] + base32;
+      value = Math.floor(value / 32);
+    }
+
+    return {
+      ...this.encodeWithJsBarcode(base32, 'CODE39'),
+      text: `A${digits}${checkDigit}`,
+    };
+  }
+
+  /**
+   * Encode Code 11 with C (and, for 10+ characters, K) check digits
+   * @param {string} data - Digits and dashes
+   * @returns {Object} Encoding
+   */
+  encodeCode11(data) {
+    if (!/^[0-9-]+$/.test(data)) {
+      throw new Error('Code 11 supports digits and "-" only');
+    }
+
+    const value = char => (char === '-' ? 10 : parseInt(char, 10));
+    const checksum = (chars, maxWeight) => {
+      let sum = 0;
+      for (let i = chars.length - 1, weight = 1; i >= 0; i--) {
+        sum += value(chars[i]) * weight;
+        weight = weight === maxWeight ? 1 : weight + 1;
+      }
+      const check = sum % 11;
+      return check === 10 ? '-' : String(check);
+    };
+
+    let text = data + checksum(data, 10);
+    if (data.length >= 10) {
+      text += checksum(text, 9);
+    }
+
+    const modules = `*${text}*`
+      .split('')
+      .map(char => this.widthsToModules(CODE11_PATTERNS[char], 2))
+      .join('0');
+
+    return { modules, text, guards: [] };
+  }
+
+  /**
+   * Encode Standard (Industrial) 2 of 5
+   * @param {string} data - Digits
+   * @param {boolean} withChecksum - Append a mod-10 check digit
+   * @returns {Object} Encoding
+   */
+  encodeStandard25(data, withChecksum) {
+    if (!/^\d+$/.test(data)) {
+      throw new Error('Standard 2 of 5 supports digits only');
+    }
+
+    const text = withChecksum ? data + this.calculateMod10(data) : data;
+
+    // Information is carried by the bars only; every space is narrow
+    const barWidths = text
+      .split('')
+      .map(digit => CODE25_PATTERNS[digit])
+      .join('');
+    const modules = `110${barWidths}101`
+      .split('')
+      .map(wide => (wide === '1' ? '1110' : '10'))
+      .join('')
+      .slice(0, -1);
+
+    return { modules, text, guards: [] };
+  }
+
+  /**
+   * Encode Interleaved 2 of 5
+   * @param {string} data - Digits
+   * @param {boolean} withChecksum - Append a mod-10 check digit
+   * @returns {Object} Encoding
+   */
+  encodeInterleaved25(data, withChecksum) {
+    if (!/^\d+$/.test(data)) {
+      throw new Error('Interleaved 2 of 5 supports digits only');
+    }
+
+    let text = withChecksum ? data + this.calculateMod10(data) : data;
+    if (text.length % 2 !== 0) {
+      text = `0${text}`;
+    }
+
+    return { ...this.encodeWithJsBarcode(text, 'ITF'), text };
+  }
+
+  /**
+   * Calculate a mod-10 check digit with weights 3 and 1 from the right
+   * @param {string} data - Digits
+   * @returns {number} Check digit
+   */
+  calculateMod10(data) {
+    let sum = 0;
+    for (let i = data.length - 1, weight = 3; i >= 0; i--) {
+      sum += parseInt(data[i], 10) * weight;
+      weight = weight === 3 ? 1 : 3;
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * Convert a narrow/wide element pattern into modules
+   * @param {string} pattern - Element pattern starting with a bar ('1' = wide)
+   * @param {number} wideRatio - Width of a wide element in modules
+   * @returns {string} Modules
+   */
+  widthsToModules(pattern, wideRatio) {
+    return pattern
+      .split('')
+      .map((wide, index) =>
+        (index % 2 === 0 ? '1' : '0').repeat(wide === '1' ? wideRatio : 1)
+      )
+      .join('');
+  }
+}
+
+module.exports = LinearEncoder;
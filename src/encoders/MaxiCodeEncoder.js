@@ -0,0 +1,440 @@
+/**
+ * MaxiCode Encoder - Encodes data into a MaxiCode symbol (modes 2 to 6)
+ *
+ * MaxiCode is the fixed size symbol UPS sorts parcels with: 33 rows of offset
+ * hexagons around a bullseye, holding 144 six-bit codewords. Modes 2 and 3
+ * carry a structured carrier message whose postal code, country code and
+ * service class make up the primary message; modes 4 to 6 carry free text.
+ */
+
+const { GRID } = require('./MaxiCodeGrid');
+
+/**
+ * Get the characters with codes from..to
+ * @param {number} from - First character code
+ * @param {number} to - Last character code
+ * @returns {string} Characters
+ */
+function characters(from, to) {
+  return String.fromCharCode(
+    ...Array.from({ length: to - from + 1 }, (_, i) => from + i)
+  );
+}
+
+// Marks codeword values that are shifts, latches, pads, ECI or numeric shift
+const NONE = '\ufffd';
+const FS_GS_RS = '\x1c\x1d\x1e';
+
+// Characters of code sets A to E by codeword value (ISO/IEC 16023 Table 3)
+const CODE_SETS = [
+  `\r${characters(0x41, 0x5a)}${NONE}${FS_GS_RS}${NONE} ${NONE}` +
+    `"#$%&'()*+,-./0123456789:${NONE.repeat(5)}`,
+  `\`${characters(0x61, 0x7a)}${NONE}${FS_GS_RS}${NONE}{${NONE}` +
+    `}~\x7f;<=>?[\\]^_ ,./:@!|${NONE.repeat(9)}`,
+  `${characters(0xc0, 0xda)}${NONE}${FS_GS_RS}${NONE}` +
+    `\xdb\xdc\xdd\xde\xdf\xaa\xac\xb1\xb2\xb3\xb5\xb9\xba\xbc\xbd\xbe` +
+    `${characters(0x80, 0x89)}${NONE} ${NONE.repeat(4)}`,
+  `${characters(0xe0, 0xfa)}${NONE}${FS_GS_RS}${NONE}` +
+    `\xfb\xfc\xfd\xfe\xff\xa1\xa8\xab\xaf\xb0\xb4\xb7\xb8\xbb\xbf` +
+    `${characters(0x8a, 0x94)}${NONE} ${NONE.repeat(4)}`,
+  `${characters(0x00, 0x1a)}${NONE.repeat(3)}\x1b${NONE}${FS_GS_RS}` +
+    `\x1f\x9f\xa0\xa2\xa3\xa4\xa5\xa6\xa7\xa9\xad\xae\xb6` +
+    `${characters(0x95, 0x9e)}${NONE} ${NONE.repeat(4)}`,
+];
+
+// Codeword value of each byte in each code set
+const VALUES = CODE_SETS.map(set => {
+  const values = {};
+  Array.from(set).forEach((char, value) => {
+    if (char !== NONE) values[char.charCodeAt(0)] = value;
+  });
+  return values;
+});
+
+const SET_A = 0;
+const SET_C = 2;
+
+const ECI = 27;
+const UTF8_ECI = 26;
+const NUMERIC_SHIFT = 31;
+const PAD = 33;
+const LATCH_A = 58;
+// Latch B from sets A, C, D and E; latch A from set B
+const LATCH_B = 63;
+const SHIFT_B = 59;
+// Shift A for the next one, two or three characters, from set B
+const SHIFT_A = [59, 56, 57];
+// Sets C, D and E are shifted to with 60, 61 and 62; sent twice they latch
+const SHIFT_C = 60;
+
+// Secondary message data and error correction codewords per mode; the
+// primary message is always 10 data and 10 error correction codewords
+const MODES = {
+  2: { secondary: 84, errorCodewords: 40 },
+  3: { secondary: 84, errorCodewords: 40 },
+  4: { secondary: 84, errorCodewords: 40 },
+  5: { secondary: 68, errorCodewords: 56 },
+  6: { secondary: 84, errorCodewords: 40 },
+};
+
+// Optional ANSI MH10.8.3 header, then postal code, country code and service
+// class separated by GS, then the rest of the message
+const CARRIER_MESSAGE =
+  /^(\[\)>\x1e01\x1d\d\d)?([^\x1d]+)\x1d(\d{1,3})\x1d(\d{1,3})(?:\x1d([\s\S]*))?$/;
+
+// Bullseye circle radii in modules, from the 9 module wide outer circle in to
+// one as wide as a hexagon is tall
+const BULLSEYE_RADII = Array.from(
+  { length: 6 },
+  (_, i) => 4.5 - (i * (4.5 - 1 / Math.sqrt(3))) / 5
+);
+
+// GF(64) with the prime polynomial x^6 + x + 1
+const EXP = new Array(63);
+const LOG = new Array(64);
+for (let i = 0, x = 1; i < 63; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x40) x ^= 0x43;
+}
+
+class MaxiCodeEncoder {
+  constructor() {
+    this.defaultOptions = {
+      mode: undefined,
+    };
+    this.generators = {};
+  }
+
+  /**
+   * Encode data as a MaxiCode symbol. Data of the form postal code, GS,
+   * country code, GS, service class, GS, message - optionally after a
+   * `[)>RS01GSyy` header - is a structured carrier message.
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (mode)
+   * @returns {Object} Hexagonal symbol
+   */
+  encode(data, options = {}) {
+    const encodeOptions = { ...this.defaultOptions, ...options };
+    const mode =
+      encodeOptions.mode === undefined ? undefined : Number(encodeOptions.mode);
+    if (mode !== undefined && !MODES[mode]) {
+      throw new Error(
+        `Invalid MaxiCode mode: ${encodeOptions.mode}. Use 2 to 6`
+      );
+    }
+
+    const message = this.createMessage(data, mode);
+    const { secondary, errorCodewords } = MODES[message.mode];
+    const structured = message.mode < 4;
+    const text = this.encodeText(
+      message.text,
+      structured ? secondary : secondary + 9
+    );
+
+    const primary = structured
+      ? message.primary
+      : [message.mode, ...text.slice(0, 9)];
+    const codewords = [
+      ...primary,
+      ...this.computeErrorCorrection(primary, 10),
+      ...this.addSecondaryErrorCorrection(
+        structured ? text : text.slice(9),
+        errorCodewords
+      ),
+    ];
+
+    return {
+      kind: 'hexagonal',
+      rows: GRID.length,
+      columns: GRID[0].length,
+      modules: this.placeCodewords(codewords),
+      quietZone: 1,
+      bullseye: { row: 16, column: 14, radii: BULLSEYE_RADII },
+      mode: message.mode,
+    };
+  }
+
+  /**
+   * Split a structured carrier message into the primary message and the
+   * text of the secondary message. Without a mode, carrier messages use
+   * mode 2 for numeric postal codes and 3 for others; other data uses mode 4.
+   * @param {string} data - The data to encode
+   * @param {number} mode - Requested mode
+   * @returns {Object} Mode, primary message codewords and text
+   */
+  createMessage(data, mode) {
+    const match = CARRIER_MESSAGE.exec(data);
+
+    if (mode === undefined) {
+      mode = !match ? 4 : /^\d{1,9}$/.test(match[2]) ? 2 : 3;
+    }
+    if (mode > 3) {
+      return { mode, primary: null, text: data };
+    }
+    if (!match) {
+      throw new Error(
+        `Mode ${mode} needs a structured carrier message: postal code, country code and service class separated by GS`
+      );
+    }
+
+    const [, header = '', postcode, country, service, rest = ''] = match;
+    return {
+      mode,
+      primary: this.createPrimary(
+        mode,
+        postcode,
+        Number(country),
+        Number(service)
+      ),
+      text: header + rest,
+    };
+  }
+
+  /**
+   * Create the primary message of a structured carrier message. Its 60 bits
+   * are filled from the least significant bit of the first codeword: mode,
+   * postal code, country code and service class.
+   * @param {number} mode - Mode 2 or 3
+   * @param {string} postcode - Postal code
+   * @param {number} country - ISO 3166 country code
+   * @param {number} service - Service class
+   * @returns {Array} 10 primary message codewords
+   */
+  createPrimary(mode, postcode, country, service) {
+    let fields;
+
+    if (mode === 2) {
+      if (!/^\d{1,9}$/.test(postcode)) {
+        throw new Error(
+          `Invalid postal code for mode 2: ${postcode}. Use 1 to 9 digits`
+        );
+      }
+      fields = [
+        [mode, 4],
+        [Number(postcode), 30],
+        [postcode.length, 6],
+      ];
+    } else {
+      const padded = postcode.toUpperCase().padEnd(6, ' ');
+      if (!/^[A-Z0-9 ]{6}$/.test(padded)) {
+        throw new Error(
+          `Invalid postal code for mode 3: ${postcode}. Use up to 6 letters, digits or spaces`
+        );
+      }
+      // Six code set A characters, the first one most significant
+      const value = Array.from(padded).reduce(
+        (sum, char) => sum * 64 + VALUES[SET_A][char.charCodeAt(0)],
+        0
+      );
+      fields = [
+        [mode, 4],
+        [value, 36],
+      ];
+    }
+    fields.push([country, 10], [service, 10]);
+
+    const bits = [];
+    fields.forEach(([value, count]) => {
+      for (let i = 0; i < count; i++) {
+        bits.push(Math.floor(value / 2 ** i) % 2);
+      }
+    });
+
+    return Array.from({ length: 10 }, (_, i) =>
+      bits
+        .slice(i * 6, i * 6 + 6)
+        .reduce((codeword, bit, j) => codeword | (bit << j), 0)
+    );
+  }
+
+  /**
+   * Encode text into codewords, switching code sets as characters need and
+   * packing runs of 9 digits with numeric shift, then pad to the capacity.
+   * Text outside ISO 8859-1 is sent as UTF-8 after an ECI.
+   * @param {string} text - The text to encode
+   * @param {number} capacity - Data codewords available
+   * @returns {Array} Codewords
+   */
+  encodeText(text, capacity) {
+    const latin1 = /^[\x00-\xff]*$/.test(text);
+    const values = latin1
+      ? Array.from(text, char => char.charCodeAt(0))
+      : [...Buffer.from(text, 'utf8')];
+    const codewords = latin1 ? [] : [ECI, UTF8_ECI];
+    let set = SET_A;
+
+    for (let i = 0; i < values.length; ) {
+      if (this.countRun(values, i, null) >= 9) {
+        const number = Number(String.fromCharCode(...values.slice(i, i + 9)));
+        codewords.push(NUMERIC_SHIFT);
+        for (let shift = 24; shift >= 0; shift -= 6) {
+          codewords.push(Math.floor(number / 2 ** shift) % 64);
+        }
+        i += 9;
+        continue;
+      }
+
+      if (values[i] in VALUES[set]) {
+        codewords.push(VALUES[set][values[i]]);
+        i++;
+        continue;
+      }
+
+      const target = VALUES.findIndex(table => values[i] in table);
+      const run = this.countRun(values, i, target);
+
+      if (target >= SET_C) {
+        // Latching costs two codewords and one to get back
+        const shift = SHIFT_C + target - SET_C;
+        codewords.push(shift);
+        if (run >= 4) {
+          codewords.push(shift);
+          set = target;
+        } else {
+          codewords.push(VALUES[target][values[i]]);
+          i++;
+        }
+      } else if (set >= SET_C) {
+        codewords.push(target === SET_A ? LATCH_A : LATCH_B);
+        set = target;
+      } else if (run >= (set === SET_A ? 2 : 4)) {
+        codewords.push(LATCH_B);
+        set = target;
+      } else {
+        const count = set === SET_A ? 1 : run;
+        codewords.push(set === SET_A ? SHIFT_B : SHIFT_A[count - 1]);
+        values
+          .slice(i, i + count)
+          .forEach(value => codewords.push(VALUES[target][value]));
+        i += count;
+      }
+    }
+
+    if (codewords.length > capacity) {
+      throw new Error(
+        `Data needs ${codewords.length} codewords, more than the ${capacity} this MaxiCode mode holds`
+      );
+    }
+
+    // PAD is only a pad character in sets A and B
+    if (set >= SET_C && codewords.length < capacity) {
+      codewords.push(LATCH_A);
+    }
+    while (codewords.length < capacity) {
+      codewords.push(PAD);
+    }
+
+    return codewords;
+  }
+
+  /**
+   * Count the characters from a position that are in a code set
+   * @param {Array} values - Byte values
+   * @param {number} pos - Start position
+   * @param {number|null} set - Code set, or null to count digits
+   * @returns {number} Run length
+   */
+  countRun(values, pos, set) {
+    let run = 0;
+    while (
+      pos + run < values.length &&
+      (set === null
+        ? values[pos + run] >= 0x30 && values[pos + run] <= 0x39
+        : values[pos + run] in VALUES[set])
+    ) {
+      run++;
+    }
+    return run;
+  }
+
+  /**
+   * Add the secondary message error correction, computed separately for the
+   * codewords at even and odd positions and interleaved the same way
+   * @param {Array} data - Secondary message data codewords
+   * @param {number} count - Error correction codewords
+   * @returns {Array} Data and error correction codewords
+   */
+  addSecondaryErrorCorrection(data, count) {
+    const [even, odd] = [0, 1].map(parity =>
+      this.computeErrorCorrection(
+        data.filter((_, i) => i % 2 === parity),
+        count / 2
+      )
+    );
+
+    return [...data, ...even.flatMap((codeword, i) => [codeword, odd[i]])];
+  }
+
+  /**
+   * Get the generator polynomial with roots 2^1 to 2^count
+   * @param {number} count - Error correction codewords
+   * @returns {Array} Coefficients, highest degree first
+   */
+  getGenerator(count) {
+    if (!this.generators[count]) {
+      let generator = [1];
+      for (let i = 1; i <= count; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, index) => {
+          next[index] ^= coefficient;
+          next[index + 1] ^= this.multiply(coefficient, EXP[i]);
+        });
+        generator = next;
+      }
+      this.generators[count] = generator;
+    }
+
+    return this.generators[count];
+  }
+
+  /**
+   * Compute Reed-Solomon error correction codewords
+   * @param {Array} data - Data codewords
+   * @param {number} count - Error correction codewords
+   * @returns {Array} Error correction codewords
+   */
+  computeErrorCorrection(data, count) {
+    const generator = this.getGenerator(count);
+    const remainder = new Array(count).fill(0);
+
+    data.forEach(codeword => {
+      const factor = codeword ^ remainder.shift();
+      remainder.push(0);
+      for (let i = 0; i < count; i++) {
+        remainder[i] ^= this.multiply(generator[i + 1], factor);
+      }
+    });
+
+    return remainder;
+  }
+
+  /**
+   * Multiply in GF(64)
+   * @param {number} a - Factor
+   * @param {number} b - Factor
+   * @returns {number} Product
+   */
+  multiply(a, b) {
+    return a === 0 || b === 0 ? 0 : EXP[(LOG[a] + LOG[b]) % 63];
+  }
+
+  /**
+   * Place the codeword bits and the dark orientation modules on the grid
+   * @param {Array} codewords - All 144 codewords
+   * @returns {Array} Modules by row, true for dark hexagons
+   */
+  placeCodewords(codewords) {
+    return GRID.map(row =>
+      row.map(
+        bit =>
+          bit === -2 ||
+          (bit >= 0 &&
+            ((codewords[Math.floor(bit / 6)] >> (5 - (bit % 6))) & 1) === 1)
+      )
+    );
+  }
+}
+
+module.exports = MaxiCodeEncoder;
@@ -0,0 +1,271 @@
+/**
+ * MicroPDF417 Encoder - Encodes data into a MicroPDF417 symbol
+ *
+ * MicroPDF417 (ISO/IEC 24728) uses the PDF417 compaction, error correction
+ * and symbol characters in 1 to 4 columns, but only in the 34 defined sizes.
+ * Rows are identified by row address patterns instead of row indicators and
+ * start and stop patterns, so a symbol can be as short as 4 rows.
+ */
+
+const PDF417Encoder = require('./PDF417Encoder');
+const { CLUSTERS } = require('./PDF417Patterns');
+
+// Symbol sizes as [columns, rows, error correction codewords, left, centre
+// and right row address pattern of the first row], in the order of ISO/IEC
+// 24728 Table 1. The centre pattern is only used with 3 or 4 columns.
+const SIZES = [
+  [1, 11, 7, 1, 0, 9],
+  [1, 14, 7, 8, 0, 8],
+  [1, 17, 7, 36, 0, 36],
+  [1, 20, 8, 19, 0, 19],
+  [1, 24, 8, 9, 0, 17],
+  [1, 28, 8, 25, 0, 33],
+  [2, 8, 8, 1, 0, 1],
+  [2, 11, 9, 1, 0, 9],
+  [2, 14, 9, 8, 0, 8],
+  [2, 17, 10, 36, 0, 36],
+  [2, 20, 11, 19, 0, 19],
+  [2, 23, 13, 9, 0, 17],
+  [2, 26, 15, 27, 0, 35],
+  [3, 6, 12, 1, 1, 1],
+  [3, 8, 14, 7, 7, 7],
+  [3, 10, 16, 15, 15, 15],
+  [3, 12, 18, 25, 25, 25],
+  [3, 15, 21, 37, 37, 37],
+  [3, 20, 26, 1, 17, 33],
+  [3, 26, 32, 1, 9, 17],
+  [3, 32, 38, 21, 29, 37],
+  [3, 38, 44, 15, 31, 47],
+  [3, 44, 50, 1, 25, 49],
+  [4, 4, 8, 47, 19, 43],
+  [4, 6, 12, 1, 1, 1],
+  [4, 8, 14, 7, 7, 7],
+  [4, 10, 16, 15, 15, 15],
+  [4, 12, 18, 25, 25, 25],
+  [4, 15, 21, 37, 37, 37],
+  [4, 20, 26, 1, 17, 33],
+  [4, 26, 32, 1, 9, 17],
+  [4, 32, 38, 21, 29, 37],
+  [4, 38, 44, 15, 31, 47],
+  [4, 44, 50, 1, 25, 49],
+];
+
+// Sizes of the CC-A composite component (ISO/IEC 24723) in the same form.
+// CC-A has its own sizes, and no left pattern with 3 columns.
+const CCA_SIZES = [
+  [2, 5, 4, 39, 0, 19],
+  [2, 6, 4, 1, 0, 33],
+  [2, 7, 5, 32, 0, 12],
+  [2, 8, 5, 8, 0, 40],
+  [2, 9, 6, 14, 0, 46],
+  [2, 10, 6, 43, 0, 23],
+  [2, 12, 7, 20, 0, 52],
+  [3, 4, 4, 11, 43, 23],
+  [3, 5, 5, 1, 33, 13],
+  [3, 6, 6, 5, 37, 17],
+  [3, 7, 7, 15, 47, 27],
+  [3, 8, 7, 21, 1, 33],
+  [4, 3, 4, 40, 20, 52],
+  [4, 4, 5, 43, 23, 3],
+  [4, 5, 6, 46, 26, 6],
+  [4, 6, 7, 34, 14, 46],
+  [4, 7, 8, 29, 9, 41],
+];
+
+// Row address patterns 1 to 52 as 10-module patterns, read from the most
+// significant bit with 1 for bar modules
+const SIDE_PATTERNS = [
+  0x322, 0x3a2, 0x3b2, 0x332, 0x372, 0x37a, 0x33a, 0x3ba, 0x39a, 0x3da, 0x3ca,
+  0x38a, 0x30a, 0x31a, 0x312, 0x392, 0x3d2, 0x3d6, 0x3d4, 0x394, 0x3b4, 0x3a4,
+  0x3a6, 0x3ae, 0x3ac, 0x3a8, 0x328, 0x32c, 0x32e, 0x326, 0x336, 0x3b6, 0x396,
+  0x316, 0x314, 0x334, 0x374, 0x364, 0x366, 0x36e, 0x36c, 0x368, 0x348, 0x358,
+  0x35c, 0x35e, 0x34e, 0x34c, 0x344, 0x346, 0x342, 0x362,
+];
+const CENTRE_PATTERNS = [
+  0x2ce, 0x24e, 0x26e, 0x22e, 0x226, 0x236, 0x216, 0x212, 0x21a, 0x23a, 0x232,
+  0x222, 0x262, 0x272, 0x27a, 0x2fa, 0x2f2, 0x2f6, 0x276, 0x274, 0x264, 0x266,
+  0x246, 0x242, 0x2c2, 0x2e2, 0x2e6, 0x2e4, 0x2ec, 0x26c, 0x22c, 0x228, 0x268,
+  0x2e8, 0x2c8, 0x2cc, 0x2c4, 0x2c6, 0x286, 0x28e, 0x28c, 0x29c, 0x298, 0x2b8,
+  0x2b0, 0x290, 0x2d0, 0x250, 0x258, 0x25c, 0x2dc, 0x2de,
+];
+
+const PAD = 900;
+
+class MicroPDF417Encoder extends PDF417Encoder {
+  constructor() {
+    super();
+    this.defaultOptions = {
+      columns: undefined,
+      rows: undefined,
+      rowHeight: 2,
+    };
+  }
+
+  /**
+   * Encode data as MicroPDF417
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (columns, rows, rowHeight)
+   * @returns {Object} Matrix symbol with tall rows
+   */
+  encode(data, options = {}) {
+    // MicroPDF417 symbols start in byte compaction, so text needs a latch
+    return this.createSymbol(this.compact(data, 'byte'), {
+      ...this.defaultOptions,
+      ...options,
+    });
+  }
+
+  /**
+   * Lay out data codewords in the smallest symbol that holds them. GS1
+   * composite symbols use this for their CC-A and CC-B components.
+   * @param {Array} data - Data codewords
+   * @param {Object} options - columns, rows, rowHeight and cca for the CC-A
+   *   sizes
+   * @returns {Object} Matrix symbol with tall rows
+   */
+  createSymbol(data, options) {
+    const sizes = options.cca ? CCA_SIZES : SIZES;
+    const variant = this.getVariant(data.length, options, sizes);
+    const [columns, rows, eccCount] = sizes[variant];
+
+    const codewords = [
+      ...data,
+      ...new Array(columns * rows - eccCount - data.length).fill(PAD),
+    ];
+    codewords.push(...this.computeErrorCorrection(codewords, eccCount));
+
+    const modules = this.createRows(
+      codewords,
+      sizes[variant],
+      Boolean(options.cca)
+    );
+
+    return {
+      kind: 'matrix',
+      rows,
+      columns: modules[0].length,
+      modules,
+      rowHeights: modules.map(() => Number(options.rowHeight)),
+      quietZone: 1,
+      dataColumns: columns,
+      variant,
+    };
+  }
+
+  /**
+   * Pick the symbol size: the smallest area that holds the data, within the
+   * columns and rows asked for
+   * @param {number} count - Data codewords
+   * @param {Object} options - columns and rows
+   * @param {Array} table - Symbol sizes to pick from
+   * @returns {number} Index into the symbol sizes
+   */
+  getVariant(count, options, table = SIZES) {
+    const { columns, rows } = options;
+
+    if (
+      columns !== undefined &&
+      !table.some(([sizeColumns]) => sizeColumns === Number(columns))
+    ) {
+      throw new Error(
+        `Invalid columns: ${columns}. MicroPDF417 has 1 to 4 data columns`
+      );
+    }
+
+    const sizes = table
+      .map((size, index) => ({ size, index }))
+      .filter(
+        ({ size }) =>
+          (columns === undefined || size[0] === Number(columns)) &&
+          (rows === undefined || size[1] === Number(rows))
+      );
+    if (sizes.length === 0) {
+      throw new Error(
+        `Invalid rows: ${rows}. No ${
+          columns === undefined ? '' : `${columns} column `
+        }MicroPDF417 size has ${rows} rows`
+      );
+    }
+
+    const fitting = sizes.filter(
+      ({ size: [sizeColumns, sizeRows, eccCount] }) =>
+        sizeColumns * sizeRows - eccCount >= count
+    );
+    if (fitting.length === 0) {
+      const capacity = Math.max(
+        ...sizes.map(({ size }) => size[0] * size[1] - size[2])
+      );
+      const holder =
+        columns === undefined && rows === undefined
+          ? 'a MicroPDF417 symbol'
+          : 'the requested size';
+      throw new Error(
+        `Data needs ${count} codewords, more than the ${capacity} ${holder} holds`
+      );
+    }
+
+    const area = ([sizeColumns, sizeRows]) =>
+      this.getWidth(sizeColumns) * sizeRows;
+    fitting.sort((a, b) => area(a.size) - area(b.size) || a.index - b.index);
+
+    return fitting[0].index;
+  }
+
+  /**
+   * Get the width of a row in modules
+   * @param {number} columns - Data columns
+   * @returns {number} Modules
+   */
+  getWidth(columns) {
+    // Codewords, left and right row address patterns, the centre one from
+    // 3 columns on, and the closing bar
+    return 17 * columns + 20 + (columns >= 3 ? 10 : 0) + 1;
+  }
+
+  /**
+   * Write the codewords as rows of modules, between row address patterns
+   * that advance with each row. The cluster follows the left pattern.
+   * @param {Array} codewords - Data and error correction codewords
+   * @param {Array} size - Symbol size from the size table
+   * @param {boolean} cca - CC-A component
+   * @returns {Array} Module rows, true for bar modules
+   */
+  createRows(codewords, size, cca = false) {
+    const [columns, rows, , left, centre, right] = size;
+    const toBits = (pattern, length) =>
+      pattern.toString(2).padStart(length, '0');
+    const address = (patterns, start, row) =>
+      toBits(patterns[(start - 1 + row) % 52], 10);
+
+    const modules = [];
+    for (let row = 0; row < rows; row++) {
+      const patterns = CLUSTERS[(left - 1 + row) % 3];
+      const characters = codewords
+        .slice(row * columns, (row + 1) * columns)
+        .map(codeword => toBits(patterns[codeword], 17));
+
+      // 3 column symbols have the centre pattern after the first column,
+      // 4 column symbols after the second
+      if (columns >= 3) {
+        characters.splice(
+          columns - 2,
+          0,
+          address(CENTRE_PATTERNS, centre, row)
+        );
+      }
+
+      // The left pattern still selects the cluster when it is left out
+      const bits =
+        (cca && columns === 3 ? '' : address(SIDE_PATTERNS, left, row)) +
+        characters.join('') +
+        address(SIDE_PATTERNS, right, row) +
+        '1';
+
+      modules.push(Array.from(bits, bit => bit === '1'));
+    }
+
+    return modules;
+  }
+}
+
+module.exports = MicroPDF417Encoder;
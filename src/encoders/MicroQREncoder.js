@@ -0,0 +1,390 @@
+/**
+ * Micro QR Encoder - Encodes data into a Micro QR Code (M1 to M4)
+ *
+ * Micro QR symbols have a single finder pattern, so they fit labels too small
+ * for a QR Code. The data is written in numeric, alphanumeric or byte mode and
+ * protected with one Reed-Solomon block; M1 only detects errors.
+ */
+
+const {
+  ALPHANUMERIC,
+  PAD_CODEWORDS,
+  computeErrorCorrection,
+} = require('./QRReedSolomon');
+
+// Symbol version, error correction level, symbol number for the format
+// information, data capacity in bits and error correction codewords
+const SYMBOLS = [
+  [1, null, 0, 20, 2],
+  [2, 'L', 1, 40, 5],
+  [2, 'M', 2, 32, 6],
+  [3, 'L', 3, 84, 6],
+  [3, 'M', 4, 68, 8],
+  [4, 'L', 5, 128, 8],
+  [4, 'M', 6, 112, 10],
+  [4, 'Q', 7, 80, 14],
+].map(([version, level, number, dataBits, errorCodewords]) => ({
+  version,
+  level,
+  number,
+  dataBits,
+  errorCodewords,
+}));
+
+// Mode indicators and character count bits by version, null where the
+// version has no such mode
+const MODES = {
+  numeric: { indicator: 0, countBits: [3, 4, 5, 6] },
+  alphanumeric: { indicator: 1, countBits: [null, 3, 4, 5] },
+  byte: { indicator: 2, countBits: [null, null, 4, 5] },
+};
+
+// Data mask conditions by mask pattern reference
+const MASKS = [
+  row => row % 2 === 0,
+  (row, column) => (Math.floor(row / 2) + Math.floor(column / 3)) % 2 === 0,
+  (row, column) => (((row * column) % 2) + ((row * column) % 3)) % 2 === 0,
+  (row, column) => (((row + column) % 2) + ((row * column) % 3)) % 2 === 0,
+];
+
+// BCH (15, 5) generator and the mask applied to the format information
+const FORMAT_GENERATOR = 0x537;
+const FORMAT_MASK = 0x4445;
+
+class MicroQREncoder {
+  constructor() {
+    this.defaultOptions = {
+      errorCorrectionLevel: undefined,
+      version: undefined,
+      maskPattern: undefined,
+    };
+  }
+
+  /**
+   * Encode data as a Micro QR Code
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (errorCorrectionLevel,
+   *   version, maskPattern)
+   * @returns {Object} Matrix symbol
+   */
+  encode(data, options = {}) {
+    const encodeOptions = { ...this.defaultOptions, ...options };
+    const { maskPattern } = encodeOptions;
+    if (
+      maskPattern !== undefined &&
+      !(Number.isInteger(maskPattern) && maskPattern >= 0 && maskPattern <= 3)
+    ) {
+      throw new Error(`Invalid mask pattern: ${maskPattern}. Use 0 to 3`);
+    }
+
+    const segment = this.createSegment(data);
+    const symbol = this.getSymbol(segment, encodeOptions);
+    const codewords = this.createCodewords(segment, symbol);
+    const size = symbol.version * 2 + 9;
+    const { modules, reserved } = this.createFunctionPatterns(size);
+
+    this.placeCodewords(modules, reserved, codewords, symbol);
+
+    // Masks are scored on the dark modules along the right and bottom edges
+    const masks =
+      maskPattern === undefined ? [0, 1, 2, 3] : [Number(maskPattern)];
+    const candidates = masks.map(mask => {
+      const masked = this.applyMask(modules, reserved, mask);
+      this.placeFormatInformation(masked, symbol, mask);
+      return { mask, modules: masked, score: this.scoreMask(masked) };
+    });
+    const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+
+    return {
+      kind: 'matrix',
+      rows: size,
+      columns: size,
+      modules: best.modules,
+      quietZone: 2,
+      version: `M${symbol.version}`,
+      errorCorrectionLevel: symbol.level,
+      maskPattern: best.mask,
+    };
+  }
+
+  /**
+   * Pick the densest mode that holds all the data. Text outside ISO 8859-1
+   * is sent as UTF-8 bytes, as Micro QR has no ECI.
+   * @param {string} data - The data to encode
+   * @returns {Object} Mode and character values
+   */
+  createSegment(data) {
+    if (/^\d+$/.test(data)) {
+      return { mode: 'numeric', values: Array.from(data, Number) };
+    }
+
+    if (Array.from(data).every(char => ALPHANUMERIC.includes(char))) {
+      return {
+        mode: 'alphanumeric',
+        values: Array.from(data, char => ALPHANUMERIC.indexOf(char)),
+      };
+    }
+
+    const values = /^[\x00-\xff]*$/.test(data)
+      ? Array.from(data, char => char.charCodeAt(0))
+      : [...Buffer.from(data, 'utf8')];
+    return { mode: 'byte', values };
+  }
+
+  /**
+   * Find the smallest symbol that holds the segment. Without a level, the
+   * highest level of that version that still fits is used.
+   * @param {Object} segment - Mode and character values
+   * @param {Object} options - Encoding options
+   * @returns {Object} Symbol version and level
+   */
+  getSymbol(segment, options) {
+    const { errorCorrectionLevel: level } = options;
+    if (level !== undefined && !['L', 'M', 'Q'].includes(level)) {
+      throw new Error(
+        `Invalid error correction level: ${level}. Micro QR supports L, M and Q`
+      );
+    }
+
+    const version =
+      options.version === undefined
+        ? undefined
+        : Number(String(options.version).replace(/^M/i, ''));
+    if (version !== undefined && ![1, 2, 3, 4].includes(version)) {
+      throw new Error(
+        `Invalid version: ${options.version}. Use M1, M2, M3 or M4`
+      );
+    }
+
+    const candidates = SYMBOLS.filter(
+      symbol =>
+        (version === undefined || symbol.version === version) &&
+        (level === undefined || symbol.level === level)
+    );
+    if (candidates.length === 0) {
+      throw new Error(
+        `Micro QR M${version} has no error correction level ${level}`
+      );
+    }
+
+    const fitting = candidates.filter(
+      symbol => this.getBitLength(segment, symbol.version) <= symbol.dataBits
+    );
+    if (fitting.length === 0) {
+      const largest = candidates.reduce((a, b) =>
+        b.dataBits > a.dataBits ? b : a
+      );
+      const bits = this.getBitLength(segment, largest.version);
+      throw new Error(
+        bits === Infinity
+          ? `Micro QR M${largest.version} cannot encode ${segment.mode} data`
+          : `Data needs ${bits} bits, more than the ${largest.dataBits} a Micro QR M${largest.version}${
+              largest.level ? `-${largest.level}` : ''
+            } symbol holds`
+      );
+    }
+
+    // Higher levels of the same version come later, with less capacity
+    const smallest = fitting[0].version;
+    return fitting.filter(symbol => symbol.version === smallest).pop();
+  }
+
+  /**
+   * Get the length of a segment in a version, header included
+   * @param {Object} segment - Mode and character values
+   * @param {number} version - Symbol version, 1 to 4
+   * @returns {number} Bits, Infinity if the version lacks the mode
+   */
+  getBitLength(segment, version) {
+    const countBits = MODES[segment.mode].countBits[version - 1];
+    if (countBits === null) {
+      return Infinity;
+    }
+
+    // Counts too large for the count field are too large for the symbol too
+    const count = segment.values.length;
+
+    const dataBits = {
+      numeric: Math.floor(count / 3) * 10 + [0, 4, 7][count % 3],
+      alphanumeric: Math.floor(count / 2) * 11 + (count % 2) * 6,
+      byte: count * 8,
+    }[segment.mode];
+
+    return version - 1 + countBits + dataBits;
+  }
+
+  /**
+   * Write the segment, terminator and padding, then add error correction
+   * @param {Object} segment - Mode and character values
+   * @param {Object} symbol - Symbol version and level
+   * @returns {Array} Data and error correction codewords; the last data
+   *   codeword of M1 and M3 holds 4 bits in its high nibble
+   */
+  createCodewords(segment, symbol) {
+    const { version, dataBits } = symbol;
+    const { mode, values } = segment;
+    const bits = [];
+    const write = (value, count) => {
+      for (let i = count - 1; i >= 0; i--) bits.push((value >> i) & 1);
+    };
+
+    write(MODES[mode].indicator, version - 1);
+    write(values.length, MODES[mode].countBits[version - 1]);
+
+    if (mode === 'numeric') {
+      for (let i = 0; i < values.length; i += 3) {
+        const group = values.slice(i, i + 3);
+        write(Number(group.join('')), [0, 4, 7, 10][group.length]);
+      }
+    } else if (mode === 'alphanumeric') {
+      for (let i = 0; i < values.length; i += 2) {
+        if (i + 1 < values.length) {
+          write(values[i] * 45 + values[i + 1], 11);
+        } else {
+          write(values[i], 6);
+        }
+      }
+    } else {
+      values.forEach(value => write(value, 8));
+    }
+
+    // Terminator of 2 * version + 1 zero bits, cut short by a full symbol
+    write(0, Math.min(version * 2 + 1, dataBits - bits.length));
+    write(0, Math.min((8 - (bits.length % 8)) % 8, dataBits - bits.length));
+    for (let i = 0; dataBits - bits.length >= 8; i++) {
+      write(PAD_CODEWORDS[i % 2], 8);
+    }
+    write(0, dataBits - bits.length);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      const byte = bits.slice(i, i + 8);
+      while (byte.length < 8) byte.push(0);
+      data.push(parseInt(byte.join(''), 2));
+    }
+
+    return [...data, ...computeErrorCorrection(data, symbol.errorCodewords)];
+  }
+
+  /**
+   * Draw the finder pattern, separator and timing patterns, and reserve the
+   * format information modules
+   * @param {number} size - Symbol size in modules
+   * @returns {Object} Module rows and the function module flags
+   */
+  createFunctionPatterns(size) {
+    const modules = Array.from({ length: size }, () =>
+      new Array(size).fill(false)
+    );
+    const reserved = Array.from({ length: size }, () =>
+      new Array(size).fill(false)
+    );
+
+    for (let row = 0; row <= 8; row++) {
+      for (let column = 0; column <= 8; column++) {
+        const ring = Math.max(Math.abs(row - 3), Math.abs(column - 3));
+        modules[row][column] = ring !== 2 && ring <= 3;
+        reserved[row][column] = true;
+      }
+    }
+
+    for (let i = 8; i < size; i++) {
+      modules[0][i] = i % 2 === 0;
+      modules[i][0] = i % 2 === 0;
+      reserved[0][i] = true;
+      reserved[i][0] = true;
+    }
+
+    return { modules, reserved };
+  }
+
+  /**
+   * Place the codeword bits in two-module columns, upwards and downwards in
+   * turn from the bottom right corner
+   * @param {Array} modules - Module rows
+   * @param {Array} reserved - Function module flags
+   * @param {Array} codewords - Data and error correction codewords
+   * @param {Object} symbol - Symbol version and level
+   */
+  placeCodewords(modules, reserved, codewords, symbol) {
+    const size = modules.length;
+    const dataCodewords = Math.ceil(symbol.dataBits / 8);
+    const bits = [];
+    codewords.forEach((codeword, index) => {
+      const count = index === dataCodewords - 1 && symbol.dataBits % 8 ? 4 : 8;
+      for (let i = 7; i >= 8 - count; i--) bits.push((codeword >> i) & 1);
+    });
+
+    let index = 0;
+    let upwards = true;
+    for (let right = size - 1; right > 0; right -= 2) {
+      for (let i = 0; i < size; i++) {
+        const row = upwards ? size - 1 - i : i;
+        for (const column of [right, right - 1]) {
+          if (!reserved[row][column]) {
+            modules[row][column] = bits[index++] === 1;
+          }
+        }
+      }
+      upwards = !upwards;
+    }
+  }
+
+  /**
+   * Apply a data mask to the modules outside the function patterns
+   * @param {Array} modules - Module rows
+   * @param {Array} reserved - Function module flags
+   * @param {number} mask - Mask pattern reference, 0 to 3
+   * @returns {Array} Masked module rows
+   */
+  applyMask(modules, reserved, mask) {
+    return modules.map((line, row) =>
+      line.map((dark, column) =>
+        reserved[row][column] ? dark : dark !== MASKS[mask](row, column)
+      )
+    );
+  }
+
+  /**
+   * Place the format information: symbol number and mask, BCH protected,
+   * from the bottom of column 8 round to the start of row 8
+   * @param {Array} modules - Module rows
+   * @param {Object} symbol - Symbol version and level
+   * @param {number} mask - Mask pattern reference
+   */
+  placeFormatInformation(modules, symbol, mask) {
+    const data = (symbol.number << 2) | mask;
+    let remainder = data << 10;
+    for (let bit = 14; bit >= 10; bit--) {
+      if (remainder & (1 << bit)) remainder ^= FORMAT_GENERATOR << (bit - 10);
+    }
+    const format = ((data << 10) | remainder) ^ FORMAT_MASK;
+
+    // Bits 0 to 7 run down column 8, bits 8 to 14 left along row 8
+    for (let i = 0; i < 8; i++) {
+      modules[i + 1][8] = Boolean((format >> i) & 1);
+    }
+    for (let i = 0; i < 7; i++) {
+      modules[8][7 - i] = Boolean((format >> (i + 8)) & 1);
+    }
+  }
+
+  /**
+   * Score a masked symbol; the highest score wins
+   * @param {Array} modules - Module rows
+   * @returns {number} Score
+   */
+  scoreMask(modules) {
+    const last = modules.length - 1;
+    let right = 0;
+    let bottom = 0;
+    for (let i = 1; i <= last; i++) {
+      if (modules[i][last]) right++;
+      if (modules[last][i]) bottom++;
+    }
+
+    return Math.min(right, bottom) * 16 + Math.max(right, bottom);
+  }
+}
+
+module.exports = MicroQREncoder;
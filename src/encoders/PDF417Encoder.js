@@ -0,0 +1,663 @@
+/**
+ * PDF417 Encoder - Encodes data into a PDF417 stacked symbol
+ *
+ * Data is compacted with text, byte and numeric compaction, protected with
+ * Reed-Solomon codewords over GF(929) and written in rows of 17-module symbol
+ * characters between row indicators and the start and stop patterns.
+ */
+
+const { CLUSTERS } = require('./PDF417Patterns');
+
+const START_PATTERN = 0x1fea8;
+const STOP_PATTERN = 0x3fa29;
+
+const MAX_CODEWORDS = 928;
+const MAX_COLUMNS = 30;
+const MIN_ROWS = 3;
+const MAX_ROWS = 90;
+
+const TEXT_LATCH = 900;
+const BYTE_LATCH = 901;
+const NUMERIC_LATCH = 902;
+const BYTE_SHIFT = 913;
+const MACRO_TERMINATOR = 922;
+const MACRO_OPTIONAL_FIELD = 923;
+const BYTE_LATCH_6 = 924;
+const ECI = 927;
+const MACRO = 928;
+const PAD = 900;
+
+// ECI 000026 (UTF-8)
+const UTF8_ECI = 26;
+
+// Text compaction values of the Mixed and Punctuation sub-modes
+const MIXED = '0123456789&\r\t,:#-.$/+%*=^';
+const PUNCTUATION = ';<>@[\\]_`~!\r\t,:\n-.$/"|*()?{}\'';
+
+// Sub-mode changes in text compaction
+const LATCH_TO_PUNCTUATION = 25;
+const LATCH_TO_LOWER = 27;
+const LATCH_TO_MIXED = 28;
+const SHIFT = 29;
+
+// Macro PDF417 optional field designators
+const SEGMENT_COUNT_FIELD = 1;
+
+class PDF417Encoder {
+  constructor() {
+    this.defaultOptions = {
+      eccLevel: 'auto',
+      columns: undefined,
+      rows: undefined,
+      aspectRatio: 3,
+      rowHeight: 3,
+      compact: false,
+      macro: undefined,
+    };
+    this.generators = {};
+  }
+
+  /**
+   * Encode data as PDF417
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (eccLevel, columns, rows,
+   *   aspectRatio, rowHeight, compact, macro)
+   * @returns {Object} Matrix symbol with tall rows
+   */
+  encode(data, options = {}) {
+    const encodeOptions = { ...this.defaultOptions, ...options };
+    const compacted = this.compact(data);
+    const macro = encodeOptions.macro
+      ? this.createMacroBlock(encodeOptions.macro)
+      : [];
+
+    // The symbol length descriptor comes first
+    const dataCount = 1 + compacted.length + macro.length;
+    const eccLevel = this.getErrorCorrectionLevel(
+      encodeOptions.eccLevel,
+      dataCount
+    );
+    const eccCount = 2 ** (eccLevel + 1);
+    const { columns, rows } = this.getDimensions(
+      dataCount + eccCount,
+      encodeOptions
+    );
+
+    // Pad codewords go before the Macro PDF417 control block
+    const capacity = columns * rows - eccCount;
+    const codewords = [
+      capacity,
+      ...compacted,
+      ...new Array(capacity - dataCount).fill(PAD),
+      ...macro,
+    ];
+    codewords.push(...this.computeErrorCorrection(codewords, eccCount));
+
+    const modules = this.createRows(codewords, {
+      columns,
+      rows,
+      eccLevel,
+      compact: encodeOptions.compact,
+    });
+
+    return {
+      kind: 'matrix',
+      rows,
+      columns: modules[0].length,
+      modules,
+      rowHeights: modules.map(() => encodeOptions.rowHeight),
+      quietZone: 2,
+      dataColumns: columns,
+      eccLevel,
+      compact: Boolean(encodeOptions.compact),
+      macro: macro.length > 0,
+    };
+  }
+
+  /**
+   * Compact data into codewords, switching between text, byte and numeric
+   * compaction. Text outside ISO 8859-1 is sent as UTF-8 with an ECI.
+   * @param {string} data - The data to encode
+   * @param {string} initialMode - Compaction mode the symbol starts in
+   * @returns {Array} Data codewords
+   */
+  compact(data, initialMode = 'text') {
+    const codewords = [];
+    let bytes;
+
+    if (/^[\x00-\xff]*$/.test(data)) {
+      bytes = Array.from(data, char => char.charCodeAt(0));
+    } else {
+      bytes = [...Buffer.from(data, 'utf8')];
+      codewords.push(ECI, UTF8_ECI);
+    }
+
+    // PDF417 symbols start in text compaction, Alpha sub-mode
+    let mode = initialMode;
+    let subMode = 'alpha';
+
+    for (let pos = 0; pos < bytes.length; ) {
+      const digits = this.countDigits(bytes, pos);
+      if (digits >= 13) {
+        codewords.push(NUMERIC_LATCH);
+        this.encodeNumeric(bytes.slice(pos, pos + digits), codewords);
+        mode = 'numeric';
+        pos += digits;
+        continue;
+      }
+
+      const text = this.countText(bytes, pos);
+      if (text >= 5 || text === bytes.length - pos) {
+        if (mode !== 'text') {
+          codewords.push(TEXT_LATCH);
+          mode = 'text';
+          subMode = 'alpha';
+        }
+        subMode = this.encodeText(
+          bytes.slice(pos, pos + text),
+          subMode,
+          codewords
+        );
+        pos += text;
+        continue;
+      }
+
+      const count = Math.max(1, this.countBytes(bytes, pos));
+      if (count === 1 && mode === 'text') {
+        codewords.push(BYTE_SHIFT, bytes[pos]);
+      } else {
+        this.encodeBytes(bytes.slice(pos, pos + count), codewords);
+        mode = 'byte';
+      }
+      pos += count;
+    }
+
+    return codewords;
+  }
+
+  /**
+   * Count the digits from a position
+   * @param {Array} bytes - Message bytes
+   * @param {number} start - Start position
+   * @returns {number} Number of consecutive digits
+   */
+  countDigits(bytes, start) {
+    let pos = start;
+    while (pos < bytes.length && bytes[pos] >= 48 && bytes[pos] <= 57) pos++;
+    return pos - start;
+  }
+
+  /**
+   * Count the characters text compaction should take from a position; runs
+   * of 13 or more digits are left to numeric compaction
+   * @param {Array} bytes - Message bytes
+   * @param {number} start - Start position
+   * @returns {number} Number of characters
+   */
+  countText(bytes, start) {
+    let pos = start;
+
+    while (pos < bytes.length) {
+      const digits = this.countDigits(bytes, pos);
+      if (digits >= 13) break;
+      if (digits > 0) {
+        pos += digits;
+        continue;
+      }
+      if (!this.isText(bytes[pos])) break;
+      pos++;
+    }
+
+    return pos - start;
+  }
+
+  /**
+   * Count the bytes byte compaction should take from a position, stopping
+   * where numeric or text compaction would be denser
+   * @param {Array} bytes - Message bytes
+   * @param {number} start - Start position
+   * @returns {number} Number of bytes
+   */
+  countBytes(bytes, start) {
+    let pos = start;
+
+    while (
+      pos < bytes.length &&
+      this.countDigits(bytes, pos) < 13 &&
+      this.countText(bytes, pos) < 5
+    ) {
+      pos++;
+    }
+
+    return pos - start;
+  }
+
+  /**
+   * Check if a byte can be text compacted
+   * @param {number} byte - Byte value
+   * @returns {boolean} True for printable ASCII, tab, line feed and CR
+   */
+  isText(byte) {
+    return (
+      byte === 9 || byte === 10 || byte === 13 || (byte >= 32 && byte <= 126)
+    );
+  }
+
+  /**
+   * Text compact characters, two sub-mode values to a codeword
+   * @param {Array} chars - Character values
+   * @param {string} subMode - Sub-mode at the start
+   * @param {Array} codewords - Codewords to append to
+   * @returns {string} Sub-mode at the end
+   */
+  encodeText(chars, subMode, codewords) {
+    const values = [];
+    const isUpper = char => char === 32 || (char >= 65 && char <= 90);
+    const isLower = char => char === 32 || (char >= 97 && char <= 122);
+    const isMixed = char =>
+      char === 32 || MIXED.includes(String.fromCharCode(char));
+    const isPunctuation = char =>
+      char !== undefined && PUNCTUATION.includes(String.fromCharCode(char));
+    const mixedValue = char =>
+      char === 32 ? 26 : MIXED.indexOf(String.fromCharCode(char));
+    const punctuationValue = char =>
+      PUNCTUATION.indexOf(String.fromCharCode(char));
+
+    for (let i = 0; i < chars.length; ) {
+      const char = chars[i];
+
+      if (subMode === 'alpha') {
+        if (isUpper(char)) {
+          values.push(char === 32 ? 26 : char - 65);
+          i++;
+        } else if (isLower(char)) {
+          values.push(LATCH_TO_LOWER);
+          subMode = 'lower';
+        } else if (isMixed(char)) {
+          values.push(LATCH_TO_MIXED);
+          subMode = 'mixed';
+        } else {
+          values.push(SHIFT, punctuationValue(char));
+          i++;
+        }
+      } else if (subMode === 'lower') {
+        if (isLower(char)) {
+          values.push(char === 32 ? 26 : char - 97);
+          i++;
+        } else if (isUpper(char)) {
+          // Alpha shift: 27 in the Lower sub-mode
+          values.push(27, char - 65);
+          i++;
+        } else if (isMixed(char)) {
+          values.push(LATCH_TO_MIXED);
+          subMode = 'mixed';
+        } else {
+          values.push(SHIFT, punctuationValue(char));
+          i++;
+        }
+      } else if (subMode === 'mixed') {
+        if (isMixed(char)) {
+          values.push(mixedValue(char));
+          i++;
+        } else if (isUpper(char)) {
+          // Alpha latch: 28 in the Mixed sub-mode
+          values.push(28);
+          subMode = 'alpha';
+        } else if (isLower(char)) {
+          values.push(LATCH_TO_LOWER);
+          subMode = 'lower';
+        } else if (isPunctuation(chars[i + 1])) {
+          values.push(LATCH_TO_PUNCTUATION);
+          subMode = 'punctuation';
+        } else {
+          values.push(SHIFT, punctuationValue(char));
+          i++;
+        }
+      } else if (isPunctuation(char)) {
+        values.push(punctuationValue(char));
+        i++;
+      } else {
+        // Alpha latch: 29 in the Punctuation sub-mode
+        values.push(29);
+        subMode = 'alpha';
+      }
+    }
+
+    // An odd value count is padded with 29, which latches Punctuation to Alpha
+    if (values.length % 2 === 1) {
+      values.push(SHIFT);
+      if (subMode === 'punctuation') subMode = 'alpha';
+    }
+
+    for (let i = 0; i < values.length; i += 2) {
+      codewords.push(values[i] * 30 + values[i + 1]);
+    }
+
+    return subMode;
+  }
+
+  /**
+   * Byte compact bytes, six to five codewords
+   * @param {Array} bytes - Bytes
+   * @param {Array} codewords - Codewords to append to
+   */
+  encodeBytes(bytes, codewords) {
+    codewords.push(bytes.length % 6 === 0 ? BYTE_LATCH_6 : BYTE_LATCH);
+
+    let i = 0;
+    for (; i + 6 <= bytes.length; i += 6) {
+      let value = bytes
+        .slice(i, i + 6)
+        .reduce((sum, byte) => sum * 256 + byte, 0);
+      const group = [];
+      for (let k = 0; k < 5; k++) {
+        group.unshift(value % 900);
+        value = Math.floor(value / 900);
+      }
+      codewords.push(...group);
+    }
+
+    // Bytes past the last group of six take a codeword each
+    codewords.push(...bytes.slice(i));
+  }
+
+  /**
+   * Numeric compact digits, up to 44 digits at a time in base 900
+   * @param {Array} digits - Digit character values
+   * @param {Array} codewords - Codewords to append to
+   */
+  encodeNumeric(digits, codewords) {
+    for (let i = 0; i < digits.length; i += 44) {
+      // A leading 1 keeps leading zeros
+      let decimal = [1, ...digits.slice(i, i + 44).map(digit => digit - 48)];
+      const group = [];
+
+      while (decimal.length > 0) {
+        const quotient = [];
+        let remainder = 0;
+        decimal.forEach(digit => {
+          remainder = remainder * 10 + digit;
+          const next = Math.floor(remainder / 900);
+          if (quotient.length > 0 || next > 0) quotient.push(next);
+          remainder %= 900;
+        });
+        group.unshift(remainder);
+        decimal = quotient;
+      }
+
+      codewords.push(...group);
+    }
+  }
+
+  /**
+   * Create a Macro PDF417 control block
+   * @param {Object} macro - Macro options: segmentIndex, fileId (digits in
+   *   groups of three below 900), segmentCount and lastSegment
+   * @returns {Array} Control block codewords
+   */
+  createMacroBlock(macro) {
+    const { segmentIndex, fileId = '000', segmentCount } = macro;
+
+    if (
+      !Number.isInteger(segmentIndex) ||
+      segmentIndex < 0 ||
+      segmentIndex > 99998
+    ) {
+      throw new Error(
+        `Invalid Macro PDF417 segment index: ${segmentIndex}. Use 0 to 99998`
+      );
+    }
+
+    if (
+      segmentCount !== undefined &&
+      (!Number.isInteger(segmentCount) ||
+        segmentCount <= segmentIndex ||
+        segmentCount > 99999)
+    ) {
+      throw new Error(
+        `Invalid Macro PDF417 segment count: ${segmentCount}. Use ${
+          segmentIndex + 1
+        } to 99999`
+      );
+    }
+
+    const fileIdGroups = String(fileId).match(/\d{3}/g);
+    if (
+      !/^(\d{3})+$/.test(fileId) ||
+      fileIdGroups.some(group => Number(group) >= 900)
+    ) {
+      throw new Error(
+        `Invalid Macro PDF417 file ID: ${fileId}. Use groups of three digits from 000 to 899`
+      );
+    }
+
+    const codewords = [MACRO];
+    this.encodeNumeric(
+      Array.from(String(segmentIndex).padStart(5, '0'), digit =>
+        digit.charCodeAt(0)
+      ),
+      codewords
+    );
+    codewords.push(...fileIdGroups.map(Number));
+
+    if (segmentCount !== undefined) {
+      codewords.push(MACRO_OPTIONAL_FIELD, SEGMENT_COUNT_FIELD);
+      this.encodeNumeric(
+        Array.from(String(segmentCount), digit => digit.charCodeAt(0)),
+        codewords
+      );
+    }
+
+    const lastSegment =
+      macro.lastSegment === undefined
+        ? segmentCount !== undefined && segmentIndex === segmentCount - 1
+        : macro.lastSegment;
+    if (lastSegment) {
+      codewords.push(MACRO_TERMINATOR);
+    }
+
+    return codewords;
+  }
+
+  /**
+   * Get the error correction level, recommended by data size for 'auto'
+   * @param {number|string} level - 0 to 8 or 'auto'
+   * @param {number} dataCount - Data codewords
+   * @returns {number} Error correction level
+   */
+  getErrorCorrectionLevel(level, dataCount) {
+    if (level === 'auto' || level === undefined) {
+      let recommended = 5;
+      if (dataCount <= 40) recommended = 2;
+      else if (dataCount <= 160) recommended = 3;
+      else if (dataCount <= 320) recommended = 4;
+
+      // Large messages drop a level rather than overflow the symbol
+      while (
+        recommended > 0 &&
+        dataCount + 2 ** (recommended + 1) > MAX_CODEWORDS
+      ) {
+        recommended--;
+      }
+      return recommended;
+    }
+
+    const value = Number(level);
+    if (!Number.isInteger(value) || value < 0 || value > 8) {
+      throw new Error(
+        `Invalid error correction level: ${level}. Use 0 to 8 or 'auto'`
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Get the data columns and rows, from the options or the aspect ratio
+   * @param {number} total - Codewords including error correction
+   * @param {Object} options - Encoding options
+   * @returns {Object} Columns and rows
+   */
+  getDimensions(total, options) {
+    const { columns, rows } = options;
+
+    if (total > MAX_CODEWORDS) {
+      throw new Error(
+        `Data needs ${total} codewords, more than the ${MAX_CODEWORDS} a PDF417 symbol holds`
+      );
+    }
+    if (
+      columns !== undefined &&
+      !(Number.isInteger(columns) && columns >= 1 && columns <= MAX_COLUMNS)
+    ) {
+      throw new Error(
+        `Invalid columns: ${columns}. PDF417 has 1 to ${MAX_COLUMNS} data columns`
+      );
+    }
+    if (
+      rows !== undefined &&
+      !(Number.isInteger(rows) && rows >= MIN_ROWS && rows <= MAX_ROWS)
+    ) {
+      throw new Error(
+        `Invalid rows: ${rows}. PDF417 has ${MIN_ROWS} to ${MAX_ROWS} rows`
+      );
+    }
+
+    const candidates = [];
+    for (let c = 1; c <= MAX_COLUMNS; c++) {
+      const r = rows || Math.max(MIN_ROWS, Math.ceil(total / c));
+      if (
+        (columns === undefined || c === columns) &&
+        r <= MAX_ROWS &&
+        c * r >= total &&
+        c * r <= MAX_CODEWORDS
+      ) {
+        candidates.push({ columns: c, rows: r });
+      }
+    }
+
+    if (candidates.length === 0) {
+      throw new Error(
+        `Data needs ${total} codewords, more than ${columns || MAX_COLUMNS} columns and ${
+          rows || MAX_ROWS
+        } rows hold`
+      );
+    }
+
+    // Fixed rows take the fewest columns; otherwise match the aspect ratio
+    if (rows !== undefined) {
+      return candidates[0];
+    }
+
+    const ratio = candidate =>
+      Math.abs(
+        this.getWidth(candidate.columns, options.compact) /
+          (candidate.rows * options.rowHeight) -
+          options.aspectRatio
+      );
+    return candidates.reduce((best, candidate) =>
+      ratio(candidate) < ratio(best) ? candidate : best
+    );
+  }
+
+  /**
+   * Get the width of a symbol in modules
+   * @param {number} columns - Data columns
+   * @param {boolean} compact - Compact (truncated) PDF417
+   * @returns {number} Width in modules
+   */
+  getWidth(columns, compact) {
+    // Start, left row indicator, data, then the right row indicator and stop
+    return 17 + 17 + columns * 17 + (compact ? 1 : 17 + 18);
+  }
+
+  /**
+   * Compute the Reed-Solomon codewords for the data
+   * @param {Array} data - Data codewords
+   * @param {number} count - Error correction codewords
+   * @returns {Array} Error correction codewords
+   */
+  computeErrorCorrection(data, count) {
+    const generator = this.getGenerator(count);
+    const remainder = new Array(count).fill(0);
+
+    data.forEach(codeword => {
+      const factor = (codeword + remainder.shift()) % 929;
+      remainder.push(0);
+      for (let i = 0; i < count; i++) {
+        remainder[i] =
+          (remainder[i] + 929 - ((factor * generator[i + 1]) % 929)) % 929;
+      }
+    });
+
+    // The codewords are the negated remainder
+    return remainder.map(value => (929 - value) % 929);
+  }
+
+  /**
+   * Get the generator polynomial with roots 3^1 to 3^count over GF(929)
+   * @param {number} count - Error correction codewords
+   * @returns {Array} Coefficients, highest degree first
+   */
+  getGenerator(count) {
+    if (!this.generators[count]) {
+      let generator = [1];
+      let root = 1;
+      for (let i = 1; i <= count; i++) {
+        root = (root * 3) % 929;
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, index) => {
+          next[index] = (next[index] + coefficient) % 929;
+          next[index + 1] =
+            (next[index + 1] + 929 - ((coefficient * root) % 929)) % 929;
+        });
+        generator = next;
+      }
+      this.generators[count] = generator;
+    }
+
+    return this.generators[count];
+  }
+
+  /**
+   * Write the codewords as rows of modules
+   * @param {Array} codewords - Data and error correction codewords
+   * @param {Object} shape - columns, rows, eccLevel and compact
+   * @returns {Array} Module rows, true for bar modules
+   */
+  createRows(codewords, shape) {
+    const { columns, rows, eccLevel, compact } = shape;
+    const rowInfo = Math.floor((rows - 1) / 3);
+    const eccInfo = eccLevel * 3 + ((rows - 1) % 3);
+    const columnInfo = columns - 1;
+    const toBits = (pattern, length) =>
+      pattern.toString(2).padStart(length, '0');
+
+    const modules = [];
+    for (let row = 0; row < rows; row++) {
+      const cluster = row % 3;
+      const patterns = CLUSTERS[cluster];
+      const base = 30 * Math.floor(row / 3);
+
+      // Row indicators carry the row count, error correction level and columns
+      const [left, right] = [
+        [rowInfo, columnInfo],
+        [eccInfo, rowInfo],
+        [columnInfo, eccInfo],
+      ][cluster];
+
+      let bits = toBits(START_PATTERN, 17) + toBits(patterns[base + left], 17);
+      codewords.slice(row * columns, (row + 1) * columns).forEach(codeword => {
+        bits += toBits(patterns[codeword], 17);
+      });
+      bits += compact
+        ? '1'
+        : toBits(patterns[base + right], 17) + toBits(STOP_PATTERN, 18);
+
+      modules.push(Array.from(bits, bit => bit === '1'));
+    }
+
+    return modules;
+  }
+}
+
+module.exports = PDF417Encoder;
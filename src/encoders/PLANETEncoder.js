@@ -0,0 +1,19 @@
+/**
+ * PLANET Encoder - Encodes a USPS PLANET Code
+ *
+ * PLANET is POSTNET with full and half height bars swapped, so each digit
+ * has three full height bars, for 11 or 13 digits.
+ */
+
+const POSTNETEncoder = require('./POSTNETEncoder');
+
+class PLANETEncoder extends POSTNETEncoder {
+  constructor() {
+    super();
+    this.name = 'PLANET';
+    this.lengths = [11, 13];
+    this.inverted = true;
+  }
+}
+
+module.exports = PLANETEncoder;
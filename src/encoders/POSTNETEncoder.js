@@ -0,0 +1,79 @@
+/**
+ * POSTNET Encoder - Encodes a USPS POSTNET barcode
+ *
+ * Each digit is five bars, two of them full height and three half height,
+ * with weights 7, 4, 2, 1 and 0. A correction digit brings the digit sum to
+ * a multiple of 10, and a full height frame bar starts and ends the symbol.
+ */
+
+// Full height bars of digits 0 to 9
+const PATTERNS = [
+  '11000',
+  '00011',
+  '00101',
+  '00110',
+  '01001',
+  '01010',
+  '01100',
+  '10001',
+  '10010',
+  '10100',
+];
+
+// Half height bars stand on the baseline: 0.050 of the 0.125 inch full bar
+const GEOMETRY = { D: [0.6, 1] };
+
+// 22 bars per inch at the nominal bar width of 0.02 inch
+const PITCH = 1 / 22 / 0.02;
+
+class POSTNETEncoder {
+  constructor() {
+    this.name = 'POSTNET';
+    this.lengths = [5, 9, 11];
+    this.inverted = false;
+  }
+
+  /**
+   * Encode digits with their correction digit
+   * @param {string} data - The digits
+   * @returns {Object} 4-state symbol with full and half height bars
+   */
+  encode(data) {
+    if (!/^\d+$/.test(data) || !this.lengths.includes(data.length)) {
+      const lengths = this.lengths.slice(0, -1).join(', ');
+      throw new Error(
+        `${this.name} requires ${lengths} or ${this.lengths.at(-1)} digits`
+      );
+    }
+
+    const digits = data + this.computeCorrectionDigit(data);
+    const bars = Array.from(digits).flatMap(digit =>
+      Array.from(PATTERNS[digit], bit =>
+        (bit === '1') !== this.inverted ? 'F' : 'D'
+      )
+    );
+
+    return {
+      kind: 'fourstate',
+      bars: ['F', ...bars, 'F'],
+      geometry: GEOMETRY,
+      pitch: PITCH,
+      text: digits,
+    };
+  }
+
+  /**
+   * Compute the correction digit
+   * @param {string} data - The digits
+   * @returns {string} Digit that makes the digit sum a multiple of 10
+   */
+  computeCorrectionDigit(data) {
+    const sum = Array.from(data).reduce(
+      (total, digit) => total + Number(digit),
+      0
+    );
+    return String((10 - (sum % 10)) % 10);
+  }
+}
+
+module.exports = POSTNETEncoder;
@@ -0,0 +1,58 @@
+/**
+ * Pharmacode Encoder - Encodes a Laetus Pharmacode
+ *
+ * The value is written in binary after adding 1, without its leading 1, with
+ * narrow bars for 0 and wide bars for 1. Spaces are twice the narrow bar, and
+ * `wideRatio` sets the wide bar width in narrow bars.
+ */
+
+const MIN_VALUE = 3;
+const MAX_VALUE = 131070;
+
+// Spaces between bars, in narrow bar widths
+const SPACE = 2;
+
+class PharmacodeEncoder {
+  constructor() {
+    this.defaultOptions = {
+      wideRatio: 3,
+    };
+  }
+
+  /**
+   * Encode a Pharmacode value
+   * @param {string} data - Value from 3 to 131070
+   * @param {Object} options - Encoding options
+   * @returns {Object} Linear symbol
+   */
+  encode(data, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+    const value = Number(data);
+    if (!/^\d+$/.test(data) || value < MIN_VALUE || value > MAX_VALUE) {
+      throw new Error(
+        `Pharmacode requires a number from ${MIN_VALUE} to ${MAX_VALUE}`
+      );
+    }
+    const wideRatio = Number(opts.wideRatio);
+    if (!(wideRatio > 1)) {
+      throw new Error(
+        `Invalid wideRatio: ${opts.wideRatio}. Use a number greater than 1`
+      );
+    }
+
+    const bits = (value + 1).toString(2).substring(1);
+    const widths = Array.from(bits).flatMap(bit => [
+      bit === '1' ? wideRatio : 1,
+      SPACE,
+    ]);
+
+    return {
+      kind: 'linear',
+      widths: widths.slice(0, -1),
+      guards: [],
+      text: data,
+    };
+  }
+}
+
+module.exports = PharmacodeEncoder;
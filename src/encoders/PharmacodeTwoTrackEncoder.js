@@ -0,0 +1,48 @@
+/**
+ * Two-track Pharmacode Encoder - Encodes a Laetus two-track Pharmacode
+ *
+ * Each bar is a digit of the value in a base 3 system with the digits 1 to
+ * 3: a bar on the lower track for 1, on the upper track for 2 and on both
+ * tracks for 3. Bars and spaces are equally wide.
+ */
+
+const MIN_VALUE = 4;
+const MAX_VALUE = 64570080;
+
+// Bars by value modulo 3: both tracks, lower track, upper track
+const BARS = ['F', 'D', 'A'];
+
+// Each track is half the bar height
+const GEOMETRY = { A: [0, 0.5], D: [0.5, 1] };
+
+class PharmacodeTwoTrackEncoder {
+  /**
+   * Encode a two-track Pharmacode value
+   * @param {string} data - Value from 4 to 64570080
+   * @returns {Object} 4-state symbol with full, upper and lower track bars
+   */
+  encode(data) {
+    let value = Number(data);
+    if (!/^\d+$/.test(data) || value < MIN_VALUE || value > MAX_VALUE) {
+      throw new Error(
+        `Two-track Pharmacode requires a number from ${MIN_VALUE} to ${MAX_VALUE}`
+      );
+    }
+
+    const bars = [];
+    while (value > 0) {
+      const digit = value % 3 || 3;
+      bars.unshift(BARS[value % 3]);
+      value = (value - digit) / 3;
+    }
+
+    return {
+      kind: 'fourstate',
+      bars,
+      geometry: GEOMETRY,
+      text: data,
+    };
+  }
+}
+
+module.exports = PharmacodeTwoTrackEncoder;
@@ -0,0 +1,56 @@
+/**
+ * QR Code Encoder - Encodes data into a QR Code module matrix
+ */
+
+const QRCode = require('qrcode');
+
+// Error correction levels by their format information bits
+const ECC_LEVELS = { 1: 'L', 0: 'M', 3: 'Q', 2: 'H' };
+
+class QRCodeEncoder {
+  constructor() {
+    this.defaultOptions = {
+      errorCorrectionLevel: 'M',
+      version: undefined,
+      maskPattern: undefined,
+    };
+  }
+
+  /**
+   * Encode data as a QR Code
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (errorCorrectionLevel, version, maskPattern)
+   * @returns {Object} Matrix symbol
+   */
+  encode(data, options = {}) {
+    const encodeOptions = { ...this.defaultOptions, ...options };
+    const qr = QRCode.create(data, {
+      errorCorrectionLevel: encodeOptions.errorCorrectionLevel,
+      version: encodeOptions.version,
+      maskPattern: encodeOptions.maskPattern,
+    });
+
+    const size = qr.modules.size;
+    const modules = [];
+    for (let row = 0; row < size; row++) {
+      const line = [];
+      for (let col = 0; col < size; col++) {
+        line.push(qr.modules.data[row * size + col] === 1);
+      }
+      modules.push(line);
+    }
+
+    return {
+      kind: 'matrix',
+      rows: size,
+      columns: size,
+      modules,
+      quietZone: 4,
+      version: qr.version,
+      errorCorrectionLevel: ECC_LEVELS[qr.errorCorrectionLevel.bit],
+      maskPattern: qr.maskPattern,
+    };
+  }
+}
+
+module.exports = QRCodeEncoder;
@@ -0,0 +1,79 @@
+/**
+ * QR Reed-Solomon - Error correction and code tables shared by the Micro QR
+ * and rMQR encoders
+ *
+ * Both symbologies use the QR Code alphanumeric table and pad codewords, and
+ * Reed-Solomon codes over GF(256) with generator roots 2^0 to 2^(count - 1).
+ */
+
+const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const PAD_CODEWORDS = [0xec, 0x11];
+
+// GF(256) with the prime polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Array(255);
+const LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+
+// Generator polynomials by error correction codeword count
+const generators = {};
+
+/**
+ * Multiply in GF(256)
+ * @param {number} a - Factor
+ * @param {number} b - Factor
+ * @returns {number} Product
+ */
+function multiply(a, b) {
+  return a && b ? EXP[(LOG[a] + LOG[b]) % 255] : 0;
+}
+
+/**
+ * Get the generator polynomial with roots 2^0 to 2^(count - 1)
+ * @param {number} count - Error correction codewords
+ * @returns {Array} Coefficients, highest degree first
+ */
+function getGenerator(count) {
+  if (!generators[count]) {
+    let generator = [1];
+    for (let i = 0; i < count; i++) {
+      const next = new Array(generator.length + 1).fill(0);
+      generator.forEach((coefficient, index) => {
+        next[index] ^= coefficient;
+        next[index + 1] ^= multiply(coefficient, EXP[i]);
+      });
+      generator = next;
+    }
+    generators[count] = generator;
+  }
+
+  return generators[count];
+}
+
+/**
+ * Compute the error correction codewords
+ * @param {Array} data - Data codewords
+ * @param {number} count - Error correction codewords
+ * @returns {Array} Error correction codewords
+ */
+function computeErrorCorrection(data, count) {
+  const generator = getGenerator(count);
+  const remainder = new Array(count).fill(0);
+
+  data.forEach(codeword => {
+    const factor = codeword ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < count; i++) {
+      remainder[i] ^= multiply(generator[i + 1], factor);
+    }
+  });
+
+  return remainder;
+}
+
+module.exports = { ALPHANUMERIC, PAD_CODEWORDS, computeErrorCorrection };
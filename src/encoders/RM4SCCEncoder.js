@@ -0,0 +1,84 @@
+/**
+ * RM4SCC Encoder - Encodes a Royal Mail 4-State Customer Code
+ *
+ * Each character is four bars: two ascenders give its row and two
+ * descenders its column in the 6 by 6 character table. A check character
+ * made from the rows and columns of the data follows, between an ascender
+ * start bar and a full height stop bar.
+ */
+
+const CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// The two of four bars that are set for row or column values 1 to 6
+const HALF_PATTERNS = ['0011', '0101', '0110', '1001', '1010', '1100'];
+
+class RM4SCCEncoder {
+  /**
+   * Encode data as RM4SCC
+   * @param {string} data - Digits and capital letters
+   * @returns {Object} 4-state symbol
+   */
+  encode(data) {
+    this.checkCharacters(data, 'RM4SCC');
+    const check = this.computeCheckCharacter(data);
+
+    return {
+      kind: 'fourstate',
+      bars: [
+        'A',
+        ...Array.from(data + check).flatMap(char => this.createBars(char)),
+        'F',
+      ],
+      text: data + check,
+    };
+  }
+
+  /**
+   * Check that the data only has characters of the table
+   * @param {string} data - Data
+   * @param {string} name - Symbology name for the error
+   */
+  checkCharacters(data, name) {
+    if (!/^[0-9A-Z]+$/.test(data)) {
+      throw new Error(`${name} supports digits and capital letters only`);
+    }
+  }
+
+  /**
+   * Get the check character: the sums of the row and column values modulo
+   * 6, with 0 as 6, give its row and column
+   * @param {string} data - Data
+   * @returns {string} Check character
+   */
+  computeCheckCharacter(data) {
+    let rows = 0;
+    let columns = 0;
+    Array.from(data).forEach(char => {
+      const index = CHARACTERS.indexOf(char);
+      rows += Math.floor(index / 6) + 1;
+      columns += (index % 6) + 1;
+    });
+
+    const row = rows % 6 || 6;
+    const column = columns % 6 || 6;
+    return CHARACTERS[(row - 1) * 6 + column - 1];
+  }
+
+  /**
+   * Get the four bars of a character
+   * @param {string} char - Character
+   * @returns {Array} Bar states
+   */
+  createBars(char) {
+    const index = CHARACTERS.indexOf(char);
+    const ascenders = HALF_PATTERNS[Math.floor(index / 6)];
+    const descenders = HALF_PATTERNS[index % 6];
+
+    return Array.from(
+      ascenders,
+      (up, i) => ['T', 'D', 'A', 'F'][up * 2 + Number(descenders[i])]
+    );
+  }
+}
+
+module.exports = RM4SCCEncoder;
@@ -0,0 +1,555 @@
+/**
+ * rMQR Encoder - Encodes data into a Rectangular Micro QR Code (ISO/IEC 23941)
+ *
+ * rMQR symbols are 7 to 17 modules high and 27 to 139 modules wide, for
+ * labels with room for a strip but not a square. A finder pattern sits on the
+ * left, a smaller finder sub-pattern in the bottom right corner, and timing
+ * patterns run along the edges and down the alignment columns. The data is
+ * protected with Reed-Solomon error correction at level M or H and always
+ * masked with the same pattern.
+ */
+
+const {
+  ALPHANUMERIC,
+  PAD_CODEWORDS,
+  computeErrorCorrection,
+} = require('./QRReedSolomon');
+
+// Symbol heights and widths, in version order R7x43 to R17x139
+const SIZES = [
+  [7, 43],
+  [7, 59],
+  [7, 77],
+  [7, 99],
+  [7, 139],
+  [9, 43],
+  [9, 59],
+  [9, 77],
+  [9, 99],
+  [9, 139],
+  [11, 27],
+  [11, 43],
+  [11, 59],
+  [11, 77],
+  [11, 99],
+  [11, 139],
+  [13, 27],
+  [13, 43],
+  [13, 59],
+  [13, 77],
+  [13, 99],
+  [13, 139],
+  [15, 43],
+  [15, 59],
+  [15, 77],
+  [15, 99],
+  [15, 139],
+  [17, 43],
+  [17, 59],
+  [17, 77],
+  [17, 99],
+  [17, 139],
+];
+
+// Per version: total codewords, data codewords and error correction blocks
+// at levels M and H
+const TOTAL_CODEWORDS = [
+  13, 21, 32, 44, 68, 21, 33, 49, 66, 99, 15, 31, 47, 67, 89, 132, 21, 41, 60,
+  85, 113, 166, 51, 74, 103, 136, 199, 61, 88, 122, 160, 232,
+];
+const LEVELS = {
+  M: {
+    format: 0,
+    dataCodewords: [
+      6, 12, 20, 28, 44, 12, 21, 31, 42, 63, 7, 19, 31, 43, 57, 84, 12, 27, 38,
+      53, 73, 106, 33, 48, 67, 88, 127, 39, 56, 78, 100, 152,
+    ],
+    blocks: [
+      1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 1, 1, 1, 1, 2, 2, 1, 1, 1, 2, 2, 3, 1, 1, 2,
+      2, 3, 1, 2, 2, 3, 4,
+    ],
+  },
+  H: {
+    format: 1,
+    dataCodewords: [
+      3, 7, 10, 14, 24, 7, 11, 17, 22, 33, 5, 11, 15, 23, 29, 42, 7, 13, 20, 29,
+      35, 54, 15, 26, 31, 48, 69, 21, 28, 38, 56, 76,
+    ],
+    blocks: [
+      1, 1, 1, 1, 2, 1, 1, 2, 2, 3, 1, 1, 2, 2, 2, 3, 1, 1, 2, 2, 3, 4, 2, 2, 3,
+      4, 5, 2, 2, 3, 4, 6,
+    ],
+  },
+};
+
+// Mode indicators and character count bits by version
+const MODES = {
+  numeric: {
+    indicator: 1,
+    countBits: [
+      4, 5, 6, 7, 7, 5, 6, 7, 7, 8, 4, 6, 7, 7, 8, 8, 5, 6, 7, 7, 8, 8, 7, 7, 8,
+      8, 9, 7, 8, 8, 8, 9,
+    ],
+  },
+  alphanumeric: {
+    indicator: 2,
+    countBits: [
+      3, 5, 5, 6, 6, 5, 5, 6, 6, 7, 4, 5, 6, 6, 7, 7, 5, 6, 6, 7, 7, 8, 6, 7, 7,
+      7, 8, 6, 7, 7, 8, 8,
+    ],
+  },
+  byte: {
+    indicator: 3,
+    countBits: [
+      3, 4, 5, 5, 6, 4, 5, 5, 6, 6, 3, 5, 5, 6, 6, 7, 4, 5, 6, 6, 7, 7, 6, 6, 7,
+      7, 7, 6, 6, 7, 7, 8,
+    ],
+  },
+};
+const ECI_INDICATOR = 7;
+const UTF8_ECI = 26;
+
+// Alignment pattern columns by symbol width
+const ALIGNMENT_COLUMNS = {
+  27: [],
+  43: [21],
+  59: [19, 39],
+  77: [25, 51],
+  99: [23, 49, 75],
+  139: [27, 55, 83, 111],
+};
+
+// BCH (18, 6) generator and the masks applied to the format information
+// next to the finder pattern and next to the finder sub-pattern
+const FORMAT_GENERATOR = 0x1f25;
+const FORMAT_MASKS = [0x1fab2, 0x20a7b];
+
+class RMQREncoder {
+  constructor() {
+    this.defaultOptions = {
+      errorCorrectionLevel: 'M',
+      version: undefined,
+      maxHeight: 17,
+    };
+  }
+
+  /**
+   * Encode data as an rMQR symbol
+   * @param {string} data - The data to encode
+   * @param {Object} options - Encoding options (errorCorrectionLevel,
+   *   version, maxHeight)
+   * @returns {Object} Matrix symbol
+   */
+  encode(data, options = {}) {
+    const encodeOptions = { ...this.defaultOptions, ...options };
+    const segment = this.createSegment(data);
+    const symbol = this.getSymbol(segment, encodeOptions);
+    const codewords = this.createCodewords(segment, symbol);
+    const { modules, reserved } = this.createFunctionPatterns(
+      symbol.rows,
+      symbol.columns
+    );
+
+    this.placeCodewords(modules, reserved, codewords);
+    this.applyMask(modules, reserved);
+    this.placeFormatInformation(modules, symbol);
+
+    return {
+      kind: 'matrix',
+      rows: symbol.rows,
+      columns: symbol.columns,
+      modules,
+      quietZone: 2,
+      version: `R${symbol.rows}x${symbol.columns}`,
+      errorCorrectionLevel: symbol.level,
+    };
+  }
+
+  /**
+   * Pick the densest mode that holds all the data. Text outside ISO 8859-1
+   * is sent as UTF-8 bytes after an ECI.
+   * @param {string} data - The data to encode
+   * @returns {Object} Mode, character values and ECI
+   */
+  createSegment(data) {
+    if (/^\d+$/.test(data)) {
+      return { mode: 'numeric', values: Array.from(data, Number) };
+    }
+
+    if (Array.from(data).every(char => ALPHANUMERIC.includes(char))) {
+      return {
+        mode: 'alphanumeric',
+        values: Array.from(data, char => ALPHANUMERIC.indexOf(char)),
+      };
+    }
+
+    if (/^[\x00-\xff]*$/.test(data)) {
+      return {
+        mode: 'byte',
+        values: Array.from(data, char => char.charCodeAt(0)),
+      };
+    }
+
+    return {
+      mode: 'byte',
+      values: [...Buffer.from(data, 'utf8')],
+      eci: UTF8_ECI,
+    };
+  }
+
+  /**
+   * Find the smallest symbol, by area, that holds the segment at the level
+   * and is no higher than maxHeight
+   * @param {Object} segment - Mode, character values and ECI
+   * @param {Object} options - Encoding options
+   * @returns {Object} Symbol version, size and level
+   */
+  getSymbol(segment, options) {
+    const { errorCorrectionLevel: level, maxHeight } = options;
+    if (!(level in LEVELS)) {
+      throw new Error(
+        `Invalid error correction level: ${level}. rMQR supports M and H`
+      );
+    }
+    if (!SIZES.some(([rows]) => rows === Number(maxHeight))) {
+      throw new Error(
+        `Invalid maximum height: ${maxHeight}. Use 7, 9, 11, 13, 15 or 17`
+      );
+    }
+
+    let versions = SIZES.map((size, version) => version);
+    if (options.version !== undefined) {
+      const match = /^R(\d+)x(\d+)$/i.exec(String(options.version));
+      const version = SIZES.findIndex(
+        ([rows, columns]) =>
+          match && rows === Number(match[1]) && columns === Number(match[2])
+      );
+      if (version === -1) {
+        throw new Error(
+          `Invalid version: ${options.version}. Use R7x43 to R17x139`
+        );
+      }
+      versions = [version];
+    } else {
+      versions = versions.filter(
+        version => SIZES[version][0] <= Number(maxHeight)
+      );
+    }
+
+    const candidates = versions.map(version => ({
+      version,
+      rows: SIZES[version][0],
+      columns: SIZES[version][1],
+      level,
+      dataBits: LEVELS[level].dataCodewords[version] * 8,
+    }));
+    const fitting = candidates.filter(
+      symbol => this.getBitLength(segment, symbol.version) <= symbol.dataBits
+    );
+    if (fitting.length === 0) {
+      const largest = candidates.reduce((a, b) =>
+        b.dataBits > a.dataBits ? b : a
+      );
+      const bits = this.getBitLength(segment, largest.version);
+      throw new Error(
+        `Data needs ${
+          bits === Infinity ? 'more' : bits
+        } bits, more than the ${largest.dataBits} an rMQR R${largest.rows}x${
+          largest.columns
+        }-${level} symbol holds`
+      );
+    }
+
+    return fitting.reduce((a, b) =>
+      b.rows * b.columns < a.rows * a.columns ? b : a
+    );
+  }
+
+  /**
+   * Get the length of a segment in a version, header included
+   * @param {Object} segment - Mode, character values and ECI
+   * @param {number} version - Version index
+   * @returns {number} Bits, Infinity if the count field is too small
+   */
+  getBitLength(segment, version) {
+    const countBits = MODES[segment.mode].countBits[version];
+    const count = segment.values.length;
+    if (count >= 2 ** countBits) {
+      return Infinity;
+    }
+
+    const dataBits = {
+      numeric: Math.floor(count / 3) * 10 + [0, 4, 7][count % 3],
+      alphanumeric: Math.floor(count / 2) * 11 + (count % 2) * 6,
+      byte: count * 8,
+    }[segment.mode];
+
+    return (segment.eci ? 11 : 0) + 3 + countBits + dataBits;
+  }
+
+  /**
+   * Write the segment, terminator and padding, then add error correction
+   * @param {Object} segment - Mode, character values and ECI
+   * @param {Object} symbol - Symbol version and level
+   * @returns {Array} Interleaved data and error correction codewords
+   */
+  createCodewords(segment, symbol) {
+    const { version, dataBits } = symbol;
+    const { mode, values, eci } = segment;
+    const bits = [];
+    const write = (value, count) => {
+      for (let i = count - 1; i >= 0; i--) bits.push((value >> i) & 1);
+    };
+
+    if (eci) {
+      write(ECI_INDICATOR, 3);
+      write(eci, 8);
+    }
+    write(MODES[mode].indicator, 3);
+    write(values.length, MODES[mode].countBits[version]);
+
+    if (mode === 'numeric') {
+      for (let i = 0; i < values.length; i += 3) {
+        const group = values.slice(i, i + 3);
+        write(Number(group.join('')), [0, 4, 7, 10][group.length]);
+      }
+    } else if (mode === 'alphanumeric') {
+      for (let i = 0; i < values.length; i += 2) {
+        if (i + 1 < values.length) {
+          write(values[i] * 45 + values[i + 1], 11);
+        } else {
+          write(values[i], 6);
+        }
+      }
+    } else {
+      values.forEach(value => write(value, 8));
+    }
+
+    // Terminator of 3 zero bits, cut short by a full symbol
+    write(0, Math.min(3, dataBits - bits.length));
+    write(0, (8 - (bits.length % 8)) % 8);
+    for (let i = 0; bits.length < dataBits; i++) {
+      write(PAD_CODEWORDS[i % 2], 8);
+    }
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+
+    return this.interleave(data, symbol);
+  }
+
+  /**
+   * Split the data codewords into blocks, add error correction to each and
+   * interleave them; later blocks hold one more data codeword if the
+   * codewords do not divide evenly
+   * @param {Array} data - Data codewords
+   * @param {Object} symbol - Symbol version and level
+   * @returns {Array} Interleaved codewords
+   */
+  interleave(data, symbol) {
+    const { version, level } = symbol;
+    const total = TOTAL_CODEWORDS[version];
+    const count = LEVELS[level].blocks[version];
+    const errorCodewords = (total - data.length) / count;
+    const shortBlocks = count - (total % count);
+    const shortLength = Math.floor(total / count) - errorCodewords;
+
+    const blocks = [];
+    for (let i = 0, start = 0; i < count; i++) {
+      const length = shortLength + (i < shortBlocks ? 0 : 1);
+      const block = data.slice(start, start + length);
+      blocks.push({
+        data: block,
+        error: computeErrorCorrection(block, errorCodewords),
+      });
+      start += length;
+    }
+
+    const codewords = [];
+    for (let i = 0; i <= shortLength; i++) {
+      blocks.forEach(block => {
+        if (i < block.data.length) codewords.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < errorCodewords; i++) {
+      blocks.forEach(block => codewords.push(block.error[i]));
+    }
+
+    return codewords;
+  }
+
+  /**
+   * Draw the timing patterns, finder pattern and separator, finder
+   * sub-pattern, corner finder patterns and alignment patterns, and reserve
+   * the format information modules
+   * @param {number} rows - Symbol height in modules
+   * @param {number} columns - Symbol width in modules
+   * @returns {Object} Module rows and the function module flags
+   */
+  createFunctionPatterns(rows, columns) {
+    const modules = Array.from({ length: rows }, () =>
+      new Array(columns).fill(false)
+    );
+    const reserved = Array.from({ length: rows }, () =>
+      new Array(columns).fill(false)
+    );
+    const set = (row, column, dark) => {
+      modules[row][column] = dark;
+      reserved[row][column] = true;
+    };
+
+    for (let column = 0; column < columns; column++) {
+      set(0, column, column % 2 === 0);
+      set(rows - 1, column, column % 2 === 0);
+    }
+    for (let row = 0; row < rows; row++) {
+      set(row, 0, row % 2 === 0);
+      set(row, columns - 1, row % 2 === 0);
+    }
+
+    // Corner finder patterns; in the 7 and 9 module high symbols the finder
+    // pattern and separator draw over the bottom left one
+    set(0, columns - 2, true);
+    set(0, columns - 1, true);
+    set(1, columns - 2, false);
+    set(1, columns - 1, true);
+    set(rows - 2, 0, true);
+    set(rows - 2, 1, false);
+    set(rows - 1, 1, true);
+
+    // Finder pattern with its separator, which stops at the bottom edge of
+    // the 7 module high symbols
+    for (let row = 0; row < Math.min(rows, 8); row++) {
+      for (let column = 0; column <= 7; column++) {
+        const ring = Math.max(Math.abs(row - 3), Math.abs(column - 3));
+        set(row, column, ring !== 2 && ring <= 3);
+      }
+    }
+
+    // Finder sub-pattern
+    for (let row = rows - 5; row < rows; row++) {
+      for (let column = columns - 5; column < columns; column++) {
+        const ring = Math.max(
+          Math.abs(row - (rows - 3)),
+          Math.abs(column - (columns - 3))
+        );
+        set(row, column, ring !== 1);
+      }
+    }
+
+    // Alignment patterns: a timing column with a 3x3 square at each end
+    ALIGNMENT_COLUMNS[columns].forEach(center => {
+      for (let row = 0; row < rows; row++) {
+        set(row, center, row % 2 === 0);
+      }
+      [1, 2, rows - 3, rows - 2].forEach(row => {
+        set(row, center - 1, true);
+        set(row, center + 1, true);
+      });
+    });
+
+    this.getFormatPositions(rows, columns)
+      .flat()
+      .forEach(([row, column]) => set(row, column, false));
+
+    return { modules, reserved };
+  }
+
+  /**
+   * Get the module positions of the format information bits, least
+   * significant bit first, next to the finder pattern and next to the
+   * finder sub-pattern
+   * @param {number} rows - Symbol height in modules
+   * @param {number} columns - Symbol width in modules
+   * @returns {Array} Two lists of [row, column] positions
+   */
+  getFormatPositions(rows, columns) {
+    const left = [];
+    const right = [];
+    for (let bit = 0; bit < 15; bit++) {
+      left.push([1 + (bit % 5), 8 + Math.floor(bit / 5)]);
+      right.push([rows - 6 + (bit % 5), columns - 8 + Math.floor(bit / 5)]);
+    }
+    for (let bit = 0; bit < 3; bit++) {
+      left.push([1 + bit, 11]);
+      right.push([rows - 6, columns - 5 + bit]);
+    }
+
+    return [left, right];
+  }
+
+  /**
+   * Place the codeword bits in two-module columns, upwards and downwards in
+   * turn from the bottom right, left of the right hand timing pattern.
+   * Modules left over stay light.
+   * @param {Array} modules - Module rows
+   * @param {Array} reserved - Function module flags
+   * @param {Array} codewords - Interleaved codewords
+   */
+  placeCodewords(modules, reserved, codewords) {
+    const rows = modules.length;
+    const bits = codewords.flatMap(codeword =>
+      Array.from({ length: 8 }, (_, i) => (codeword >> (7 - i)) & 1)
+    );
+
+    let index = 0;
+    let upwards = true;
+    for (let right = modules[0].length - 2; right > 0; right -= 2) {
+      for (let i = 0; i < rows; i++) {
+        const row = upwards ? rows - 1 - i : i;
+        for (const column of [right, right - 1]) {
+          if (!reserved[row][column] && index < bits.length) {
+            modules[row][column] = bits[index++] === 1;
+          }
+        }
+      }
+      upwards = !upwards;
+    }
+  }
+
+  /**
+   * Apply the data mask, (row / 2 + column / 3) mod 2 = 0, to the modules
+   * outside the function patterns
+   * @param {Array} modules - Module rows
+   * @param {Array} reserved - Function module flags
+   */
+  applyMask(modules, reserved) {
+    modules.forEach((line, row) =>
+      line.forEach((dark, column) => {
+        if (
+          !reserved[row][column] &&
+          (Math.floor(row / 2) + Math.floor(column / 3)) % 2 === 0
+        ) {
+          line[column] = !dark;
+        }
+      })
+    );
+  }
+
+  /**
+   * Place the format information: error correction level and version, BCH
+   * protected and masked differently on each side
+   * @param {Array} modules - Module rows
+   * @param {Object} symbol - Symbol version, size and level
+   */
+  placeFormatInformation(modules, symbol) {
+    const data = (LEVELS[symbol.level].format << 5) | symbol.version;
+    let remainder = data << 12;
+    for (let bit = 17; bit >= 12; bit--) {
+      if (remainder & (1 << bit)) remainder ^= FORMAT_GENERATOR << (bit - 12);
+    }
+
+    this.getFormatPositions(symbol.rows, symbol.columns).forEach(
+      (positions, side) => {
+        const format = ((data << 12) | remainder) ^ FORMAT_MASKS[side];
+        positions.forEach(([row, column], bit) => {
+          modules[row][column] = Boolean((format >> bit) & 1);
+        });
+      }
+    );
+  }
+}
+
+module.exports = RMQREncoder;
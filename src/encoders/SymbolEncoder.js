@@ -0,0 +1,146 @@
+/**
+ * Symbol Encoder - Turns (data, type) into a renderer-neutral symbol model
+ *
+ * Every symbol has a `kind`, the barcode `type`, the encoded `data` and the
+ * human readable `text` (null when the symbology has none):
+ *
+ * - linear:    `widths` alternates bar and space widths in modules, starting
+ *              with a bar; `guards` lists the indexes of extended guard bars
+ * - matrix:    `modules[row][column]` is true for dark modules; `quietZone`
+ *              is the required light border in modules; `dots` asks for
+ *              each module to be drawn as a round dot
+ * - fourstate: `bars` lists bar states ('F' full, 'A' ascender,
+ *              'D' descender, 'T' tracker); `geometry` maps each state to its
+ *              vertical extent as fractions of the bar height and `pitch` is
+ *              the bar-to-bar distance in modules
+ * - hexagonal: `modules[row][column]` is true for dark hexagons, with odd
+ *              rows offset half a module to the right; `bullseye` gives the
+ *              module the finder circles are centered on and their radii
+ * - composite: a linear symbol (`widths`, `guards`) under a matrix part
+ *              (`modules`, `rowHeights`): the 2D component and separator,
+ *              with the linear symbol `linearOffset` modules in
+ */
+
+const LinearEncoder = require('./LinearEncoder');
+const QRCodeEncoder = require('./QRCodeEncoder');
+const MicroQREncoder = require('./MicroQREncoder');
+const RMQREncoder = require('./RMQREncoder');
+const DataMatrixEncoder = require('./DataMatrixEncoder');
+const PDF417Encoder = require('./PDF417Encoder');
+const MicroPDF417Encoder = require('./MicroPDF417Encoder');
+const AztecEncoder = require('./AztecEncoder');
+const MaxiCodeEncoder = require('./MaxiCodeEncoder');
+const Code16KEncoder = require('./Code16KEncoder');
+const Code49Encoder = require('./Code49Encoder');
+const DotCodeEncoder = require('./DotCodeEncoder');
+const DataBarEncoder = require('./DataBarEncoder');
+const DataBarLimitedEncoder = require('./DataBarLimitedEncoder');
+const CompositeEncoder = require('./CompositeEncoder');
+const IntelligentMailEncoder = require('./IntelligentMailEncoder');
+const RM4SCCEncoder = require('./RM4SCCEncoder');
+const KIXEncoder = require('./KIXEncoder');
+const POSTNETEncoder = require('./POSTNETEncoder');
+const PLANETEncoder = require('./PLANETEncoder');
+const AusPostEncoder = require('./AusPostEncoder');
+const JapanPostEncoder = require('./JapanPostEncoder');
+const PharmacodeEncoder = require('./PharmacodeEncoder');
+const PharmacodeTwoTrackEncoder = require('./PharmacodeTwoTrackEncoder');
+
+class SymbolEncoder {
+  constructor() {
+    this.linearEncoder = new LinearEncoder();
+    this.encoders = {
+      qrcode: new QRCodeEncoder(),
+      microqr: new MicroQREncoder(),
+      rmqr: new RMQREncoder(),
+      datamatrix: new DataMatrixEncoder(),
+      pdf417: new PDF417Encoder(),
+      micropdf417: new MicroPDF417Encoder(),
+      aztec: new AztecEncoder(),
+      maxicode: new MaxiCodeEncoder(),
+      code16k: new Code16KEncoder(),
+      code49: new Code49Encoder(),
+      dotcode: new DotCodeEncoder(),
+      databaromni: new DataBarEncoder(),
+      databarlimited: new DataBarLimitedEncoder(),
+      gs1composite: new CompositeEncoder(this),
+      imb: new IntelligentMailEncoder(),
+      rms4cc: new RM4SCCEncoder(),
+      kix: new KIXEncoder(),
+      postnet: new POSTNETEncoder(),
+      planet: new PLANETEncoder(),
+      auspost: new AusPostEncoder(),
+      japanpost: new JapanPostEncoder(),
+      pharmacode: new PharmacodeEncoder(),
+      pharmacodetwotracks: new PharmacodeTwoTrackEncoder(),
+    };
+  }
+
+  /**
+   * Check if a barcode type can be encoded
+   * @param {string} type - The barcode type
+   * @returns {boolean} True if supported
+   */
+  supports(type) {
+    return type in this.encoders || this.linearEncoder.supports(type);
+  }
+
+  /**
+   * Encode data into a symbol model
+   * @param {string} data - The data to encode
+   * @param {string} type - The barcode type
+   * @param {Object} options - Encoding options
+   * @returns {Object} Symbol model
+   */
+  encode(data, type, options = {}) {
+    if (!this.supports(type)) {
+      throw new Error(`No encoder available for barcode type: ${type}`);
+    }
+
+    try {
+      const symbol =
+        type in this.encoders
+          ? this.encoders[type].encode(data, options)
+          : this.createLinearSymbol(
+              this.linearEncoder.encode(data, type, options)
+            );
+
+      return { text: null, ...symbol, type, data };
+    } catch (error) {
+      throw new Error(`Encoding ${type} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert a linear module pattern into a bar/space width sequence
+   * @param {Object} encoding - Encoding from LinearEncoder
+   * @returns {Object} Linear symbol
+   */
+  createLinearSymbol(encoding) {
+    const { modules, text, guards } = encoding;
+    const widths = [];
+    const guardBars = [];
+
+    for (let i = 0; i < modules.length; ) {
+      let run = 1;
+      while (modules[i + run] === modules[i]) run++;
+
+      // The sequence always starts with a bar, even for leading spaces
+      if (widths.length === 0 && modules[i] === '0') {
+        widths.push(0);
+      }
+
+      const isGuard = guards.some(([start, end]) => i >= start && i < end);
+      if (modules[i] === '1' && isGuard) {
+        guardBars.push(widths.length);
+      }
+
+      widths.push(run);
+      i += run;
+    }
+
+    return { kind: 'linear', widths, guards: guardBars, text };
+  }
+}
+
+module.exports = SymbolEncoder;
@@ -0,0 +1,296 @@
+/**
+ * EPS Renderer - Renders barcodes as Encapsulated PostScript
+ */
+
+const { SymbolLayout } = require('./SymbolLayout');
+
+class EPSRenderer {
+  constructor() {
+    this.defaultOptions = {
+      unit: 'pt',
+      width: 2,
+      height: 100,
+      displayValue: true,
+      font: 'monospace',
+      fontSize: 20,
+      textAlign: 'center',
+      textPosition: 'bottom',
+      textMargin: 2,
+      background: '#ffffff',
+      lineColor: '#000000',
+      margin: 10,
+      marginTop: 10,
+      marginBottom: 10,
+      marginLeft: 10,
+      marginRight: 10,
+      moduleSize: 4,
+      dpi: null,
+      colorModel: 'rgb',
+    };
+  }
+
+  /**
+   * Render a barcode as EPS
+   * @param {Object} symbol - Encoded symbol from SymbolEncoder
+   * @param {Object} options - Render options; lengths are in `unit` ('pt' or 'mm')
+   * @returns {string} EPS document
+   */
+  render(symbol, options = {}) {
+    try {
+      const renderOptions = SymbolLayout.toPoints(
+        SymbolLayout.mergeOptions(this.defaultOptions, options),
+        options
+      );
+
+      if (!['rgb', 'cmyk'].includes(renderOptions.colorModel)) {
+        throw new Error(
+          `Invalid color model: ${renderOptions.colorModel}. Supported color models: rgb, cmyk`
+        );
+      }
+
+      const layout = SymbolLayout.layout(symbol, renderOptions);
+      return this.createEPS(layout, symbol, renderOptions);
+    } catch (error) {
+      throw new Error(`EPS rendering failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the EPS document for a laid out symbol
+   * @param {Object} layout - Layout from SymbolLayout
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options in points
+   * @returns {string} EPS document
+   */
+  createEPS(layout, symbol, options) {
+    const { width, height } = layout;
+    const font = layout.text
+      ? SymbolLayout.getStandardFont(layout.text.font)
+      : null;
+
+    const lines = [
+      '%!PS-Adobe-3.0 EPSF-3.0',
+      '%%Creator: isahaq-barcode',
+      `%%Title: ${this.escapeComment(`${symbol.type} ${symbol.data}`)}`,
+      `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+      `%%HiResBoundingBox: 0 0 ${width} ${height}`,
+      '%%LanguageLevel: 2',
+      '%%Pages: 1',
+    ];
+
+    if (font) {
+      lines.push(`%%DocumentNeededResources: font ${font}`);
+    }
+
+    lines.push('%%EndComments', '%%BeginProlog', '/R { rectfill } bind def');
+
+    // Hexagon from its six corners, and circle from x, y and radius
+    if (layout.hexagons) {
+      lines.push('/H { moveto 5 { lineto } repeat closepath } bind def');
+    }
+    if (layout.hexagons || layout.dots) {
+      lines.push(
+        '/C { 2 index 1 index add 2 index moveto 0 360 arc closepath } bind def'
+      );
+    }
+
+    lines.push('%%EndProlog', '%%BeginSetup');
+
+    if (font) {
+      // A copy of the font with ISOLatin1Encoding, for the octal escapes of
+      // Latin-1 characters in the text
+      lines.push(
+        `%%IncludeResource: font ${font}`,
+        `/${font} findfont dup length dict begin`,
+        '{ 1 index /FID ne { def } { pop pop } ifelse } forall',
+        '/Encoding ISOLatin1Encoding def currentdict end',
+        `/${font}-Latin1 exch definefont pop`
+      );
+    }
+
+    lines.push('%%EndSetup', '%%Page: 1 1', 'gsave');
+
+    // Background
+    if (!this.isTransparent(layout.background)) {
+      lines.push(
+        this.setColor(layout.background, options.colorModel),
+        `0 0 ${width} ${height} R`
+      );
+    }
+
+    // Bars and modules; PostScript's origin is the bottom left corner
+    lines.push(this.setColor(layout.foreground, options.colorModel));
+    if (layout.hexagons) {
+      lines.push(...this.createHexagons(layout));
+    } else if (layout.dots) {
+      lines.push('newpath');
+      layout.dots.forEach(({ x, y, radius }) => {
+        lines.push(`${x} ${SymbolLayout.round(height - y)} ${radius} C`);
+      });
+      lines.push('fill');
+    } else {
+      layout.rects.forEach(rect => {
+        lines.push(
+          `${rect.x} ${SymbolLayout.round(height - rect.y - rect.height)} ${
+            rect.width
+          } ${rect.height} R`
+        );
+      });
+    }
+
+    if (layout.text) {
+      lines.push(...this.createText(layout, font));
+    }
+
+    lines.push('grestore', 'showpage', '%%Trailer', '%%EOF');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Create the hexagons of a hexagonal symbol, then its bullseye circles
+   * filled even-odd so alternate rings stay light
+   * @param {Object} layout - Layout from SymbolLayout
+   * @returns {Array} PostScript lines
+   */
+  createHexagons(layout) {
+    const flip = y => SymbolLayout.round(layout.height - y);
+    const lines = ['newpath'];
+
+    // H takes the corners last to first, as the stack hands them back
+    layout.hexagons.forEach(hexagon => {
+      const corners = SymbolLayout.getHexagonCorners(hexagon).reverse();
+      lines.push(`${corners.map(([x, y]) => `${x} ${flip(y)}`).join(' ')} H`);
+    });
+    lines.push('fill', 'newpath');
+    layout.circles.forEach(({ x, y, radius }) => {
+      lines.push(`${x} ${flip(y)} ${radius} C`);
+    });
+    lines.push('eofill');
+
+    return lines;
+  }
+
+  /**
+   * Create the human readable text, with its baseline where the layout puts it
+   * @param {Object} layout - Layout from SymbolLayout
+   * @param {string} font - PostScript font name
+   * @returns {Array} PostScript lines
+   */
+  createText(layout, font) {
+    const { text } = layout;
+    const value = this.escapeString(text.value);
+    const y = SymbolLayout.round(layout.height - text.y);
+    const offsets = {
+      start: '',
+      middle: `(${value}) stringwidth pop 2 div neg 0 rmoveto `,
+      end: `(${value}) stringwidth pop neg 0 rmoveto `,
+    };
+
+    return [
+      `/${font}-Latin1 findfont ${text.fontSize} scalefont setfont`,
+      `${text.x} ${y} moveto ${offsets[text.anchor]}(${value}) show`,
+    ];
+  }
+
+  /**
+   * Create a PostScript color operator
+   * @param {string} color - Hex color or 'cmyk(c, m, y, k)' in percent
+   * @param {string} colorModel - 'rgb' or 'cmyk' for hex colors
+   * @returns {string} PostScript color operator
+   */
+  setColor(color, colorModel) {
+    const value = String(color).trim();
+    const cmyk = /^cmyk\(([^)]*)\)$/i.exec(value);
+
+    if (cmyk) {
+      const components = cmyk[1].split(',').map(part => parseFloat(part));
+      if (
+        components.length !== 4 ||
+        components.some(part => !(part >= 0 && part <= 100))
+      ) {
+        throw new Error(`Invalid CMYK color: ${color}`);
+      }
+      return `${components
+        .map(part => SymbolLayout.round(part / 100))
+        .join(' ')} setcmykcolor`;
+    }
+
+    let hex = value.replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+      hex = hex.replace(/./g, digit => digit + digit);
+    }
+    if (!/^[0-9a-f]{6}$/i.test(hex)) {
+      throw new Error(`Invalid color: ${color}. Use a hex or cmyk() color`);
+    }
+
+    const [r, g, b] = [0, 2, 4].map(
+      index => parseInt(hex.substring(index, index + 2), 16) / 255
+    );
+
+    if (colorModel === 'cmyk') {
+      const k = 1 - Math.max(r, g, b);
+      const [c, m, y] =
+        k === 1 ? [0, 0, 0] : [r, g, b].map(part => (1 - part - k) / (1 - k));
+      return `${[c, m, y, k]
+        .map(part => SymbolLayout.round(part))
+        .join(' ')} setcmykcolor`;
+    }
+
+    return `${[r, g, b]
+      .map(part => SymbolLayout.round(part))
+      .join(' ')} setrgbcolor`;
+  }
+
+  /**
+   * Check if a background should be left unpainted
+   * @param {string} color - Background color
+   * @returns {boolean} True for transparent backgrounds
+   */
+  isTransparent(color) {
+    return !color || ['transparent', 'none'].includes(String(color).trim());
+  }
+
+  /**
+   * Escape a value for use in a PostScript string
+   * @param {string} value - Value to escape
+   * @returns {string} Escaped value
+   */
+  escapeString(value) {
+    return String(value)
+      .replace(/[\\()]/g, char => `\\${char}`)
+      .replace(/[^\x20-\x7e]/g, char => {
+        // Latin-1 characters as octal escapes; the rest cannot be shown
+        const code = char.charCodeAt(0);
+        return code > 0xff ? '?' : `\\${code.toString(8).padStart(3, '0')}`;
+      });
+  }
+
+  /**
+   * Keep a value on a single DSC comment line
+   * @param {string} value - Value
+   * @returns {string} Printable single-line value
+   */
+  escapeComment(value) {
+    return String(value)
+      .replace(/[^\x20-\x7e]/g, '?')
+      .substring(0, 200);
+  }
+
+  /**
+   * Get default options
+   * @returns {Object} Default options
+   */
+  getDefaultOptions() {
+    return { ...this.defaultOptions };
+  }
+
+  /**
+   * Set default options
+   * @param {Object} options - New default options
+   */
+  setDefaultOptions(options) {
+    this.defaultOptions = { ...this.defaultOptions, ...options };
+  }
+}
+
+module.exports = EPSRenderer;
@@ -0,0 +1,365 @@
+/**
+ * ESC/POS Renderer - Renders barcodes as ESC/POS commands for receipt printers
+ *
+ * 1D types the printer supports are sent with GS k and QR Codes with GS ( k,
+ * so the printer encodes and draws them itself. Everything else is sent as a
+ * GS v 0 raster image built from the encoded symbol.
+ */
+
+const { SymbolLayout } = require('./SymbolLayout');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Receipt printers print 8 dots per mm
+const DEFAULT_DPI = 203;
+
+// Printable width in dots by paper width
+const PAPER_DOTS = {
+  '58mm': 384,
+  '80mm': 576,
+};
+
+// GS k function B symbology numbers
+const SYMBOLOGIES = {
+  upca: 65,
+  ean13: 67,
+  ean8: 68,
+  code39: 69,
+  interleaved25: 70,
+  interleaved25checksum: 70,
+  interleaved25auto: 70,
+  itf14: 70,
+  codabar: 71,
+  code93: 72,
+  code128: 73,
+  code128auto: 73,
+  code128a: 73,
+  code128b: 73,
+  code128c: 73,
+};
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+// GS ( k error correction levels
+const QR_ECC_LEVELS = { L: 48, M: 49, Q: 50, H: 51 };
+
+// Rows per GS v 0 command, which keeps each image within printer buffers
+const RASTER_BAND_HEIGHT = 256;
+
+class ESCPOSRenderer {
+  constructor() {
+    this.defaultOptions = {
+      width: 2,
+      height: 100,
+      displayValue: true,
+      font: 'monospace',
+      fontSize: 20,
+      textAlign: 'center',
+      textPosition: 'bottom',
+      textMargin: 2,
+      background: '#ffffff',
+      lineColor: '#000000',
+      margin: 0,
+      marginTop: 0,
+      marginBottom: 0,
+      marginLeft: 0,
+      marginRight: 0,
+      moduleSize: 4,
+      dpi: DEFAULT_DPI,
+      paperWidth: '80mm',
+      native: true,
+      cut: false,
+    };
+  }
+
+  /**
+   * Render a barcode as ESC/POS commands
+   * @param {Object} symbol - Encoded symbol from SymbolEncoder
+   * @param {Object} options - Render options; lengths are printer dots
+   * @returns {Buffer} ESC/POS command bytes
+   */
+  render(symbol, options = {}) {
+    try {
+      const mergedOptions = SymbolLayout.mergeOptions(
+        this.defaultOptions,
+        options
+      );
+      const dpi = SymbolLayout.getDPI(mergedOptions) || DEFAULT_DPI;
+      const renderOptions = SymbolLayout.resolveLengths(
+        mergedOptions,
+        dpi,
+        dpi
+      );
+
+      const maxDots = PAPER_DOTS[renderOptions.paperWidth];
+      if (!maxDots) {
+        throw new Error(
+          `Invalid paper width: ${renderOptions.paperWidth}. Supported paper widths: ${Object.keys(
+            PAPER_DOTS
+          ).join(', ')}`
+        );
+      }
+
+      const native = renderOptions.native
+        ? this.createNativeCommands(symbol, renderOptions)
+        : null;
+
+      const commands = [
+        // Initialize, then align the symbol on the paper
+        Buffer.from([ESC, 0x40]),
+        Buffer.from([
+          ESC,
+          0x61,
+          ALIGNMENTS[renderOptions.textAlign] ?? ALIGNMENTS.center,
+        ]),
+        native ||
+          this.createRasterCommands(
+            SymbolLayout.layout(symbol, renderOptions),
+            maxDots
+          ),
+        Buffer.from([LF]),
+      ];
+
+      if (renderOptions.cut) {
+        // Feed to the cutter and cut partially
+        commands.push(Buffer.from([GS, 0x56, 0x42, 0x00]));
+      }
+
+      return Buffer.concat(commands);
+    } catch (error) {
+      throw new Error(`ESC/POS rendering failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create native barcode commands for the symbol, if the printer has them
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options
+   * @returns {Buffer|null} Commands, or null when the type has no command
+   */
+  createNativeCommands(symbol, options) {
+    if (symbol.type === 'qrcode') {
+      return this.createQRCommands(symbol, options);
+    }
+
+    const symbology = SYMBOLOGIES[symbol.type];
+    if (!symbology) {
+      return null;
+    }
+
+    const data = this.getBarcodeData(symbol);
+    // GS k gives the data length in one byte
+    if (data.length > 255) {
+      throw new Error(
+        `Barcode data is ${data.length} bytes but GS k takes at most 255`
+      );
+    }
+
+    const position = !options.displayValue
+      ? 0
+      : options.textPosition === 'top'
+        ? 1
+        : 2;
+
+    return Buffer.concat([
+      Buffer.from([GS, 0x48, position]),
+      Buffer.from([GS, 0x68, this.clamp(options.height, 1, 255)]),
+      Buffer.from([GS, 0x77, this.clamp(options.width, 1, 6)]),
+      Buffer.from([GS, 0x6b, symbology, data.length]),
+      data,
+    ]);
+  }
+
+  /**
+   * Get the GS k field data for a 1D symbol
+   * @param {Object} symbol - Encoded symbol
+   * @returns {Buffer} Field data
+   */
+  getBarcodeData(symbol) {
+    const digits = {
+      upca: 11,
+      ean13: 12,
+      ean8: 7,
+    };
+
+    if (digits[symbol.type]) {
+      // The printer adds the check digit
+      return Buffer.from(symbol.data.substring(0, digits[symbol.type]));
+    }
+
+    if (SYMBOLOGIES[symbol.type] === 70) {
+      // Interleaved 2 of 5 is sent with its padding and check digits
+      return Buffer.from(symbol.text);
+    }
+
+    if (symbol.type === 'codabar') {
+      return Buffer.from(
+        /^[A-D].*[A-D]$/i.test(symbol.data) ? symbol.data : `A${symbol.data}A`
+      );
+    }
+
+    if (SYMBOLOGIES[symbol.type] === 73) {
+      return this.getCode128Data(symbol);
+    }
+
+    return Buffer.from(symbol.data);
+  }
+
+  /**
+   * Get Code 128 field data; it starts with a code set selection, switches to
+   * code set A for control characters and back to B for lower case, and '{'
+   * is escaped as '{{'
+   * @param {Object} symbol - Encoded symbol
+   * @returns {Buffer} Field data
+   */
+  getCode128Data(symbol) {
+    const isNumeric = /^(\d\d)+$/.test(symbol.data);
+
+    if (
+      symbol.type === 'code128c' ||
+      (symbol.type !== 'code128a' && symbol.type !== 'code128b' && isNumeric)
+    ) {
+      // Code set C is sent as one byte per digit pair
+      const pairs = symbol.data.match(/\d\d/g).map(pair => parseInt(pair, 10));
+      return Buffer.from([0x7b, 0x43, ...pairs]);
+    }
+
+    // Characters from space to '_' are in both code sets
+    const defaultSet = symbol.type === 'code128a' ? 'A' : 'B';
+    let codeSet = null;
+    let data = '';
+    (
+      symbol.data.match(/[\x00-\x1f]+|[\x60-\x7f]+|[\x20-\x5f]+/g) || []
+    ).forEach(run => {
+      const char = run.charCodeAt(0);
+      const runSet =
+        char < 0x20 ? 'A' : char >= 0x60 ? 'B' : codeSet || defaultSet;
+      if (runSet !== codeSet) {
+        data += `{${runSet}`;
+        codeSet = runSet;
+      }
+      data += run.replace(/\{/g, '{{');
+    });
+
+    return Buffer.from(data, 'latin1');
+  }
+
+  /**
+   * Create GS ( k commands that store and print a QR Code
+   * @param {Object} symbol - Encoded QR Code
+   * @param {Object} options - Render options
+   * @returns {Buffer} Commands
+   */
+  createQRCommands(symbol, options) {
+    const data = Buffer.from(symbol.data, 'utf8');
+    const qr = (fn, ...params) => {
+      const length = params.length + 2;
+      return Buffer.from([
+        GS,
+        0x28,
+        0x6b,
+        length & 0xff,
+        length >> 8,
+        0x31,
+        fn,
+        ...params,
+      ]);
+    };
+
+    return Buffer.concat([
+      qr(0x41, 0x32, 0x00), // Model 2
+      qr(0x43, this.clamp(options.moduleSize, 1, 16)),
+      qr(0x45, QR_ECC_LEVELS[symbol.errorCorrectionLevel] || QR_ECC_LEVELS.M),
+      qr(0x50, 0x30, ...data),
+      qr(0x51, 0x30),
+    ]);
+  }
+
+  /**
+   * Create GS v 0 raster commands, and the text around them, from a layout
+   * @param {Object} layout - Layout from SymbolLayout
+   * @param {number} maxDots - Printable width of the paper in dots
+   * @returns {Buffer} Commands
+   */
+  createRasterCommands(layout, maxDots) {
+    const width = Math.ceil(layout.width);
+    if (width > maxDots) {
+      throw new Error(
+        `Barcode is ${width} dots wide but the paper prints at most ${maxDots} dots`
+      );
+    }
+
+    // The text is printed as characters, so only the bars are rasterized
+    const { symbolBox } = layout;
+    const top = Math.round(symbolBox.y);
+    const bottom = Math.ceil(
+      Math.max(
+        symbolBox.y + symbolBox.height,
+        ...layout.rects.map(rect => rect.y + rect.height)
+      )
+    );
+    const height = bottom - top;
+    const bytesPerRow = Math.ceil(width / 8);
+    const bitmap = new Uint8Array(bytesPerRow * height);
+
+    layout.rects.forEach(rect => {
+      const left = Math.round(rect.x);
+      const right = Math.min(width, Math.round(rect.x + rect.width));
+      const from = Math.max(0, Math.round(rect.y) - top);
+      const to = Math.min(height, Math.round(rect.y + rect.height) - top);
+
+      for (let row = from; row < to; row++) {
+        for (let col = left; col < right; col++) {
+          bitmap[row * bytesPerRow + (col >> 3)] |= 0x80 >> (col & 7);
+        }
+      }
+    });
+
+    const commands = [];
+    for (let row = 0; row < height; row += RASTER_BAND_HEIGHT) {
+      const rows = Math.min(RASTER_BAND_HEIGHT, height - row);
+      commands.push(
+        Buffer.from([
+          GS,
+          0x76,
+          0x30,
+          0x00,
+          bytesPerRow & 0xff,
+          bytesPerRow >> 8,
+          rows & 0xff,
+          rows >> 8,
+        ]),
+        Buffer.from(
+          bitmap.subarray(row * bytesPerRow, (row + rows) * bytesPerRow)
+        )
+      );
+    }
+
+    if (layout.text) {
+      // Printers use single byte code pages; keep to printable ASCII
+      const text = Buffer.from(
+        `${layout.text.value.replace(/[^\x20-\x7e]/g, '?')}\n`,
+        'ascii'
+      );
+      const textOnTop = layout.text.top < symbolBox.y;
+      commands[textOnTop ? 'unshift' : 'push'](text);
+    }
+
+    return Buffer.concat(commands);
+  }
+
+  /**
+   * Clamp a length to a command parameter range
+   * @param {number} value - Length in dots
+   * @param {number} min - Smallest value
+   * @param {number} max - Largest value
+   * @returns {number} Whole number within the range
+   */
+  clamp(value, min, max) {
+    return Math.min(max, Math.max(min, Math.round(value)));
+  }
+}
+
+module.exports = ESCPOSRenderer;
@@ -2,12 +2,15 @@
  * HTML Renderer - Renders barcodes as HTML
  */
 
+const { SymbolLayout } = require('./SymbolLayout');
+
 class HTMLRenderer {
   constructor() {
     this.defaultOptions = {
       width: 2,
       height: 100,
       displayValue: true,
+      font: 'monospace',
       fontSize: 20,
       textAlign: 'center',
       textPosition: 'bottom',
@@ -19,6 +22,8 @@ class HTMLRenderer {
       marginBottom: 10,
       marginLeft: 10,
       marginRight: 10,
+      moduleSize: 4,
+      dpi: null,
       className: 'barcode',
       id: null,
     };
@@ -26,18 +31,36 @@ class HTMLRenderer {
 
   /**
    * Render a barcode as HTML
-   * @param {string} data - The data to encode
-   * @param {string} type - The barcode type
+   * @param {Object} symbol - Encoded symbol from SymbolEncoder
    * @param {Object} options - Render options
    * @returns {string} HTML string
    */
-  render(data, type, options = {}) {
+  render(symbol, options = {}) {
     try {
-      // Merge options with defaults
-      const renderOptions = { ...this.defaultOptions, ...options };
+      // Lengths are CSS pixels; physical lengths snap to the dpi when given
+      const mergedOptions = SymbolLayout.mergeOptions(
+        this.defaultOptions,
+        options
+      );
+      const renderOptions = SymbolLayout.resolveLengths(
+        mergedOptions,
+        SymbolLayout.CSS_PIXELS_PER_INCH,
+        SymbolLayout.getDPI(mergedOptions)
+      );
+
+      // Margins are applied by the container and the text follows the
+      // symbol in the document flow, so the layout gets neither
+      const layout = SymbolLayout.layout(symbol, {
+        ...renderOptions,
+        textPosition: 'bottom',
+        marginTop: 0,
+        marginBottom: 0,
+        marginLeft: 0,
+        marginRight: 0,
+      });
 
       // Generate HTML structure
-      const html = this.createHTMLStructure(data, type, renderOptions);
+      const html = this.createHTMLStructure(layout, renderOptions);
       return html;
     } catch (error) {
       throw new Error(`HTML rendering failed: ${error.message}`);
@@ -46,94 +69,135 @@ class HTMLRenderer {
 
   /**
    * Create HTML structure for barcode
-   * @param {string} data - The data to encode
-   * @param {string} type - The barcode type
+   * @param {Object} layout - Layout from SymbolLayout
    * @param {Object} options - Render options
    * @returns {string} HTML string
    */
-  createHTMLStructure(data, type, options) {
-    const containerId =
-      options.id ||
-      `barcode-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  createHTMLStructure(layout, options) {
+    const containerId = this.getContainerId(options);
     const containerClass = options.className || 'barcode';
+    const { html: symbolHTML, classes } = this.createSymbolHTML(layout);
 
-    let html = `<div id="${containerId}" class="${containerClass}" style="${this.getContainerStyles(
-      options
-    )}">`;
+    let html = `<div id="${containerId}" class="${this.escapeHTML(
+      containerClass
+    )}" style="${this.getContainerStyles(options)}">`;
 
-    // Add barcode representation
-    if (type === 'qrcode') {
-      html += this.createQRCodeHTML(data, options);
-    } else {
-      html += this.createLinearBarcodeHTML(data, type, options);
-    }
+    html += symbolHTML;
 
     // Add text if displayValue is true
-    if (options.displayValue) {
-      html += `<div class="barcode-text" style="${this.getTextStyles(
-        options
-      )}">${data}</div>`;
+    if (layout.text) {
+      html += `<div class="barcode-text">${this.escapeHTML(
+        layout.text.value
+      )}</div>`;
     }
 
     html += '</div>';
 
     // Add CSS styles
-    html += this.getCSSStyles(containerId, options);
+    html += this.getCSSStyles(containerId, options, layout, classes);
 
     return html;
   }
 
   /**
-   * Create QR Code HTML representation
-   * @param {string} data - The data to encode
-   * @param {Object} options - Render options
-   * @returns {string} HTML content
+   * Create the HTML for a laid out symbol
+   *
+   * Dark rectangles are grouped into horizontal bands (one per matrix row,
+   * one for linear and 4-state symbols) and painted as flex items, so each
+   * distinct element shape gets one short CSS class instead of inline styles.
+   * @param {Object} layout - Layout from SymbolLayout
+   * @returns {Object} HTML content and the classes it uses
    */
-  createQRCodeHTML(data, options) {
-    // This is a simplified representation
-    // In a real implementation, you would use a QR code library
-    const size = 200;
-    const cellSize = 10;
-    const cells = size / cellSize;
-
-    let html = `<div class="qr-code" style="width: ${size}px; height: ${size}px; display: grid; grid-template-columns: repeat(${cells}, 1fr); gap: 1px; background: ${options.background}; padding: 10px;">`;
-
-    // Generate a simple pattern based on data
-    for (let i = 0; i < cells * cells; i++) {
-      const shouldFill = (data.charCodeAt(i % data.length) + i) % 2 === 0;
-      const color = shouldFill ? options.lineColor : options.background;
-      html += `<div style="background-color: ${color}; width: 100%; height: 100%;"></div>`;
-    }
+  createSymbolHTML(layout) {
+    const classes = { bars: new Map(), spaces: new Map() };
+    const classFor = (map, prefix, key, style) => {
+      if (!map.has(key)) {
+        map.set(key, { name: `${prefix}${map.size}`, style });
+      }
+      return map.get(key).name;
+    };
+    const space = width =>
+      classFor(classes.spaces, 's', width, `width: ${width}px;`);
+
+    let html = '<div class="barcode-symbol">';
+    let bottom = 0;
+
+    this.groupBands(layout).forEach(band => {
+      const top = Math.min(...band.rects.map(rect => rect.y));
+      let x = 0;
+
+      html +=
+        top > bottom
+          ? `<div class="barcode-band" style="margin-top: ${SymbolLayout.round(
+              top - bottom
+            )}px;">`
+          : '<div class="barcode-band">';
+      band.rects.forEach(rect => {
+        if (rect.x > x) {
+          html += `<i class="${space(SymbolLayout.round(rect.x - x))}"></i>`;
+        }
+        const offset = SymbolLayout.round(rect.y - top);
+        const bar = classFor(
+          classes.bars,
+          'b',
+          `${rect.width}x${rect.height}+${offset}`,
+          `width: ${rect.width}px; height: ${rect.height}px;${
+            offset ? ` margin-top: ${offset}px;` : ''
+          }`
+        );
+        html += `<i class="${bar}"></i>`;
+        x = rect.x + rect.width;
+      });
+      html += '</div>';
+
+      bottom = Math.max(...band.rects.map(rect => rect.y + rect.height));
+    });
 
     html += '</div>';
-    return html;
+    return { html, classes };
   }
 
   /**
-   * Create linear barcode HTML representation
-   * @param {string} data - The data to encode
-   * @param {string} type - The barcode type
-   * @param {Object} options - Render options
-   * @returns {string} HTML content
+   * Group the dark rectangles of a layout into horizontal bands
+   * @param {Object} layout - Layout from SymbolLayout
+   * @returns {Array} Bands ordered top to bottom, rectangles left to right
    */
-  createLinearBarcodeHTML(data, type, options) {
-    const barWidth = options.width || 2;
-    const barHeight = options.height || 100;
-
-    let html = `<div class="linear-barcode" style="display: flex; align-items: flex-start; background: ${options.background}; padding: 10px;">`;
+  groupBands(layout) {
+    const bands = new Set();
 
-    // Generate bars based on data
-    for (let i = 0; i < data.length; i++) {
-      const char = data.charCodeAt(i);
-      const barCount = (char % 5) + 1;
+    layout.rects.forEach(rect => {
+      // Rectangles that overlap vertically with a band belong to it, and join
+      // the bands they overlap into one
+      const [band, ...others] = [...bands].filter(
+        candidate =>
+          rect.y < candidate.bottom && rect.y + rect.height > candidate.top
+      );
 
-      for (let j = 0; j < barCount; j++) {
-        html += `<div style="width: ${barWidth}px; height: ${barHeight}px; background-color: ${options.lineColor}; margin-right: ${barWidth}px;"></div>`;
+      if (band) {
+        band.rects.push(rect);
+        band.top = Math.min(band.top, rect.y);
+        band.bottom = Math.max(band.bottom, rect.y + rect.height);
+        others.forEach(other => {
+          band.rects.push(...other.rects);
+          band.top = Math.min(band.top, other.top);
+          band.bottom = Math.max(band.bottom, other.bottom);
+          bands.delete(other);
+        });
+      } else {
+        bands.add({
+          top: rect.y,
+          bottom: rect.y + rect.height,
+          rects: [rect],
+        });
       }
-    }
+    });
 
-    html += '</div>';
-    return html;
+    return [...bands.values()]
+      .sort((a, b) => a.top - b.top)
+      .map(band => ({
+        ...band,
+        rects: band.rects.sort((a, b) => a.x - b.x),
+      }));
   }
 
   /**
@@ -142,56 +206,111 @@ class HTMLRenderer {
    * @returns {string} CSS styles
    */
   getContainerStyles(options) {
-    return `
-      display: inline-block;
-      background: ${options.background};
+    const direction =
+      options.textPosition === 'top' ? 'column-reverse' : 'column';
+
+    return this.escapeHTML(`
+      display: inline-flex;
+      flex-direction: ${direction};
+      background: ${this.sanitizeCSS(options.background)};
       padding: ${options.margin}px;
       margin: ${options.marginTop}px ${options.marginRight}px ${options.marginBottom}px ${options.marginLeft}px;
       border: 1px solid #ccc;
       text-align: center;
-    `;
-  }
-
-  /**
-   * Get text styles
-   * @param {Object} options - Render options
-   * @returns {string} CSS styles
-   */
-  getTextStyles(options) {
-    return `
-      font-family: Arial, sans-serif;
-      font-size: ${options.fontSize}px;
-      color: ${options.lineColor};
-      text-align: ${options.textAlign};
-      margin-top: ${options.textMargin}px;
-    `;
+    `);
   }
 
   /**
    * Get CSS styles for the barcode
    * @param {string} containerId - Container ID
    * @param {Object} options - Render options
+   * @param {Object} layout - Layout from SymbolLayout
+   * @param {Object} classes - Element classes used by the symbol
    * @returns {string} CSS styles
    */
-  getCSSStyles(containerId) {
+  getCSSStyles(containerId, options, layout, classes) {
+    const scope = `#${containerId}`;
+    const textOnTop = options.textPosition === 'top';
+    const symbolHeight = layout.text
+      ? SymbolLayout.round(layout.text.top - options.textMargin)
+      : layout.height;
+    const rules = [...classes.bars.values(), ...classes.spaces.values()]
+      .map(({ name, style }) => `${scope} .${name} { ${style} }`)
+      .join('\n        ');
+
     return `
       <style>
-        #${containerId} {
-          font-family: Arial, sans-serif;
-        }
-        #${containerId} .barcode-text {
-          font-weight: bold;
+        ${scope} {
+          font-family: ${this.sanitizeCSS(options.font)};
+          -webkit-print-color-adjust: exact;
+          print-color-adjust: exact;
         }
-        #${containerId} .qr-code {
+        ${scope} .barcode-symbol {
+          width: ${layout.width}px;
+          height: ${symbolHeight}px;
           margin: 0 auto;
         }
-        #${containerId} .linear-barcode {
-          justify-content: center;
+        ${scope} .barcode-band {
+          display: flex;
+          align-items: flex-start;
+        }
+        ${scope} .barcode-band i {
+          display: block;
+          flex: none;
+        }
+        ${scope} .barcode-band i[class^="b"] {
+          background: ${this.sanitizeCSS(options.lineColor)};
+        }
+        ${rules}
+        ${scope} .barcode-text {
+          font-size: ${options.fontSize}px;
+          line-height: 1;
+          color: ${this.sanitizeCSS(options.lineColor)};
+          text-align: ${this.sanitizeCSS(options.textAlign)};
+          ${textOnTop ? 'margin-bottom' : 'margin-top'}: ${options.textMargin}px;
         }
       </style>
     `;
   }
 
+  /**
+   * Get the container id, kept to letters, digits, '_' and '-' and starting
+   * with a letter or '_', so the attribute and the CSS selector need no escaping
+   * @param {Object} options - Render options
+   * @returns {string} Container id
+   */
+  getContainerId(options) {
+    const id = String(options.id || '').replace(/[^A-Za-z0-9_-]/g, '');
+    if (!id) {
+      return `barcode-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    return /^[A-Za-z_]/.test(id) ? id : `barcode-${id}`;
+  }
+
+  /**
+   * Escape a value for use in HTML content or attributes
+   * @param {string} value - Value to escape
+   * @returns {string} Escaped value
+   */
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Strip characters that could break out of a CSS value or selector
+   * @param {string} value - CSS value
+   * @returns {string} Sanitized value
+   */
+  sanitizeCSS(value) {
+    return String(value).replace(/[<>{};"'\\]/g, '');
+  }
+
   /**
    * Get default options
    * @returns {Object} Default options
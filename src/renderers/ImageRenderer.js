@@ -0,0 +1,96 @@
+/**
+ * Image Renderer - Renders barcodes as JPEG or WebP images
+ */
+
+const PNGRenderer = require('./PNGRenderer');
+const WebPEncoder = require('./WebPEncoder');
+const { SymbolLayout } = require('./SymbolLayout');
+
+const IMAGE_FORMATS = {
+  jpeg: 'JPEG',
+  webp: 'WebP',
+};
+
+class ImageRenderer extends PNGRenderer {
+  /**
+   * @param {string} format - Image format (jpeg, jpg or webp)
+   */
+  constructor(format = 'jpeg') {
+    super();
+
+    this.format = format === 'jpg' ? 'jpeg' : format;
+    if (!IMAGE_FORMATS[this.format]) {
+      throw new Error(`Unsupported image format: ${format}`);
+    }
+
+    this.defaultOptions = {
+      ...this.defaultOptions,
+      quality: 0.92,
+      matte: '#ffffff',
+    };
+    this.webpEncoder = new WebPEncoder();
+  }
+
+  /**
+   * Render a barcode as JPEG or WebP
+   * @param {Object} symbol - Encoded symbol from SymbolEncoder
+   * @param {Object} options - Render options
+   * @returns {Buffer} Image buffer
+   */
+  render(symbol, options = {}) {
+    try {
+      const renderOptions = this.mergeOptions(options);
+      const layout = SymbolLayout.layout(symbol, renderOptions);
+
+      if (this.format === 'jpeg') {
+        return this.toJPEG(layout, renderOptions);
+      }
+
+      return this.toWebP(layout);
+    } catch (error) {
+      throw new Error(
+        `${IMAGE_FORMATS[this.format]} rendering failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Encode a layout as JPEG
+   *
+   * JPEG has no alpha channel, so a transparent background is painted over
+   * the matte color instead of turning black.
+   * @param {Object} layout - Layout from SymbolLayout
+   * @param {Object} options - Render options
+   * @returns {Buffer} JPEG buffer
+   */
+  toJPEG(layout, options) {
+    const quality = Number(options.quality);
+    if (!(quality >= 0 && quality <= 1)) {
+      throw new Error(
+        `Invalid quality: ${options.quality}. Quality must be between 0 and 1`
+      );
+    }
+
+    const canvas = this.paint(layout, options.matte);
+    return canvas.toBuffer('image/jpeg', { quality });
+  }
+
+  /**
+   * Encode a layout as lossless WebP
+   *
+   * Lossless output keeps bar edges exact, so the quality option is ignored.
+   * WebP keeps the alpha channel, so transparent backgrounds stay transparent.
+   * @param {Object} layout - Layout from SymbolLayout
+   * @returns {Buffer} WebP buffer
+   */
+  toWebP(layout) {
+    const canvas = this.paint(layout);
+    const width = Math.ceil(layout.width);
+    const height = Math.ceil(layout.height);
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+    return this.webpEncoder.encode(data, width, height);
+  }
+}
+
+module.exports = ImageRenderer;
@@ -3,13 +3,16 @@
  */
 
 const PDFDocument = require('pdfkit');
+const { SymbolLayout } = require('./SymbolLayout');
 
 class PDFRenderer {
   constructor() {
     this.defaultOptions = {
+      unit: 'pt',
       width: 2,
       height: 100,
       displayValue: true,
+      font: 'monospace',
       fontSize: 20,
       textAlign: 'center',
       textPosition: 'bottom',
@@ -21,22 +24,27 @@ class PDFRenderer {
       marginBottom: 10,
       marginLeft: 10,
       marginRight: 10,
+      moduleSize: 4,
       pageWidth: 612,
       pageHeight: 792,
+      dpi: null,
     };
   }
 
   /**
    * Render a barcode as PDF
-   * @param {string} data - The data to encode
-   * @param {string} type - The barcode type
-   * @param {Object} options - Render options
-   * @returns {Buffer} PDF buffer
+   * @param {Object} symbol - Encoded symbol from SymbolEncoder
+   * @param {Object} options - Render options; lengths are in `unit` ('pt' or 'mm')
+   * @returns {Promise<Buffer>} PDF buffer
    */
-  render(data, type, options = {}) {
+  render(symbol, options = {}) {
     try {
       // Merge options with defaults
-      const renderOptions = { ...this.defaultOptions, ...options };
+      const renderOptions = SymbolLayout.toPoints(
+        SymbolLayout.mergeOptions(this.defaultOptions, options),
+        options
+      );
+      const layout = SymbolLayout.layout(symbol, renderOptions);
 
       // Create PDF document
       const doc = new PDFDocument({
@@ -62,7 +70,7 @@ class PDFRenderer {
         doc.on('error', reject);
 
         // Add barcode to PDF
-        this.addBarcodeToPDF(doc, data, type, renderOptions);
+        this.addBarcodeToPDF(doc, layout, renderOptions);
 
         // Finalize PDF
         doc.end();
@@ -75,93 +83,74 @@ class PDFRenderer {
   /**
    * Add barcode to PDF document
    * @param {PDFDocument} doc - PDF document
-   * @param {string} data - The data to encode
-   * @param {string} type - The barcode type
-   * @param {Object} options - Render options
+   * @param {Object} layout - Layout from SymbolLayout
+   * @param {Object} options - Render options in points
    */
-  addBarcodeToPDF(doc, data, type, options) {
+  addBarcodeToPDF(doc, layout, options) {
     // Set background color
     doc.rect(0, 0, options.pageWidth, options.pageHeight);
     doc.fillColor(options.background);
     doc.fill();
 
-    // Calculate position
-    const x = options.marginLeft;
-    const y = options.marginTop;
-
-    if (type === 'qrcode') {
-      this.addQRCodeToPDF(doc, data, x, y, options);
-    } else {
-      this.addLinearBarcodeToPDF(doc, data, type, x, y, options);
+    // Bars and modules are filled as a single vector path
+    if (layout.hexagons) {
+      this.addHexagonsToPDF(doc, layout);
+    } else if (layout.dots) {
+      layout.dots.forEach(dot => {
+        doc.circle(dot.x, dot.y, dot.radius);
+      });
+      doc.fillColor(layout.foreground);
+      doc.fill();
+    } else if (layout.rects.length > 0) {
+      layout.rects.forEach(rect => {
+        doc.rect(rect.x, rect.y, rect.width, rect.height);
+      });
+      doc.fillColor(layout.foreground);
+      doc.fill();
     }
 
-    // Add text if displayValue is true
-    if (options.displayValue) {
-      doc.fontSize(options.fontSize);
-      doc.fillColor(options.lineColor);
-      doc.text(data, x, y + options.height + options.textMargin, {
-        align: options.textAlign,
-      });
+    if (layout.text) {
+      this.addTextToPDF(doc, layout);
     }
   }
 
   /**
-   * Add QR Code to PDF
+   * Add the hexagons of a hexagonal symbol, then its bullseye circles filled
+   * even-odd so alternate rings stay light
    * @param {PDFDocument} doc - PDF document
-   * @param {string} data - The data to encode
-   * @param {number} x - X position
-   * @param {number} y - Y position
-   * @param {Object} options - Render options
+   * @param {Object} layout - Layout from SymbolLayout
    */
-  addQRCodeToPDF(doc, data, x, y, options) {
-    // This is a simplified representation
-    // In a real implementation, you would use a QR code library
-    const size = 200;
-    const cellSize = 10;
-    const cells = size / cellSize;
-
-    // Draw QR code pattern
-    for (let row = 0; row < cells; row++) {
-      for (let col = 0; col < cells; col++) {
-        const shouldFill =
-          (data.charCodeAt((row * cells + col) % data.length) + row + col) %
-            2 ===
-          0;
-
-        if (shouldFill) {
-          doc.rect(x + col * cellSize, y + row * cellSize, cellSize, cellSize);
-          doc.fillColor(options.lineColor);
-          doc.fill();
-        }
-      }
-    }
+  addHexagonsToPDF(doc, layout) {
+    layout.hexagons.forEach(hexagon => {
+      doc.polygon(...SymbolLayout.getHexagonCorners(hexagon));
+    });
+    doc.fillColor(layout.foreground);
+    doc.fill();
+
+    layout.circles.forEach(circle => {
+      doc.circle(circle.x, circle.y, circle.radius);
+    });
+    doc.fill('even-odd');
   }
 
   /**
-   * Add linear barcode to PDF
+   * Add the human readable text, with its baseline where the layout puts it
    * @param {PDFDocument} doc - PDF document
-   * @param {string} data - The data to encode
-   * @param {string} type - The barcode type
-   * @param {number} x - X position
-   * @param {number} y - Y position
-   * @param {Object} options - Render options
+   * @param {Object} layout - Layout from SymbolLayout
    */
-  addLinearBarcodeToPDF(doc, data, type, x, y, options) {
-    const barWidth = options.width || 2;
-    let currentX = x;
-
-    // Draw bars based on data
-    for (let i = 0; i < data.length; i++) {
-      const char = data.charCodeAt(i);
-      const barCount = (char % 5) + 1;
-
-      for (let j = 0; j < barCount; j++) {
-        doc.rect(currentX, y, barWidth, options.height);
-        doc.fillColor(options.lineColor);
-        doc.fill();
-        currentX += barWidth * 2;
-      }
-    }
+  addTextToPDF(doc, layout) {
+    const { text, symbolBox } = layout;
+
+    doc.font(SymbolLayout.getStandardFont(text.font));
+    doc.fontSize(text.fontSize);
+    doc.fillColor(layout.foreground);
+    doc.text(text.value, symbolBox.x, text.y, {
+      width: symbolBox.width,
+      align:
+        text.align === 'left' || text.align === 'right' ? text.align : 'center',
+      baseline: 'alphabetic',
+      lineBreak: false,
+    });
   }
 
   /**
@@ -3,7 +3,7 @@
  */
 
 const { createCanvas } = require('canvas');
-const JsBarcode = require('jsbarcode');
+const { SymbolLayout } = require('./SymbolLayout');
 
 class PNGRenderer {
   constructor() {
@@ -11,6 +11,7 @@ class PNGRenderer {
       width: 2,
       height: 100,
       displayValue: true,
+      font: 'monospace',
       fontSize: 20,
       textAlign: 'center',
       textPosition: 'bottom',
@@ -22,85 +23,104 @@ class PNGRenderer {
       marginBottom: 10,
       marginLeft: 10,
       marginRight: 10,
+      moduleSize: 4,
+      dpi: null,
     };
   }
 
   /**
    * Render a barcode as PNG
-   * @param {string} data - The data to encode
-   * @param {string} type - The barcode type
+   * @param {Object} symbol - Encoded symbol from SymbolEncoder
    * @param {Object} options - Render options
    * @returns {Buffer} PNG buffer
    */
-  render(data, type, options = {}) {
+  render(symbol, options = {}) {
     try {
-      // Merge options with defaults
-      const renderOptions = { ...this.defaultOptions, ...options };
-
-      // Create canvas
-      const canvas = createCanvas(400, 200);
-      const ctx = canvas.getContext('2d');
-
-      // Set background
-      ctx.fillStyle = renderOptions.background;
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-      // Generate barcode using JsBarcode
-      JsBarcode(canvas, data, {
-        format: this.mapBarcodeType(type),
-        width: renderOptions.width,
-        height: renderOptions.height,
-        displayValue: renderOptions.displayValue,
-        fontSize: renderOptions.fontSize,
-        textAlign: renderOptions.textAlign,
-        textPosition: renderOptions.textPosition,
-        textMargin: renderOptions.textMargin,
-        background: renderOptions.background,
-        lineColor: renderOptions.lineColor,
-        margin: renderOptions.margin,
-        marginTop: renderOptions.marginTop,
-        marginBottom: renderOptions.marginBottom,
-        marginLeft: renderOptions.marginLeft,
-        marginRight: renderOptions.marginRight,
-      });
+      const renderOptions = this.mergeOptions(options);
+
+      const layout = SymbolLayout.layout(symbol, renderOptions);
+      const canvas = this.paint(layout);
 
-      // Convert to PNG buffer
-      return canvas.toBuffer('image/png');
+      // Convert to PNG buffer; canvas records the resolution in pHYs
+      return canvas.toBuffer('image/png', this.getPNGConfig(renderOptions));
     } catch (error) {
       throw new Error(`PNG rendering failed: ${error.message}`);
     }
   }
 
   /**
-   * Map barcode type to JsBarcode format
-   * @param {string} type - The barcode type
-   * @returns {string} JsBarcode format
+   * Merge options with defaults and convert lengths to pixels. Without a dpi,
+   * physical lengths use the CSS reference of 96 pixels per inch.
+   * @param {Object} options - User options
+   * @returns {Object} Render options in pixels
    */
-  mapBarcodeType(type) {
-    const typeMap = {
-      code128: 'CODE128',
-      code128a: 'CODE128A',
-      code128b: 'CODE128B',
-      code128c: 'CODE128C',
-      code128auto: 'CODE128',
-      code39: 'CODE39',
-      code39extended: 'CODE39',
-      code39checksum: 'CODE39',
-      code39auto: 'CODE39',
-      code93: 'CODE93',
-      ean13: 'EAN13',
-      ean8: 'EAN8',
-      upca: 'UPC',
-      upce: 'UPC',
-      codabar: 'codabar',
-      code11: 'CODE11',
-      msi: 'MSI',
-      pharmazentral: 'pharmazentral',
-      interleaved25: 'ITF',
-      standard25: 'STD25',
-    };
+  mergeOptions(options) {
+    const renderOptions = SymbolLayout.mergeOptions(
+      this.defaultOptions,
+      options
+    );
+    const dpi =
+      SymbolLayout.getDPI(renderOptions) || SymbolLayout.CSS_PIXELS_PER_INCH;
+
+    // Pixels are printer dots, so module widths snap to whole pixels
+    return SymbolLayout.resolveLengths(renderOptions, dpi, dpi);
+  }
+
+  /**
+   * Get the PNG encoder configuration for the render options
+   * @param {Object} options - Render options
+   * @returns {Object} PNG config
+   */
+  getPNGConfig(options) {
+    const dpi = SymbolLayout.getDPI(options);
+    return dpi ? { resolution: Math.round(dpi) } : {};
+  }
+
+  /**
+   * Paint a laid out symbol onto a new canvas
+   * @param {Object} layout - Layout from SymbolLayout
+   * @param {string} matte - Opaque color painted under the background, if any
+   * @returns {Canvas} Canvas
+   */
+  paint(layout, matte = null) {
+    const canvas = createCanvas(
+      Math.ceil(layout.width),
+      Math.ceil(layout.height)
+    );
+    const ctx = canvas.getContext('2d');
+
+    if (matte) {
+      ctx.fillStyle = matte;
+      ctx.fillRect(0, 0, layout.width, layout.height);
+    }
+
+    // Set background
+    ctx.fillStyle = layout.background;
+    ctx.fillRect(0, 0, layout.width, layout.height);
+
+    ctx.fillStyle = layout.foreground;
+    if (layout.dots) {
+      ctx.beginPath();
+      layout.dots.forEach(({ x, y, radius }) => {
+        ctx.moveTo(x + radius, y);
+        ctx.arc(x, y, radius, 0, 2 * Math.PI);
+      });
+      ctx.fill();
+    } else {
+      layout.rects.forEach(rect => {
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      });
+    }
+
+    if (layout.text) {
+      const alignments = { start: 'left', middle: 'center', end: 'right' };
+      ctx.font = `${layout.text.fontSize}px ${layout.text.font}`;
+      ctx.textAlign = alignments[layout.text.anchor];
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillText(layout.text.value, layout.text.x, layout.text.y);
+    }
 
-    return typeMap[type] || 'CODE128';
+    return canvas;
   }
 
   /**
@@ -10,6 +10,10 @@ class RenderFormats {
     PDF: 'pdf',
     JPG: 'jpg',
     JPEG: 'jpeg',
+    WEBP: 'webp',
+    ZPL: 'zpl',
+    ESCPOS: 'escpos',
+    EPS: 'eps',
   };
 
   static MIME_TYPES = {
@@ -19,6 +23,10 @@ class RenderFormats {
     pdf: 'application/pdf',
     jpg: 'image/jpeg',
     jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    zpl: 'application/zpl',
+    escpos: 'application/octet-stream',
+    eps: 'application/postscript',
   };
 
   static EXTENSIONS = {
@@ -28,6 +36,10 @@ class RenderFormats {
     pdf: '.pdf',
     jpg: '.jpg',
     jpeg: '.jpeg',
+    webp: '.webp',
+    zpl: '.zpl',
+    escpos: '.bin',
+    eps: '.eps',
   };
 
   /**
@@ -78,6 +90,10 @@ class RenderFormats {
       pdf: 'Portable Document Format - Document format',
       jpg: 'JPEG - Compressed raster image format',
       jpeg: 'JPEG - Compressed raster image format',
+      webp: 'WebP - Lossless raster image format',
+      zpl: 'Zebra Programming Language - Label printer format',
+      escpos: 'ESC/POS - Receipt printer commands',
+      eps: 'Encapsulated PostScript - Vector artwork format',
     };
 
     return descriptions[format] || 'Unknown format';
@@ -2,7 +2,7 @@
  * SVG Renderer - Renders barcodes as SVG
  */
 
-const JsBarcode = require('jsbarcode');
+const { SymbolLayout } = require('./SymbolLayout');
 
 class SVGRenderer {
   constructor() {
@@ -10,6 +10,7 @@ class SVGRenderer {
       width: 2,
       height: 100,
       displayValue: true,
+      font: 'monospace',
       fontSize: 20,
       textAlign: 'center',
       textPosition: 'bottom',
@@ -21,84 +22,61 @@ class SVGRenderer {
       marginBottom: 10,
       marginLeft: 10,
       marginRight: 10,
+      moduleSize: 4,
+      dpi: null,
     };
   }
 
   /**
    * Render a barcode as SVG
-   * @param {string} data - The data to encode
-   * @param {string} type - The barcode type
+   * @param {Object} symbol - Encoded symbol from SymbolEncoder
    * @param {Object} options - Render options
    * @returns {string} SVG string
    */
-  render(data, type, options = {}) {
+  render(symbol, options = {}) {
     try {
-      // Merge options with defaults
-      const renderOptions = { ...this.defaultOptions, ...options };
-
-      // Create a temporary canvas element for JsBarcode
-      const canvas = document.createElement('canvas');
-
-      // Generate barcode using JsBarcode
-      JsBarcode(canvas, data, {
-        format: this.mapBarcodeType(type),
-        width: renderOptions.width,
-        height: renderOptions.height,
-        displayValue: renderOptions.displayValue,
-        fontSize: renderOptions.fontSize,
-        textAlign: renderOptions.textAlign,
-        textPosition: renderOptions.textPosition,
-        textMargin: renderOptions.textMargin,
-        background: renderOptions.background,
-        lineColor: renderOptions.lineColor,
-        margin: renderOptions.margin,
-        marginTop: renderOptions.marginTop,
-        marginBottom: renderOptions.marginBottom,
-        marginLeft: renderOptions.marginLeft,
-        marginRight: renderOptions.marginRight,
-        xmlDocument: this.createXMLDocument(),
-      });
-
-      // Get SVG string from canvas
-      const svgString = canvas.toSVG();
-      return svgString;
-    } catch {
-      // Fallback: create SVG manually
-      return this.createManualSVG(data, type, options);
+      // Lengths are CSS pixels; physical lengths snap to the dpi when given
+      const mergedOptions = SymbolLayout.mergeOptions(
+        this.defaultOptions,
+        options
+      );
+      const renderOptions = SymbolLayout.resolveLengths(
+        mergedOptions,
+        SymbolLayout.CSS_PIXELS_PER_INCH,
+        SymbolLayout.getDPI(mergedOptions)
+      );
+
+      const layout = SymbolLayout.layout(symbol, renderOptions);
+      return this.createSVG(layout);
+    } catch (error) {
+      throw new Error(`SVG rendering failed: ${error.message}`);
     }
   }
 
   /**
-   * Create SVG manually as fallback
-   * @param {string} data - The data to encode
-   * @param {string} type - The barcode type
-   * @param {Object} options - Render options
+   * Create the SVG document for a laid out symbol
+   * @param {Object} layout - Layout from SymbolLayout
    * @returns {string} SVG string
    */
-  createManualSVG(data, type, options = {}) {
-    const renderOptions = { ...this.defaultOptions, ...options };
-
-    // Simple SVG structure for basic barcodes
-    const width = 300;
-    const height = renderOptions.height + (renderOptions.displayValue ? 30 : 0);
-
-    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`;
-    svg += `<rect width="${width}" height="${height}" fill="${renderOptions.background}"/>`;
-
-    // Add barcode representation (simplified)
-    if (type === 'qrcode') {
-      svg += this.createQRCodeSVG(data, width, height, renderOptions);
+  createSVG(layout) {
+    const { width, height } = layout;
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
+    svg += `<rect x="0" y="0" width="${width}" height="${height}" fill="${this.escapeXML(
+      layout.background
+    )}"/>`;
+    if (layout.hexagons) {
+      svg += this.createHexagonalPaths(layout);
     } else {
-      svg += this.createLinearBarcodeSVG(data, width, height, renderOptions);
+      svg += `<path fill="${this.escapeXML(layout.foreground)}" d="${
+        layout.dots
+          ? this.createCirclePath(layout.dots)
+          : this.createPath(layout.rects)
+      }"/>`;
     }
 
-    // Add text if displayValue is true
-    if (renderOptions.displayValue) {
-      svg += `<text x="${width / 2}" y="${
-        height - 5
-      }" text-anchor="middle" font-family="Arial" font-size="${
-        renderOptions.fontSize
-      }" fill="${renderOptions.lineColor}">${data}</text>`;
+    if (layout.text) {
+      svg += this.createText(layout.text, layout.foreground);
     }
 
     svg += '</svg>';
@@ -106,99 +84,81 @@ class SVGRenderer {
   }
 
   /**
-   * Create QR Code SVG representation
-   * @param {string} data - The data to encode
-   * @param {number} width - SVG width
-   * @param {number} height - SVG height
-   * @param {Object} options - Render options
-   * @returns {string} SVG content
+   * Create path data for a list of rectangles
+   * @param {Array} rects - Dark rectangles
+   * @returns {string} SVG path data
    */
-  createQRCodeSVG(data, width, height, options) {
-    // This is a simplified representation
-    // In a real implementation, you would use a QR code library
-    const size = Math.min(width, height) - 40;
-    const x = (width - size) / 2;
-    const y = (height - size) / 2;
-
-    return `<rect x="${x}" y="${y}" width="${size}" height="${size}" fill="${options.lineColor}" stroke="${options.lineColor}" stroke-width="1"/>`;
+  createPath(rects) {
+    return rects
+      .map(
+        rect =>
+          `M${rect.x} ${rect.y}h${rect.width}v${rect.height}h${-rect.width}z`
+      )
+      .join('');
   }
 
   /**
-   * Create linear barcode SVG representation
-   * @param {string} data - The data to encode
-   * @param {number} width - SVG width
-   * @param {number} height - SVG height
-   * @param {Object} options - Render options
-   * @returns {string} SVG content
+   * Create the paths of a hexagonal symbol: its hexagons, and its bullseye
+   * circles filled even-odd so alternate rings stay light
+   * @param {Object} layout - Layout from SymbolLayout
+   * @returns {string} SVG path elements
    */
-  createLinearBarcodeSVG(data, width, height, options) {
-    // This is a simplified representation
-    // In a real implementation, you would use a barcode library
-    const barWidth = 2;
-    const barHeight = height - (options.displayValue ? 30 : 0);
-    const startX = 20;
-    let currentX = startX;
-
-    let svg = '';
-    for (let i = 0; i < data.length; i++) {
-      const char = data.charCodeAt(i);
-      const barCount = (char % 5) + 1;
-
-      for (let j = 0; j < barCount; j++) {
-        svg += `<rect x="${currentX}" y="10" width="${barWidth}" height="${barHeight}" fill="${options.lineColor}"/>`;
-        currentX += barWidth * 2;
-      }
-    }
-
-    return svg;
+  createHexagonalPaths(layout) {
+    const fill = this.escapeXML(layout.foreground);
+    const hexagons = layout.hexagons
+      .map(
+        hexagon =>
+          `M${SymbolLayout.getHexagonCorners(hexagon)
+            .map(([x, y]) => `${x} ${y}`)
+            .join('L')}z`
+      )
+      .join('');
+    const circles = this.createCirclePath(layout.circles);
+
+    return `<path fill="${fill}" d="${hexagons}"/><path fill="${fill}" fill-rule="evenodd" d="${circles}"/>`;
   }
 
   /**
-   * Create XML document for JsBarcode
-   * @returns {Object} XML document
+   * Create path data for a list of circles, each as two half circle arcs
+   * @param {Array} circles - Circle centers and radii
+   * @returns {string} SVG path data
    */
-  createXMLDocument() {
-    // Create a minimal XML document for JsBarcode
-    return {
-      createElement: tagName => ({
-        tagName,
-        setAttribute: () => {},
-        appendChild: () => {},
-        toSVG: () => '<svg></svg>',
-      }),
-    };
+  createCirclePath(circles) {
+    return circles
+      .map(({ x, y, radius }) => {
+        const arc = `a${radius} ${radius} 0 1 0`;
+        const diameter = SymbolLayout.round(radius * 2);
+        return `M${SymbolLayout.round(x - radius)} ${y}${arc} ${diameter} 0${arc} ${-diameter} 0z`;
+      })
+      .join('');
   }
 
   /**
-   * Map barcode type to JsBarcode format
-   * @param {string} type - The barcode type
-   * @returns {string} JsBarcode format
+   * Create the human readable text element
+   * @param {Object} text - Text layout
+   * @param {string} color - Text color
+   * @returns {string} SVG text element
    */
-  mapBarcodeType(type) {
-    const typeMap = {
-      code128: 'CODE128',
-      code128a: 'CODE128A',
-      code128b: 'CODE128B',
-      code128c: 'CODE128C',
-      code128auto: 'CODE128',
-      code39: 'CODE39',
-      code39extended: 'CODE39',
-      code39checksum: 'CODE39',
-      code39auto: 'CODE39',
-      code93: 'CODE93',
-      ean13: 'EAN13',
-      ean8: 'EAN8',
-      upca: 'UPC',
-      upce: 'UPC',
-      codabar: 'codabar',
-      code11: 'CODE11',
-      msi: 'MSI',
-      pharmazentral: 'pharmazentral',
-      interleaved25: 'ITF',
-      standard25: 'STD25',
-    };
+  createText(text, color) {
+    return `<text x="${text.x}" y="${text.y}" text-anchor="${
+      text.anchor
+    }" font-family="${this.escapeXML(text.font)}" font-size="${
+      text.fontSize
+    }" fill="${this.escapeXML(color)}">${this.escapeXML(text.value)}</text>`;
+  }
 
-    return typeMap[type] || 'CODE128';
+  /**
+   * Escape a value for use in XML content or attributes
+   * @param {string} value - Value to escape
+   * @returns {string} Escaped value
+   */
+  escapeXML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
   }
 
   /**
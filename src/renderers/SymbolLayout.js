@@ -0,0 +1,625 @@
+/**
+ * Symbol Layout - Shared geometry for painting encoded symbols
+ */
+
+const FOURSTATE_GEOMETRY = {
+  F: [0, 1],
+  A: [0, 0.625],
+  D: [0.375, 1],
+  T: [0.375, 0.625],
+};
+
+// Physical length units accepted in option strings such as '0.33mm'
+const UNITS_PER_INCH = {
+  mm: 25.4,
+  cm: 2.54,
+  in: 1,
+  mil: 1000,
+  pt: 72,
+};
+
+const CSS_PIXELS_PER_INCH = 96;
+const POINTS_PER_INCH = 72;
+
+// Points per unit of length in the vector formats
+const POINT_UNITS = {
+  pt: 1,
+  mm: 72 / 25.4,
+};
+
+// Generic font families mapped to the standard PDF and PostScript fonts
+const STANDARD_FONTS = {
+  monospace: 'Courier',
+  'sans-serif': 'Helvetica',
+  serif: 'Times-Roman',
+};
+
+// The standard fonts every PDF and PostScript reader provides, and the one
+// used for any other family
+const BASE_FONTS = [
+  'Courier',
+  'Courier-Bold',
+  'Courier-Oblique',
+  'Courier-BoldOblique',
+  'Helvetica',
+  'Helvetica-Bold',
+  'Helvetica-Oblique',
+  'Helvetica-BoldOblique',
+  'Times-Roman',
+  'Times-Bold',
+  'Times-Italic',
+  'Times-BoldItalic',
+  'Symbol',
+  'ZapfDingbats',
+];
+const DEFAULT_FONT = 'Helvetica';
+
+class SymbolLayout {
+  static MARGIN_SIDES = [
+    'marginTop',
+    'marginBottom',
+    'marginLeft',
+    'marginRight',
+  ];
+
+  static LENGTH_OPTIONS = [
+    'width',
+    'height',
+    'moduleSize',
+    'fontSize',
+    'textMargin',
+    'margin',
+    ...SymbolLayout.MARGIN_SIDES,
+  ];
+
+  // Lengths that are snapped to whole printer dots, never below one
+  static MODULE_OPTIONS = ['width', 'moduleSize'];
+
+  static CSS_PIXELS_PER_INCH = CSS_PIXELS_PER_INCH;
+
+  /**
+   * Merge render options with defaults; a plain margin applies to every side
+   * that is not set explicitly, and moduleWidth sets the X-dimension of both
+   * linear and 2D symbols
+   * @param {Object} defaults - Renderer default options
+   * @param {Object} options - User options
+   * @returns {Object} Render options
+   */
+  static mergeOptions(defaults, options = {}) {
+    const renderOptions = { ...defaults, ...options };
+
+    if (options.moduleWidth !== undefined) {
+      renderOptions.width = options.moduleWidth;
+      if (options.moduleSize === undefined) {
+        renderOptions.moduleSize = options.moduleWidth;
+      }
+    }
+
+    if (options.margin !== undefined) {
+      this.MARGIN_SIDES.forEach(side => {
+        if (options[side] === undefined) {
+          renderOptions[side] = options.margin;
+        }
+      });
+    }
+
+    return renderOptions;
+  }
+
+  /**
+   * Get the target resolution from the render options
+   * @param {Object} options - Render options
+   * @returns {number|null} Dots per inch, or null when not set
+   */
+  static getDPI(options) {
+    if (options.dpi === null || options.dpi === undefined) {
+      return null;
+    }
+
+    const dpi = Number(options.dpi);
+    if (!(dpi > 0) || !Number.isFinite(dpi)) {
+      throw new Error(
+        `Invalid dpi: ${options.dpi}. DPI must be a positive number`
+      );
+    }
+
+    return dpi;
+  }
+
+  /**
+   * Convert every length option to output units
+   * @param {Object} options - Render options
+   * @param {number} unitsPerInch - Output units per inch
+   * @param {number|null} dpi - Resolution to snap module lengths to
+   * @returns {Object} Render options with numeric lengths
+   */
+  static resolveLengths(options, unitsPerInch, dpi = null) {
+    const resolved = { ...options };
+
+    this.LENGTH_OPTIONS.forEach(name => {
+      if (resolved[name] !== undefined) {
+        resolved[name] = this.resolveLength(
+          resolved[name],
+          unitsPerInch,
+          dpi,
+          this.MODULE_OPTIONS.includes(name)
+        );
+      }
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Convert length options to points for the vector formats. Numbers are in
+   * `unit` ('pt' or 'mm'); strings such as '0.33mm' carry their own unit and
+   * snap to `dpi` when set.
+   * @param {Object} renderOptions - Merged render options
+   * @param {Object} options - User options
+   * @returns {Object} Render options in points
+   */
+  static toPoints(renderOptions, options) {
+    const scale = POINT_UNITS[renderOptions.unit];
+    if (!scale) {
+      throw new Error(
+        `Invalid unit: ${renderOptions.unit}. Supported units: ${Object.keys(
+          POINT_UNITS
+        ).join(', ')}`
+      );
+    }
+
+    const dpi = this.getDPI(renderOptions);
+    const toPoints = (value, isModule = false) =>
+      /[a-z]/i.test(value)
+        ? this.resolveLength(value, POINTS_PER_INCH, dpi, isModule)
+        : Number(value) * scale;
+
+    const converted = { ...renderOptions };
+    this.LENGTH_OPTIONS.forEach(name => {
+      if (renderOptions[name] !== undefined) {
+        converted[name] = toPoints(
+          renderOptions[name],
+          this.MODULE_OPTIONS.includes(name)
+        );
+      }
+    });
+
+    // A default page size is in points; only a page size the caller sets is in `unit`
+    ['pageWidth', 'pageHeight'].forEach(name => {
+      if (options[name] !== undefined) {
+        converted[name] = toPoints(options[name]);
+      }
+    });
+
+    return converted;
+  }
+
+  /**
+   * Map a font family to a standard PDF and PostScript font. Only the first
+   * family of a CSS list is used; families that are neither generic nor a
+   * standard font fall back to Helvetica.
+   * @param {string} font - Font family or CSS font family list
+   * @returns {string} Font name
+   */
+  static getStandardFont(font) {
+    const family = String(font)
+      .split(',')[0]
+      .trim()
+      .replace(/^(['"])(.*)\1$/, '$2');
+
+    if (STANDARD_FONTS[family]) {
+      return STANDARD_FONTS[family];
+    }
+    return BASE_FONTS.includes(family) ? family : DEFAULT_FONT;
+  }
+
+  /**
+   * Convert a length to output units. Numbers are already in output units;
+   * strings may carry a physical unit ('0.33mm', '13mil', '1in').
+   *
+   * With a dpi the length is first rounded to whole printer dots, so bar
+   * widths stay exact multiples of the printer's dot pitch.
+   * @param {number|string} value - Length
+   * @param {number} unitsPerInch - Output units per inch
+   * @param {number|null} dpi - Resolution to snap to
+   * @param {boolean} isModule - Keep at least one dot
+   * @returns {number} Length in output units
+   */
+  static resolveLength(value, unitsPerInch, dpi = null, isModule = false) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const match = /^\s*(\d*\.?\d+)\s*([a-z]*)\s*$/i.exec(String(value));
+    const unit = match && match[2].toLowerCase();
+    if (!match || (unit && !UNITS_PER_INCH[unit])) {
+      throw new Error(
+        `Invalid length: ${value}. Supported units: ${Object.keys(
+          UNITS_PER_INCH
+        ).join(', ')}`
+      );
+    }
+
+    const length = parseFloat(match[1]);
+    if (!unit) {
+      return length;
+    }
+
+    const inches = length / UNITS_PER_INCH[unit];
+    if (!dpi) {
+      return inches * unitsPerInch;
+    }
+
+    const dots = Math.round(inches * dpi);
+    return (isModule ? Math.max(1, dots) : dots) * (unitsPerInch / dpi);
+  }
+
+  /**
+   * Lay out a symbol
+   * @param {Object} symbol - Symbol model from SymbolEncoder
+   * @param {Object} options - Render options
+   * @returns {Object} Layout with overall size, dark rectangles and text
+   */
+  static layout(symbol, options) {
+    const layouts = {
+      linear: () => this.layoutLinear(symbol, options),
+      matrix: () => this.layoutMatrix(symbol, options),
+      fourstate: () => this.layoutFourState(symbol, options),
+      hexagonal: () => this.layoutHexagonal(symbol, options),
+      composite: () => this.layoutComposite(symbol, options),
+    };
+
+    if (!layouts[symbol.kind]) {
+      throw new Error(`Unknown symbol kind: ${symbol.kind}`);
+    }
+
+    const body = layouts[symbol.kind]();
+    const showText =
+      options.displayValue && symbol.text !== null && symbol.text !== '';
+    const textHeight = showText ? options.fontSize + options.textMargin : 0;
+    const textOnTop = options.textPosition === 'top';
+
+    // Matrix codes need a light border of their own on top of the margins
+    const quietZone = (symbol.quietZone || 0) * (body.moduleSize || 0);
+    const left = Math.max(options.marginLeft, quietZone);
+    const right = Math.max(options.marginRight, quietZone);
+    const top = Math.max(options.marginTop, quietZone);
+    const bottom = Math.max(options.marginBottom, quietZone);
+
+    const offsetY = top + (textOnTop ? textHeight : 0);
+    const rects = body.rects.map(rect => ({
+      ...rect,
+      x: this.round(rect.x + left),
+      y: this.round(rect.y + offsetY),
+      width: this.round(rect.width),
+      height: this.round(rect.height),
+    }));
+
+    const layout = {
+      width: this.round(left + body.width + right),
+      height: this.round(top + textHeight + body.height + bottom),
+      symbolBox: {
+        x: this.round(left),
+        y: this.round(offsetY),
+        width: this.round(body.width),
+        height: this.round(body.height),
+      },
+      rects,
+      text: null,
+      background: options.background,
+      foreground: options.lineColor,
+    };
+
+    // Vector formats draw hexagonal and dotted symbols from their shapes
+    const place = shape => ({
+      x: this.round(shape.x + left),
+      y: this.round(shape.y + offsetY),
+      radius: this.round(shape.radius),
+    });
+    if (body.hexagons) {
+      layout.hexagons = body.hexagons.map(place);
+      layout.circles = body.circles.map(place);
+    }
+    if (body.dots) {
+      layout.dots = body.dots.map(place);
+    }
+
+    if (showText) {
+      const anchors = {
+        left: { anchor: 'start', x: left },
+        right: { anchor: 'end', x: left + body.width },
+        center: { anchor: 'middle', x: left + body.width / 2 },
+      };
+      const position = anchors[options.textAlign] || anchors.center;
+      const textTop = textOnTop
+        ? top
+        : offsetY + body.height + options.textMargin;
+
+      layout.text = {
+        value: symbol.text,
+        x: this.round(position.x),
+        y: this.round(textTop + options.fontSize),
+        top: this.round(textTop),
+        width: this.round(body.width),
+        align: options.textAlign,
+        anchor: position.anchor,
+        font: options.font,
+        fontSize: options.fontSize,
+      };
+    }
+
+    return layout;
+  }
+
+  /**
+   * Round a length so fractional unit conversions do not leak floating point
+   * noise into the output
+   * @param {number} value - Length
+   * @returns {number} Length rounded to 1/10000 of a unit
+   */
+  static round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  /**
+   * Lay out a linear symbol
+   * @param {Object} symbol - Linear symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Body layout
+   */
+  static layoutLinear(symbol, options) {
+    const moduleWidth = options.width;
+    const guardExtension =
+      options.displayValue &&
+      options.textPosition !== 'top' &&
+      symbol.text !== null
+        ? options.fontSize / 2
+        : 0;
+    const rects = [];
+    let modules = 0;
+
+    symbol.widths.forEach((width, index) => {
+      if (index % 2 === 0 && width > 0) {
+        const isGuard = symbol.guards.includes(index);
+        rects.push({
+          x: modules * moduleWidth,
+          y: 0,
+          width: width * moduleWidth,
+          height: options.height + (isGuard ? guardExtension : 0),
+        });
+      }
+      modules += width;
+    });
+
+    return { width: modules * moduleWidth, height: options.height, rects };
+  }
+
+  /**
+   * Lay out a matrix symbol, merging horizontal runs of dark modules. Dotted
+   * symbols also get a circle one module wide per dark module.
+   * @param {Object} symbol - Matrix symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Body layout
+   */
+  static layoutMatrix(symbol, options) {
+    const moduleSize = options.moduleSize;
+    const rowHeights = symbol.rowHeights || symbol.modules.map(() => 1);
+    const rects = [];
+    const dots = [];
+    let y = 0;
+
+    symbol.modules.forEach((row, rowIndex) => {
+      const height = rowHeights[rowIndex] * moduleSize;
+
+      for (let col = 0; col < row.length; col++) {
+        if (!row[col]) continue;
+
+        let run = 1;
+        while (row[col + run]) run++;
+
+        rects.push({
+          x: col * moduleSize,
+          y,
+          width: run * moduleSize,
+          height,
+        });
+        if (symbol.dots) {
+          for (let dot = col; dot < col + run; dot++) {
+            dots.push({
+              x: (dot + 0.5) * moduleSize,
+              y: y + height / 2,
+              radius: moduleSize / 2,
+            });
+          }
+        }
+        col += run - 1;
+      }
+
+      y += height;
+    });
+
+    return {
+      width: symbol.columns * moduleSize,
+      height: y,
+      rects,
+      ...(symbol.dots && { dots }),
+      moduleSize,
+    };
+  }
+
+  /**
+   * Lay out a composite symbol: the component and separator rows at the
+   * linear X-dimension, with the linear symbol under them
+   * @param {Object} symbol - Composite symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Body layout
+   */
+  static layoutComposite(symbol, options) {
+    const matrix = this.layoutMatrix(symbol, {
+      ...options,
+      moduleSize: options.width,
+    });
+    const linear = this.layoutLinear(symbol, options);
+    const offsetX = symbol.linearOffset * options.width;
+
+    return {
+      width: Math.max(matrix.width, offsetX + linear.width),
+      height: matrix.height + linear.height,
+      rects: [
+        ...matrix.rects,
+        ...linear.rects.map(rect => ({
+          ...rect,
+          x: rect.x + offsetX,
+          y: rect.y + matrix.height,
+        })),
+      ],
+    };
+  }
+
+  /**
+   * Lay out a 4-state symbol
+   * @param {Object} symbol - Four-state symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Body layout
+   */
+  static layoutFourState(symbol, options) {
+    const barWidth = options.width;
+    const pitch = (symbol.pitch || 2) * barWidth;
+    const geometry = { ...FOURSTATE_GEOMETRY, ...symbol.geometry };
+
+    const rects = symbol.bars.map((state, index) => {
+      const [from, to] = geometry[state];
+      return {
+        x: index * pitch,
+        y: from * options.height,
+        width: barWidth,
+        height: (to - from) * options.height,
+      };
+    });
+
+    return {
+      width: (symbol.bars.length - 1) * pitch + barWidth,
+      height: options.height,
+      rects,
+    };
+  }
+
+  /**
+   * Lay out a hexagonal symbol as pointy-top hexagons one module wide, with
+   * the bullseye as concentric circles whose alternate gaps are dark
+   * @param {Object} symbol - Hexagonal symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Body layout
+   */
+  static layoutHexagonal(symbol, options) {
+    const moduleSize = options.moduleSize;
+    const radius = moduleSize / Math.sqrt(3);
+    const center = (row, col) => ({
+      x: (col + 0.5 + (row % 2) / 2) * moduleSize,
+      y: row * radius * 1.5 + radius,
+    });
+
+    const hexagons = [];
+    symbol.modules.forEach((row, rowIndex) => {
+      row.forEach((dark, col) => {
+        if (dark) hexagons.push({ ...center(rowIndex, col), radius });
+      });
+    });
+
+    const { row, column, radii } = symbol.bullseye;
+    const circles = radii.map(circle => ({
+      ...center(row, column),
+      radius: circle * moduleSize,
+    }));
+    const height = (symbol.rows - 1) * radius * 1.5 + radius * 2;
+
+    return {
+      width: symbol.columns * moduleSize,
+      height,
+      rects: this.rasterizeHexagonal(hexagons, circles, height),
+      hexagons,
+      circles,
+      moduleSize,
+    };
+  }
+
+  /**
+   * Cut hexagons and bullseye circles into one unit high rectangles for the
+   * raster formats
+   * @param {Array} hexagons - Hexagon centers and radii
+   * @param {Array} circles - Concentric circles, largest first
+   * @param {number} height - Symbol height
+   * @returns {Array} Dark rectangles
+   */
+  static rasterizeHexagonal(hexagons, circles, height) {
+    const rects = [];
+    const halfWidth = (circle, dy) =>
+      dy < circle.radius ? Math.sqrt(circle.radius ** 2 - dy ** 2) : 0;
+
+    for (let y = 0; y < height; y++) {
+      const scan = Math.min(y + 0.5, height);
+      const spans = [];
+
+      hexagons.forEach(hexagon => {
+        const dy = Math.abs(scan - hexagon.y);
+        const half =
+          Math.sqrt(3) *
+          (dy <= hexagon.radius / 2 ? hexagon.radius / 2 : hexagon.radius - dy);
+        if (half > 0) spans.push([hexagon.x - half, hexagon.x + half]);
+      });
+
+      for (let i = 0; i + 1 < circles.length; i += 2) {
+        const { x } = circles[i];
+        const dy = Math.abs(scan - circles[i].y);
+        const outer = halfWidth(circles[i], dy);
+        const inner = halfWidth(circles[i + 1], dy);
+        if (outer === 0) continue;
+        if (inner === 0) {
+          spans.push([x - outer, x + outer]);
+        } else {
+          spans.push([x - outer, x - inner], [x + inner, x + outer]);
+        }
+      }
+
+      spans.sort((a, b) => a[0] - b[0]);
+      const merged = [];
+      spans.forEach(([from, to]) => {
+        const last = merged[merged.length - 1];
+        if (last && from <= last[1]) {
+          last[1] = Math.max(last[1], to);
+        } else {
+          merged.push([from, to]);
+        }
+      });
+
+      merged.forEach(([from, to]) => {
+        rects.push({
+          x: from,
+          y,
+          width: to - from,
+          height: Math.min(1, height - y),
+        });
+      });
+    }
+
+    return rects;
+  }
+
+  /**
+   * Get the corners of a pointy-top hexagon, clockwise from the top
+   * @param {Object} hexagon - Hexagon center and radius
+   * @returns {Array} Corner [x, y] pairs
+   */
+  static getHexagonCorners(hexagon) {
+    return [-90, -30, 30, 90, 150, 210].map(angle => [
+      this.round(
+        hexagon.x + hexagon.radius * Math.cos((angle * Math.PI) / 180)
+      ),
+      this.round(
+        hexagon.y + hexagon.radius * Math.sin((angle * Math.PI) / 180)
+      ),
+    ]);
+  }
+}
+
+module.exports = { SymbolLayout };
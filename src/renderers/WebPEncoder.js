@@ -0,0 +1,480 @@
+/**
+ * WebP Encoder - Encodes RGBA pixels as lossless WebP (VP8L)
+ *
+ * Barcodes are large areas of identical pixels, so the encoder only uses
+ * backward references to the pixel on the left and the pixel above, plus
+ * per-channel Huffman codes. No transforms or color cache are needed.
+ */
+
+const MAX_DIMENSION = 16384;
+const MAX_COPY_LENGTH = 4096;
+const MIN_COPY_LENGTH = 3;
+const MAX_CODE_LENGTH = 15;
+const MAX_CODE_LENGTH_CODE_LENGTH = 7;
+
+// Distance codes of the neighbors that backward references point to
+const DISTANCE_CODE_ABOVE = 1;
+const DISTANCE_CODE_LEFT = 2;
+
+const CODE_LENGTH_CODE_ORDER = [
+  17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+];
+
+const ALPHABET_SIZES = {
+  green: 256 + 24,
+  red: 256,
+  blue: 256,
+  alpha: 256,
+  distance: 40,
+};
+
+/**
+ * LSB-first bit writer
+ */
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.used = 0;
+  }
+
+  /**
+   * Write a value using the given number of bits
+   * @param {number} value - Value to write
+   * @param {number} count - Number of bits
+   */
+  write(value, count) {
+    for (let i = 0; i < count; i++) {
+      this.current |= ((value >>> i) & 1) << this.used;
+      this.used++;
+      if (this.used === 8) {
+        this.bytes.push(this.current);
+        this.current = 0;
+        this.used = 0;
+      }
+    }
+  }
+
+  /**
+   * Get the written bytes, padding the last one with zeros
+   * @returns {Buffer} Bytes
+   */
+  toBuffer() {
+    const bytes = this.used > 0 ? [...this.bytes, this.current] : this.bytes;
+    return Buffer.from(bytes);
+  }
+}
+
+class WebPEncoder {
+  /**
+   * Encode RGBA pixels as a lossless WebP file
+   * @param {Uint8Array|Uint8ClampedArray} rgba - Pixels, 4 bytes each
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Buffer} WebP file
+   */
+  encode(rgba, width, height) {
+    if (width < 1 || height < 1) {
+      throw new Error('WebP images must be at least 1x1 pixels');
+    }
+    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+      throw new Error(
+        `WebP images cannot exceed ${MAX_DIMENSION}x${MAX_DIMENSION} pixels`
+      );
+    }
+
+    const pixels = new Uint32Array(width * height);
+    let hasAlpha = false;
+    for (let i = 0; i < pixels.length; i++) {
+      const alpha = rgba[i * 4 + 3];
+      hasAlpha = hasAlpha || alpha !== 255;
+      pixels[i] =
+        ((alpha << 24) |
+          (rgba[i * 4] << 16) |
+          (rgba[i * 4 + 1] << 8) |
+          rgba[i * 4 + 2]) >>>
+        0;
+    }
+
+    const writer = new BitWriter();
+    writer.write(0x2f, 8);
+    writer.write(width - 1, 14);
+    writer.write(height - 1, 14);
+    writer.write(hasAlpha ? 1 : 0, 1);
+    writer.write(0, 3);
+
+    // No transforms, no color cache, a single prefix code group
+    writer.write(0, 1);
+    writer.write(0, 1);
+    writer.write(0, 1);
+
+    const tokens = this.tokenize(pixels, width);
+    const codes = this.buildCodes(tokens);
+    Object.keys(ALPHABET_SIZES).forEach(name => {
+      this.writeCode(writer, codes[name]);
+    });
+    this.writeTokens(writer, tokens, codes);
+
+    return this.createContainer(writer.toBuffer());
+  }
+
+  /**
+   * Split the pixels into literals and backward references
+   * @param {Uint32Array} pixels - ARGB pixels
+   * @param {number} width - Image width
+   * @returns {Array} Tokens
+   */
+  tokenize(pixels, width) {
+    const tokens = [];
+    const matchLength = (position, distance) => {
+      let length = 0;
+      while (
+        position + length < pixels.length &&
+        length < MAX_COPY_LENGTH &&
+        pixels[position + length] === pixels[position + length - distance]
+      ) {
+        length++;
+      }
+      return length;
+    };
+
+    for (let position = 0; position < pixels.length; ) {
+      const left = position >= 1 ? matchLength(position, 1) : 0;
+      const above = position >= width ? matchLength(position, width) : 0;
+      const length = Math.max(left, above);
+
+      if (length >= MIN_COPY_LENGTH) {
+        tokens.push({
+          length,
+          distanceCode:
+            above >= left ? DISTANCE_CODE_ABOVE : DISTANCE_CODE_LEFT,
+        });
+        position += length;
+      } else {
+        tokens.push({ pixel: pixels[position] });
+        position++;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Split a value into a prefix code and extra bits
+   * @param {number} value - Value of at least 1
+   * @returns {Object} Prefix code, extra bit count and extra bits
+   */
+  getPrefix(value) {
+    const distance = value - 1;
+    if (distance < 4) {
+      return { code: distance, extraBits: 0, extra: 0 };
+    }
+
+    const highestBit = 31 - Math.clz32(distance);
+    const secondBit = (distance >> (highestBit - 1)) & 1;
+    const extraBits = highestBit - 1;
+
+    return {
+      code: 2 * highestBit + secondBit,
+      extraBits,
+      extra: distance & ((1 << extraBits) - 1),
+    };
+  }
+
+  /**
+   * Build the Huffman codes for the tokens
+   * @param {Array} tokens - Tokens
+   * @returns {Object} Codes by alphabet name
+   */
+  buildCodes(tokens) {
+    const counts = {};
+    Object.entries(ALPHABET_SIZES).forEach(([name, size]) => {
+      counts[name] = new Array(size).fill(0);
+    });
+
+    tokens.forEach(token => {
+      if (token.pixel !== undefined) {
+        counts.green[(token.pixel >>> 8) & 0xff]++;
+        counts.red[(token.pixel >>> 16) & 0xff]++;
+        counts.blue[token.pixel & 0xff]++;
+        counts.alpha[token.pixel >>> 24]++;
+      } else {
+        counts.green[256 + this.getPrefix(token.length).code]++;
+        counts.distance[this.getPrefix(token.distanceCode).code]++;
+      }
+    });
+
+    const codes = {};
+    Object.entries(counts).forEach(([name, alphabetCounts]) => {
+      const lengths = this.getCodeLengths(alphabetCounts, MAX_CODE_LENGTH);
+      codes[name] = {
+        lengths,
+        codes: this.getCanonicalCodes(lengths),
+        symbols: alphabetCounts
+          .map((count, symbol) => (count > 0 ? symbol : -1))
+          .filter(symbol => symbol >= 0),
+      };
+    });
+    return codes;
+  }
+
+  /**
+   * Compute length-limited Huffman code lengths
+   * @param {Array} counts - Symbol frequencies
+   * @param {number} maxLength - Longest allowed code
+   * @returns {Array} Code lengths
+   */
+  getCodeLengths(counts, maxLength) {
+    let weights = counts.slice();
+
+    for (;;) {
+      const lengths = new Array(counts.length).fill(0);
+      let nodes = [];
+      weights.forEach((weight, symbol) => {
+        if (weight > 0) {
+          nodes.push({ weight, symbols: [symbol] });
+        }
+      });
+
+      // A single used symbol is written as a zero-length code
+      if (nodes.length <= 1) {
+        return lengths;
+      }
+
+      while (nodes.length > 1) {
+        nodes.sort((a, b) => a.weight - b.weight);
+        const [first, second] = nodes;
+        const merged = {
+          weight: first.weight + second.weight,
+          symbols: [...first.symbols, ...second.symbols],
+        };
+        merged.symbols.forEach(symbol => lengths[symbol]++);
+        nodes = [merged, ...nodes.slice(2)];
+      }
+
+      if (Math.max(...lengths) <= maxLength) {
+        return lengths;
+      }
+
+      // Flatten the distribution until the tree is shallow enough
+      weights = weights.map(weight =>
+        weight > 0 ? Math.max(1, weight >> 1) : 0
+      );
+    }
+  }
+
+  /**
+   * Assign canonical codes, bit-reversed for LSB-first output
+   * @param {Array} lengths - Code lengths
+   * @returns {Array} Codes
+   */
+  getCanonicalCodes(lengths) {
+    const maxLength = Math.max(0, ...lengths);
+    const lengthCounts = new Array(maxLength + 1).fill(0);
+    lengths.forEach(length => {
+      if (length > 0) lengthCounts[length]++;
+    });
+
+    const nextCode = new Array(maxLength + 2).fill(0);
+    for (let length = 1, code = 0; length <= maxLength; length++) {
+      code = (code + lengthCounts[length - 1]) << 1;
+      nextCode[length] = code;
+    }
+
+    return lengths.map(length => {
+      if (length === 0) return 0;
+      const code = nextCode[length]++;
+      let reversed = 0;
+      for (let i = 0; i < length; i++) {
+        reversed |= ((code >> i) & 1) << (length - 1 - i);
+      }
+      return reversed;
+    });
+  }
+
+  /**
+   * Write a prefix code definition
+   * @param {BitWriter} writer - Bit writer
+   * @param {Object} code - Code lengths, codes and used symbols
+   */
+  writeCode(writer, code) {
+    const { symbols } = code;
+
+    // Unused or single-symbol alphabets use the simple code with one symbol
+    if (symbols.length === 0) {
+      this.writeSimpleCode(writer, [0]);
+      return;
+    }
+    if (symbols.length <= 2 && symbols[symbols.length - 1] < 256) {
+      this.writeSimpleCode(writer, symbols);
+      return;
+    }
+
+    this.writeNormalCode(writer, code.lengths);
+  }
+
+  /**
+   * Write a simple prefix code with one or two symbols
+   * @param {BitWriter} writer - Bit writer
+   * @param {Array} symbols - Symbols below 256
+   */
+  writeSimpleCode(writer, symbols) {
+    writer.write(1, 1);
+    writer.write(symbols.length - 1, 1);
+    if (symbols[0] < 2) {
+      writer.write(0, 1);
+      writer.write(symbols[0], 1);
+    } else {
+      writer.write(1, 1);
+      writer.write(symbols[0], 8);
+    }
+    if (symbols.length === 2) {
+      writer.write(symbols[1], 8);
+    }
+  }
+
+  /**
+   * Write a normal prefix code as run-length coded code lengths
+   * @param {BitWriter} writer - Bit writer
+   * @param {Array} lengths - Code lengths
+   */
+  writeNormalCode(writer, lengths) {
+    const tokens = this.runLengthEncode(lengths);
+    const counts = new Array(19).fill(0);
+    tokens.forEach(token => counts[token.symbol]++);
+
+    const codeLengthLengths = this.getCodeLengths(
+      counts,
+      MAX_CODE_LENGTH_CODE_LENGTH
+    );
+    // A code length code needs at least two symbols to be decodable
+    if (codeLengthLengths.every(length => length === 0)) {
+      codeLengthLengths[tokens[0].symbol] = 1;
+      codeLengthLengths[tokens[0].symbol === 0 ? 1 : 0] = 1;
+    }
+    const codeLengthCodes = this.getCanonicalCodes(codeLengthLengths);
+
+    let count = CODE_LENGTH_CODE_ORDER.length;
+    while (
+      count > 4 &&
+      codeLengthLengths[CODE_LENGTH_CODE_ORDER[count - 1]] === 0
+    ) {
+      count--;
+    }
+
+    writer.write(0, 1);
+    writer.write(count - 4, 4);
+    for (let i = 0; i < count; i++) {
+      writer.write(codeLengthLengths[CODE_LENGTH_CODE_ORDER[i]], 3);
+    }
+
+    // Code lengths are written for the whole alphabet
+    writer.write(0, 1);
+
+    tokens.forEach(token => {
+      writer.write(
+        codeLengthCodes[token.symbol],
+        codeLengthLengths[token.symbol]
+      );
+      if (token.symbol === 16) writer.write(token.extra, 2);
+      if (token.symbol === 17) writer.write(token.extra, 3);
+      if (token.symbol === 18) writer.write(token.extra, 7);
+    });
+  }
+
+  /**
+   * Run-length encode code lengths with the code length alphabet
+   * @param {Array} lengths - Code lengths
+   * @returns {Array} Code length tokens
+   */
+  runLengthEncode(lengths) {
+    const tokens = [];
+    let previous = 8;
+
+    for (let i = 0; i < lengths.length; ) {
+      const length = lengths[i];
+      let run = 1;
+      while (lengths[i + run] === length) run++;
+
+      if (length === 0) {
+        let remaining = run;
+        while (remaining >= 11) {
+          const repeat = Math.min(remaining, 138);
+          tokens.push({ symbol: 18, extra: repeat - 11 });
+          remaining -= repeat;
+        }
+        if (remaining >= 3) {
+          tokens.push({ symbol: 17, extra: remaining - 3 });
+          remaining = 0;
+        }
+        for (; remaining > 0; remaining--) tokens.push({ symbol: 0 });
+      } else {
+        let remaining = run;
+        if (length !== previous) {
+          tokens.push({ symbol: length });
+          remaining--;
+        }
+        while (remaining >= 3) {
+          const repeat = Math.min(remaining, 6);
+          tokens.push({ symbol: 16, extra: repeat - 3 });
+          remaining -= repeat;
+        }
+        for (; remaining > 0; remaining--) tokens.push({ symbol: length });
+        previous = length;
+      }
+
+      i += run;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Write the entropy-coded pixel data
+   * @param {BitWriter} writer - Bit writer
+   * @param {Array} tokens - Tokens
+   * @param {Object} codes - Codes by alphabet name
+   */
+  writeTokens(writer, tokens, codes) {
+    const writeSymbol = (name, symbol) => {
+      writer.write(codes[name].codes[symbol], codes[name].lengths[symbol]);
+    };
+
+    tokens.forEach(token => {
+      if (token.pixel !== undefined) {
+        writeSymbol('green', (token.pixel >>> 8) & 0xff);
+        writeSymbol('red', (token.pixel >>> 16) & 0xff);
+        writeSymbol('blue', token.pixel & 0xff);
+        writeSymbol('alpha', token.pixel >>> 24);
+        return;
+      }
+
+      const length = this.getPrefix(token.length);
+      writeSymbol('green', 256 + length.code);
+      writer.write(length.extra, length.extraBits);
+
+      const distance = this.getPrefix(token.distanceCode);
+      writeSymbol('distance', distance.code);
+      writer.write(distance.extra, distance.extraBits);
+    });
+  }
+
+  /**
+   * Wrap a VP8L bitstream in a RIFF container
+   * @param {Buffer} bitstream - VP8L bitstream
+   * @returns {Buffer} WebP file
+   */
+  createContainer(bitstream) {
+    const padding = bitstream.length % 2;
+    const header = Buffer.alloc(20);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(12 + bitstream.length + padding, 4);
+    header.write('WEBP', 8, 'ascii');
+    header.write('VP8L', 12, 'ascii');
+    header.writeUInt32LE(bitstream.length, 16);
+
+    return Buffer.concat([header, bitstream, Buffer.alloc(padding)]);
+  }
+}
+
+module.exports = WebPEncoder;
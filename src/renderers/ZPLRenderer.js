@@ -0,0 +1,522 @@
+/**
+ * ZPL Renderer - Renders barcodes as ZPL II labels for Zebra printers
+ *
+ * Symbologies the printer encodes itself are sent as their native bar code
+ * command, so the printer draws them at its own resolution. Everything else
+ * is sent as a ^GF graphic field built from the encoded symbol.
+ */
+
+const { SymbolLayout } = require('./SymbolLayout');
+
+// Zebra's default print resolution (8 dots/mm)
+const DEFAULT_DPI = 203;
+
+// Code 128 subset start characters in ZPL field data
+const CODE128_SUBSETS = {
+  code128a: '>9',
+  code128b: '>:',
+  code128c: '>;',
+};
+
+// MSI check digit selections
+const MSI_CHECK_DIGITS = {
+  msi: 'A',
+  msichecksum: 'B',
+  msiauto: 'B',
+};
+
+// '^' and '~' start commands; '_' is the ^FH hex escape
+const ESCAPED_BYTES = [0x5e, 0x7e, 0x5f];
+
+// ^BX escape characters to choose from; the printer reads the character after
+// one in the field data as a control sequence
+const DATAMATRIX_ESCAPES = '~`|@#$&*';
+
+// ^GF compression repeat counts: G-Y are 1-19, g-z are 20-400
+const MAX_REPEAT = 419;
+
+class ZPLRenderer {
+  constructor() {
+    this.defaultOptions = {
+      width: 2,
+      height: 100,
+      displayValue: true,
+      font: 'monospace',
+      fontSize: 20,
+      textAlign: 'center',
+      textPosition: 'bottom',
+      textMargin: 2,
+      background: '#ffffff',
+      lineColor: '#000000',
+      margin: 10,
+      marginTop: 10,
+      marginBottom: 10,
+      marginLeft: 10,
+      marginRight: 10,
+      moduleSize: 4,
+      dpi: DEFAULT_DPI,
+      wideRatio: 3,
+      native: true,
+    };
+
+    // Native bar code commands by barcode type
+    this.nativeCommands = {
+      code128: (symbol, options) => this.code128(symbol, options),
+      code128auto: (symbol, options) => this.code128(symbol, options),
+      code128a: (symbol, options) => this.code128(symbol, options),
+      code128b: (symbol, options) => this.code128(symbol, options),
+      code128c: (symbol, options) => this.code128(symbol, options),
+      code39: (symbol, options) => this.code39(symbol, options, false),
+      code39checksum: (symbol, options) => this.code39(symbol, options, true),
+      code93: (symbol, options) => ({
+        command: `^BAN,${options.height},${this.line(options)},N`,
+        data: symbol.data,
+      }),
+      code11: (symbol, options) => ({
+        // One check digit below 10 characters, two from 10 on
+        command: `^B1N,${symbol.data.length >= 10 ? 'N' : 'Y'},${
+          options.height
+        },${this.line(options)}`,
+        data: symbol.data,
+      }),
+      standard25: (symbol, options) => this.standard25(symbol, options),
+      standard25checksum: (symbol, options) => this.standard25(symbol, options),
+      code25: (symbol, options) => this.standard25(symbol, options),
+      code25auto: (symbol, options) => this.standard25(symbol, options),
+      interleaved25: (symbol, options) => this.interleaved25(symbol, options),
+      interleaved25checksum: (symbol, options) =>
+        this.interleaved25(symbol, options),
+      interleaved25auto: (symbol, options) =>
+        this.interleaved25(symbol, options),
+      itf14: (symbol, options) => this.interleaved25(symbol, options),
+      ean13: (symbol, options) => ({
+        command: `^BEN,${options.height},${this.line(options)}`,
+        data: symbol.data.substring(0, 12),
+      }),
+      ean8: (symbol, options) => ({
+        command: `^B8N,${options.height},${this.line(options)}`,
+        data: symbol.data.substring(0, 7),
+      }),
+      upca: (symbol, options) => ({
+        command: `^BUN,${options.height},${this.line(options)},Y`,
+        data: symbol.data.substring(0, 11),
+      }),
+      ean2: (symbol, options) => this.extension(symbol, options),
+      ean5: (symbol, options) => this.extension(symbol, options),
+      msi: (symbol, options) => this.msi(symbol, options),
+      msichecksum: (symbol, options) => this.msi(symbol, options),
+      msiauto: (symbol, options) => this.msi(symbol, options),
+      codabar: (symbol, options) => this.codabar(symbol, options),
+      // ^BZ types: 0 POSTNET, 1 PLANET, 3 USPS Intelligent Mail; the
+      // printer adds the POSTNET and PLANET correction digit
+      postnet: (symbol, options) => this.postal(symbol.data, options, 0),
+      planet: (symbol, options) => this.postal(symbol.data, options, 1),
+      imb: (symbol, options) =>
+        this.postal(Object.values(symbol.fields).join(''), options, 3),
+      qrcode: (symbol, options) => ({
+        command: `^BQN,2,${this.magnification(options)}`,
+        data: `${symbol.errorCorrectionLevel || 'M'}A,${symbol.data}`,
+      }),
+      datamatrix: (symbol, options) => this.datamatrix(symbol, options),
+      // Macro PDF417 control blocks have no ^B7 parameter
+      pdf417: (symbol, options) =>
+        symbol.macro
+          ? null
+          : {
+              command: `^B7N,${
+                this.magnification(options) * symbol.rowHeights[0]
+              },${symbol.eccLevel},${symbol.dataColumns},${symbol.rows},${
+                symbol.compact ? 'Y' : 'N'
+              }`,
+              data: symbol.data,
+            },
+      // ^BF modes 0-33 are the MicroPDF417 sizes in ISO/IEC 24728 order
+      micropdf417: (symbol, options) => ({
+        command: `^BFN,${
+          this.magnification(options) * symbol.rowHeights[0]
+        },${symbol.variant}`,
+        data: symbol.data,
+      }),
+      // GS1 Aztec is a graphic too; sizes 101-104 are compact layers,
+      // 201-232 full-range layers and 300 a rune
+      aztec: (symbol, options) =>
+        symbol.gs1
+          ? null
+          : {
+              command: `^B0N,${this.magnification(options)},N,${
+                symbol.rune ? 300 : (symbol.compact ? 100 : 200) + symbol.layers
+              },N,1`,
+              data: symbol.data,
+            },
+    };
+  }
+
+  /**
+   * Render a barcode as a ZPL label
+   * @param {Object} symbol - Encoded symbol from SymbolEncoder
+   * @param {Object} options - Render options; lengths are printer dots
+   * @returns {string} ZPL string
+   */
+  render(symbol, options = {}) {
+    try {
+      const mergedOptions = SymbolLayout.mergeOptions(
+        this.defaultOptions,
+        options
+      );
+      const dpi = SymbolLayout.getDPI(mergedOptions) || DEFAULT_DPI;
+      const renderOptions = SymbolLayout.resolveLengths(
+        mergedOptions,
+        dpi,
+        dpi
+      );
+
+      // Bar code commands take whole dots
+      ['width', 'height', 'moduleSize', 'fontSize'].forEach(name => {
+        renderOptions[name] = Math.max(1, Math.round(renderOptions[name]));
+      });
+
+      const layout = SymbolLayout.layout(symbol, renderOptions);
+      const native =
+        renderOptions.native && this.nativeCommands[symbol.type]
+          ? this.nativeCommands[symbol.type](symbol, renderOptions)
+          : null;
+
+      let zpl = '^XA^CI28';
+      zpl += `^PW${Math.ceil(layout.width)}^LL${Math.ceil(layout.height)}`;
+      zpl += native
+        ? this.createNativeField(native, symbol, layout, renderOptions)
+        : this.createGraphicField(layout);
+      zpl += '^XZ';
+
+      return zpl;
+    } catch (error) {
+      throw new Error(`ZPL rendering failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the field for a native bar code command
+   * @param {Object} native - Bar code command and field data
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} layout - Layout from SymbolLayout
+   * @param {Object} options - Render options
+   * @returns {string} ZPL field
+   */
+  createNativeField(native, symbol, layout, options) {
+    const { x, y } = layout.symbolBox;
+    const top =
+      layout.text && options.textPosition === 'top' ? layout.text.top : y;
+    // ^BY takes wide to narrow ratios of 2.0 to 3.0
+    const ratio = Math.min(3, Math.max(2, Number(options.wideRatio)));
+    // 2D codes are laid out, and their row heights given, in module sizes
+    const moduleWidth =
+      symbol.kind === 'matrix' ? this.magnification(options) : options.width;
+    const origin = `^FO${Math.round(x)},${Math.round(top)}`;
+
+    return `${origin}^BY${moduleWidth},${ratio.toFixed(1)},${options.height}${
+      native.command
+    }${this.createFieldData(native.data)}`;
+  }
+
+  /**
+   * Create a ^GF graphic field, and the text below or above it, from a layout
+   * @param {Object} layout - Layout from SymbolLayout
+   * @returns {string} ZPL fields
+   */
+  createGraphicField(layout) {
+    const { symbolBox } = layout;
+    const x = Math.round(symbolBox.x);
+    const y = Math.round(symbolBox.y);
+    const width = Math.ceil(symbolBox.width);
+    // Guard bars may extend below the symbol box
+    const bottom = Math.max(
+      symbolBox.y + symbolBox.height,
+      ...layout.rects.map(rect => rect.y + rect.height)
+    );
+    const height = Math.ceil(bottom) - y;
+    const bytesPerRow = Math.ceil(width / 8);
+    const bitmap = new Uint8Array(bytesPerRow * height);
+
+    layout.rects.forEach(rect => {
+      const left = Math.round(rect.x) - x;
+      const right = Math.round(rect.x + rect.width) - x;
+      const from = Math.max(0, Math.round(rect.y) - y);
+      const to = Math.min(height, Math.round(rect.y + rect.height) - y);
+
+      for (let row = from; row < to; row++) {
+        for (let col = Math.max(0, left); col < Math.min(width, right); col++) {
+          bitmap[row * bytesPerRow + (col >> 3)] |= 0x80 >> (col & 7);
+        }
+      }
+    });
+
+    const total = bitmap.length;
+    let zpl = `^FO${x},${y}^GFA,${total},${total},${bytesPerRow},${this.compressGraphic(
+      bitmap,
+      bytesPerRow
+    )}^FS`;
+
+    if (layout.text) {
+      const justification = { start: 'L', middle: 'C', end: 'R' };
+      const { text } = layout;
+      zpl += `^FO${x},${Math.round(text.top)}^A0N,${text.fontSize},${
+        text.fontSize
+      }^FB${width},1,0,${justification[text.anchor]}${this.createFieldData(
+        text.value
+      )}`;
+    }
+
+    return zpl;
+  }
+
+  /**
+   * Compress a 1-bit bitmap with ZPL's ASCII hex compression
+   * @param {Uint8Array} bitmap - Rows of packed pixels, dark bits set
+   * @param {number} bytesPerRow - Bytes in each row
+   * @returns {string} Compressed graphic data
+   */
+  compressGraphic(bitmap, bytesPerRow) {
+    let data = '';
+    let previous = null;
+
+    for (let offset = 0; offset < bitmap.length; offset += bytesPerRow) {
+      const row = Buffer.from(
+        bitmap.subarray(offset, offset + bytesPerRow)
+      ).toString('hex');
+
+      // ':' repeats the previous row
+      if (row === previous) {
+        data += ':';
+        continue;
+      }
+      previous = row;
+
+      // ',' fills the rest of the row with 0s and '!' with 1s
+      const match = /^(.*?)(0+|F+)?$/i.exec(row);
+      let line = this.compressRun(match[1].toUpperCase());
+      if (match[2]) {
+        line += match[2][0] === '0' ? ',' : '!';
+      }
+      data += line;
+    }
+
+    return data;
+  }
+
+  /**
+   * Replace repeated characters with ZPL repeat counts
+   * @param {string} hex - Hex digits
+   * @returns {string} Compressed hex digits
+   */
+  compressRun(hex) {
+    return hex.replace(/(.)\1+/g, run => {
+      let result = '';
+      let count = run.length;
+
+      while (count > 0) {
+        const chunk = Math.min(count, MAX_REPEAT);
+        const twenties = Math.floor(chunk / 20);
+        const ones = chunk % 20;
+
+        if (twenties > 0) {
+          result += String.fromCharCode(102 + twenties); // 'g' is 20
+        }
+        if (ones > 0) {
+          result += String.fromCharCode(70 + ones); // 'G' is 1
+        }
+        result += run[0];
+        count -= chunk;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Create field data, hex-escaping ZPL control characters and UTF-8 bytes
+   * outside printable ASCII with ^FH
+   * @param {string} value - Field data
+   * @returns {string} ZPL field data
+   */
+  createFieldData(value) {
+    const escaped = Array.from(Buffer.from(String(value), 'utf8'))
+      .map(byte =>
+        byte < 0x20 || byte > 0x7e || ESCAPED_BYTES.includes(byte)
+          ? `_${byte.toString(16).toUpperCase().padStart(2, '0')}`
+          : String.fromCharCode(byte)
+      )
+      .join('');
+
+    return `^FH^FD${escaped}^FS`;
+  }
+
+  /**
+   * Get the interpretation line parameters of a bar code command
+   * @param {Object} options - Render options
+   * @returns {string} Print interpretation line and above code flags
+   */
+  line(options) {
+    return `${options.displayValue ? 'Y' : 'N'},${
+      options.textPosition === 'top' ? 'Y' : 'N'
+    }`;
+  }
+
+  /**
+   * Build a ^BZ postal bar code command
+   * @param {string} data - Digits
+   * @param {Object} options - Render options
+   * @param {number} type - ^BZ symbology type
+   * @returns {Object} Bar code command and field data
+   */
+  postal(data, options, type) {
+    return {
+      command: `^BZN,${options.height},${this.line(options)},${type}`,
+      data,
+    };
+  }
+
+  /**
+   * Get the magnification of a 2D code
+   * @param {Object} options - Render options
+   * @returns {number} Module size in dots, 1 to 10
+   */
+  magnification(options) {
+    return Math.min(10, Math.max(1, options.moduleSize));
+  }
+
+  /**
+   * Data Matrix, with an escape character that is not in the data. GS1 Data
+   * Matrix, and data holding every escape character, is sent as a graphic to
+   * keep its FNC1 separators and characters.
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options
+   * @returns {Object|null} Bar code command and field data
+   */
+  datamatrix(symbol, options) {
+    const escape = Array.from(DATAMATRIX_ESCAPES).find(
+      char => !symbol.data.includes(char)
+    );
+    if (symbol.gs1 || !escape) {
+      return null;
+    }
+
+    return {
+      command: `^BXN,${this.magnification(options)},200,${
+        symbol.columns || 0
+      },${symbol.rows || 0},6,${escape}`,
+      data: symbol.data,
+    };
+  }
+
+  /**
+   * Code 128, in automatic mode or from a fixed start subset
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Bar code command and field data
+   */
+  code128(symbol, options) {
+    const subset = CODE128_SUBSETS[symbol.type];
+
+    // A literal '>' starts an invocation code unless it is escaped as '><'
+    return {
+      command: `^BCN,${options.height},${this.line(options)},N,${
+        subset ? 'N' : 'A'
+      }`,
+      data: subset ? subset + symbol.data.replace(/>/g, '><') : symbol.data,
+    };
+  }
+
+  /**
+   * Code 39, with an optional mod 43 check digit
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options
+   * @param {boolean} withChecksum - Add the check digit
+   * @returns {Object} Bar code command and field data
+   */
+  code39(symbol, options, withChecksum) {
+    return {
+      command: `^B3N,${withChecksum ? 'Y' : 'N'},${
+        options.height
+      },${this.line(options)}`,
+      data: symbol.data,
+    };
+  }
+
+  /**
+   * Standard 2 of 5; the printer adds no check digit, so send the encoded text
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Bar code command and field data
+   */
+  standard25(symbol, options) {
+    return {
+      command: `^BJN,${options.height},${this.line(options)}`,
+      data: symbol.text,
+    };
+  }
+
+  /**
+   * Interleaved 2 of 5 and ITF-14, sent with their padding and check digits
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Bar code command and field data
+   */
+  interleaved25(symbol, options) {
+    return {
+      command: `^B2N,${options.height},${this.line(options)},N`,
+      data: symbol.text,
+    };
+  }
+
+  /**
+   * EAN-2 and EAN-5 add-on symbols
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Bar code command and field data
+   */
+  extension(symbol, options) {
+    return {
+      command: `^BSN,${options.height},${this.line(options)}`,
+      data: symbol.data,
+    };
+  }
+
+  /**
+   * MSI, with the check digit selection of the barcode type
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Bar code command and field data
+   */
+  msi(symbol, options) {
+    return {
+      command: `^BMN,${MSI_CHECK_DIGITS[symbol.type]},${
+        options.height
+      },${this.line(options)},N`,
+      data: symbol.data,
+    };
+  }
+
+  /**
+   * Codabar; start and stop characters are command parameters in ZPL
+   * @param {Object} symbol - Encoded symbol
+   * @param {Object} options - Render options
+   * @returns {Object} Bar code command and field data
+   */
+  codabar(symbol, options) {
+    const [, start, data, stop] = /^([A-D])(.*)([A-D])$/i.exec(symbol.data) || [
+      null,
+      'A',
+      symbol.data,
+      'A',
+    ];
+
+    return {
+      command: `^BKN,N,${options.height},${this.line(
+        options
+      )},${start.toUpperCase()},${stop.toUpperCase()}`,
+      data,
+    };
+  }
+}
+
+module.exports = ZPLRenderer;
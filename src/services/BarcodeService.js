@@ -8,6 +8,11 @@ const PNGRenderer = require('../renderers/PNGRenderer');
 const SVGRenderer = require('../renderers/SVGRenderer');
 const HTMLRenderer = require('../renderers/HTMLRenderer');
 const PDFRenderer = require('../renderers/PDFRenderer');
+const ImageRenderer = require('../renderers/ImageRenderer');
+const ZPLRenderer = require('../renderers/ZPLRenderer');
+const ESCPOSRenderer = require('../renderers/ESCPOSRenderer');
+const EPSRenderer = require('../renderers/EPSRenderer');
+const SymbolEncoder = require('../encoders/SymbolEncoder');
 const { Validator } = require('../validators/Validator');
 
 class BarcodeService {
@@ -17,7 +22,14 @@ class BarcodeService {
       svg: new SVGRenderer(),
       html: new HTMLRenderer(),
       pdf: new PDFRenderer(),
+      jpg: new ImageRenderer('jpeg'),
+      jpeg: new ImageRenderer('jpeg'),
+      webp: new ImageRenderer('webp'),
+      zpl: new ZPLRenderer(),
+      escpos: new ESCPOSRenderer(),
+      eps: new EPSRenderer(),
     };
+    this.encoder = new SymbolEncoder();
     this.validator = new Validator();
   }
 
@@ -63,8 +75,9 @@ class BarcodeService {
       throw new Error(`No renderer available for format: ${format}`);
     }
 
-    // Generate barcode
-    return renderer.render(data, type, options);
+    // Encode once, then let the renderer paint the symbol
+    const symbol = this.encoder.encode(data, type, options);
+    return renderer.render(symbol, options);
   }
 
   /**
@@ -111,6 +124,61 @@ class BarcodeService {
     return this.generate(data, type, 'pdf', options);
   }
 
+  /**
+   * Generate a barcode in JPEG format
+   * @param {string} data - The data to encode
+   * @param {string} type - The barcode type
+   * @param {Object} options - Additional options
+   * @returns {Buffer} JPEG buffer
+   */
+  jpeg(data, type = 'code128', options = {}) {
+    return this.generate(data, type, 'jpeg', options);
+  }
+
+  /**
+   * Generate a barcode in WebP format
+   * @param {string} data - The data to encode
+   * @param {string} type - The barcode type
+   * @param {Object} options - Additional options
+   * @returns {Buffer} WebP buffer
+   */
+  webp(data, type = 'code128', options = {}) {
+    return this.generate(data, type, 'webp', options);
+  }
+
+  /**
+   * Generate a barcode as a ZPL label
+   * @param {string} data - The data to encode
+   * @param {string} type - The barcode type
+   * @param {Object} options - Additional options
+   * @returns {string} ZPL string
+   */
+  zpl(data, type = 'code128', options = {}) {
+    return this.generate(data, type, 'zpl', options);
+  }
+
+  /**
+   * Generate a barcode as ESC/POS receipt printer commands
+   * @param {string} data - The data to encode
+   * @param {string} type - The barcode type
+   * @param {Object} options - Additional options
+   * @returns {Buffer} ESC/POS command bytes
+   */
+  escpos(data, type = 'code128', options = {}) {
+    return this.generate(data, type, 'escpos', options);
+  }
+
+  /**
+   * Generate a barcode in EPS format
+   * @param {string} data - The data to encode
+   * @param {string} type - The barcode type
+   * @param {Object} options - Additional options
+   * @returns {string} EPS document
+   */
+  eps(data, type = 'code128', options = {}) {
+    return this.generate(data, type, 'eps', options);
+  }
+
   /**
    * Generate multiple barcodes in batch
    * @param {Array} items - Array of barcode generation items
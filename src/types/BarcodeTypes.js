@@ -36,12 +36,20 @@ class BarcodeTypes {
     UPCE: 'upce',
     ITF14: 'itf14',
 
+    // GS1 Barcodes
+    GS1128: 'gs1128',
+    DATABAROMNI: 'databaromni',
+    DATABARLIMITED: 'databarlimited',
+    GS1COMPOSITE: 'gs1composite',
+
     // Postal Barcodes
     POSTNET: 'postnet',
     PLANET: 'planet',
     RMS4CC: 'rms4cc',
     KIX: 'kix',
     IMB: 'imb',
+    AUSPOST: 'auspost',
+    JAPANPOST: 'japanpost',
 
     // Specialized Barcodes
     CODABAR: 'codabar',
@@ -54,8 +62,11 @@ class BarcodeTypes {
     DATAMATRIX: 'datamatrix',
     AZTEC: 'aztec',
     PDF417: 'pdf417',
+    MICROPDF417: 'micropdf417',
     MICROQR: 'microqr',
+    RMQR: 'rmqr',
     MAXICODE: 'maxicode',
+    DOTCODE: 'dotcode',
 
     // Stacked Linear Codes
     CODE16K: 'code16k',
@@ -87,15 +98,27 @@ class BarcodeTypes {
       'msiauto',
     ],
     EAN_UPC: ['ean13', 'ean8', 'ean2', 'ean5', 'upca', 'upce', 'itf14'],
-    POSTAL: ['postnet', 'planet', 'rms4cc', 'kix', 'imb'],
+    GS1: ['gs1128', 'databaromni', 'databarlimited', 'gs1composite'],
+    POSTAL: [
+      'postnet',
+      'planet',
+      'rms4cc',
+      'kix',
+      'imb',
+      'auspost',
+      'japanpost',
+    ],
     SPECIALIZED: ['codabar', 'code11', 'pharmacode', 'pharmacodetwotracks'],
     MATRIX_2D: [
       'qrcode',
       'datamatrix',
       'aztec',
       'pdf417',
+      'micropdf417',
       'microqr',
+      'rmqr',
       'maxicode',
+      'dotcode',
     ],
     STACKED: ['code16k', 'code49'],
   };
@@ -160,9 +183,38 @@ class BarcodeTypes {
       ean8: { minLength: 7, maxLength: 8, charset: 'Numeric' },
       upca: { minLength: 11, maxLength: 12, charset: 'Numeric' },
       upce: { minLength: 6, maxLength: 8, charset: 'Numeric' },
+      gs1128: { minLength: 4, maxLength: 80, charset: 'GS1 element string' },
+      databaromni: { minLength: 13, maxLength: 18, charset: 'Numeric' },
+      databarlimited: { minLength: 13, maxLength: 18, charset: 'Numeric' },
+      gs1composite: {
+        minLength: 8,
+        maxLength: 2400,
+        charset: 'GS1 element string',
+      },
       qrcode: { minLength: 1, maxLength: 2953, charset: 'Unicode' },
+      microqr: { minLength: 1, maxLength: 35, charset: 'Unicode' },
+      rmqr: { minLength: 1, maxLength: 361, charset: 'Unicode' },
       datamatrix: { minLength: 1, maxLength: 2335, charset: 'Unicode' },
       pdf417: { minLength: 1, maxLength: 1850, charset: 'Unicode' },
+      micropdf417: { minLength: 1, maxLength: 366, charset: 'Unicode' },
+      aztec: { minLength: 1, maxLength: 3832, charset: 'Unicode' },
+      maxicode: { minLength: 1, maxLength: 138, charset: 'Unicode' },
+      dotcode: { minLength: 1, maxLength: 1968, charset: 'Unicode' },
+      postnet: { minLength: 5, maxLength: 11, charset: 'Numeric' },
+      planet: { minLength: 11, maxLength: 13, charset: 'Numeric' },
+      imb: { minLength: 20, maxLength: 35, charset: 'Numeric' },
+      rms4cc: { minLength: 1, maxLength: 50, charset: '0-9, A-Z' },
+      kix: { minLength: 1, maxLength: 50, charset: '0-9, A-Z' },
+      auspost: {
+        minLength: 10,
+        maxLength: 25,
+        charset: '0-9, A-Z, a-z, space, #',
+      },
+      japanpost: { minLength: 7, maxLength: 20, charset: '0-9, A-Z, -' },
+      pharmacode: { minLength: 1, maxLength: 6, charset: 'Numeric' },
+      pharmacodetwotracks: { minLength: 1, maxLength: 8, charset: 'Numeric' },
+      code16k: { minLength: 1, maxLength: 154, charset: 'ASCII' },
+      code49: { minLength: 1, maxLength: 81, charset: 'ASCII' },
     };
 
     return (
@@ -183,9 +235,33 @@ class BarcodeTypes {
       ean8: 'EAN-8 - European Article Number (short)',
       upca: 'UPC-A - Universal Product Code',
       upce: 'UPC-E - Universal Product Code (compressed)',
+      gs1128: 'GS1-128 - Code 128 with GS1 element strings',
+      databaromni: 'GS1 DataBar Omnidirectional - GTIN in a short symbol',
+      databarlimited: 'GS1 DataBar Limited - GTIN starting with 0 or 1',
+      gs1composite:
+        'GS1 Composite - Linear symbol with a CC-A, CC-B or CC-C component',
       qrcode: 'QR Code - 2D matrix barcode',
+      microqr: 'Micro QR Code - Small 2D matrix barcode',
+      rmqr: 'rMQR Code - Rectangular Micro QR for narrow labels',
       datamatrix: 'Data Matrix - 2D matrix barcode',
       pdf417: 'PDF417 - 2D stacked barcode',
+      micropdf417: 'MicroPDF417 - Compact PDF417 with 1 to 4 columns',
+      aztec: 'Aztec - 2D matrix barcode',
+      maxicode: 'MaxiCode - 2D hexagonal barcode for parcel sorting',
+      dotcode: 'DotCode - 2D dot barcode for high speed printing',
+      postnet: 'POSTNET - USPS ZIP Code with full and half height bars',
+      planet: 'PLANET - USPS tracking code, inverted POSTNET',
+      imb: 'Intelligent Mail - USPS 4-state barcode with 65 bars',
+      rms4cc: 'RM4SCC - Royal Mail 4-state customer code',
+      kix: 'KIX - PostNL 4-state customer code',
+      auspost:
+        'Australia Post - 4-state customer barcode with Reed-Solomon parity',
+      japanpost: 'Japan Post - 4-state customer barcode (Kasutama code)',
+      pharmacode: 'Pharmacode - Laetus pharmaceutical code, 3 to 131070',
+      pharmacodetwotracks:
+        'Two-track Pharmacode - Laetus code on two tracks, 4 to 64570080',
+      code16k: 'Code 16K - Stacked Code 128 with 2 to 16 rows',
+      code49: 'Code 49 - Stacked barcode with 2 to 8 rows',
     };
 
     return descriptions[type] || 'Unknown barcode type';
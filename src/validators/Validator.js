@@ -3,6 +3,9 @@
  */
 
 const { BarcodeTypes } = require('../types/BarcodeTypes');
+const IntelligentMailEncoder = require('../encoders/IntelligentMailEncoder');
+const AusPostEncoder = require('../encoders/AusPostEncoder');
+const JapanPostEncoder = require('../encoders/JapanPostEncoder');
 
 class Validator {
   constructor() {
@@ -128,6 +131,42 @@ class Validator {
       case 'pdf417':
         return this.validatePDF417(data);
 
+      case 'code16k':
+        return this.validateCode16K(data);
+
+      case 'code49':
+        return this.validateCode49(data);
+
+      case 'imb':
+        return this.validateIMB(data);
+
+      case 'postnet':
+        return this.validatePostal(data, 'POSTNET', [5, 9, 11]);
+
+      case 'planet':
+        return this.validatePostal(data, 'PLANET', [11, 13]);
+
+      case 'rms4cc':
+      case 'kix':
+        return this.validateRM4SCC(data, type);
+
+      case 'auspost':
+        return this.validateAusPost(data);
+
+      case 'japanpost':
+        return this.validateJapanPost(data);
+
+      case 'pharmacode':
+        return this.validatePharmacode(data, 'Pharmacode', 3, 131070);
+
+      case 'pharmacodetwotracks':
+        return this.validatePharmacode(
+          data,
+          'Two-track Pharmacode',
+          4,
+          64570080
+        );
+
       default:
         // For other types, just check if data is not empty
         return {
@@ -334,6 +373,144 @@ class Validator {
     return { valid: true };
   }
 
+  /**
+   * Validate Code 16K data
+   * @param {string} data - The data to validate
+   * @returns {Object} Validation result
+   */
+  validateCode16K(data) {
+    if (!/^[\x00-\x7F]+$/.test(data)) {
+      return {
+        valid: false,
+        error: 'Code 16K supports ASCII characters only',
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate Code 49 data
+   * @param {string} data - The data to validate
+   * @returns {Object} Validation result
+   */
+  validateCode49(data) {
+    if (!/^[\x00-\x7F]+$/.test(data)) {
+      return {
+        valid: false,
+        error: 'Code 49 supports ASCII characters only',
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate Intelligent Mail barcode data: the field lengths, with a 6 or
+   * 9 digit mailer ID and a 0, 5, 9 or 11 digit routing code
+   * @param {string} data - The data to validate
+   * @returns {Object} Validation result
+   */
+  validateIMB(data) {
+    try {
+      IntelligentMailEncoder.parse(data);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate POSTNET and PLANET data, without the correction digit
+   * @param {string} data - The data to validate
+   * @param {string} name - Symbology name
+   * @param {Array} lengths - Allowed numbers of digits
+   * @returns {Object} Validation result
+   */
+  validatePostal(data, name, lengths) {
+    if (!this.patterns.numeric.test(data) || !lengths.includes(data.length)) {
+      return {
+        valid: false,
+        error: `${name} must be ${lengths.slice(0, -1).join(', ')} or ${lengths.at(
+          -1
+        )} digits`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate RM4SCC and KIX data
+   * @param {string} data - The data to validate
+   * @param {string} type - 'rms4cc' or 'kix'
+   * @returns {Object} Validation result
+   */
+  validateRM4SCC(data, type) {
+    if (!/^[0-9A-Z]+$/.test(data)) {
+      return {
+        valid: false,
+        error: `${
+          type === 'kix' ? 'KIX' : 'RM4SCC'
+        } supports digits and capital letters only`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate Australia Post data: FCC, DPID and customer information
+   * characters. Whether the customer information fits depends on the table.
+   * @param {string} data - The data to validate
+   * @returns {Object} Validation result
+   */
+  validateAusPost(data) {
+    try {
+      AusPostEncoder.parse(data);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate Japan Post data: postal code, address characters and length
+   * @param {string} data - The data to validate
+   * @returns {Object} Validation result
+   */
+  validateJapanPost(data) {
+    try {
+      JapanPostEncoder.createCodes(data);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a Pharmacode value range
+   * @param {string} data - The data to validate
+   * @param {string} name - Symbology name
+   * @param {number} min - Smallest value
+   * @param {number} max - Largest value
+   * @returns {Object} Validation result
+   */
+  validatePharmacode(data, name, min, max) {
+    const value = Number(data);
+    if (!this.patterns.numeric.test(data) || value < min || value > max) {
+      return {
+        valid: false,
+        error: `${name} must be a number from ${min} to ${max}`,
+      };
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Calculate EAN check digit
    * @param {string} data - The data without check digit
@@ -2,6 +2,8 @@
  * Tests for BarcodeService
  */
 
+const PDFDocument = require('pdfkit');
+const { createCanvas } = require('canvas');
 const BarcodeService = require('../src/services/BarcodeService');
 
 describe('BarcodeService', () => {
@@ -26,6 +28,48 @@ describe('BarcodeService', () => {
       const result = service.png('1234567890', 'code128', options);
       expect(Buffer.isBuffer(result)).toBe(true);
     });
+
+    test('should size the canvas to the symbol, margins and text', () => {
+      service.png('1234567890', 'code128', { width: 1, height: 300 });
+
+      // 90 modules plus margins; margins, bars, text margin and font size
+      expect(createCanvas).toHaveBeenLastCalledWith(
+        110,
+        10 + 300 + 2 + 20 + 10
+      );
+    });
+
+    test('should fit short symbols without blank space', () => {
+      service.png('96385074', 'ean8', { width: 1, displayValue: false });
+
+      // EAN-8 is 67 modules wide
+      expect(createCanvas).toHaveBeenLastCalledWith(87, 120);
+    });
+
+    test('should paint DotCode dots as arcs', () => {
+      service.png('123', 'dotcode', { displayValue: false });
+      const ctx =
+        createCanvas.mock.results.at(-1).value.getContext.mock.results[0].value;
+
+      expect(ctx.arc).toHaveBeenCalledTimes(36);
+      expect(ctx.fill).toHaveBeenCalledTimes(1);
+      expect(ctx.fillRect).toHaveBeenCalledTimes(1);
+    });
+
+    test('should write the dpi into the PNG', () => {
+      service.png('1234567890', 'code128', { dpi: 300 });
+      const canvas = createCanvas.mock.results.at(-1).value;
+
+      expect(canvas.toBuffer).toHaveBeenCalledWith('image/png', {
+        resolution: 300,
+      });
+    });
+
+    test('should reject an invalid dpi', () => {
+      expect(() => service.png('1234567890', 'code128', { dpi: -1 })).toThrow(
+        'PNG rendering failed: Invalid dpi: -1'
+      );
+    });
   });
 
   describe('SVG Generation', () => {
@@ -33,6 +77,52 @@ describe('BarcodeService', () => {
       const result = service.svg('1234567890', 'code128');
       expect(typeof result).toBe('string');
     });
+
+    test('should encode real bar patterns without a DOM', () => {
+      const result = service.svg('ABC', 'code39', {
+        displayValue: false,
+        margin: 0,
+      });
+      // Code 39 start character "*" is bar 1, space 3, bar 1, space 1, bar 3
+      expect(result).toMatch(
+        /<path fill="#000000" d="M0 0h2v100h-2zM8 0h2v100/
+      );
+      expect(result).not.toContain('<text');
+    });
+
+    test('should size the SVG to the encoded symbol and margins', () => {
+      const result = service.svg('1234567890', 'code128', {
+        width: 1,
+        height: 50,
+        displayValue: false,
+      });
+      // 90 modules (start, 5 code set C pairs, checksum, stop) plus margins
+      expect(result).toContain('width="110" height="70"');
+    });
+
+    test('should honor text position and colors', () => {
+      const result = service.svg('96385074', 'ean8', {
+        textPosition: 'top',
+        lineColor: '#123456',
+        background: '#fedcba',
+      });
+      expect(result).toContain('fill="#fedcba"');
+      expect(result).toContain('<path fill="#123456"');
+      expect(result).toMatch(/<text x="[\d.]+" y="30"[^>]*>96385074<\/text>/);
+    });
+
+    test('should escape the human readable text', () => {
+      const result = service.svg('A<B&C', 'code128');
+      expect(result).toContain('>A&lt;B&amp;C</text>');
+    });
+
+    test('should have an encoder for every barcode type', () => {
+      expect(
+        service
+          .getBarcodeTypes()
+          .filter(type => !service.encoder.supports(type))
+      ).toEqual([]);
+    });
   });
 
   describe('HTML Generation', () => {
@@ -41,6 +131,68 @@ describe('BarcodeService', () => {
       expect(typeof result).toBe('string');
       expect(result).toContain('<div');
     });
+
+    test('should render the exact bar and space widths', () => {
+      const result = service.html('ABC', 'code39', {
+        id: 'code',
+        displayValue: false,
+      });
+      // Code 39 start character: bar 1, space 3, bar 1, space 1, bar 3
+      expect(result).toContain(
+        '<div class="barcode-band"><i class="b0"></i><i class="s0"></i><i class="b0"></i><i class="s1"></i><i class="b1"></i>'
+      );
+      expect(result).toContain('#code .b0 { width: 2px; height: 100px; }');
+      expect(result).toContain('#code .s0 { width: 6px; }');
+      expect(result).toContain('#code .b1 { width: 6px; height: 100px; }');
+    });
+
+    test('should draw both two-track Pharmacode tracks in one band', () => {
+      const result = service.html('24', 'pharmacodetwotracks', {
+        id: 'code',
+        displayValue: false,
+      });
+
+      // Upper track, lower track and full bars of 24
+      expect(result).toContain(
+        '<div class="barcode-symbol"><div class="barcode-band"><i class="b0"></i><i class="s0"></i><i class="b1"></i><i class="s0"></i><i class="b2"></i></div></div>'
+      );
+      expect(result).toContain('#code .b0 { width: 2px; height: 50px; }');
+      expect(result).toContain(
+        '#code .b1 { width: 2px; height: 50px; margin-top: 50px; }'
+      );
+      expect(result).toContain('#code .b2 { width: 2px; height: 100px; }');
+    });
+
+    test('should reuse one class per element shape', () => {
+      const result = service.html('1234567890', 'code128', { id: 'code' });
+      expect(result).not.toMatch(/<i style=/);
+      expect(result.match(/#code \.b\d+ \{/g).length).toBeLessThanOrEqual(4);
+    });
+
+    test('should keep colors when printed', () => {
+      const result = service.html('1234567890', 'code128');
+      expect(result).toContain('print-color-adjust: exact;');
+      expect(result).toContain('-webkit-print-color-adjust: exact;');
+    });
+
+    test('should escape the data and attributes', () => {
+      const result = service.html('<img src=x onerror=alert(1)>', 'code128', {
+        id: '"><script>',
+      });
+      expect(result).not.toContain('<img');
+      expect(result).not.toContain('<script>');
+      expect(result).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    });
+
+    test('should use the same container id in the attribute and the selector', () => {
+      const result = service.html('123', 'code128', { id: 'label "1" (a);' });
+
+      expect(result).toContain('<div id="label1a" class="barcode"');
+      expect(result).toContain('#label1a {');
+      expect(service.html('123', 'code128', { id: '42' })).toContain(
+        '<div id="barcode-42"'
+      );
+    });
   });
 
   describe('PDF Generation', () => {
@@ -48,6 +200,364 @@ describe('BarcodeService', () => {
       const result = await service.pdf('1234567890', 'code128');
       expect(Buffer.isBuffer(result)).toBe(true);
     });
+
+    test('should draw the encoded bars as vector rectangles', async () => {
+      await service.pdf('ABC', 'code39', { displayValue: false });
+      const doc = PDFDocument.mock.results.at(-1).value;
+
+      // Background, then the Code 39 start character bars
+      expect(doc.rect.mock.calls[1]).toEqual([10, 10, 2, 100]);
+      expect(doc.rect.mock.calls[2]).toEqual([18, 10, 2, 100]);
+      expect(doc.text).not.toHaveBeenCalled();
+    });
+
+    test('should convert millimetres to points', async () => {
+      await service.pdf('ABC', 'code39', {
+        unit: 'mm',
+        width: 0.5,
+        height: 20,
+        margin: 5,
+        displayValue: false,
+      });
+      const doc = PDFDocument.mock.results.at(-1).value;
+      const [x, y, width, height] = doc.rect.mock.calls[1];
+
+      expect(x).toBeCloseTo(14.173, 3);
+      expect(y).toBeCloseTo(14.173, 3);
+      expect(width).toBeCloseTo(1.417, 3);
+      expect(height).toBeCloseTo(56.693, 3);
+    });
+
+    test('should place the text baseline under the symbol', async () => {
+      await service.pdf('ABC', 'code39', { height: 50, fontSize: 12 });
+      const doc = PDFDocument.mock.results.at(-1).value;
+      const [value, , y, textOptions] = doc.text.mock.calls[0];
+
+      expect(value).toBe('ABC');
+      // Margin, bars, text margin and font size
+      expect(y).toBe(10 + 50 + 2 + 12);
+      expect(textOptions.baseline).toBe('alphabetic');
+    });
+
+    test('should use a standard font for the text', async () => {
+      const fontFor = async font => {
+        await service.pdf('ABC', 'code39', { font });
+        return PDFDocument.mock.results.at(-1).value.font.mock.calls[0][0];
+      };
+
+      expect(await fontFor('monospace')).toBe('Courier');
+      expect(await fontFor('Times-Bold')).toBe('Times-Bold');
+      expect(await fontFor('"Courier", monospace')).toBe('Courier');
+      expect(await fontFor('Arial')).toBe('Helvetica');
+      expect(await fontFor('Arial, sans-serif')).toBe('Helvetica');
+    });
+
+    test('should draw MaxiCode hexagons and an even-odd bullseye', async () => {
+      await service.pdf('Hello', 'maxicode', { displayValue: false });
+      const doc = PDFDocument.mock.results.at(-1).value;
+
+      expect(doc.polygon.mock.calls[0]).toHaveLength(6);
+      expect(doc.circle).toHaveBeenCalledTimes(6);
+      expect(doc.fill).toHaveBeenLastCalledWith('even-odd');
+    });
+
+    test('should draw DotCode dots as circles', async () => {
+      await service.pdf('123', 'dotcode', { displayValue: false });
+      const doc = PDFDocument.mock.results.at(-1).value;
+
+      expect(doc.circle).toHaveBeenCalledTimes(36);
+      expect(doc.rect).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject unknown units', async () => {
+      expect(() => service.pdf('ABC', 'code39', { unit: 'in' })).toThrow(
+        'Invalid unit: in'
+      );
+    });
+  });
+
+  describe('JPEG and WebP Generation', () => {
+    test('should generate JPEG for jpg and jpeg', () => {
+      service.generate('1234567890', 'code128', 'jpg', { quality: 0.75 });
+      const canvas = createCanvas.mock.results.at(-1).value;
+
+      expect(canvas.toBuffer).toHaveBeenCalledWith('image/jpeg', {
+        quality: 0.75,
+      });
+      expect(Buffer.isBuffer(service.jpeg('1234567890', 'code128'))).toBe(true);
+    });
+
+    test('should paint an opaque matte under a transparent background', () => {
+      service.jpeg('ABC', 'code39', { background: 'transparent' });
+      const ctx =
+        createCanvas.mock.results.at(-1).value.getContext.mock.results[0].value;
+
+      expect(ctx.fillRect.mock.calls[0]).toEqual([
+        0,
+        0,
+        expect.any(Number),
+        expect.any(Number),
+      ]);
+      expect(ctx.fillRect.mock.calls[1].slice(0, 2)).toEqual([0, 0]);
+    });
+
+    test('should reject an out of range quality', () => {
+      expect(() =>
+        service.jpeg('1234567890', 'code128', { quality: 2 })
+      ).toThrow('JPEG rendering failed: Invalid quality: 2');
+    });
+
+    test('should generate lossless WebP', () => {
+      const result = service.webp('ABC', 'code39', { displayValue: false });
+
+      expect(result.toString('ascii', 0, 4)).toBe('RIFF');
+      expect(result.readUInt32LE(4)).toBe(result.length - 8);
+      expect(result.toString('ascii', 8, 16)).toBe('WEBPVP8L');
+    });
+  });
+
+  describe('ZPL Generation', () => {
+    test('should emit native commands for printer symbologies', () => {
+      expect(service.zpl('ABC-123', 'code128')).toBe(
+        '^XA^CI28^PW244^LL142^FO10,10^BY2,3.0,100^BCN,100,Y,N,N,A^FH^FDABC-123^FS^XZ'
+      );
+      expect(service.zpl('5901234123457', 'ean13')).toContain(
+        '^BEN,100,Y,N^FH^FD590123412345^FS'
+      );
+    });
+
+    test('should select fixed Code 128 subsets and escape field data', () => {
+      const result = service.zpl('A>^_~', 'code128b', { textPosition: 'top' });
+      expect(result).toContain('^BCN,100,Y,Y,N,N^FH^FD>:A><_5E_5F_7E^FS');
+    });
+
+    test('should fall back to a compressed graphic field', () => {
+      const result = service.zpl('ABC', 'code39', {
+        native: false,
+        height: 4,
+        displayValue: false,
+      });
+
+      // 79 modules at 2 dots are 20 bytes a row; ':' repeats the row
+      expect(result).toMatch(
+        /\^FO10,10\^GFA,80,80,20,C0CF[0-9A-Zg-z,!]+:::\^FS/
+      );
+    });
+
+    test('should convert physical lengths to printer dots', () => {
+      const result = service.zpl('ABC', 'code39', {
+        moduleWidth: '0.25mm',
+        height: '10mm',
+        dpi: 300,
+      });
+      expect(result).toContain('^BY3,3.0,118^B3N,N,118,Y,N');
+    });
+
+    test('should keep the wide to narrow ratio within ^BY limits', () => {
+      expect(service.zpl('ABC', 'code39', { wideRatio: 4 })).toContain(
+        '^BY2,3.0,100^B3N'
+      );
+      expect(service.zpl('ABC', 'code39', { wideRatio: 1.5 })).toContain(
+        '^BY2,2.0,100^B3N'
+      );
+    });
+  });
+
+  describe('ESC/POS Generation', () => {
+    test('should print 1D types with GS k', () => {
+      const result = service.escpos('ABC{1', 'code128');
+
+      expect(result.subarray(0, 5)).toEqual(
+        Buffer.from([0x1b, 0x40, 0x1b, 0x61, 0x01])
+      );
+      // HRI below, height 100, module width 2, then Code 128 in code set B
+      expect(result.toString('latin1')).toContain(
+        '\x1dH\x02\x1dhd\x1dw\x02\x1dkI\x08{BABC{{1'
+      );
+    });
+
+    test('should send numeric Code 128 as code set C pairs', () => {
+      const result = service.escpos('123456', 'code128');
+      expect(result.toString('hex')).toContain('1d6b49057b430c2238');
+    });
+
+    test('should switch Code 128 to code set A for control characters', () => {
+      const result = service.escpos('A\tb', 'code128');
+      expect(result.toString('latin1')).toContain('\x1dkI\x09{BA{A\t{Bb');
+    });
+
+    test('should reject data longer than GS k takes', () => {
+      const symbol = service.encoder.encode('A'.repeat(300), 'code128');
+      expect(() => service.renderers.escpos.render(symbol)).toThrow(
+        'Barcode data is 302 bytes but GS k takes at most 255'
+      );
+    });
+
+    test('should fall back to a GS v 0 raster image', () => {
+      const result = service.escpos('ABC', 'code39', {
+        native: false,
+        height: 3,
+        cut: true,
+      });
+      const header = result.indexOf(Buffer.from([0x1d, 0x76, 0x30, 0x00]));
+
+      // 158 dots are 20 bytes a row, 3 rows, then the text and a cut
+      expect(result.subarray(header + 4, header + 8)).toEqual(
+        Buffer.from([20, 0, 3, 0])
+      );
+      expect(result.subarray(header + 8, header + 10)).toEqual(
+        Buffer.from([0xc0, 0xcf])
+      );
+      expect(result.subarray(-9).toString('latin1')).toBe('ABC\n\n\x1dVB\x00');
+    });
+
+    test('should reject rasters wider than the paper', () => {
+      expect(() =>
+        service.escpos('A'.repeat(40), 'code39', {
+          native: false,
+          paperWidth: '58mm',
+        })
+      ).toThrow('but the paper prints at most 384 dots');
+    });
+  });
+
+  describe('EPS Generation', () => {
+    test('should write bars as filled rectangles inside the bounding box', () => {
+      const result = service.eps('AB', 'code39', {
+        height: 10,
+        displayValue: false,
+      });
+      const lines = result.split('\n');
+
+      expect(lines[0]).toBe('%!PS-Adobe-3.0 EPSF-3.0');
+      // 63 modules of 2pt plus 10pt margins; 10pt bars plus 10pt margins
+      expect(result).toContain('%%BoundingBox: 0 0 146 30');
+      expect(lines).toContain('1 1 1 setrgbcolor');
+      expect(lines).toContain('0 0 0 setrgbcolor');
+      expect(lines).toContain('10 10 2 10 R');
+      expect(result).not.toContain('findfont');
+      expect(result.endsWith('%%EOF\n')).toBe(true);
+    });
+
+    test('should reference the HRI font and center its text', () => {
+      const result = service.eps('A(B)', 'code128');
+
+      expect(result).toContain('%%DocumentNeededResources: font Courier');
+      expect(result).toContain('%%IncludeResource: font Courier');
+      expect(result).toContain('/Courier-Latin1 findfont 20 scalefont setfont');
+      expect(result).toContain(
+        '(A\\(B\\)) stringwidth pop 2 div neg 0 rmoveto (A\\(B\\)) show'
+      );
+    });
+
+    test('should name a standard font for other font families', () => {
+      const result = service.eps('AB', 'code39', { font: 'Arial, sans-serif' });
+
+      expect(result).toContain('%%DocumentNeededResources: font Helvetica');
+      expect(result).toContain(
+        '/Helvetica-Latin1 findfont 20 scalefont setfont'
+      );
+      expect(service.eps('AB', 'code39', { font: 'Times-Bold' })).toContain(
+        '/Times-Bold findfont'
+      );
+    });
+
+    test('should show Latin-1 text with an ISOLatin1Encoding font', () => {
+      const symbol = service.encoder.encode('CAFE', 'code128');
+      const result = service.renderers.eps.render({ ...symbol, text: 'Café' });
+
+      expect(result).toContain(
+        '/Encoding ISOLatin1Encoding def currentdict end\n/Courier-Latin1 exch definefont pop'
+      );
+      expect(result).toContain('(Caf\\351) show');
+    });
+
+    test('should write CMYK colours', () => {
+      const result = service.eps('AB', 'code39', {
+        colorModel: 'cmyk',
+        lineColor: 'cmyk(100, 0, 0, 20)',
+        background: 'transparent',
+      });
+
+      expect(result).toContain('1 0 0 0.2 setcmykcolor');
+      expect(result).not.toContain('0 0 0 0 setcmykcolor');
+      expect(service.eps('1', 'code128', { colorModel: 'cmyk' })).toContain(
+        '0 0 0 1 setcmykcolor'
+      );
+    });
+
+    test('should size bars in millimetres', () => {
+      const result = service.eps('1', 'code128', {
+        unit: 'mm',
+        width: '0.33mm',
+        height: 25,
+        displayValue: false,
+      });
+
+      expect(result).toContain('31.1528 28.3465 0.9354 70.8661 R');
+    });
+
+    test('should reject unknown colour models', () => {
+      expect(() => service.eps('1', 'code128', { colorModel: 'lab' })).toThrow(
+        'Invalid color model: lab'
+      );
+    });
+  });
+
+  describe('Physical Units', () => {
+    // 0.33 mm is 3.9 dots at 300 dpi and 25 mm is 295.3 dots
+    const physical = {
+      moduleWidth: '0.33mm',
+      height: '25mm',
+      dpi: 300,
+      margin: 0,
+      displayValue: false,
+    };
+
+    test('should snap PNG modules to whole pixels at the dpi', () => {
+      service.png('ABC', 'code39', physical);
+      const [width, height] = createCanvas.mock.calls.at(-1);
+
+      service.png('ABC', 'code39', { ...physical, moduleWidth: 4 });
+      expect(createCanvas.mock.calls.at(-1)).toEqual([width, 295]);
+      expect(height).toBe(295);
+    });
+
+    test('should draw the same dots in SVG and HTML', () => {
+      const svg = service.svg('ABC', 'code39', physical);
+      const html = service.html('ABC', 'code39', { ...physical, id: 'code' });
+
+      // 4 and 295 dots at 96 CSS pixels per inch
+      expect(svg).toMatch(/d="M0 0h1\.28v94\.4h-1\.28z/);
+      expect(html).toContain('#code .b0 { width: 1.28px; height: 94.4px; }');
+    });
+
+    test('should draw the same dots in PDF', async () => {
+      await service.pdf('ABC', 'code39', { ...physical, unit: 'mm' });
+      const doc = PDFDocument.mock.results.at(-1).value;
+      const [x, y, width, height] = doc.rect.mock.calls[1];
+
+      expect([x, y]).toEqual([0, 0]);
+      expect(width).toBeCloseTo(0.96, 6);
+      expect(height).toBeCloseTo(70.8, 6);
+    });
+
+    test('should accept mils and convert exactly without a dpi', () => {
+      const svg = service.svg('ABC', 'code39', {
+        moduleWidth: '13mil',
+        height: '1in',
+        margin: 0,
+        displayValue: false,
+      });
+
+      expect(svg).toMatch(/d="M0 0h1\.248v96h-1\.248z/);
+    });
+
+    test('should reject unknown length units', () => {
+      expect(() =>
+        service.svg('ABC', 'code39', { moduleWidth: '2furlong' })
+      ).toThrow('Invalid length: 2furlong');
+    });
   });
 
   describe('Validation', () => {
@@ -60,6 +570,76 @@ describe('BarcodeService', () => {
       const validation = service.validate('', 'code128');
       expect(validation.valid).toBe(false);
     });
+
+    test('should validate stacked types', () => {
+      expect(service.validate('Hello 16K', 'code16k').valid).toBe(true);
+      expect(service.validate('Grüße', 'code16k').error).toBe(
+        'Code 16K supports ASCII characters only'
+      );
+      expect(service.validate('Grüße', 'code49').error).toBe(
+        'Code 49 supports ASCII characters only'
+      );
+      expect(service.validate('1'.repeat(82), 'code49').valid).toBe(false);
+    });
+
+    test('should validate POSTNET and PLANET lengths', () => {
+      expect(service.validate('555551237', 'postnet').valid).toBe(true);
+      expect(service.validate('5555512', 'postnet').error).toBe(
+        'POSTNET must be 5, 9 or 11 digits'
+      );
+      expect(service.validate('1234567890123', 'planet').valid).toBe(true);
+      expect(service.validate('123456789012', 'planet').error).toBe(
+        'PLANET must be 11 or 13 digits'
+      );
+    });
+
+    test('should validate Intelligent Mail fields', () => {
+      expect(
+        service.validate('01234567094987654321-01234567891', 'imb').valid
+      ).toBe(true);
+      expect(service.validate('01 234 912345678 987654', 'imb').valid).toBe(
+        true
+      );
+      expect(service.validate('01 234 5670941 98765432', 'imb').error).toBe(
+        'Invalid mailer ID: 5670941. Use 6 digits, or 9 starting with 9'
+      );
+      expect(
+        service.validate('01234567094987654321-0123456', 'imb').error
+      ).toBe('Invalid routing code: 0123456. Use 0, 5, 9 or 11 digits');
+      expect(service.validate('05234567094987654321', 'imb').error).toBe(
+        'Invalid barcode ID: 05. Use 2 digits, the second 0 to 4'
+      );
+    });
+
+    test('should validate Pharmacode value ranges', () => {
+      expect(service.validate('131070', 'pharmacode').valid).toBe(true);
+      expect(service.validate('2', 'pharmacode').error).toBe(
+        'Pharmacode must be a number from 3 to 131070'
+      );
+      expect(service.validate('64570080', 'pharmacodetwotracks').valid).toBe(
+        true
+      );
+      expect(service.validate('64570081', 'pharmacodetwotracks').error).toBe(
+        'Two-track Pharmacode must be a number from 4 to 64570080'
+      );
+      expect(service.validate('12a', 'pharmacodetwotracks').valid).toBe(false);
+    });
+
+    test('should validate Australia Post and Japan Post data', () => {
+      expect(service.validate('5956439111ABA 9', 'auspost').valid).toBe(true);
+      expect(service.validate('113998752X', 'auspost').error).toBe(
+        'Invalid DPID: 3998752X. Use 8 digits'
+      );
+      expect(service.validate('1139987520AB', 'auspost').error).toBe(
+        'FCC 11 has no customer information'
+      );
+      expect(service.validate('6540123789-A-K-Z', 'japanpost').valid).toBe(
+        true
+      );
+      expect(service.validate('654-0123', 'japanpost').error).toBe(
+        'Japan Post data must be the 7 digit postal code followed by digits, capital letters or -'
+      );
+    });
   });
 
   describe('Batch Generation', () => {
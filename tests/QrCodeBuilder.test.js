@@ -94,6 +94,34 @@ describe('QrCodeBuilder', () => {
       expect(dataUri).toContain('data:image/');
     });
 
+    test('should encode jpg with the JPEG MIME type', async () => {
+      const { createCanvas } = require('canvas');
+      const qrCode = QrCodeBuilder.create()
+        .data('https://example.com')
+        .format('jpg')
+        .quality(0.8)
+        .build();
+
+      const dataUri = await qrCode.getDataUri();
+      const canvas = createCanvas.mock.results.at(-1).value;
+
+      expect(canvas.toBuffer).toHaveBeenCalledWith('image/jpeg', {
+        quality: 0.8,
+      });
+      expect(dataUri).toMatch(/^data:image\/jpeg;base64,/);
+    });
+
+    test('should encode webp', async () => {
+      const qrCode = QrCodeBuilder.create()
+        .data('https://example.com')
+        .size(50)
+        .format('webp')
+        .build();
+
+      const result = await qrCode.generate();
+      expect(result.toString('ascii', 8, 16)).toBe('WEBPVP8L');
+    });
+
     test('should get string', async () => {
       const qrCode = QrCodeBuilder.create()
         .data('https://example.com')
@@ -0,0 +1,1107 @@
+/**
+ * Tests for SymbolEncoder
+ */
+
+jest.unmock('qrcode');
+
+const SymbolEncoder = require('../src/encoders/SymbolEncoder');
+const BarcodeService = require('../src/services/BarcodeService');
+
+const GS1_ELEMENTS = [
+  { ai: '17', value: '270101' },
+  { ai: '10', value: 'AB-123' },
+];
+
+describe('SymbolEncoder', () => {
+  let encoder;
+
+  beforeEach(() => {
+    encoder = new SymbolEncoder();
+  });
+
+  describe('Linear Symbols', () => {
+    test('should encode bar/space widths', () => {
+      const symbol = encoder.encode('1234', 'standard25');
+      expect(symbol.kind).toBe('linear');
+      expect(symbol.text).toBe('1234');
+      // Start character: wide bar, narrow space, wide bar, narrow space, narrow bar
+      expect(symbol.widths.slice(0, 5)).toEqual([3, 1, 3, 1, 1]);
+    });
+
+    test('should mark EAN guard bars', () => {
+      const symbol = encoder.encode('5901234123457', 'ean13');
+      expect(symbol.guards).toEqual([0, 2, 28, 30, 56, 58]);
+    });
+
+    test('should add check digits', () => {
+      expect(encoder.encode('0123-45', 'code11').text).toBe('0123-455');
+      expect(encoder.encode('12345678', 'code32').text).toBe('A123456788');
+    });
+
+    test('should encode Pharmacode values as narrow and wide bars', () => {
+      // 1235 is 10011010011 in binary, read without its leading 1
+      expect(encoder.encode('1234', 'pharmacode').widths).toEqual([
+        1, 2, 1, 2, 3, 2, 3, 2, 1, 2, 3, 2, 1, 2, 1, 2, 3, 2, 3,
+      ]);
+      expect(
+        encoder.encode('3', 'pharmacode', { wideRatio: 2.5 }).widths
+      ).toEqual([1, 2, 1]);
+      expect(
+        encoder.encode('131070', 'pharmacode', { wideRatio: 2.5 }).widths
+      ).toHaveLength(31);
+      expect(() => encoder.encode('131071', 'pharmacode')).toThrow(
+        'Pharmacode requires a number from 3 to 131070'
+      );
+      expect(() =>
+        encoder.encode('1234', 'pharmacode', { wideRatio: 1 })
+      ).toThrow('Invalid wideRatio: 1. Use a number greater than 1');
+    });
+
+    test('should encode two-track Pharmacode values in base 3', () => {
+      const symbol = encoder.encode('1234', 'pharmacodetwotracks');
+
+      expect(symbol.kind).toBe('fourstate');
+      expect(symbol.bars.join('')).toBe('DDAFDFD');
+      expect(symbol.geometry).toEqual({ A: [0, 0.5], D: [0.5, 1] });
+      expect(encoder.encode('64570080', 'pharmacodetwotracks').bars).toEqual(
+        new Array(16).fill('F')
+      );
+      expect(() => encoder.encode('3', 'pharmacodetwotracks')).toThrow(
+        'Two-track Pharmacode requires a number from 4 to 64570080'
+      );
+    });
+
+    test('should encode GS1 DataBar characters and finder patterns', () => {
+      const omni = encoder.encode('0950110153000', 'databaromni');
+      const limited = encoder.encode('(01)09501101530003', 'databarlimited');
+
+      expect(omni.text).toBe('(01)09501101530003');
+      expect(omni.widths).toEqual([
+        0, 1, 1, 5, 1, 1, 1, 5, 1, 1, 1, 3, 8, 2, 1, 1, 4, 1, 2, 1, 1, 1, 3, 2,
+        1, 3, 2, 1, 2, 1, 2, 3, 1, 1, 6, 5, 2, 2, 3, 1, 2, 1, 3, 2, 2, 1, 1,
+      ]);
+      expect(limited.widths).toEqual([
+        0, 1, 1, 1, 2, 4, 2, 2, 4, 1, 2, 1, 1, 1, 1, 3, 1, 2, 1, 1, 1, 1, 1, 1,
+        3, 1, 1, 2, 1, 1, 1, 2, 1, 3, 1, 1, 2, 1, 2, 2, 1, 2, 3, 2, 3, 1, 1, 5,
+      ]);
+      expect(
+        encoder.encode('0950110153000', 'databaromni', { linkage: true }).widths
+      ).not.toEqual(omni.widths);
+      expect(() => encoder.encode('09501101530004', 'databaromni')).toThrow(
+        'Invalid GTIN check digit'
+      );
+      expect(() => encoder.encode('2950110153000', 'databarlimited')).toThrow(
+        'GS1 DataBar Limited requires a GTIN starting with 0 or 1'
+      );
+    });
+
+    test('should end GS1-128 with the composite linkage code set change', () => {
+      const linear = encoder.linearEncoder;
+      const plain = linear.encode('(01)09501101530003(10)AB12', 'gs1128');
+      const linked = linear.encode('(01)09501101530003(10)AB12', 'gs1128', {
+        linkage: 'a',
+      });
+
+      expect(plain.text).toBe('(01)09501101530003(10)AB12');
+      // One more character of 11 modules before the check character
+      expect(linked.modules.length).toBe(plain.modules.length + 11);
+      expect(linked.modules.slice(0, 100)).toBe(plain.modules.slice(0, 100));
+    });
+  });
+
+  describe('Composite Symbols', () => {
+    test('should compact the element strings into the component bits', () => {
+      const composite = encoder.encoders.gs1composite;
+      const state = { version: 'a', columns: 4, linearType: 'ean13' };
+      const bits = composite.createBitStream(GS1_ELEMENTS, state);
+
+      // Method '10' with the expiry date as 16 bits, then the batch number
+      expect(bits.substring(0, 19)).toBe('1000101000100000011');
+      expect(bits).toHaveLength(78);
+      expect(state.version).toBe('a');
+    });
+
+    test('should pick the smallest component that holds the data', () => {
+      const encode = (data, linearType) =>
+        encoder.encode(data, 'gs1composite', { linearType });
+      const ccA = encode('9501101530003|(17)270101(10)AB-123', 'ean13');
+      const ccB = encode(`9501101530003|(10)${'A'.repeat(40)}`, 'ean13');
+      const ccC = encode(
+        `(01)09501101530003|(99)${'A1'.repeat(45)}(98)${'B2'.repeat(
+          45
+        )}(97)${'c3'.repeat(20)}`,
+        'gs1128'
+      );
+
+      expect([ccA.kind, ccA.component, ccA.rows, ccA.columns]).toEqual([
+        'composite',
+        'CC-A',
+        6,
+        99,
+      ]);
+      expect(ccA.text).toBe('9501101530003');
+      expect(ccB.component).toBe('CC-B');
+      expect([ccC.component, ccC.columns, ccC.linearOffset]).toEqual([
+        'CC-C',
+        171,
+        7,
+      ]);
+      // CC-C rows are 3 modules high, the GS1-128 separator 1
+      expect(ccC.rowHeights.slice(-2)).toEqual([3, 1]);
+      expect(() =>
+        encode(ccC.data.replace(/^[^|]*/, '9501101530003'), 'ean13')
+      ).toThrow('more than the largest composite component over ean13 holds');
+    });
+
+    test('should join EAN/UPC symbols with the guard bar separator', () => {
+      const symbol = encoder.encode(
+        '9501101530003|(17)270101(10)AB-123',
+        'gs1composite'
+      );
+      const separators = symbol.modules
+        .slice(-3)
+        .map(row => row.map(Number).join(''));
+
+      expect(symbol.linearOffset).toBe(3);
+      expect(symbol.rowHeights.slice(-3)).toEqual([2, 2, 2]);
+      expect(separators[0]).toBe(`0001${'0'.repeat(93)}10`);
+      expect(separators[1]).toBe(`001${'0'.repeat(95)}1`);
+    });
+
+    test('should reject data without a component or linear type', () => {
+      expect(() => encoder.encode('9501101530003', 'gs1composite')).toThrow(
+        "separated by '|'"
+      );
+      expect(() =>
+        encoder.encode('9501101530003|(10)A', 'gs1composite', {
+          linearType: 'code39',
+        })
+      ).toThrow('Invalid linear type: code39');
+      expect(() =>
+        encoder.encode('9501101530003|(10)A#1', 'gs1composite')
+      ).toThrow("Invalid character in composite data: '#'");
+    });
+  });
+
+  describe('Postal Symbols', () => {
+    test('should encode Intelligent Mail bars', () => {
+      const symbol = encoder.encode('01234567094987654321-01234567891', 'imb');
+
+      // USPS-B-3200 example with an 11 digit routing code
+      expect(symbol.kind).toBe('fourstate');
+      expect(symbol.bars.join('')).toBe(
+        'AADTFFDFTDADTAADAATFDTDDAAADDTDTTDAFADADDDTFFFDDTTTADFAAADFTDAADA'
+      );
+      expect(symbol.text).toBe('01 234 567094 987654321 01234567891');
+      expect(symbol.pitch).toBeCloseTo(2.2727, 4);
+    });
+
+    test('should split Intelligent Mail fields by the mailer ID', () => {
+      const plain = encoder.encode('00040912345678123456', 'imb');
+      const fields = encoder.encode('00 040 912345678 123456', 'imb');
+
+      expect(plain.fields).toEqual({
+        barcodeId: '00',
+        serviceType: '040',
+        mailerId: '912345678',
+        serialNumber: '123456',
+        routingCode: '',
+      });
+      expect(fields.bars).toEqual(plain.bars);
+      expect(() => encoder.encode('0123456709498765432', 'imb')).toThrow(
+        'The tracking code must be 20 digits'
+      );
+      expect(() => encoder.encode('01 234 567094 98765432', 'imb')).toThrow(
+        'Invalid serial number: 98765432'
+      );
+    });
+
+    test('should add the RM4SCC check character and start and stop bars', () => {
+      const symbol = encoder.encode('SN34RD1A', 'rms4cc');
+
+      expect(symbol.kind).toBe('fourstate');
+      expect(symbol.text).toBe('SN34RD1AK');
+      expect(symbol.bars).toHaveLength(38);
+      // Start bar, then S in row 5, column 5
+      expect(symbol.bars.slice(0, 5)).toEqual(['A', 'F', 'T', 'F', 'T']);
+      expect(symbol.bars.slice(-5)).toEqual(['A', 'D', 'D', 'A', 'F']);
+      expect(encoder.encode('0', 'rms4cc').text).toBe('00');
+      expect(() => encoder.encode('sn34', 'rms4cc')).toThrow(
+        'RM4SCC supports digits and capital letters only'
+      );
+    });
+
+    test('should encode POSTNET and PLANET with the correction digit', () => {
+      const postnet = encoder.encode('555551237', 'postnet');
+      const planet = encoder.encode('12345678901', 'planet');
+
+      expect(postnet.text).toBe('5555512372');
+      expect(postnet.bars).toHaveLength(52);
+      // Frame bar, then 5 (weights 7 4 2 1 0) with bars 4 and 1 full
+      expect(postnet.bars.slice(0, 6).join('')).toBe('FDFDFD');
+      expect(postnet.geometry).toEqual({ D: [0.6, 1] });
+      expect(planet.text).toBe('123456789014');
+      // PLANET swaps the bar heights: 1 is FFFDD
+      expect(planet.bars.slice(0, 6).join('')).toBe('FFFFDD');
+      expect(() => encoder.encode('1234', 'postnet')).toThrow(
+        'POSTNET requires 5, 9 or 11 digits'
+      );
+      expect(() => encoder.encode('555551237', 'planet')).toThrow(
+        'PLANET requires 11 or 13 digits'
+      );
+    });
+
+    test('should size Australia Post barcodes by their FCC', () => {
+      const standard = encoder.encode('1139987520', 'auspost');
+      const customer2 = encoder.encode('5956439111ABA 9', 'auspost');
+      const customer3 = encoder.encode('62564391110123456789', 'auspost', {
+        customerInfoTable: 'N',
+      });
+
+      expect(standard.kind).toBe('fourstate');
+      expect(standard.bars.join('')).toBe(
+        'ATFAFAAFTFTFDDDAADFDFFTTFDADATAFTFDAT'
+      );
+      expect(standard.fields).toEqual({
+        fcc: '11',
+        dpid: '39987520',
+        customerInfo: '',
+      });
+      expect(customer2.bars.join('')).toBe(
+        'ATADTFADDFAAAFTFFAFAFAFFFFFAFFFFFTTDDTTAFADAFFFTTAAT'
+      );
+      expect(customer3.bars).toHaveLength(67);
+      // Customer information digits take two bars each, then filler bars
+      expect(customer3.bars.slice(22, 54).join('')).toBe(
+        'FFFAFDAFAAADDFDADDTFTTTTTTTTTTTF'
+      );
+      expect(() => encoder.encode('5956439111ABCDEF', 'auspost')).toThrow(
+        'Customer information too long: FCC 59 holds 5 C table characters or 8 N table digits'
+      );
+      expect(() => encoder.encode('1239987520', 'auspost')).toThrow(
+        'Invalid FCC: 12. Use 11, 45, 59, 62, 87 or 92'
+      );
+    });
+
+    test('should encode Japan Post letters as two codes and add the check code', () => {
+      const symbol = encoder.encode('6540123789-A-K-Z', 'japanpost');
+
+      expect(symbol.kind).toBe('fourstate');
+      expect(symbol.text).toBe('6540123789-A-K-Z');
+      // Start bars, 20 codes, the check code and stop bars
+      expect(symbol.bars).toHaveLength(67);
+      expect(symbol.bars.join('')).toBe(
+        'FDDAFFTFFADFTTFFTFDADFAAFDADFTFFTFTDATFTTTFTDTAFTTTFTADTFTFTDADFADF'
+      );
+      // Padding with CC4 when the data is short
+      expect(
+        encoder.encode('1000001', 'japanpost').bars.slice(23, 26).join('')
+      ).toBe('TDA');
+      expect(() => encoder.encode('6540123ABCDEFGHIJK', 'japanpost')).toThrow(
+        'Data too long: 29 codes, Japan Post holds 20 and letters take two'
+      );
+    });
+
+    test('should encode KIX without check character or start bar', () => {
+      const symbol = encoder.encode('2500GG30250', 'kix');
+
+      expect(symbol.text).toBe('2500GG30250');
+      expect(symbol.bars).toHaveLength(44);
+      // 2 is row 1, column 3; 5 is row 1, column 6
+      expect(symbol.bars.slice(0, 8).join('')).toBe('TDFADDAA');
+    });
+  });
+
+  describe('Matrix Symbols', () => {
+    test('should encode QR Code modules', () => {
+      const symbol = encoder.encode('HELLO', 'qrcode');
+      expect(symbol.kind).toBe('matrix');
+      expect(symbol.rows).toBe(21);
+      expect(symbol.columns).toBe(21);
+      expect(symbol.quietZone).toBe(4);
+      // Finder pattern in the top-left corner
+      expect(symbol.modules[0].slice(0, 8)).toEqual([
+        true,
+        true,
+        true,
+        true,
+        true,
+        true,
+        true,
+        false,
+      ]);
+    });
+
+    test('should honor the error correction level', () => {
+      const low = encoder.encode('A'.repeat(30), 'qrcode', {
+        errorCorrectionLevel: 'L',
+      });
+      const high = encoder.encode('A'.repeat(30), 'qrcode', {
+        errorCorrectionLevel: 'H',
+      });
+      expect(high.rows).toBeGreaterThan(low.rows);
+    });
+
+    test('should encode Micro QR codewords', () => {
+      const microqr = encoder.encoders.microqr;
+      const segment = microqr.createSegment('01234567');
+      const symbol = microqr.getSymbol(segment, { errorCorrectionLevel: 'L' });
+
+      // Worked example of ISO/IEC 18004: M2-L, numeric mode
+      expect(microqr.createCodewords(segment, symbol)).toEqual([
+        0x40, 0x18, 0xac, 0xc3, 0x00, 0x86, 0x0d, 0x22, 0xae, 0x30,
+      ]);
+    });
+
+    test('should pick the smallest Micro QR version', () => {
+      const m1 = encoder.encode('12345', 'microqr');
+      const m2 = encoder.encode('HELLO', 'microqr');
+      const m4 = encoder.encode('R10K-0603', 'microqr', {
+        errorCorrectionLevel: 'Q',
+      });
+
+      expect([m1.version, m1.rows, m1.errorCorrectionLevel]).toEqual([
+        'M1',
+        11,
+        null,
+      ]);
+      expect([m2.version, m2.rows, m2.errorCorrectionLevel]).toEqual([
+        'M2',
+        13,
+        'M',
+      ]);
+      expect([m4.version, m4.rows]).toEqual(['M4', 17]);
+      expect(m1.quietZone).toBe(2);
+      expect(() => encoder.encode('1'.repeat(36), 'microqr')).toThrow(
+        'Data needs 129 bits, more than the 128 a Micro QR M4-L symbol holds'
+      );
+      expect(() =>
+        encoder.encode('Hello', 'microqr', { version: 'M2' })
+      ).toThrow('Micro QR M2 cannot encode byte data');
+    });
+
+    test('should draw Micro QR function patterns and format information', () => {
+      const symbol = encoder.encode('01234567', 'microqr', {
+        errorCorrectionLevel: 'L',
+        maskPattern: 1,
+      });
+      const rows = symbol.modules.map(row =>
+        row.map(dark => (dark ? '#' : '.')).join('')
+      );
+
+      // Finder, then the timing pattern along the top row
+      expect(rows[0]).toBe('#######.#.#.#');
+      expect(rows[6].slice(0, 8)).toBe('#######.');
+      expect(rows.map(row => row[0]).join('')).toBe('#######.#.#.#');
+      expect(symbol.maskPattern).toBe(1);
+      expect(() => encoder.encode('1', 'microqr', { maskPattern: 4 })).toThrow(
+        'Invalid mask pattern: 4. Use 0 to 3'
+      );
+    });
+
+    test('should encode rMQR codewords', () => {
+      const rmqr = encoder.encoders.rmqr;
+      const segment = rmqr.createSegment('123');
+      const symbol = rmqr.getSymbol(segment, {
+        errorCorrectionLevel: 'M',
+        maxHeight: 17,
+      });
+
+      // R11x27-M: numeric mode, count, 123, terminator, then padding
+      expect([symbol.rows, symbol.columns]).toEqual([11, 27]);
+      expect(rmqr.createCodewords(segment, symbol).slice(0, 7)).toEqual([
+        0x26, 0x3d, 0x80, 0xec, 0x11, 0xec, 0x11,
+      ]);
+    });
+
+    test('should encode R7x99-H as a single rMQR block', () => {
+      const rmqr = encoder.encoders.rmqr;
+      const segment = rmqr.createSegment('CABLE-0042');
+      const symbol = rmqr.getSymbol(segment, {
+        version: 'R7x99',
+        errorCorrectionLevel: 'H',
+        maxHeight: 17,
+      });
+      const codewords = rmqr.createCodewords(segment, symbol);
+
+      // 14 data codewords in order, then 30 error correction codewords
+      expect(codewords).toHaveLength(44);
+      expect(codewords.slice(0, 14)).toEqual([
+        0x45, 0x22, 0x64, 0x08, 0xa7, 0xc0, 0x00, 0xb6, 0x00, 0xec, 0x11, 0xec,
+        0x11, 0xec,
+      ]);
+      expect(
+        encoder.encode('CABLE-0042', 'rmqr', {
+          version: 'R7x99',
+          errorCorrectionLevel: 'H',
+        }).version
+      ).toBe('R7x99');
+    });
+
+    test('should pick the smallest rMQR size within the maximum height', () => {
+      const symbol = encoder.encode('CABLE-0042', 'rmqr');
+      const rows = symbol.modules.map(row =>
+        row.map(dark => (dark ? '#' : '.')).join('')
+      );
+
+      expect([symbol.version, symbol.errorCorrectionLevel]).toEqual([
+        'R13x27',
+        'M',
+      ]);
+      expect(symbol.quietZone).toBe(2);
+      // Finder pattern, timing pattern and top right corner finder pattern
+      expect(rows[0]).toBe('#######.#.#.#.#.#.#.#.#.###');
+      expect(rows[1].slice(0, 8)).toBe('#.....#.');
+      // Corner finder pattern, timing pattern and finder sub-pattern
+      expect(rows[12]).toBe('###.#.#.#.#.#.#.#.#.#.#####');
+      expect(rows[10].slice(22)).toBe('#.#.#');
+      expect(
+        encoder.encode('CABLE-0042', 'rmqr', { errorCorrectionLevel: 'H' })
+          .version
+      ).toBe('R11x43');
+      expect(
+        encoder.encode('CABLE-0042', 'rmqr', { maxHeight: 7 }).version
+      ).toBe('R7x59');
+      expect(
+        encoder.encode('CABLE-0042', 'rmqr', { version: 'R17x43' }).rows
+      ).toBe(17);
+      expect(encoder.encode('1'.repeat(361), 'rmqr').version).toBe('R17x139');
+      expect(() => encoder.encode('1'.repeat(362), 'rmqr')).toThrow(
+        'Data needs 1219 bits, more than the 1216 an rMQR R17x139-M symbol holds'
+      );
+      expect(() =>
+        encoder.encode('CABLE-0042', 'rmqr', { maxHeight: 8 })
+      ).toThrow('Invalid maximum height: 8. Use 7, 9, 11, 13, 15 or 17');
+    });
+
+    test('should encode Data Matrix ECC 200 modules', () => {
+      const symbol = encoder.encode('123456', 'datamatrix');
+      const rows = symbol.modules.map(row =>
+        row.map(dark => (dark ? '#' : '.')).join('')
+      );
+
+      // Digit pairs 142 164 186, then error correction 114 25 5 88 102
+      expect(symbol.rows).toBe(10);
+      expect(symbol.columns).toBe(10);
+      expect(symbol.quietZone).toBe(1);
+      expect(rows[0]).toBe('#.#.#.#.#.');
+      expect(rows[1]).toBe('##..#.##.#');
+      expect(rows[9]).toBe('##########');
+    });
+
+    test('should compact Data Matrix text with C40', () => {
+      // Nine ASCII codewords need 16x16; three C40 triplets fit 14x14
+      expect(encoder.encode('AIMAIMAIM', 'datamatrix').rows).toBe(14);
+    });
+
+    test('should pick rectangular and fixed Data Matrix sizes', () => {
+      const rectangle = encoder.encode('ABC', 'datamatrix', {
+        shape: 'rectangle',
+      });
+      const fixed = encoder.encode('ABC', 'datamatrix', {
+        symbolSize: '16x48',
+      });
+
+      expect([rectangle.rows, rectangle.columns]).toEqual([8, 18]);
+      expect([fixed.rows, fixed.columns]).toEqual([16, 48]);
+      expect(() =>
+        encoder.encode('A'.repeat(10), 'datamatrix', { symbolSize: '10x10' })
+      ).toThrow('more than the 3 a 10x10 symbol holds');
+    });
+
+    test('should encode GS1 Data Matrix element strings', () => {
+      const symbol = encoder.encode(
+        '(01)09501101530003(10)AB-123',
+        'datamatrix',
+        { gs1: true }
+      );
+
+      expect(symbol.gs1).toBe(true);
+      expect(() =>
+        encoder.encode('(01)123', 'datamatrix', { gs1: true })
+      ).toThrow('GS1 AI (01) takes 14 characters, got 3');
+    });
+
+    test('should encode PDF417 rows', () => {
+      const symbol = encoder.encode('Hello World', 'pdf417');
+
+      expect(symbol.kind).toBe('matrix');
+      expect(symbol.rows).toBe(16);
+      expect(symbol.dataColumns).toBe(1);
+      expect(symbol.eccLevel).toBe(2);
+      // Start, row indicators, one data column and the stop pattern
+      expect(symbol.columns).toBe(86);
+      expect(symbol.rowHeights).toEqual(new Array(16).fill(3));
+      expect(symbol.quietZone).toBe(2);
+      expect(symbol.modules[0].slice(0, 17).map(Number).join('')).toBe(
+        '11111111010101000'
+      );
+    });
+
+    test('should honor PDF417 columns, rows and error correction', () => {
+      const sized = encoder.encode('Hello World', 'pdf417', {
+        columns: 4,
+        eccLevel: 4,
+      });
+      const compact = encoder.encode('Hello World', 'pdf417', {
+        columns: 2,
+        compact: true,
+      });
+
+      expect([sized.dataColumns, sized.rows, sized.eccLevel]).toEqual([
+        4, 10, 4,
+      ]);
+      // The right row indicator and stop pattern shrink to one bar
+      expect(compact.columns).toBe(17 * 2 + 35);
+      expect(() =>
+        encoder.encode('Hello World', 'pdf417', { columns: 31 })
+      ).toThrow('Invalid columns: 31. PDF417 has 1 to 30 data columns');
+      expect(() =>
+        encoder.encode('1'.repeat(2000), 'pdf417', { rows: 3 })
+      ).toThrow('more than 30 columns and 3 rows hold');
+    });
+
+    test('should compact PDF417 text, bytes and digits', () => {
+      const pdf417 = encoder.encoders.pdf417;
+
+      expect(pdf417.compact('1234567890123')).toEqual([
+        902, 17, 110, 836, 811, 223,
+      ]);
+      expect(pdf417.compact('été')).toEqual([901, 233, 116, 233]);
+    });
+
+    test('should add a Macro PDF417 control block', () => {
+      const pdf417 = encoder.encoders.pdf417;
+
+      expect(
+        pdf417.createMacroBlock({
+          segmentIndex: 2,
+          fileId: '017053',
+          segmentCount: 4,
+        })
+      ).toEqual([928, 111, 102, 17, 53, 923, 1, 14]);
+      expect(
+        pdf417.createMacroBlock({ segmentIndex: 3, lastSegment: true })
+      ).toEqual([928, 111, 103, 0, 922]);
+      expect(() =>
+        encoder.encode('Hello', 'pdf417', { macro: { segmentIndex: 1e6 } })
+      ).toThrow('Invalid Macro PDF417 segment index');
+    });
+
+    test('should encode MicroPDF417 in the defined sizes', () => {
+      const symbol = encoder.encode('Hello', 'micropdf417');
+      const narrow = encoder.encode('Hello', 'micropdf417', { columns: 1 });
+      const micro = encoder.encoders.micropdf417;
+      const row = modules => modules.map(Number).join('');
+
+      // Smallest area: 4 columns, 4 rows
+      expect([symbol.dataColumns, symbol.rows, symbol.variant]).toEqual([
+        4, 4, 23,
+      ]);
+      expect(symbol.columns).toBe(99);
+      expect(symbol.rowHeights).toEqual([2, 2, 2, 2]);
+      expect(symbol.quietZone).toBe(1);
+      // Left row address pattern 47, two codewords, centre pattern 19, two
+      // codewords, right pattern 43 and the closing bar
+      expect(row(symbol.modules[0].slice(0, 10))).toBe('1101001110');
+      expect(row(symbol.modules[0].slice(44, 54))).toBe('1001110110');
+      expect(row(symbol.modules[0].slice(88))).toBe('11010010001');
+      expect([narrow.rows, narrow.columns]).toEqual([11, 38]);
+      // Row address patterns 1 and 9 around the latch to text compaction
+      expect(row(narrow.modules[0])).toBe(
+        '11001000101000011000110010011100110101'
+      );
+      expect(micro.compact('Hello', 'byte')).toEqual([900, 237, 131, 344]);
+      expect(() =>
+        encoder.encode('Hello', 'micropdf417', { columns: 1, rows: 4 })
+      ).toThrow('Invalid rows: 4. No 1 column MicroPDF417 size has 4 rows');
+      expect(() => encoder.encode('x'.repeat(400), 'micropdf417')).toThrow(
+        'Data needs 202 codewords, more than the 126 a MicroPDF417 symbol holds'
+      );
+    });
+
+    test('should pick compact and full-range Aztec symbols', () => {
+      const compact = encoder.encode('Hello World', 'aztec');
+      const robust = encoder.encode('Hello World', 'aztec', {
+        eccPercent: 80,
+      });
+      const full = encoder.encode('x'.repeat(200), 'aztec');
+
+      expect([compact.rows, compact.compact, compact.layers]).toEqual([
+        19,
+        true,
+        2,
+      ]);
+      expect(compact.quietZone).toBe(0);
+      expect([robust.rows, robust.layers]).toEqual([27, 4]);
+      expect([full.rows, full.compact, full.layers]).toEqual([45, false, 7]);
+      // Reference grid through the center of full-range symbols
+      expect(full.modules[22].map(dark => (dark ? '#' : '.')).join('')).toBe(
+        '#.'.repeat(22) + '#'
+      );
+      expect(() =>
+        encoder.encode('Hello', 'aztec', { eccPercent: 99 })
+      ).toThrow('Invalid error correction percentage: 99. Use 5 to 95');
+    });
+
+    test('should write Aztec characters in the cheapest mode', () => {
+      const aztec = encoder.encoders.aztec;
+      const bits = aztec.encodeText(aztec.createMessage('Ab1', false));
+
+      // A, L/L, b, D/L, 1
+      expect(bits.join('')).toBe(
+        '00010' + '11100' + '00011' + '11110' + '0011'
+      );
+    });
+
+    test('should encode Aztec runes', () => {
+      const symbol = encoder.encode('0', 'aztec', { rune: true });
+      const rows = symbol.modules.map(row =>
+        row.map(dark => (dark ? '#' : '.')).join('')
+      );
+
+      // Inverted alternate bits of the mode message around the bullseye
+      expect([symbol.rows, symbol.rune]).toEqual([11, true]);
+      expect(rows[0]).toBe('###.#.#.#.#');
+      expect(rows[5]).toBe('##.#.#.#.##');
+      expect(() => encoder.encode('256', 'aztec', { rune: true })).toThrow(
+        'Invalid Aztec rune: 256. Use 0 to 255'
+      );
+    });
+
+    test('should encode MaxiCode structured carrier messages', () => {
+      const ups = encoder.encode(
+        '[)>\x1e01\x1d96152382802\x1d840\x1d001\x1d1Z00004951\x1dUPSN\x1e\x04',
+        'maxicode'
+      );
+      const canadian = encoder.encode('B1050\x1d124\x1d999\x1d', 'maxicode');
+      const maxicode = encoder.encoders.maxicode;
+
+      expect([ups.kind, ups.rows, ups.columns, ups.mode]).toEqual([
+        'hexagonal',
+        33,
+        30,
+        2,
+      ]);
+      expect(canadian.mode).toBe(3);
+      // Mode, postal code, its length, country code and service class
+      expect(maxicode.createPrimary(2, '152382802', 840, 1)).toEqual([
+        34, 20, 45, 20, 17, 18, 2, 18, 7, 0,
+      ]);
+      expect(maxicode.createPrimary(3, 'b1050', 56, 999)).toEqual([
+        3, 8, 28, 13, 28, 44, 0, 14, 28, 62,
+      ]);
+      expect(() => encoder.encode('Hello', 'maxicode', { mode: 2 })).toThrow(
+        'Mode 2 needs a structured carrier message'
+      );
+      expect(() =>
+        encoder.encode('SW1A 1AA\x1d826\x1d001\x1d', 'maxicode')
+      ).toThrow('Invalid postal code for mode 3: SW1A 1AA');
+    });
+
+    test('should encode MaxiCode modes 4 to 6', () => {
+      const standard = encoder.encode('Hello', 'maxicode');
+      const enhanced = encoder.encode('Hello', 'maxicode', { mode: 5 });
+      const maxicode = encoder.encoders.maxicode;
+
+      expect([standard.mode, enhanced.mode]).toEqual([4, 5]);
+      expect(encoder.encode('Hello', 'maxicode', { mode: 6 }).mode).toBe(6);
+      // Orientation modules in the top right corner are always dark
+      expect(standard.modules[0].slice(28)).toEqual([true, true]);
+      // H, latch B, e, l, l, o, then padding
+      expect(maxicode.encodeText('Hello', 10)).toEqual([
+        8, 63, 5, 12, 12, 15, 33, 33, 33, 33,
+      ]);
+      // Numeric shift packs 9 digits into 5 codewords
+      expect(maxicode.encodeText('123456789', 6)).toEqual([
+        31, 7, 22, 60, 52, 21,
+      ]);
+      expect(() => encoder.encode('X'.repeat(94), 'maxicode')).toThrow(
+        'Data needs 94 codewords, more than the 93 this MaxiCode mode holds'
+      );
+      expect(() => encoder.encode('Hello', 'maxicode', { mode: 7 })).toThrow(
+        'Invalid MaxiCode mode: 7. Use 2 to 6'
+      );
+    });
+
+    test('should stack Code 16K rows with separators', () => {
+      const symbol = encoder.encode('AIM', 'code16k');
+      const code16k = encoder.encoders.code16k;
+      const row = modules => modules.map(Number).join('');
+
+      expect(symbol.kind).toBe('matrix');
+      expect(symbol.symbolRows).toBe(2);
+      expect(symbol.rowHeights).toEqual([1, 10, 1, 10, 1]);
+      // Separators span the symbol between the quiet zones
+      expect(row(symbol.modules[0])).toBe(
+        `${'0'.repeat(10)}${'1'.repeat(70)}0`
+      );
+      // Row 1 start pattern 3211 followed by the separator bar
+      expect(row(symbol.modules[1].slice(10, 18))).toBe('11100101');
+      // Row 2 stop pattern 2221 starts with a space
+      expect(row(symbol.modules[3].slice(73))).toBe('00110010');
+      // Mode 1 (code set B, two rows), data, pads and check characters
+      expect(
+        code16k.computeCheckCharacters([1, 33, 41, 45, 103, 103, 103, 103])
+      ).toEqual([49, 65]);
+      expect(code16k.encodeData('ab12345678cd').values).toEqual([
+        65, 66, 99, 12, 34, 56, 78, 100, 67, 68,
+      ]);
+      expect(encoder.encode('ab12', 'code16k', { rows: 4 }).symbolRows).toBe(4);
+      // Check character 106 is an 11 module character, not the Code 128 stop
+      const checked = encoder.encode(
+        'JKCVSMDWQYXADVWPLSWEZEGABWFLWMZKMWFDL',
+        'code16k'
+      );
+      expect(checked.modules.map(modules => modules.length)).toEqual(
+        new Array(checked.rows).fill(checked.columns)
+      );
+      expect(row(checked.modules.at(-2).slice(51, 62))).toBe('00111000101');
+      expect(() => encoder.encode('1'.repeat(156), 'code16k')).toThrow(
+        'Data needs 81 symbol characters, more than the 80 a Code 16K symbol holds'
+      );
+      expect(() => encoder.encode('Grüße', 'code16k')).toThrow(
+        'Code 16K supports ASCII characters only'
+      );
+    });
+
+    test('should stack Code 49 rows with check characters and words', () => {
+      const symbol = encoder.encode('CODE 49', 'code49');
+      const code49 = encoder.encoders.code49;
+      const row = modules => modules.map(Number).join('');
+
+      expect(symbol.kind).toBe('matrix');
+      expect(symbol.symbolRows).toBe(2);
+      expect(symbol.rowHeights).toEqual([1, 10, 1, 10, 1]);
+      expect(row(symbol.modules[0])).toBe(
+        `${'0'.repeat(10)}${'1'.repeat(70)}0`
+      );
+      expect(symbol.modules.map(modules => modules.length)).toEqual(
+        new Array(symbol.rows).fill(symbol.columns)
+      );
+      // Start pattern after the quiet zone, stop pattern before the last module
+      expect(row(symbol.modules[1].slice(10, 12))).toBe('10');
+      expect(row(symbol.modules[3].slice(76))).toBe('11110');
+      // Data and row check character 16, then two numeric shift pads, check
+      // words Y and X, row count and mode 0 and row check character 35
+      expect(code49.encodeData('CODE 49')).toEqual({
+        values: [12, 24, 13, 14, 38, 4, 9],
+        mode: 0,
+      });
+      expect(
+        code49.createCharacters([12, 24, 13, 14, 38, 4, 9, 48, 48], 2, 0)
+      ).toEqual([12, 24, 13, 14, 38, 4, 9, 16, 48, 48, 13, 39, 5, 29, 0, 35]);
+      // Leading Shift 2 character in the mode, digits in base 48
+      expect(code49.encodeData('a1234567890b')).toEqual({
+        values: [10, 48, 5, 17, 9, 29, 22, 18, 48, 44, 11],
+        mode: 5,
+      });
+      expect(code49.encodeData('123456')).toEqual({
+        values: [5, 17, 9, 6],
+        mode: 2,
+      });
+      expect(encoder.encode('9'.repeat(81), 'code49').symbolRows).toBe(8);
+      expect(encoder.encode('AB', 'code49', { rows: 8 }).symbolRows).toBe(8);
+      expect(() => encoder.encode('9'.repeat(82), 'code49')).toThrow(
+        'Data needs 50 symbol characters, more than the 49 a Code 49 symbol holds'
+      );
+      expect(() =>
+        encoder.encode('A'.repeat(30), 'code49', { rows: 3 })
+      ).toThrow('Data needs 5 rows, more than the 3 requested');
+      expect(() => encoder.encode('Grüße', 'code49')).toThrow(
+        'Code 49 supports ASCII characters only'
+      );
+    });
+
+    test('should encode DotCode characters in the cheapest code set', () => {
+      const dotcode = encoder.encoders.dotcode;
+      const codewords = (data, gs1 = false) =>
+        dotcode.encodeText(dotcode.createMessage(data, gs1));
+
+      // Digit pair in code set C, then one character shifted to code set B
+      expect(codewords('123')).toEqual([12, 102, 19]);
+      // Latch B, CR LF as one codeword, then four digit pairs shifted to C
+      expect(codewords('ab\r\n12345678')).toEqual([
+        106, 65, 66, 96, 105, 12, 34, 56, 78,
+      ]);
+      // Shift C for two digit pairs, and for two with an odd digit left
+      expect(codewords('DOTCODE 2024')).toEqual([
+        106, 36, 47, 52, 35, 47, 36, 37, 0, 103, 20, 24,
+      ]);
+      expect(codewords('DOTCODE 12345')).toEqual([
+        106, 36, 47, 52, 35, 47, 36, 37, 0, 103, 12, 34, 21,
+      ]);
+      expect(codewords('\x01\x02A')).toEqual([101, 65, 66, 33]);
+      // FNC1 first, digit pairs, then AB1 shifted to code set B
+      expect(codewords('(01)09501101530003(10)AB1', true)).toEqual([
+        107, 1, 9, 50, 11, 1, 53, 0, 3, 10, 104, 33, 34, 17,
+      ]);
+      // UTF-8 ECI, then upper shifts for the bytes above 127
+      expect(codewords('é€').slice(0, 6)).toEqual([108, 26, 111, 35, 111, 9]);
+    });
+
+    test('should fold DotCode dots on even row and column sums', () => {
+      const symbol = encoder.encode('123', 'dotcode');
+      const gs1 = encoder.encode('(01)09501101530003(10)AB1', 'dotcode', {
+        gs1: true,
+      });
+
+      expect([symbol.kind, symbol.rows, symbol.columns]).toEqual([
+        'matrix',
+        10,
+        13,
+      ]);
+      expect(symbol.dots).toBe(true);
+      expect(symbol.mask).toBe(2);
+      [symbol, gs1].forEach(({ modules }) => {
+        modules.forEach((row, y) =>
+          row.forEach((dot, x) => {
+            if ((x + y) % 2) expect(dot).toBe(false);
+          })
+        );
+      });
+      expect([gs1.rows, gs1.columns, gs1.gs1]).toEqual([17, 26, true]);
+      const wide = encoder.encode('LOT 0042', 'dotcode', { columns: 30 });
+      expect([wide.rows, wide.columns]).toEqual([9, 30]);
+      expect(() =>
+        encoder.encode('LOT 0042', 'dotcode', { columns: 4 })
+      ).toThrow('Invalid number of columns: 4. Use 5 to 200');
+      expect(() => encoder.encode('1'.repeat(1969), 'dotcode')).toThrow(
+        'more than the 200x200 DotCode allows'
+      );
+    });
+
+    test('should add DotCode error correction over GF(113)', () => {
+      const dotcode = encoder.encoders.dotcode;
+      const data = [2, 12, 102, 19];
+      const codewords = dotcode.addErrorCorrection(data, 4);
+
+      // The codeword polynomial has the roots 3^1 to 3^4
+      [3, 9, 27, 81].forEach(root => {
+        expect(
+          codewords.reduce((sum, codeword) => (sum * root + codeword) % 113, 0)
+        ).toBe(0);
+      });
+      expect(codewords.slice(0, 4)).toEqual(data);
+    });
+  });
+
+  describe('Errors', () => {
+    test('should reject unsupported types', () => {
+      expect(() => encoder.encode('12345', 'codablockf')).toThrow(
+        'No encoder available for barcode type: codablockf'
+      );
+    });
+
+    test('should report invalid input', () => {
+      expect(() => encoder.encode('1234', 'code32')).toThrow(
+        'Encoding code32 failed'
+      );
+    });
+  });
+
+  describe('Renderers', () => {
+    test('should paint the same symbol in every format', () => {
+      const service = new BarcodeService();
+      const options = { displayValue: false, margin: 0 };
+      const svg = service.svg('HELLO', 'qrcode', options);
+      const html = service.html('HELLO', 'qrcode', options);
+
+      // 4 module quiet zone at 4px per module, first finder row is 7 modules
+      expect(svg).toContain('M16 16h28v4h-28z');
+      expect(html).toContain(
+        '<div class="barcode-band" style="margin-top: 16px;"><i class="s0"></i><i class="b0"></i>'
+      );
+      expect(html).toMatch(/\.s0 \{ width: 16px; \}/);
+      expect(html).toMatch(/\.b0 \{ width: 28px; height: 4px; \}/);
+    });
+
+    test('should send QR codes to ZPL with their error correction level', () => {
+      const service = new BarcodeService();
+      const result = service.zpl('Hello', 'qrcode', {
+        errorCorrectionLevel: 'Q',
+        moduleSize: 5,
+      });
+
+      expect(result).toContain('^BQN,2,5^FH^FDQA,Hello^FS');
+    });
+
+    test('should send Data Matrix to ZPL natively unless it is GS1', () => {
+      const service = new BarcodeService();
+
+      expect(service.zpl('123456', 'datamatrix')).toContain(
+        '^BXN,4,200,10,10,6,~^FH^FD123456^FS'
+      );
+      expect(service.zpl('A~1`', 'datamatrix')).toContain(
+        '^BXN,4,200,12,12,6,|^FH^FDA_7E1`^FS'
+      );
+      expect(service.zpl('~`|@#$&*', 'datamatrix')).toContain('^GFA,');
+      expect(
+        service.zpl('(01)09501101530003', 'datamatrix', { gs1: true })
+      ).toContain('^GFA,');
+    });
+
+    test('should send PDF417 to ZPL natively unless it is a macro segment', () => {
+      const service = new BarcodeService();
+
+      expect(
+        service.zpl('Hello World', 'pdf417', { columns: 4, eccLevel: 4 })
+      ).toContain('^BY4,3.0,100^B7N,12,4,4,10,N^FH^FDHello World^FS');
+      expect(
+        service.zpl('Hello World', 'pdf417', { macro: { segmentIndex: 0 } })
+      ).toContain('^GFA,');
+    });
+
+    test('should send Micro QR to ZPL as a graphic', () => {
+      const service = new BarcodeService();
+
+      expect(service.zpl('12345', 'microqr')).toContain('^GFA,');
+    });
+
+    test('should send MicroPDF417 to ZPL with its size as the mode', () => {
+      const service = new BarcodeService();
+
+      expect(
+        service.zpl('Hello', 'micropdf417', { columns: 2, moduleSize: 3 })
+      ).toContain('^BY3,3.0,100^BFN,6,6^FH^FDHello^FS');
+    });
+
+    test('should send Aztec to ZPL with its symbol size', () => {
+      const service = new BarcodeService();
+
+      expect(service.zpl('Hello World', 'aztec')).toContain(
+        '^B0N,4,N,102,N,1^FH^FDHello World^FS'
+      );
+      expect(service.zpl('42', 'aztec', { rune: true })).toContain(
+        '^B0N,4,N,300,N,1^FH^FD42^FS'
+      );
+    });
+
+    test('should draw MaxiCode as hexagons and bullseye circles', () => {
+      const service = new BarcodeService();
+      const options = { displayValue: false, margin: 0 };
+      const svg = service.svg('Hello', 'maxicode', options);
+      const eps = service.eps('Hello', 'maxicode', options);
+
+      // Always dark hexagon in row 0, column 28, after a 1 module quiet zone
+      expect(svg).toContain(
+        'M118 4L120 5.1547L120 7.4641L118 8.6188L116 7.4641L116 5.1547z'
+      );
+      // Outer bullseye circle, 9 modules across
+      expect(svg).toContain(
+        'fill-rule="evenodd" d="M44 61.735a18 18 0 1 0 36 0'
+      );
+      expect(eps).toContain(' H\n');
+      expect(eps).toContain('\neofill\n');
+      expect(service.zpl('Hello', 'maxicode')).toContain('^GFA,');
+    });
+
+    test('should draw DotCode modules as circles', () => {
+      const service = new BarcodeService();
+      const options = { displayValue: false, margin: 0 };
+      const svg = service.svg('123', 'dotcode', options);
+      const eps = service.eps('123', 'dotcode', options);
+
+      // 4px dots, each as two half circle arcs
+      expect(svg).toContain('a2 2 0 1 0 4 0a2 2 0 1 0 -4 0z');
+      expect(svg.match(/z/g)).toHaveLength(36);
+      expect(eps).toContain(' 2 C\n');
+      expect(service.zpl('123', 'dotcode')).toContain('^GFA,');
+    });
+
+    test('should draw composite symbols as one stack', () => {
+      const service = new BarcodeService();
+      const options = { displayValue: false, margin: 0, width: 2, height: 50 };
+      const data = '9501101530003|(17)270101(10)AB-123';
+      const svg = service.svg(data, 'gs1composite', options);
+
+      // 99 modules wide; 3 CC-A rows and 3 separator rows of 2 modules each
+      expect(svg).toContain('width="198" height="74"');
+      // First EAN-13 guard bar, 3 modules in, under the separator
+      expect(svg).toContain('M6 24h2v50h-2z');
+      expect(service.zpl(data, 'gs1composite')).toContain('^GFA,');
+    });
+
+    test('should draw Intelligent Mail bars at their vertical positions', () => {
+      const service = new BarcodeService();
+      const data = '01234567094987654321-01234567891';
+      const options = { displayValue: false, margin: 0, width: 2, height: 80 };
+      const svg = service.svg(data, 'imb', options);
+
+      // Ascender, ascender, descender, tracker; 22 bars per inch
+      expect(svg).toContain('M0 0h2v50h-2z');
+      expect(svg).toContain('M4.5455 0h2v50h-2z');
+      expect(svg).toContain('M9.0909 30h2v50h-2z');
+      expect(svg).toContain('M13.6364 30h2v20h-2z');
+      expect(service.zpl(data, 'imb')).toContain(
+        '^BZN,100,Y,N,3^FH^FD0123456709498765432101234567891^FS'
+      );
+    });
+
+    test('should draw POSTNET half bars on the baseline', () => {
+      const service = new BarcodeService();
+      const options = { displayValue: false, margin: 0, width: 2, height: 50 };
+      const svg = service.svg('12345', 'postnet', options);
+
+      expect(svg).toContain('M0 0h2v50h-2z');
+      expect(svg).toContain('M4.5455 30h2v20h-2z');
+      expect(service.zpl('12345', 'postnet')).toContain(
+        '^BZN,100,Y,N,0^FH^FD12345^FS'
+      );
+      expect(service.zpl('12345678901', 'planet')).toContain(
+        '^BZN,100,Y,N,1^FH^FD12345678901^FS'
+      );
+    });
+
+    test('should draw Pharmacode wide bars by the wide ratio', () => {
+      const service = new BarcodeService();
+      const options = { displayValue: false, margin: 0, width: 2, height: 40 };
+      const svg = service.svg('1234', 'pharmacode', {
+        ...options,
+        wideRatio: 2.5,
+      });
+      const twoTrack = service.svg('5', 'pharmacodetwotracks', options);
+
+      // Narrow bars, spaces of two narrow bars, then a wide bar
+      expect(svg).toContain('M0 0h2v40h-2zM6 0h2v40h-2zM12 0h5v40h-5z');
+      // Lower track, then upper track
+      expect(twoTrack).toContain('M0 20h2v20h-2zM4 0h2v20h-2z');
+    });
+
+    test('should draw RM4SCC bars from the top and bottom', () => {
+      const service = new BarcodeService();
+      const options = { displayValue: false, margin: 0, width: 2, height: 80 };
+      const svg = service.svg('SN34RD1A', 'rms4cc', options);
+
+      // Ascender start bar, full bar, tracker, full bar at a pitch of 2
+      expect(svg).toContain('M0 0h2v50h-2z');
+      expect(svg).toContain('M4 0h2v80h-2z');
+      expect(svg).toContain('M8 30h2v20h-2z');
+      expect(svg).toContain('width="150" height="80"');
+    });
+
+    test('should send QR codes to ESC/POS with GS ( k', () => {
+      const service = new BarcodeService();
+      const result = service.escpos('Hello', 'qrcode', {
+        errorCorrectionLevel: 'H',
+      });
+
+      // Module size 4, level H, then the stored data
+      expect(result.toString('hex')).toContain(
+        '1d286b03003143041d286b03003145331d286b080031503048656c6c6f'
+      );
+    });
+
+    test('should write QR code modules to EPS from the top left', () => {
+      const service = new BarcodeService();
+      const result = service.eps('HELLO', 'qrcode', {
+        displayValue: false,
+        margin: 0,
+      });
+
+      // 29 modules at 4pt; the first finder row is 7 modules at the top
+      expect(result).toContain('%%BoundingBox: 0 0 116 116');
+      expect(result).toContain('\n16 96 28 4 R\n');
+    });
+  });
+});
@@ -10,10 +10,20 @@ jest.mock('canvas', () => ({
       fillRect: jest.fn(),
       drawImage: jest.fn(),
       font: '',
+      textAlign: '',
+      fillText: jest.fn(),
       fillColor: '',
       text: jest.fn(),
       rect: jest.fn(),
       fill: jest.fn(),
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      arc: jest.fn(),
+      getImageData: jest.fn((x, y, width, height) => ({
+        data: new Uint8ClampedArray(width * height * 4).fill(255),
+        width,
+        height,
+      })),
     })),
     toBuffer: jest.fn(() => Buffer.from('mock-png-data')),
     toSVG: jest.fn(() => '<svg>mock</svg>'),
@@ -47,13 +57,26 @@ jest.mock('qrcode', () => ({
 
 // Mock PDFDocument
 jest.mock('pdfkit', () => {
-  return jest.fn().mockImplementation(() => ({
-    rect: jest.fn().mockReturnThis(),
-    fillColor: jest.fn().mockReturnThis(),
-    fill: jest.fn().mockReturnThis(),
-    fontSize: jest.fn().mockReturnThis(),
-    text: jest.fn().mockReturnThis(),
-    on: jest.fn().mockReturnThis(),
-    end: jest.fn(),
-  }));
+  return jest.fn().mockImplementation(() => {
+    const handlers = {};
+    const doc = {
+      rect: jest.fn().mockReturnThis(),
+      polygon: jest.fn().mockReturnThis(),
+      circle: jest.fn().mockReturnThis(),
+      fillColor: jest.fn().mockReturnThis(),
+      fill: jest.fn().mockReturnThis(),
+      font: jest.fn().mockReturnThis(),
+      fontSize: jest.fn().mockReturnThis(),
+      text: jest.fn().mockReturnThis(),
+      on: jest.fn((event, handler) => {
+        handlers[event] = handler;
+        return doc;
+      }),
+      end: jest.fn(() => {
+        if (handlers.data) handlers.data(Buffer.from('mock-pdf-data'));
+        if (handlers.end) handlers.end();
+      }),
+    };
+    return doc;
+  });
 });